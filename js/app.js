@@ -2,9 +2,14 @@
 const playerNameInput = document.getElementById('playerName');
 const addPlayerBtn = document.getElementById('addPlayerBtn');
 const playerList = document.getElementById('playerList');
+const randomDealerBtn = document.getElementById('randomDealerBtn');
 const currentRoundSpan = document.getElementById('currentRound');
+const roundDetailsSpan = document.getElementById('roundDetails');
 const newRoundBtn = document.getElementById('newRoundBtn');
 const resetGameBtn = document.getElementById('resetGameBtn');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const rulesetSelect = document.getElementById('rulesetSelect');
 const bidInputs = document.getElementById('bidInputs');
 const submitBidsBtn = document.getElementById('submitBidsBtn');
 const trickInputs = document.getElementById('trickInputs');
@@ -12,19 +17,30 @@ const submitTricksBtn = document.getElementById('submitTricksBtn');
 const scoreTableBody = document.getElementById('scoreTableBody');
 const historyHeader = document.getElementById('historyHeader');
 const historyBody = document.getElementById('historyBody');
+const statsBody = document.getElementById('statsBody');
 
-// Game state
-let gameState = {
-    players: [],
-    currentRound: 1,
-    roundData: [],
-    gameHistory: []
-};
+// Game state, shared with bidding.html through js/gameState.js
+const sharedGameState = window.gameState;
+let gameState = sharedGameState.getState();
+
+// Undo/redo history of game actions
+const actionHistory = CommandHistory.createCommandHistory();
+
+// Card-by-card recording of the current round (null when tricks are typed in)
+let trickRecorder = null;
 
 // Initialize the application
 function init() {
+    populateRulesetOptions();
     addEventListeners();
     updateUI();
+    
+    // Coming back from another page keeps the game; a fresh tab offers the saved one
+    if (sharedGameState.isRestoredFromSession()) {
+        restoreRoundPhase();
+    } else {
+        offerResume();
+    }
 }
 
 // Add event listeners
@@ -35,8 +51,128 @@ function addEventListeners() {
     });
     newRoundBtn.addEventListener('click', startNewRound);
     resetGameBtn.addEventListener('click', resetGame);
+    rulesetSelect.addEventListener('change', () => selectRuleset(rulesetSelect.value));
     submitBidsBtn.addEventListener('click', submitBids);
     submitTricksBtn.addEventListener('click', submitTricks);
+    bidInputs.addEventListener('input', recordDraftInput);
+    bidInputs.addEventListener('input', updateHookHint);
+    bidInputs.addEventListener('change', recordDraftInput);
+    trickInputs.addEventListener('input', recordDraftInput);
+    undoBtn.addEventListener('click', undoAction);
+    redoBtn.addEventListener('click', redoAction);
+    document.addEventListener('keydown', handleHistoryShortcut);
+    playerList.addEventListener('click', handlePlayerListClick);
+    randomDealerBtn.addEventListener('click', pickRandomFirstDealer);
+    historyBody.addEventListener('click', handleHistoryClick);
+}
+
+// Undo/redo functions (each action stores the game before and after it)
+function takeSnapshot() {
+    return JSON.parse(JSON.stringify(gameState));
+}
+
+function applySnapshot(snapshot) {
+    gameState = sharedGameState.replaceState(JSON.parse(JSON.stringify(snapshot)));
+    trickInputs.innerHTML = '';
+    trickRecorder = null;
+    submitTricksBtn.disabled = true;
+    updateUI();
+    restoreRoundPhase();
+}
+
+function recordAction(label, before) {
+    const after = takeSnapshot();
+    actionHistory.record({
+        label,
+        execute: () => applySnapshot(after),
+        undo: () => applySnapshot(before)
+    });
+    updateHistoryButtons();
+}
+
+function undoAction() {
+    actionHistory.undo();
+    updateHistoryButtons();
+}
+
+function redoAction() {
+    actionHistory.redo();
+    updateHistoryButtons();
+}
+
+function isEditableTarget(target) {
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || Boolean(target.isContentEditable);
+}
+
+function handleHistoryShortcut(e) {
+    const shortcut = CommandHistory.getHistoryShortcut(e);
+    
+    // Leave form fields and editable text to the browser's own undo
+    if (!shortcut || isEditableTarget(e.target)) return;
+    
+    e.preventDefault();
+    if (shortcut === 'undo') {
+        undoAction();
+    } else {
+        redoAction();
+    }
+}
+
+// Persistence functions
+function saveGame() {
+    sharedGameState.save();
+}
+
+function offerResume() {
+    return sharedGameState.loadSavedGame()
+        .then(saved => {
+            if (!saved) return;
+            
+            const savedAt = new Date(saved.savedAt).toLocaleString();
+            if (confirm(`Resume the unfinished game at round ${saved.data.currentRound} (saved ${savedAt})?`)) {
+                restoreGame(saved.data);
+            } else {
+                sharedGameState.discardSavedGame();
+            }
+        })
+        .catch(error => console.error('Failed to load saved game:', error));
+}
+
+function restoreGame(savedState) {
+    gameState = sharedGameState.replaceState(savedState);
+    updateUI();
+    restoreRoundPhase();
+}
+
+function restoreRoundPhase() {
+    // Bids were submitted (here or on the bidding page) but tricks were not: continue with trick entry
+    if (sharedGameState.hasCurrentRoundBids()) {
+        generateTrickInputs();
+        submitBidsBtn.disabled = true;
+        submitTricksBtn.disabled = false;
+    }
+    
+    restoreDraftInputs();
+}
+
+// Half-entered bids and tricks are saved as they are typed
+function recordDraftInput(e) {
+    // Cards recorded one at a time are not drafts
+    if (!e.target.id || e.target.closest('#cardRecorder')) return;
+    
+    gameState.draftInputs[e.target.id] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    saveGame();
+}
+
+function restoreDraftInputs() {
+    Object.entries(gameState.draftInputs).forEach(([inputId, value]) => {
+        const input = document.getElementById(inputId);
+        if (input && input.type === 'checkbox') {
+            input.checked = value;
+        } else if (input) {
+            input.value = value;
+        }
+    });
 }
 
 // Player management functions
@@ -58,19 +194,80 @@ function addPlayer() {
         roundScores: []
     };
     
+    const before = takeSnapshot();
     gameState.players.push(player);
     playerNameInput.value = '';
     updateUI();
+    saveGame();
+    recordAction(`Add ${name}`, before);
 }
 
 function removePlayer(playerName) {
     const index = gameState.players.findIndex(p => p.name === playerName);
     if (index !== -1) {
+        const before = takeSnapshot();
         gameState.players.splice(index, 1);
+        // Keep the same player dealing first when an earlier seat leaves
+        if (index < gameState.firstDealerIndex) {
+            gameState.firstDealerIndex--;
+        } else if (index === gameState.firstDealerIndex) {
+            gameState.firstDealerIndex = 0;
+        }
         updateUI();
+        saveGame();
+        recordAction(`Remove ${playerName}`, before);
     }
 }
 
+// The player list's buttons carry the player's name as a data attribute
+function handlePlayerListClick(e) {
+    const button = e.target.closest('button[data-player]');
+    if (!button) return;
+    
+    if (button.classList.contains('move-seat-btn')) {
+        movePlayerSeat(button.dataset.player, parseInt(button.dataset.offset));
+    } else if (button.classList.contains('deal-first-btn')) {
+        setFirstDealer(button.dataset.player);
+    } else if (button.classList.contains('remove-btn')) {
+        removePlayer(button.dataset.player);
+    }
+}
+
+// Choose who deals the first round (seat order is the order players were added)
+function setFirstDealer(playerName) {
+    const seat = gameState.players.findIndex(p => p.name === playerName);
+    if (seat === -1 || gameState.gameHistory.length > 0) return;
+    
+    const before = takeSnapshot();
+    gameState.firstDealerIndex = seat;
+    updateUI();
+    saveGame();
+    recordAction(`${playerName} deals first`, before);
+}
+
+function pickRandomFirstDealer() {
+    if (gameState.players.length < 2) return;
+    
+    const seat = Seating.pickFirstDealerSeat(gameState.players.length);
+    setFirstDealer(gameState.players[seat].name);
+}
+
+// Move a player up or down the seating order before the first round
+function movePlayerSeat(playerName, offset) {
+    const seat = gameState.players.findIndex(p => p.name === playerName);
+    const newSeat = seat + offset;
+    if (seat === -1 || newSeat < 0 || newSeat >= gameState.players.length || gameState.gameHistory.length > 0) return;
+    
+    const before = takeSnapshot();
+    // The same player keeps dealing first from their new seat
+    const firstDealer = gameState.players[gameState.firstDealerIndex];
+    gameState.players = Seating.moveSeat(gameState.players, seat, newSeat);
+    gameState.firstDealerIndex = Math.max(gameState.players.indexOf(firstDealer), 0);
+    updateUI();
+    saveGame();
+    recordAction(`Move ${playerName} to seat ${newSeat + 1}`, before);
+}
+
 // Game control functions
 function startNewRound() {
     if (gameState.players.length < 2) {
@@ -78,26 +275,61 @@ function startNewRound() {
         return;
     }
     
+    // Oh Hell ends once the deal has come back down to one card
+    const totalRounds = sharedGameState.getTotalRounds();
+    if (totalRounds !== null && gameState.currentRound >= totalRounds) {
+        alert(`The game is over: all ${totalRounds} rounds have been played`);
+        return;
+    }
+    
+    const before = takeSnapshot();
     gameState.currentRound++;
     gameState.roundData = [];
+    gameState.trumpSuit = null;
+    gameState.draftInputs = {};
     updateUI();
+    saveGame();
+    recordAction(`Start round ${gameState.currentRound}`, before);
 }
 
 function resetGame() {
     if (confirm('Are you sure you want to reset the entire game?')) {
-        gameState = {
-            players: [],
-            currentRound: 1,
-            roundData: [],
-            gameHistory: []
-        };
+        const before = takeSnapshot();
+        sharedGameState.reset();
+        gameState = sharedGameState.getState();
+        trickInputs.innerHTML = '';
+        trickRecorder = null;
+        submitTricksBtn.disabled = true;
         updateUI();
+        recordAction('Reset game', before);
     }
 }
 
+// Ruleset selection (locked once a round has been scored)
+function selectRuleset(rulesetId) {
+    if (gameState.gameHistory.length > 0) {
+        alert('The ruleset cannot be changed after a round has been scored');
+        rulesetSelect.value = gameState.rulesetId;
+        return;
+    }
+    
+    if (!Rulesets.hasRuleset(rulesetId)) {
+        alert(`Unknown ruleset: ${rulesetId}`);
+        rulesetSelect.value = gameState.rulesetId;
+        return;
+    }
+    
+    const before = takeSnapshot();
+    gameState.rulesetId = rulesetId;
+    updateUI();
+    saveGame();
+    recordAction('Change ruleset', before);
+}
+
 // Bid and trick submission
 function submitBids() {
     const bids = {};
+    const wagers = {};
     let allBidsEntered = true;
     
     gameState.players.forEach(player => {
@@ -110,6 +342,11 @@ function submitBids() {
         }
         
         bids[player.name] = bid;
+        
+        const wagerSelect = document.getElementById(`wager-${player.name}`);
+        if (wagerSelect) {
+            wagers[player.name] = wagerSelect.value;
+        }
     });
     
     if (!allBidsEntered) {
@@ -117,103 +354,318 @@ function submitBids() {
         return;
     }
     
-    // Store bids in round data
-    gameState.roundData = gameState.players.map(player => ({
-        name: player.name,
-        bid: bids[player.name],
-        tricks: null
-    }));
+    // Store bids in round data (Oh Hell also checks the dealer's bid and records trumps)
+    const before = takeSnapshot();
+    try {
+        sharedGameState.setCurrentRoundBids(bids, wagers);
+        if (sharedGameState.isOhHell()) {
+            sharedGameState.setCurrentRoundTrump(document.getElementById('trumpSelect').value);
+        }
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
     
     // Enable trick inputs
     generateTrickInputs();
     submitBidsBtn.disabled = true;
     submitTricksBtn.disabled = false;
+    recordAction(`Round ${gameState.currentRound} bids`, before);
 }
 
 function submitTricks() {
+    const tricks = {};
     let allTricksEntered = true;
     
     gameState.roundData.forEach(playerData => {
         const trickInput = document.getElementById(`tricks-${playerData.name}`);
-        const tricks = parseInt(trickInput.value);
+        const taken = parseInt(trickInput.value);
         
-        if (isNaN(tricks) || tricks < 0) {
+        if (isNaN(taken) || taken < 0) {
             allTricksEntered = false;
             return;
         }
         
-        playerData.tricks = tricks;
+        tricks[playerData.name] = taken;
     });
     
+    if (trickRecorder && !trickRecorder.isComplete()) {
+        alert('Please record every trick, or switch off card-by-card recording');
+        return;
+    }
+    
     if (!allTricksEntered) {
         alert('Please enter valid trick counts for all players (0 or positive numbers)');
         return;
     }
     
+    // The round's tricks must add up to the cards dealt, less any voided tricks
+    const voidedBy = Object.keys(InputValidator.TRICK_VOIDING_CARDS)
+        .filter(cardId => document.getElementById(`voided-${cardId}`).checked);
+    const validator = new InputValidator();
+    if (!validator.validateTrickTotal(Object.values(tricks), sharedGameState.getCardsDealt(), voidedBy)) {
+        alert(validator.getErrors().join('\n'));
+        return;
+    }
+    
+    // Harry the Giant: the player who won him may change their bid before the round is scored
+    const harryPlayerSelect = document.getElementById('harryPlayerSelect');
+    const before = takeSnapshot();
+    if (harryPlayerSelect && harryPlayerSelect.value) {
+        try {
+            sharedGameState.adjustCurrentRoundBid(harryPlayerSelect.value, parseInt(document.getElementById('harryChangeSelect').value));
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+    }
+    
+    sharedGameState.setCurrentRoundTricks(tricks);
+    
+    // Bonus captures come from the recorded cards
+    if (trickRecorder) {
+        const { bonuses } = trickRecorder.getSummary();
+        gameState.roundData.forEach(playerData => {
+            playerData.bonus = bonuses[playerData.name];
+        });
+        trickRecorder = null;
+    }
+    
     // Calculate scores for this round
     calculateRoundScores();
     
     // Add to game history
-    gameState.gameHistory.push({
+    const roundHistory = {
         round: gameState.currentRound,
-        data: [...gameState.roundData]
-    });
+        data: [...gameState.roundData],
+        voidedBy,
+        dealer: gameState.players[sharedGameState.getDealerIndex()].name,
+        lead: gameState.players[sharedGameState.getLeadIndex()].name
+    };
+    if (sharedGameState.isOhHell()) {
+        roundHistory.trumpSuit = gameState.trumpSuit;
+    }
+    gameState.gameHistory.push(roundHistory);
     
     // Reset for next round
     gameState.roundData = [];
+    gameState.trumpSuit = null;
+    gameState.draftInputs = {};
     submitTricksBtn.disabled = true;
     updateUI();
+    saveGame();
+    recordAction(`Round ${gameState.currentRound} tricks`, before);
 }
 
-// Score calculation
+// Score calculation (round N deals N cards, except on the Oh Hell schedule)
 function calculateRoundScores() {
-    gameState.roundData.forEach(playerData => {
+    scoreRound(gameState.currentRound, gameState.roundData);
+}
+
+function scoreRound(round, roundData) {
+    const cardsDealt = sharedGameState.getCardsDealt(round);
+    const exactBids = Object.fromEntries(roundData.map(playerData => [playerData.name, playerData.bid === playerData.tricks]));
+    
+    roundData.forEach(playerData => {
         const player = gameState.players.find(p => p.name === playerData.name);
-        let roundScore = 0;
+        if (!player) return;
         
-        // Basic scoring: 10 points if bid equals tricks, otherwise 0
-        // Plus 1 point per trick taken
-        if (playerData.bid === playerData.tricks) {
-            roundScore = 10 + playerData.tricks;
-        } else {
-            roundScore = playerData.tricks;
-        }
+        const options = { wager: playerData.wager };
+        const baseScore = Rulesets.calculateScore(playerData.bid, playerData.tricks, cardsDealt, gameState.rulesetId, options);
+        const bonusPoints = Bonuses.calculateAppliedBonus(playerData.bonus || 0, playerData.bid, playerData.tricks, exactBids);
+        const roundScore = baseScore + bonusPoints;
         
         player.totalScore += roundScore;
         player.roundScores.push({
-            round: gameState.currentRound,
+            round: round,
             bid: playerData.bid,
+            wager: playerData.wager,
             tricks: playerData.tricks,
-            score: roundScore
+            score: roundScore,
+            bonusPoints,
+            scoringReason: Rulesets.getScoringReason(playerData.bid, playerData.tricks, cardsDealt, gameState.rulesetId, options)
         });
     });
 }
 
+// Re-derive every total and round score from the round history
+function recalculateScores() {
+    gameState.players.forEach(player => {
+        player.totalScore = 0;
+        player.roundScores = [];
+    });
+    
+    gameState.gameHistory.forEach(roundHistory => {
+        scoreRound(roundHistory.round, roundHistory.data);
+    });
+}
+
+// The history table's Edit buttons carry their round and player as data attributes
+function handleHistoryClick(e) {
+    const button = e.target.closest('.edit-round-btn');
+    if (!button) return;
+    
+    editRoundEntry(parseInt(button.dataset.round), button.dataset.player);
+}
+
+// Correct a completed round's bid, tricks or bonus (recorded in the audit log)
+function editRoundEntry(roundNumber, playerName) {
+    const roundHistory = gameState.gameHistory.find(rh => rh.round === roundNumber);
+    const playerData = roundHistory && roundHistory.data.find(pd => pd.name === playerName);
+    if (!playerData) return;
+    
+    // Recorded captures are shown as their points; the breakdown is kept unless the points change
+    const currentBonus = typeof playerData.bonus === 'object'
+        ? Bonuses.calculateBonusTotal(playerData.bonus)
+        : playerData.bonus || 0;
+    const entry = prompt(
+        `Correct ${playerName}'s bid/tricks/bonus for round ${roundNumber}:`,
+        `${playerData.bid}/${playerData.tricks}/${currentBonus}`
+    );
+    if (entry === null) return;
+    
+    const match = entry.trim().match(/^(\d+)\s*\/\s*(\d+)(?:\s*\/\s*(\d+))?$/);
+    if (!match) {
+        alert('Please enter the correction as bid/tricks/bonus, for example 2/1/0 (the bonus may be left off)');
+        return;
+    }
+    
+    const bid = parseInt(match[1]);
+    const tricks = parseInt(match[2]);
+    const bonus = match[3] === undefined ? currentBonus : parseInt(match[3]);
+    const cardsDealt = sharedGameState.getCardsDealt(roundNumber);
+    if (bid > cardsDealt || tricks > cardsDealt) {
+        alert(`Bids and tricks cannot exceed ${cardsDealt} in round ${roundNumber}`);
+        return;
+    }
+    
+    // The corrected round's tricks must still add up, as when it was first entered
+    const validator = new InputValidator();
+    const roundTricks = roundHistory.data.map(pd => (pd === playerData ? tricks : pd.tricks));
+    if (!validator.validateTrickTotal(roundTricks, cardsDealt, roundHistory.voidedBy || [])) {
+        alert(validator.getErrors().join('\n'));
+        return;
+    }
+    
+    const changes = [];
+    if (bid !== playerData.bid) changes.push({ field: 'bid', from: playerData.bid, to: bid });
+    if (tricks !== playerData.tricks) changes.push({ field: 'tricks', from: playerData.tricks, to: tricks });
+    if (bonus !== currentBonus) changes.push({ field: 'bonus', from: currentBonus, to: bonus });
+    if (changes.length === 0) return;
+    
+    const editedBy = prompt('Who is making this correction?');
+    if (!editedBy || !editedBy.trim()) {
+        alert('Please enter who is making the correction');
+        return;
+    }
+    
+    const before = takeSnapshot();
+    playerData.bid = bid;
+    playerData.tricks = tricks;
+    if (bonus !== currentBonus) playerData.bonus = bonus;
+    playerData.corrected = true;
+    gameState.auditLog.push({
+        round: roundNumber,
+        player: playerName,
+        changes,
+        editedBy: editedBy.trim(),
+        timestamp: new Date().toISOString()
+    });
+    
+    recalculateScores();
+    updateUI();
+    saveGame();
+    recordAction(`Round ${roundNumber} correction for ${playerName}`, before);
+}
+
+function describeCorrection(roundNumber, playerName) {
+    const edits = gameState.auditLog.filter(entry => entry.round === roundNumber && entry.player === playerName);
+    const latest = edits[edits.length - 1];
+    if (!latest) return '';
+    
+    const changes = latest.changes.map(change => `${change.field} ${change.from} → ${change.to}`).join(', ');
+    return `Corrected by ${latest.editedBy}: ${changes}`;
+}
+
 // UI update functions
 function updateUI() {
     updatePlayerList();
     updateCurrentRound();
+    updateRulesetSelect();
     updateBidInputs();
     updateScoreTable();
     updateHistoryTable();
+    updateStatsTable();
+    updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+    const undoLabel = actionHistory.getUndoLabel();
+    const redoLabel = actionHistory.getRedoLabel();
+    
+    undoBtn.disabled = !actionHistory.canUndo();
+    undoBtn.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.disabled = !actionHistory.canRedo();
+    redoBtn.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
 }
 
 function updatePlayerList() {
     playerList.innerHTML = '';
     
-    gameState.players.forEach(player => {
+    // The first dealer can be changed until a round has been played
+    const seatingOpen = gameState.gameHistory.length === 0;
+    const firstDealerIndex = sharedGameState.getDealerIndex(1);
+    
+    gameState.players.forEach((player, index) => {
         const playerDiv = document.createElement('div');
         playerDiv.className = 'player-item';
         playerDiv.innerHTML = `
-            <span class="player-name">${player.name}</span>
-            <button class="remove-btn" onclick="removePlayer('${player.name}')">Remove</button>
+            <span class="seat-number">${index + 1}</span>
+            <span class="player-name">${Html.escapeHtml(player.name)}</span>
+            ${seatingOpen && index > 0 ? `<button class="move-seat-btn" data-player="${Html.escapeHtml(player.name)}" data-offset="-1" aria-label="Move ${Html.escapeHtml(player.name)} up a seat">↑</button>` : ''}
+            ${seatingOpen && index < gameState.players.length - 1 ? `<button class="move-seat-btn" data-player="${Html.escapeHtml(player.name)}" data-offset="1" aria-label="Move ${Html.escapeHtml(player.name)} down a seat">↓</button>` : ''}
+            ${index === firstDealerIndex ? '<span class="dealer-badge">Deals first</span>' : ''}
+            ${seatingOpen && index !== firstDealerIndex ? `<button class="deal-first-btn" data-player="${Html.escapeHtml(player.name)}">Deal first</button>` : ''}
+            <button class="remove-btn" data-player="${Html.escapeHtml(player.name)}">Remove</button>
         `;
         playerList.appendChild(playerDiv);
     });
+    
+    randomDealerBtn.disabled = !seatingOpen || gameState.players.length < 2;
 }
 
 function updateCurrentRound() {
     currentRoundSpan.textContent = gameState.currentRound;
+    
+    if (gameState.players.length < 2) {
+        roundDetailsSpan.textContent = '';
+        return;
+    }
+    
+    const dealer = gameState.players[sharedGameState.getDealerIndex()];
+    const lead = gameState.players[sharedGameState.getLeadIndex()];
+    const seating = `Dealer: ${dealer.name} · Leads: ${lead.name}`;
+    // Oh Hell and Wizard games have a fixed length once the players are known
+    const totalRounds = sharedGameState.getTotalRounds();
+    
+    if (!sharedGameState.isOhHell()) {
+        roundDetailsSpan.textContent = totalRounds ? `of ${totalRounds} · ${seating}` : `· ${seating}`;
+        return;
+    }
+    
+    const cardsDealt = sharedGameState.getCardsDealt();
+    roundDetailsSpan.textContent = `of ${totalRounds} · ${cardsDealt} ${cardsDealt === 1 ? 'card' : 'cards'} · ${seating}`;
+}
+
+function populateRulesetOptions() {
+    rulesetSelect.innerHTML = Rulesets.listRulesets()
+        .map(ruleset => `<option value="${ruleset.id}">${ruleset.name}</option>`)
+        .join('');
+}
+
+function updateRulesetSelect() {
+    rulesetSelect.value = gameState.rulesetId;
+    rulesetSelect.disabled = gameState.gameHistory.length > 0;
 }
 
 function updateBidInputs() {
@@ -225,31 +677,226 @@ function updateBidInputs() {
         return;
     }
     
-    gameState.players.forEach(player => {
+    const wagerOptions = Rulesets.getWagers(gameState.rulesetId)
+        .map(wager => `<option value="${wager.id}">${wager.name}</option>`)
+        .join('');
+    const ohHell = sharedGameState.isOhHell() && gameState.players.length >= 2;
+    const dealerIndex = sharedGameState.getDealerIndex();
+    const leadIndex = sharedGameState.getLeadIndex();
+    
+    gameState.players.forEach((player, index) => {
+        const isDealer = index === dealerIndex;
+        const role = isDealer ? ' (Dealer)' : index === leadIndex ? ' (Leads)' : '';
         const bidDiv = document.createElement('div');
         bidDiv.className = 'input-group';
         bidDiv.innerHTML = `
-            <label for="bid-${player.name}">${player.name}'s Bid:</label>
-            <input type="number" id="bid-${player.name}" min="0" max="13">
+            <label for="bid-${Html.escapeHtml(player.name)}">${Html.escapeHtml(player.name)}'s Bid${role}:</label>
+            <input type="number" id="bid-${Html.escapeHtml(player.name)}" min="0" max="${sharedGameState.getCardsDealt()}">
+            ${wagerOptions ? `<select id="wager-${Html.escapeHtml(player.name)}" class="wager-select" aria-label="${Html.escapeHtml(player.name)}'s Wager">${wagerOptions}</select>` : ''}
+            ${ohHell && isDealer ? '<span class="hook-hint" id="hookHint"></span>' : ''}
         `;
         bidInputs.appendChild(bidDiv);
     });
     
+    if (ohHell) {
+        const trumpDiv = document.createElement('div');
+        trumpDiv.className = 'input-group';
+        trumpDiv.innerHTML = `
+            <label for="trumpSelect">Trump Suit:</label>
+            <select id="trumpSelect">
+                ${OhHell.TRUMP_SUITS.map(suit => `<option value="${suit.id}">${suit.name}</option>`).join('')}
+            </select>
+        `;
+        bidInputs.appendChild(trumpDiv);
+    }
+    
     submitBidsBtn.disabled = false;
+    updateHookHint();
+}
+
+// Oh Hell hook rule: once everyone else has bid, show the dealer the bid they cannot make
+function updateHookHint() {
+    const hookHint = document.getElementById('hookHint');
+    if (!hookHint) return;
+    
+    const dealerIndex = sharedGameState.getDealerIndex();
+    const otherBids = gameState.players
+        .filter((player, index) => index !== dealerIndex)
+        .map(player => parseInt(document.getElementById(`bid-${player.name}`).value));
+    
+    if (otherBids.some(bid => isNaN(bid))) {
+        hookHint.textContent = 'Bids last; the total of bids cannot equal the cards dealt';
+        return;
+    }
+    
+    const forbiddenBid = OhHell.getForbiddenDealerBid(otherBids, sharedGameState.getCardsDealt());
+    hookHint.textContent = forbiddenBid === null ? 'Any bid is allowed' : `Cannot bid ${forbiddenBid}`;
 }
 
 function generateTrickInputs() {
     trickInputs.innerHTML = '';
+    trickRecorder = null;
     
     gameState.roundData.forEach(playerData => {
         const trickDiv = document.createElement('div');
         trickDiv.className = 'input-group';
         trickDiv.innerHTML = `
-            <label for="tricks-${playerData.name}">${playerData.name}'s Tricks (Bid: ${playerData.bid}):</label>
-            <input type="number" id="tricks-${playerData.name}" min="0" max="13">
+            <label for="tricks-${Html.escapeHtml(playerData.name)}">${Html.escapeHtml(playerData.name)}'s Tricks (Bid: ${playerData.bid}):</label>
+            <input type="number" id="tricks-${Html.escapeHtml(playerData.name)}" min="0" max="${sharedGameState.getCardsDealt()}">
         `;
         trickInputs.appendChild(trickDiv);
     });
+    
+    // Kraken / White Whale tricks are won by nobody
+    const voidingDiv = document.createElement('div');
+    voidingDiv.className = 'input-group voided-tricks';
+    voidingDiv.innerHTML = Object.entries(InputValidator.TRICK_VOIDING_CARDS)
+        .map(([cardId, cardName]) => `
+            <label><input type="checkbox" id="voided-${cardId}" value="${cardId}"> ${cardName} voided a trick</label>
+        `)
+        .join('');
+    trickInputs.appendChild(voidingDiv);
+    
+    if (Tricks.isSkullKingRuleset(gameState.rulesetId)) {
+        const harryDiv = document.createElement('div');
+        harryDiv.className = 'input-group';
+        harryDiv.innerHTML = `
+            <label for="harryPlayerSelect">Harry the Giant:</label>
+            <select id="harryPlayerSelect">
+                <option value="">Not played</option>
+                ${gameState.roundData.map(playerData => `<option value="${Html.escapeHtml(playerData.name)}">${Html.escapeHtml(playerData.name)}</option>`).join('')}
+            </select>
+            <select id="harryChangeSelect" aria-label="Bid change">
+                ${HarryTheGiant.BID_ADJUSTMENTS.map(change => `<option value="${change}"${change === 0 ? ' selected' : ''}>${change === 0 ? 'Keep bid' : `Bid ${change > 0 ? '+' : ''}${change}`}</option>`).join('')}
+            </select>
+        `;
+        trickInputs.appendChild(harryDiv);
+    }
+    
+    // Skull King rounds can be recorded card by card instead
+    if (Tricks.isSkullKingRuleset(gameState.rulesetId)) {
+        const recorderDiv = document.createElement('div');
+        recorderDiv.id = 'cardRecorder';
+        recorderDiv.className = 'card-recorder';
+        recorderDiv.innerHTML = `
+            <label><input type="checkbox" id="cardByCardToggle"> Record tricks card by card</label>
+            <div id="cardRecorderPanel"></div>
+        `;
+        trickInputs.appendChild(recorderDiv);
+        document.getElementById('cardByCardToggle').addEventListener('change', toggleCardRecorder);
+    }
+}
+
+// Card-by-card trick recording: the app decides each trick's winner and the round's bonuses
+function toggleCardRecorder(e) {
+    if (e.target.checked) {
+        const playerNames = gameState.players.map(player => player.name);
+        const lead = gameState.players[sharedGameState.getLeadIndex()].name;
+        trickRecorder = Tricks.createTrickRecorder(playerNames, lead, sharedGameState.getCardsDealt());
+    } else {
+        trickRecorder = null;
+    }
+    
+    applyRecordedTricks();
+    renderCardRecorder();
+}
+
+function playRecordedCard() {
+    const [type, option] = document.getElementById('cardTypeSelect').value.split(':');
+    let card = { type };
+    if (type === 'number') {
+        card = { type, suit: option, rank: parseInt(document.getElementById('cardRankInput').value) };
+    } else if (type === 'tigress') {
+        card = { type, playedAs: option };
+    }
+    
+    try {
+        trickRecorder.play(card);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    
+    applyRecordedTricks();
+    renderCardRecorder();
+}
+
+function undoRecordedCard() {
+    trickRecorder.undo();
+    applyRecordedTricks();
+    renderCardRecorder();
+}
+
+// Fill in (and lock) the trick counts and voided tricks from the recorded cards
+function applyRecordedTricks() {
+    const summary = trickRecorder ? trickRecorder.getSummary() : null;
+    const complete = Boolean(trickRecorder && trickRecorder.isComplete());
+    
+    gameState.roundData.forEach(playerData => {
+        const trickInput = document.getElementById(`tricks-${playerData.name}`);
+        trickInput.readOnly = Boolean(trickRecorder);
+        if (trickRecorder) {
+            trickInput.value = complete ? summary.tricks[playerData.name] : '';
+        }
+    });
+    
+    Object.keys(InputValidator.TRICK_VOIDING_CARDS).forEach(cardId => {
+        const checkbox = document.getElementById(`voided-${cardId}`);
+        checkbox.disabled = Boolean(trickRecorder);
+        if (trickRecorder) {
+            checkbox.checked = summary.voidedBy.includes(cardId);
+        }
+    });
+}
+
+function renderCardRecorder() {
+    const panel = document.getElementById('cardRecorderPanel');
+    if (!trickRecorder) {
+        panel.innerHTML = '';
+        return;
+    }
+    
+    const voidingNames = InputValidator.TRICK_VOIDING_CARDS;
+    const describePlays = plays => plays.map(play => `${play.player}: ${Tricks.describeCard(play.card)}`).join(', ');
+    const completedTricks = trickRecorder.getCompletedTricks().map(trick => {
+        const outcome = trick.result.winner
+            ? `${trick.result.winner} wins`
+            : `destroyed by the ${voidingNames[trick.result.voidedBy]}`;
+        return `<li>Trick ${trick.number}: ${describePlays(trick.plays)} → <strong>${outcome}</strong></li>`;
+    }).join('');
+    
+    const nextPlayer = trickRecorder.getNextPlayer();
+    const currentTrick = trickRecorder.getCurrentTrick();
+    const cardOptions = [
+        ...Tricks.SUITS.map(suit => `<option value="number:${suit.id}">${suit.name}</option>`),
+        ...Tricks.SPECIAL_CARDS.flatMap(special => (special.type === 'tigress'
+            ? ['escape', 'pirate'].map(role => `<option value="tigress:${role}">Tigress as ${role}</option>`)
+            : [`<option value="${special.type}">${special.name}</option>`]))
+    ].join('');
+    
+    panel.innerHTML = `
+        ${completedTricks ? `<ol class="recorded-tricks">${completedTricks}</ol>` : ''}
+        ${nextPlayer ? `
+            <p class="card-turn">Trick ${currentTrick.number}: ${describePlays(currentTrick.plays) || 'no cards yet'} · <strong>${nextPlayer}</strong> to play</p>
+            <div class="input-group">
+                <select id="cardTypeSelect" aria-label="Card">${cardOptions}</select>
+                <input type="number" id="cardRankInput" min="1" max="14" value="1" aria-label="Card number">
+                <button type="button" id="playCardBtn">Play Card</button>
+            </div>
+        ` : '<p class="card-turn">Every trick has been recorded</p>'}
+        <button type="button" id="undoCardBtn"${trickRecorder.getCompletedTricks().length === 0 && currentTrick.plays.length === 0 ? ' disabled' : ''}>Undo Card</button>
+    `;
+    
+    const playCardBtn = document.getElementById('playCardBtn');
+    if (playCardBtn) {
+        playCardBtn.addEventListener('click', playRecordedCard);
+        // The number only applies to suit cards
+        const cardTypeSelect = document.getElementById('cardTypeSelect');
+        cardTypeSelect.addEventListener('change', () => {
+            document.getElementById('cardRankInput').disabled = !cardTypeSelect.value.startsWith('number:');
+        });
+    }
+    document.getElementById('undoCardBtn').addEventListener('click', undoRecordedCard);
 }
 
 function updateScoreTable() {
@@ -261,7 +908,7 @@ function updateScoreTable() {
             player.roundScores[player.roundScores.length - 1].score : 0;
         
         row.innerHTML = `
-            <td class="player-name">${player.name}</td>
+            <td class="player-name">${Html.escapeHtml(player.name)}</td>
             <td class="total-score">${player.totalScore}</td>
             <td class="last-round">${lastRoundScore}</td>
         `;
@@ -275,7 +922,7 @@ function updateHistoryTable() {
     if (gameState.players.length > 0) {
         let headerRow = '<tr><th>Round</th>';
         gameState.players.forEach(player => {
-            headerRow += `<th>${player.name}</th>`;
+            headerRow += `<th>${Html.escapeHtml(player.name)}</th>`;
         });
         headerRow += '</tr>';
         historyHeader.innerHTML = headerRow;
@@ -285,13 +932,27 @@ function updateHistoryTable() {
     historyBody.innerHTML = '';
     gameState.gameHistory.forEach(roundHistory => {
         const row = document.createElement('tr');
-        let rowHTML = `<td>Round ${roundHistory.round}</td>`;
+        const trump = roundHistory.trumpSuit ? ` (${OhHell.getTrumpSuit(roundHistory.trumpSuit).name})` : '';
+        const seating = roundHistory.dealer
+            ? `<span class="round-seating">Dealer: ${Html.escapeHtml(roundHistory.dealer)}${roundHistory.lead ? ` · Leads: ${Html.escapeHtml(roundHistory.lead)}` : ''}</span>`
+            : '';
+        const adjusted = roundHistory.data.find(pd => pd.bidAdjustment);
+        const adjustment = adjusted
+            ? `<span class="round-adjustment">${Html.escapeHtml(HarryTheGiant.describeBidAdjustment({ player: adjusted.name, ...adjusted.bidAdjustment }))}</span>`
+            : '';
+        let rowHTML = `<td>Round ${roundHistory.round}${trump}${seating}${adjustment}</td>`;
         
         gameState.players.forEach(player => {
             const playerData = roundHistory.data.find(pd => pd.name === player.name);
             if (playerData) {
                 const playerRoundScore = player.roundScores.find(rs => rs.round === roundHistory.round);
-                rowHTML += `<td>${playerData.bid}/${playerData.tricks} (${playerRoundScore ? playerRoundScore.score : 0})</td>`;
+                const reason = playerRoundScore ? playerRoundScore.scoringReason : '';
+                const correction = playerData.corrected ? describeCorrection(roundHistory.round, player.name) : '';
+                const title = correction ? `${reason} — ${correction}` : reason;
+                rowHTML += `<td class="${playerData.corrected ? 'corrected' : ''}" title="${Html.escapeHtml(title)}">
+                    ${playerData.bid}/${playerData.tricks} (${playerRoundScore ? playerRoundScore.score : 0})
+                    <button class="edit-round-btn" data-round="${roundHistory.round}" data-player="${Html.escapeHtml(player.name)}" aria-label="Edit ${Html.escapeHtml(player.name)} round ${roundHistory.round}">Edit</button>
+                </td>`;
             } else {
                 rowHTML += '<td>-</td>';
             }
@@ -302,5 +963,26 @@ function updateHistoryTable() {
     });
 }
 
+// Bidding stats for each player, best bidder first
+function updateStatsTable() {
+    statsBody.innerHTML = '';
+    if (gameState.gameHistory.length === 0) {
+        statsBody.innerHTML = '<tr><td colspan="9">Play a round to see stats</td></tr>';
+        return;
+    }
+    
+    const rankings = PlayerStats.rankBidders(gameState.players.map(player => ({
+        name: player.name,
+        stats: PlayerStats.calculatePlayerStats(PlayerStats.collectHistoryRounds(gameState.gameHistory, player))
+    })));
+    
+    rankings.forEach(ranking => {
+        const row = document.createElement('tr');
+        row.className = ranking.isBestBidder ? 'best-bidder' : '';
+        row.innerHTML = PlayerStats.formatStatsRow(ranking);
+        statsBody.appendChild(row);
+    });
+}
+
 // Initialize the app when DOM is loaded
 document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
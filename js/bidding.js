@@ -1,10 +1,38 @@
+// Saved-game id for bids entered but not yet confirmed
+const BID_DRAFT_ID = 'bidding-draft';
+
+// Words shown one after another before pass-and-play bids are revealed
+const REVEAL_COUNTDOWN = ['Yo...', 'Ho...', 'Ho!'];
+
 class BiddingManager {
     constructor() {
         this.gameState = window.gameState;
         this.currentRound = this.gameState.getCurrentRound();
-        this.availableHands = this.currentRound;
+        this.availableHands = typeof this.gameState.getCardsDealt === 'function'
+            ? this.gameState.getCardsDealt()
+            : this.currentRound;
+        this.rulesetId = typeof this.gameState.getRulesetId === 'function'
+            ? this.gameState.getRulesetId()
+            : Rulesets.DEFAULT_RULESET_ID;
+        // The deal rotates each round and the player on the dealer's left bids first.
+        // Oh Hell: the dealer bids last and may not make the bids add up to the cards dealt
+        this.hookRule = this.rulesetId === OhHell.OH_HELL_RULESET_ID;
+        this.dealerIndex = typeof this.gameState.getDealerIndex === 'function'
+            ? this.gameState.getDealerIndex()
+            : -1;
+        this.leadIndex = this.dealerIndex === -1
+            ? -1
+            : (this.dealerIndex + 1) % this.gameState.getPlayers().length;
+        this.hookError = null;
+        this.wagerOptions = Rulesets.getWagers(this.rulesetId);
         this.bids = {};
+        this.wagers = {};
         this.isEditMode = true;
+        // Pass-and-play: one private bid screen at a time, bids kept out of the page until the reveal
+        this.passAndPlay = false;
+        this.passIndex = 0;
+        this.revealStepDelay = 1000;
+        this.storage = GameStorage.createGameStorage();
         this.init();
     }
 
@@ -13,6 +41,42 @@ class BiddingManager {
         this.generatePlayerBidInputs();
         this.attachEventListeners();
         this.initializeBids();
+        this.offerDraftResume();
+    }
+
+    offerDraftResume() {
+        return this.storage.loadGame(BID_DRAFT_ID)
+            .then(saved => {
+                if (!saved || saved.finished || saved.data.round !== this.currentRound) {
+                    return;
+                }
+
+                if (confirm(`Resume the bids entered for round ${this.currentRound}?`)) {
+                    this.bids = { ...this.bids, ...saved.data.bids };
+                    this.wagers = { ...this.wagers, ...saved.data.wagers };
+                    this.restoreFormValues();
+                    this.updateConfirmButtonState();
+                } else {
+                    this.storage.deleteGame(BID_DRAFT_ID);
+                }
+            })
+            .catch(error => console.error('Error loading saved bids:', error));
+    }
+
+    saveDraft() {
+        // Secret bids stay off the shared device until they are revealed
+        if (this.passAndPlay) {
+            return Promise.resolve();
+        }
+
+        const draft = {
+            round: this.currentRound,
+            bids: this.bids,
+            wagers: this.wagers
+        };
+
+        return this.storage.saveGame(BID_DRAFT_ID, draft)
+            .catch(error => console.error('Error saving bids:', error));
     }
 
     updateRoundDisplay() {
@@ -30,7 +94,7 @@ class BiddingManager {
             const playerBidDiv = document.createElement('div');
             playerBidDiv.className = 'player-bid';
             playerBidDiv.innerHTML = `
-                <label for="bid-player-${index}">${player.name}:</label>
+                <label for="bid-player-${index}">${Html.escapeHtml(player.name)}${this.getSeatRole(index)}:</label>
                 <input 
                     type="number" 
                     id="bid-player-${index}" 
@@ -41,16 +105,40 @@ class BiddingManager {
                     required
                     data-player-index="${index}"
                 >
+                ${this.renderWagerSelect(index)}
                 <span class="error-message" id="error-player-${index}"></span>
             `;
             playerBidsContainer.appendChild(playerBidDiv);
         });
     }
 
+    renderWagerSelect(index) {
+        if (this.wagerOptions.length === 0) {
+            return '';
+        }
+
+        const options = this.wagerOptions
+            .map(wager => `<option value="${wager.id}">${wager.name}</option>`)
+            .join('');
+
+        return `
+                <select 
+                    id="wager-player-${index}" 
+                    name="wager-player-${index}"
+                    class="wager-select"
+                    data-player-index="${index}"
+                    aria-label="Wager"
+                >${options}</select>
+        `;
+    }
+
     initializeBids() {
         const players = this.gameState.getPlayers();
         players.forEach((player, index) => {
             this.bids[index] = 0;
+            if (this.wagerOptions.length > 0) {
+                this.wagers[index] = this.wagerOptions[0].id;
+            }
         });
     }
 
@@ -62,6 +150,35 @@ class BiddingManager {
             }
         });
 
+        // Wager selection (rulesets with wagers only)
+        document.getElementById('player-bids').addEventListener('change', (e) => {
+            if (e.target.classList.contains('wager-select')) {
+                this.handleWagerChange(e.target);
+            }
+        });
+
+        // Pass-and-play mode toggle
+        const passAndPlayToggle = document.getElementById('pass-and-play-toggle');
+        if (passAndPlayToggle) {
+            passAndPlayToggle.addEventListener('change', (e) => {
+                this.setPassAndPlay(e.target.checked);
+            });
+        }
+
+        // Pass-and-play screens
+        const passAndPlayPanel = document.getElementById('pass-and-play');
+        if (passAndPlayPanel) {
+            passAndPlayPanel.addEventListener('click', (e) => {
+                if (e.target.id === 'show-private-bid-btn') {
+                    this.showPrivateBid();
+                } else if (e.target.id === 'lock-bid-btn') {
+                    this.lockPrivateBid();
+                } else if (e.target.id === 'reveal-bids-btn') {
+                    this.showBidReview();
+                }
+            });
+        }
+
         // Confirm bids button
         document.getElementById('confirm-bids-btn').addEventListener('click', () => {
             if (this.isEditMode) {
@@ -110,9 +227,16 @@ class BiddingManager {
         // Store valid bid
         this.bids[playerIndex] = bidValue;
         this.updateConfirmButtonState();
+        this.saveDraft();
         return true;
     }
 
+    handleWagerChange(select) {
+        const playerIndex = parseInt(select.dataset.playerIndex);
+        this.wagers[playerIndex] = select.value;
+        this.saveDraft();
+    }
+
     showError(input, errorElement, message) {
         input.classList.add('error');
         errorElement.textContent = message;
@@ -126,27 +250,60 @@ class BiddingManager {
 
     validateAllBids() {
         const players = this.gameState.getPlayers();
-        
-        for (let i = 0; i < players.length; i++) {
-            const input = document.getElementById(`bid-player-${i}`);
-            const bidValue = parseInt(input.value) || 0;
-            
-            if (bidValue < 0 || bidValue > this.availableHands) {
+        let bids;
+
+        if (this.passAndPlay) {
+            if (this.passIndex < players.length) {
                 return false;
             }
+            bids = players.map((player, index) => this.bids[index]);
+        } else {
+            bids = players.map((player, index) => parseInt(document.getElementById(`bid-player-${index}`).value) || 0);
         }
-        return true;
+
+        if (bids.some(bid => bid < 0 || bid > this.availableHands)) {
+            return false;
+        }
+
+        return this.checkHookRule(bids);
+    }
+
+    checkHookRule(bids) {
+        this.hookError = null;
+        if (!this.hookRule || this.dealerIndex === -1) {
+            return true;
+        }
+
+        const hook = OhHell.checkHookRule(bids, this.dealerIndex, this.availableHands);
+        const errorElement = document.getElementById(`error-player-${this.dealerIndex}`);
+        if (hook.isValid) {
+            if (errorElement) errorElement.textContent = '';
+            return true;
+        }
+
+        const dealer = this.gameState.getPlayers()[this.dealerIndex];
+        this.hookError = `${dealer.name} is dealing and cannot bid ${hook.forbiddenBid}: ` +
+            `the bids would add up to the ${this.availableHands} hands available`;
+        if (errorElement) errorElement.textContent = `Dealer cannot bid ${hook.forbiddenBid}`;
+        return false;
     }
 
     showBidReview() {
         if (!this.validateAllBids()) {
-            alert('Please fix all bid validation errors before proceeding.');
+            alert(this.hookError || 'Please fix all bid validation errors before proceeding.');
             return;
         }
 
+        if (this.passAndPlay) {
+            return this.runRevealCountdown().then(() => this.displayBidReview());
+        }
+
         // Update bids from form
         this.collectBidsFromForm();
-        
+        this.displayBidReview();
+    }
+
+    displayBidReview() {
         // Hide form, show review
         document.getElementById('bidding-form').style.display = 'none';
         document.getElementById('bid-review').style.display = 'block';
@@ -154,6 +311,11 @@ class BiddingManager {
         // Update buttons
         document.getElementById('edit-bids-btn').style.display = 'inline-block';
         document.getElementById('confirm-bids-btn').textContent = 'Final Confirm';
+        document.getElementById('confirm-bids-btn').style.display = '';
+        document.getElementById('confirm-bids-btn').disabled = false;
+        if (this.passAndPlay) {
+            document.getElementById('pass-and-play').style.display = 'none';
+        }
         
         this.isEditMode = false;
         this.displayBidSummary();
@@ -164,6 +326,11 @@ class BiddingManager {
         players.forEach((player, index) => {
             const input = document.getElementById(`bid-player-${index}`);
             this.bids[index] = parseInt(input.value) || 0;
+
+            const wagerSelect = document.getElementById(`wager-player-${index}`);
+            if (wagerSelect) {
+                this.wagers[index] = wagerSelect.value;
+            }
         });
     }
 
@@ -173,13 +340,18 @@ class BiddingManager {
         
         let summaryHTML = '<ul>';
         players.forEach((player, index) => {
-            summaryHTML += `<li><strong>${player.name}:</strong> ${this.bids[index]} ${this.bids[index] === 1 ? 'hand' : 'hands'}</li>`;
+            summaryHTML += `<li><strong>${Html.escapeHtml(player.name)}:</strong> ${this.bids[index]} ${this.bids[index] === 1 ? 'hand' : 'hands'}${this.getWagerLabel(index)}</li>`;
         });
         summaryHTML += '</ul>';
         
         summaryContainer.innerHTML = summaryHTML;
     }
 
+    getWagerLabel(playerIndex) {
+        const wager = this.wagerOptions.find(w => w.id === this.wagers[playerIndex]);
+        return wager ? ` (${wager.name})` : '';
+    }
+
     enableEditMode() {
         // Show form, hide review
         document.getElementById('bidding-form').style.display = 'block';
@@ -190,22 +362,199 @@ class BiddingManager {
         document.getElementById('confirm-bids-btn').textContent = 'Confirm Bids';
         
         this.isEditMode = true;
-        
-        // Restore form values
+
+        // Changing a revealed bid means everyone bids again in secret
+        if (this.passAndPlay) {
+            this.startPassAndPlay();
+            return;
+        }
+
+        this.restoreFormValues();
+    }
+
+    setPassAndPlay(enabled) {
+        this.passAndPlay = enabled;
+        this.isEditMode = true;
+        this.initializeBids();
+        document.getElementById('bid-review').style.display = 'none';
+        document.getElementById('bid-summary').innerHTML = '';
+        document.getElementById('edit-bids-btn').style.display = 'none';
+        document.getElementById('confirm-bids-btn').textContent = 'Confirm Bids';
+
+        if (enabled) {
+            this.startPassAndPlay();
+            return;
+        }
+
+        document.getElementById('pass-and-play').style.display = 'none';
+        document.getElementById('pass-and-play').innerHTML = '';
+        document.getElementById('bidding-form').style.display = 'block';
+        document.getElementById('confirm-bids-btn').style.display = '';
+        this.generatePlayerBidInputs();
+        this.updateConfirmButtonState();
+    }
+
+    startPassAndPlay() {
+        this.passIndex = 0;
+        this.initializeBids();
+
+        // The shared bid form would show everyone's bids, so only private screens are used
+        document.getElementById('bidding-form').style.display = 'none';
+        document.getElementById('player-bids').innerHTML = '';
+        document.getElementById('confirm-bids-btn').style.display = 'none';
+        document.getElementById('bid-review').style.display = 'none';
+        document.getElementById('bid-summary').innerHTML = '';
+        document.getElementById('pass-and-play').style.display = 'block';
+
+        this.showPassCover();
+    }
+
+    // Seat whose private screen is showing; bidding starts left of the dealer so the dealer bids last
+    getPassPlayerIndex() {
+        const playerCount = this.gameState.getPlayers().length;
+        const firstSeat = this.leadIndex === -1 ? 0 : this.leadIndex;
+        return (firstSeat + this.passIndex) % playerCount;
+    }
+
+    // Label marking who deals and who leads this round
+    getSeatRole(index) {
+        if (index === this.dealerIndex) return ' (Dealer)';
+        if (index === this.leadIndex) return ' (Leads)';
+        return '';
+    }
+
+    showPassCover() {
+        const player = this.gameState.getPlayers()[this.getPassPlayerIndex()];
+
+        document.getElementById('pass-and-play').innerHTML = `
+            <div class="pass-cover">
+                <p>Pass the device to</p>
+                <h2>${Html.escapeHtml(player.name)}</h2>
+                <p>Everyone else, look away!</p>
+                <button type="button" id="show-private-bid-btn" class="btn btn-primary">I'm ${Html.escapeHtml(player.name)}, show my bid</button>
+            </div>
+        `;
+    }
+
+    showPrivateBid() {
+        const index = this.getPassPlayerIndex();
+        const player = this.gameState.getPlayers()[index];
+
+        document.getElementById('pass-and-play').innerHTML = `
+            <div class="private-bid">
+                <label for="private-bid">${Html.escapeHtml(player.name)}, how many hands will you win?</label>
+                <input 
+                    type="number" 
+                    id="private-bid" 
+                    min="0" 
+                    max="${this.availableHands}" 
+                    value="0"
+                    required
+                >
+                ${this.renderWagerSelect(index)}
+                <span class="error-message" id="private-bid-error"></span>
+                <button type="button" id="lock-bid-btn" class="btn btn-primary">Lock In Bid</button>
+            </div>
+        `;
+    }
+
+    lockPrivateBid() {
+        const input = document.getElementById('private-bid');
+        const errorElement = document.getElementById('private-bid-error');
+        const bidValue = parseInt(input.value);
+
+        errorElement.textContent = '';
+        input.classList.remove('error');
+
+        if (isNaN(bidValue) || bidValue < 0 || bidValue > this.availableHands) {
+            this.showError(input, errorElement, `Bid must be from 0 to ${this.availableHands} hands`);
+            return false;
+        }
+
+        const index = this.getPassPlayerIndex();
+        if (this.hookRule && index === this.dealerIndex) {
+            const otherBids = Object.keys(this.bids)
+                .filter(seat => Number(seat) !== index)
+                .map(seat => this.bids[seat]);
+            const forbiddenBid = OhHell.getForbiddenDealerBid(otherBids, this.availableHands);
+            if (bidValue === forbiddenBid) {
+                this.showError(input, errorElement, `As dealer you cannot bid ${forbiddenBid}`);
+                return false;
+            }
+        }
+
+        this.bids[index] = bidValue;
+        const wagerSelect = document.getElementById(`wager-player-${index}`);
+        if (wagerSelect) {
+            this.wagers[index] = wagerSelect.value;
+        }
+
+        // Replacing the private screen removes the locked bid from the page
+        this.passIndex++;
+        if (this.passIndex < this.gameState.getPlayers().length) {
+            this.showPassCover();
+        } else {
+            this.showRevealReady();
+        }
+        return true;
+    }
+
+    showRevealReady() {
+        const playerCount = this.gameState.getPlayers().length;
+
+        document.getElementById('pass-and-play').innerHTML = `
+            <div class="pass-cover">
+                <h2>All ${playerCount} bids are locked in</h2>
+                <p>Gather round for the reveal!</p>
+                <button type="button" id="reveal-bids-btn" class="btn btn-primary">Reveal Bids</button>
+            </div>
+        `;
+    }
+
+    runRevealCountdown() {
+        const panel = document.getElementById('pass-and-play');
+
+        return new Promise(resolve => {
+            const showStep = (step) => {
+                if (step === REVEAL_COUNTDOWN.length) {
+                    resolve();
+                    return;
+                }
+
+                panel.innerHTML = `<div class="reveal-countdown">${REVEAL_COUNTDOWN[step]}</div>`;
+                setTimeout(() => showStep(step + 1), this.revealStepDelay);
+            };
+
+            showStep(0);
+        });
+    }
+
+    restoreFormValues() {
         const players = this.gameState.getPlayers();
         players.forEach((player, index) => {
             const input = document.getElementById(`bid-player-${index}`);
             input.value = this.bids[index];
+
+            const wagerSelect = document.getElementById(`wager-player-${index}`);
+            if (wagerSelect) {
+                wagerSelect.value = this.wagers[index];
+            }
         });
     }
 
     confirmBids() {
         try {
-            // Store bids in gameState
-            this.gameState.setCurrentRoundBids(this.bids);
+            // Store bids (and wagers, when the ruleset uses them) in gameState
+            if (this.wagerOptions.length > 0) {
+                this.gameState.setCurrentRoundBids(this.bids, this.wagers);
+            } else {
+                this.gameState.setCurrentRoundBids(this.bids);
+            }
             
-            // Navigate back to main game
-            this.backToGame();
+            // The draft is no longer needed once the bids are stored
+            this.storage.deleteGame(BID_DRAFT_ID)
+                .catch(error => console.error('Error clearing saved bids:', error))
+                .then(() => this.backToGame());
         } catch (error) {
             console.error('Error confirming bids:', error);
             alert('Error saving bids. Please try again.');
@@ -218,7 +567,11 @@ class BiddingManager {
     }
 }
 
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new BiddingManager();
-});
\ No newline at end of file
+// Export for tests; initialize when DOM is loaded in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BiddingManager;
+} else {
+    document.addEventListener('DOMContentLoaded', () => {
+        new BiddingManager();
+    });
+}
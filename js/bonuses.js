@@ -0,0 +1,151 @@
+/**
+ * Skull King bonus points
+ * Itemized bonus captures, totals and the "only on exact bid" rule
+ */
+
+const BONUS_TYPES = [
+  { id: 'standardFourteens', label: 'Standard 14s captured', points: 10, max: 3 },
+  { id: 'blackFourteen', label: 'Black 14 captured', points: 20, max: 1 },
+  { id: 'mermaidsByPirate', label: 'Mermaids captured by a pirate', points: 20, max: 2 },
+  { id: 'piratesBySkullKing', label: 'Pirates captured by Skull King', points: 30, max: 6 },
+  { id: 'skullKingByMermaid', label: 'Skull King captured by a mermaid', points: 40, max: 1 },
+  { id: 'lootAlliances', label: 'Loot alliances', points: 20, max: 2 }
+];
+
+/**
+ * Create a breakdown with zero captures of every bonus type
+ * @returns {Object} Breakdown keyed by bonus type id
+ */
+function createEmptyBonusBreakdown() {
+  return BONUS_TYPES.reduce((breakdown, type) => ({ ...breakdown, [type.id]: 0 }), {});
+}
+
+/**
+ * Count the captures of one bonus type in a breakdown
+ * Loot alliances are either a count or a list of { partner } pairs (from recorded cards).
+ * @param {Object} breakdown - Capture counts keyed by bonus type id
+ * @param {string} typeId - Bonus type id
+ * @returns {number} Captures of that type
+ */
+function getCaptureCount(breakdown, typeId) {
+  const captured = breakdown[typeId];
+  return Array.isArray(captured) ? captured.length : captured || 0;
+}
+
+/**
+ * List the partners of the Loot alliances recorded as pairs in a breakdown
+ * @param {Object} breakdown - Capture counts keyed by bonus type id
+ * @returns {Array<string>} Partner names (empty when alliances are only counted)
+ */
+function getLootPartners(breakdown) {
+  if (!breakdown || !Array.isArray(breakdown.lootAlliances)) return [];
+
+  return breakdown.lootAlliances.map(alliance => alliance.partner);
+}
+
+/**
+ * Validate an itemized bonus breakdown
+ * @param {Object} breakdown - Capture counts keyed by bonus type id
+ * @returns {Object} Validation result with isValid and errors
+ */
+function validateBonusBreakdown(breakdown) {
+  const errors = [];
+
+  if (!breakdown || typeof breakdown !== 'object' || Array.isArray(breakdown)) {
+    return { isValid: false, errors: ['Bonus breakdown must be an object'] };
+  }
+
+  Object.entries(breakdown).forEach(([typeId, captured]) => {
+    const type = BONUS_TYPES.find(t => t.id === typeId);
+    const isAllianceList = typeId === 'lootAlliances' && Array.isArray(captured);
+    if (!type) {
+      errors.push(`Unknown bonus type: ${typeId}`);
+    } else if (isAllianceList && captured.some(alliance => !alliance || typeof alliance.partner !== 'string' || alliance.partner === '')) {
+      errors.push(`${type.label} must each name a partner`);
+    } else if (!isAllianceList && (!Number.isInteger(captured) || captured < 0)) {
+      errors.push(`${type.label} must be a non-negative whole number`);
+    } else if (getCaptureCount(breakdown, typeId) > type.max) {
+      errors.push(`${type.label} cannot exceed ${type.max}`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Total the points in a bonus breakdown
+ * @param {Object} breakdown - Capture counts keyed by bonus type id
+ * @returns {number} Bonus points earned
+ */
+function calculateBonusTotal(breakdown) {
+  if (!breakdown) return 0;
+
+  return BONUS_TYPES.reduce((total, type) => total + getCaptureCount(breakdown, type.id) * type.points, 0);
+}
+
+/**
+ * Bonus points actually applied to a round score (only awarded on an exact bid)
+ * A Loot alliance recorded with its partner only pays if the partner's bid was exact too.
+ * @param {Object|number} bonus - Itemized breakdown, or a plain bonus number
+ * @param {number} bid - Tricks bid
+ * @param {number} tricksTaken - Tricks taken
+ * @param {Object} exactBids - Whether each player in the round made their bid, keyed by name
+ * @returns {number} Applied bonus points
+ */
+function calculateAppliedBonus(bonus, bid, tricksTaken, exactBids = {}) {
+  if (bid !== tricksTaken) return 0;
+  if (typeof bonus === 'number') return bonus;
+
+  const lootType = BONUS_TYPES.find(type => type.id === 'lootAlliances');
+  const unpaidAlliances = getLootPartners(bonus).filter(partner => !exactBids[partner]).length;
+  return calculateBonusTotal(bonus) - unpaidAlliances * lootType.points;
+}
+
+/**
+ * List the bonus types captured in a breakdown for display
+ * @param {Object} breakdown - Capture counts keyed by bonus type id
+ * @returns {Array} Array of { id, label, count, points, total } for non-zero captures
+ */
+function describeBonusBreakdown(breakdown) {
+  if (!breakdown) return [];
+
+  return BONUS_TYPES
+    .filter(type => getCaptureCount(breakdown, type.id) > 0)
+    .map(type => ({
+      id: type.id,
+      label: type.label,
+      count: getCaptureCount(breakdown, type.id),
+      points: type.points,
+      total: getCaptureCount(breakdown, type.id) * type.points
+    }));
+}
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    BONUS_TYPES,
+    createEmptyBonusBreakdown,
+    getCaptureCount,
+    getLootPartners,
+    validateBonusBreakdown,
+    calculateBonusTotal,
+    calculateAppliedBonus,
+    describeBonusBreakdown
+  };
+} else {
+  // Browser environment
+  window.Bonuses = {
+    BONUS_TYPES,
+    createEmptyBonusBreakdown,
+    getCaptureCount,
+    getLootPartners,
+    validateBonusBreakdown,
+    calculateBonusTotal,
+    calculateAppliedBonus,
+    describeBonusBreakdown
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Command history
+ * Undo/redo stack of game actions. A command is an object with a label,
+ * an execute() that applies it and an undo() that reverses it.
+ */
+
+const DEFAULT_HISTORY_LIMIT = 100;
+
+/**
+ * Check that an object can be used as a command
+ * @param {Object} command - Candidate command
+ */
+function validateCommand(command) {
+  if (!command || typeof command.execute !== 'function' || typeof command.undo !== 'function') {
+    throw new Error('Command must have execute and undo functions');
+  }
+}
+
+/**
+ * Create an undo/redo history
+ * @param {Object} options - History options
+ * @param {number} options.limit - Maximum number of commands kept for undo
+ * @returns {Object} History with execute, record, undo, redo and inspection helpers
+ */
+function createCommandHistory(options = {}) {
+  const limit = options.limit || DEFAULT_HISTORY_LIMIT;
+  const undoStack = [];
+  const redoStack = [];
+
+  const push = command => {
+    undoStack.push(command);
+    if (undoStack.length > limit) {
+      undoStack.shift();
+    }
+    redoStack.length = 0;
+  };
+
+  return {
+    /**
+     * Run a command and make it undoable
+     * @param {Object} command - Command to run
+     * @returns {*} Whatever the command's execute() returns
+     */
+    execute(command) {
+      validateCommand(command);
+      const result = command.execute();
+      push(command);
+      return result;
+    },
+
+    /**
+     * Make an already applied command undoable without running it again
+     * @param {Object} command - Command that has just been applied
+     */
+    record(command) {
+      validateCommand(command);
+      push(command);
+    },
+
+    /**
+     * Reverse the most recent command
+     * @returns {Object|null} The undone command, or null if there is nothing to undo
+     */
+    undo() {
+      const command = undoStack.pop();
+      if (!command) return null;
+
+      command.undo();
+      redoStack.push(command);
+      return command;
+    },
+
+    /**
+     * Re-apply the most recently undone command
+     * @returns {Object|null} The redone command, or null if there is nothing to redo
+     */
+    redo() {
+      const command = redoStack.pop();
+      if (!command) return null;
+
+      command.execute();
+      undoStack.push(command);
+      return command;
+    },
+
+    canUndo() {
+      return undoStack.length > 0;
+    },
+
+    canRedo() {
+      return redoStack.length > 0;
+    },
+
+    /**
+     * Label of the command undo() would reverse
+     * @returns {string|null} Command label
+     */
+    getUndoLabel() {
+      return undoStack.length > 0 ? undoStack[undoStack.length - 1].label || null : null;
+    },
+
+    /**
+     * Label of the command redo() would re-apply
+     * @returns {string|null} Command label
+     */
+    getRedoLabel() {
+      return redoStack.length > 0 ? redoStack[redoStack.length - 1].label || null : null;
+    },
+
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+    }
+  };
+}
+
+/**
+ * Check whether a keyboard event is an undo or redo shortcut
+ * Ctrl+Z (Cmd+Z) undoes; Ctrl+Shift+Z and Ctrl+Y redo
+ * @param {KeyboardEvent} event - Keydown event
+ * @returns {string|null} 'undo', 'redo', or null for other keys
+ */
+function getHistoryShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+    return null;
+  }
+
+  const key = event.key.toLowerCase();
+  if (key === 'z') {
+    return event.shiftKey ? 'redo' : 'undo';
+  }
+  if (key === 'y' && !event.shiftKey) {
+    return 'redo';
+  }
+  return null;
+}
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    createCommandHistory,
+    getHistoryShortcut
+  };
+} else {
+  // Browser environment
+  window.CommandHistory = {
+    createCommandHistory,
+    getHistoryShortcut
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Game length
+ * End conditions a game can be played to: a fixed number of rounds, a target
+ * score (first to N points; the round that reaches it is finished first) or a
+ * time limit (the game ends after the round in progress when time runs out).
+ * A condition is checked after every scored round.
+ */
+
+const ROUNDS = 'rounds';
+const TARGET_SCORE = 'target-score';
+const TIME_LIMIT = 'time-limit';
+
+const GAME_LENGTH_MODES = [ROUNDS, TARGET_SCORE, TIME_LIMIT];
+
+/**
+ * Check an end condition
+ * @param {Object} condition - { mode: 'rounds', rounds }, { mode: 'target-score', targetScore }
+ *   or { mode: 'time-limit', minutes }
+ * @returns {Object} Validation result with isValid and errors
+ */
+function validateEndCondition(condition) {
+  const errors = [];
+  const isPositiveWhole = value => Number.isInteger(value) && value > 0;
+
+  if (!condition || typeof condition !== 'object') {
+    return { isValid: false, errors: ['End condition must be an object'] };
+  }
+
+  if (condition.mode === ROUNDS) {
+    if (!isPositiveWhole(condition.rounds)) {
+      errors.push('Round count must be a positive whole number');
+    }
+  } else if (condition.mode === TARGET_SCORE) {
+    if (!isPositiveWhole(condition.targetScore)) {
+      errors.push('Target score must be a positive whole number');
+    }
+  } else if (condition.mode === TIME_LIMIT) {
+    if (!isPositiveWhole(condition.minutes)) {
+      errors.push('Time limit must be a positive whole number of minutes');
+    }
+  } else {
+    errors.push(`Unknown game length: ${condition.mode}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Copy an end condition, keeping only the fields its mode uses
+ * @param {Object} condition - End condition
+ * @returns {Object} Normalized end condition
+ */
+function createEndCondition(condition) {
+  const validation = validateEndCondition(condition);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+
+  switch (condition.mode) {
+    case ROUNDS:
+      return { mode: ROUNDS, rounds: condition.rounds };
+    case TARGET_SCORE:
+      return { mode: TARGET_SCORE, targetScore: condition.targetScore };
+    default:
+      return { mode: TIME_LIMIT, minutes: condition.minutes };
+  }
+}
+
+/**
+ * Check whether a game has met its end condition after a round
+ * A target score ends the game once a single leader is at or above it; a tie
+ * for the lead on or past the target plays on.
+ * @param {Object} condition - End condition
+ * @param {Object} state - Game state after the round
+ * @param {number} state.roundsPlayed - Rounds scored so far
+ * @param {Array<number>} state.totals - Total score of every player (or team)
+ * @param {string} state.startedAt - ISO time the game started
+ * @param {Date} state.now - Time the round finished (defaults to now)
+ * @returns {Object} { ended, reason } with a description of why the game ended
+ */
+function checkEndCondition(condition, state) {
+  const notEnded = { ended: false, reason: null };
+  if (!condition) {
+    return notEnded;
+  }
+
+  if (condition.mode === ROUNDS) {
+    return state.roundsPlayed >= condition.rounds
+      ? { ended: true, reason: `Played ${condition.rounds} ${condition.rounds === 1 ? 'round' : 'rounds'}` }
+      : notEnded;
+  }
+
+  if (condition.mode === TARGET_SCORE) {
+    if (state.totals.length === 0) {
+      return notEnded;
+    }
+    const best = Math.max(...state.totals);
+    const leaders = state.totals.filter(total => total === best);
+    return best >= condition.targetScore && leaders.length === 1
+      ? { ended: true, reason: `Reached the target of ${condition.targetScore} points` }
+      : notEnded;
+  }
+
+  const now = state.now || new Date();
+  const elapsed = now.getTime() - Date.parse(state.startedAt);
+  return elapsed >= condition.minutes * 60000
+    ? { ended: true, reason: `The ${condition.minutes}-minute time limit ran out` }
+    : notEnded;
+}
+
+/**
+ * Describe an end condition for display
+ * @param {Object} condition - End condition
+ * @returns {string} Description such as "Playing to 200 points"
+ */
+function describeEndCondition(condition) {
+  switch (condition.mode) {
+    case ROUNDS:
+      return `Playing ${condition.rounds} ${condition.rounds === 1 ? 'round' : 'rounds'}`;
+    case TARGET_SCORE:
+      return `Playing to ${condition.targetScore} points`;
+    default:
+      return `Playing for ${condition.minutes} minutes`;
+  }
+}
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    ROUNDS,
+    TARGET_SCORE,
+    TIME_LIMIT,
+    GAME_LENGTH_MODES,
+    validateEndCondition,
+    createEndCondition,
+    checkEndCondition,
+    describeEndCondition
+  };
+} else {
+  // Browser environment
+  window.GameLength = {
+    ROUNDS,
+    TARGET_SCORE,
+    TIME_LIMIT,
+    GAME_LENGTH_MODES,
+    validateEndCondition,
+    createEndCondition,
+    checkEndCondition,
+    describeEndCondition
+  };
+}
@@ -0,0 +1,427 @@
+/**
+ * Shared game state
+ * Holds players, the current round, bids and tricks for every page of the app.
+ * The state is written to sessionStorage on each change so it survives navigating
+ * between index.html and bidding.html, and to the game store (when given) so an
+ * unfinished game can be resumed after the tab is closed.
+ */
+
+const GAME_STATE_SESSION_KEY = 'skull-king-scores:state';
+const SAVED_GAME_ID = 'current-game';
+
+const DefaultRulesets = typeof module !== 'undefined' && module.exports
+  ? require('./rulesets.js')
+  : window.Rulesets;
+
+const DefaultOhHell = typeof module !== 'undefined' && module.exports
+  ? require('./ohHell.js')
+  : window.OhHell;
+
+const DefaultRoundSchedules = typeof module !== 'undefined' && module.exports
+  ? require('./roundSchedules.js')
+  : window.RoundSchedules;
+
+const DefaultSeating = typeof module !== 'undefined' && module.exports
+  ? require('./seating.js')
+  : window.Seating;
+
+const DefaultHarryTheGiant = typeof module !== 'undefined' && module.exports
+  ? require('./harryTheGiant.js')
+  : window.HarryTheGiant;
+
+/**
+ * Create the state of a game with no players
+ * @param {string} rulesetId - Ruleset the game is scored with
+ * @returns {Object} Empty game state
+ */
+function createInitialGameState(rulesetId = DefaultRulesets.DEFAULT_RULESET_ID) {
+  return {
+    players: [],
+    currentRound: 1,
+    firstDealerIndex: 0,
+    rulesetId,
+    roundData: [],
+    trumpSuit: null,
+    gameHistory: [],
+    draftInputs: {},
+    auditLog: []
+  };
+}
+
+class GameState {
+  /**
+   * @param {Object} options - State options
+   * @param {Storage} options.sessionStorage - Storage area used across page navigation (null disables it)
+   * @param {Object} options.gameStorage - Game store from GameStorage.createGameStorage for long-term saves
+   */
+  constructor(options = {}) {
+    this.sessionStorage = 'sessionStorage' in options
+      ? options.sessionStorage
+      : (typeof window !== 'undefined' ? window.sessionStorage : null);
+    this.gameStorage = options.gameStorage || null;
+
+    const sessionState = this._readSession();
+    this.restoredFromSession = sessionState !== null;
+    this.state = sessionState || createInitialGameState();
+  }
+
+  /**
+   * Read the state left by the previous page in this tab
+   * @private
+   * @returns {Object|null} Saved state, or null if there is none
+   */
+  _readSession() {
+    if (!this.sessionStorage) return null;
+
+    try {
+      const json = this.sessionStorage.getItem(GAME_STATE_SESSION_KEY);
+      return json ? { ...createInitialGameState(), ...JSON.parse(json) } : null;
+    } catch (error) {
+      console.error('Failed to read game state:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Whether this page picked up a game already in progress in this tab
+   * @returns {boolean} True if the state came from an earlier page
+   */
+  isRestoredFromSession() {
+    return this.restoredFromSession;
+  }
+
+  /**
+   * Get the mutable state object (call save() after changing it)
+   * @returns {Object} Game state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Replace the whole state, e.g. when resuming a saved game
+   * @param {Object} state - New game state
+   * @returns {Object} The stored state
+   */
+  replaceState(state) {
+    this.state = { ...createInitialGameState(), ...state };
+    this.save();
+    return this.state;
+  }
+
+  /**
+   * Start a new game, keeping the selected ruleset
+   * @returns {Promise<Object>} Resolves with the new, empty state once the saved game is discarded
+   */
+  reset() {
+    this.state = createInitialGameState(this.state.rulesetId);
+    this._writeSession();
+    return this.discardSavedGame().then(() => this.state);
+  }
+
+  /**
+   * Persist the current state for the next page and for resuming later
+   * @returns {Promise} Resolves once the long-term save has finished
+   */
+  save() {
+    this._writeSession();
+
+    if (!this.gameStorage) {
+      return Promise.resolve(null);
+    }
+    return this.gameStorage.saveGame(SAVED_GAME_ID, this.state)
+      .catch(error => {
+        console.error('Failed to save game:', error);
+        return null;
+      });
+  }
+
+  /**
+   * Load the unfinished game saved in the game store
+   * @returns {Promise<Object|null>} Saved record ({ data, savedAt, ... }), or null if there is nothing to resume
+   */
+  loadSavedGame() {
+    if (!this.gameStorage) {
+      return Promise.resolve(null);
+    }
+    return this.gameStorage.loadGame(SAVED_GAME_ID)
+      .then(saved => (saved && !saved.finished && saved.data.players.length > 0 ? saved : null));
+  }
+
+  /**
+   * Discard the game saved in the game store
+   * @returns {Promise} Resolves once deleted
+   */
+  discardSavedGame() {
+    if (!this.gameStorage) {
+      return Promise.resolve();
+    }
+    return this.gameStorage.deleteGame(SAVED_GAME_ID)
+      .catch(error => console.error('Failed to delete saved game:', error));
+  }
+
+  /**
+   * Write the state to sessionStorage
+   * @private
+   */
+  _writeSession() {
+    if (!this.sessionStorage) return;
+
+    try {
+      this.sessionStorage.setItem(GAME_STATE_SESSION_KEY, JSON.stringify(this.state));
+    } catch (error) {
+      console.error('Failed to write game state:', error);
+    }
+  }
+
+  /**
+   * Get the players in seating order
+   * @returns {Array} Players with name, totalScore and roundScores
+   */
+  getPlayers() {
+    return this.state.players;
+  }
+
+  /**
+   * Get the round being played
+   * @returns {number} Current round number
+   */
+  getCurrentRound() {
+    return this.state.currentRound;
+  }
+
+  /**
+   * Get the ruleset the game is scored with
+   * @returns {string} Ruleset id
+   */
+  getRulesetId() {
+    return this.state.rulesetId;
+  }
+
+  /**
+   * Whether the game is played as Oh Hell (up-and-down rounds, rotating dealer, hook rule)
+   * @returns {boolean} True for Oh Hell games
+   */
+  isOhHell() {
+    return this.state.rulesetId === DefaultOhHell.OH_HELL_RULESET_ID;
+  }
+
+  /**
+   * Get the cards dealt in a round
+   * Oh Hell follows the up-and-down schedule; other games deal N cards in round N.
+   * @param {number} round - Round number (defaults to the current round)
+   * @returns {number} Cards dealt
+   */
+  getCardsDealt(round = this.state.currentRound) {
+    if (this.isOhHell() && this.state.players.length >= 2) {
+      return DefaultOhHell.getCardsInRound(round, this.state.players.length);
+    }
+    return round;
+  }
+
+  /**
+   * Get the number of rounds in the game
+   * Oh Hell and Wizard games are sized from the player count.
+   * @returns {number|null} Rounds in the game, or null when rounds are open-ended
+   */
+  getTotalRounds() {
+    const playerCount = this.state.players.length;
+    if (this.isOhHell() && playerCount >= 2) {
+      return DefaultOhHell.getRoundCount(playerCount);
+    }
+    if (this.state.rulesetId === DefaultRoundSchedules.WIZARD_SCHEDULE_ID && playerCount >= 3 && playerCount <= 6) {
+      return DefaultRoundSchedules.createWizardSchedule(playerCount).cardsPerRound.length;
+    }
+    return null;
+  }
+
+  /**
+   * Get the seat of the player dealing a round (the deal rotates every round)
+   * @param {number} round - Round number (defaults to the current round)
+   * @returns {number} Dealer's seat index, or -1 without players
+   */
+  getDealerIndex(round = this.state.currentRound) {
+    const playerCount = this.state.players.length;
+    return playerCount > 0 ? DefaultSeating.getDealerSeat(round, playerCount, this._firstDealerIndex()) : -1;
+  }
+
+  /**
+   * Get the seat of the player who bids first and leads a round (the dealer's left)
+   * @param {number} round - Round number (defaults to the current round)
+   * @returns {number} Lead player's seat index, or -1 without players
+   */
+  getLeadIndex(round = this.state.currentRound) {
+    const playerCount = this.state.players.length;
+    return playerCount > 0 ? DefaultSeating.getLeadSeat(round, playerCount, this._firstDealerIndex()) : -1;
+  }
+
+  /**
+   * Choose the seat that deals round 1
+   * @param {number} seat - Seat index in player order
+   * @returns {Promise} Resolves once saved
+   */
+  setFirstDealer(seat) {
+    if (!Number.isInteger(seat) || seat < 0 || seat >= this.state.players.length) {
+      throw new Error(`Invalid dealer seat: ${seat}`);
+    }
+
+    this.state.firstDealerIndex = seat;
+    return this.save();
+  }
+
+  /**
+   * Get the seat that deals round 1, falling back to seat 0 if that player has left
+   * @private
+   * @returns {number} Seat index
+   */
+  _firstDealerIndex() {
+    const seat = this.state.firstDealerIndex || 0;
+    return seat < this.state.players.length ? seat : 0;
+  }
+
+  /**
+   * Record the trump suit turned up for the current round
+   * @param {string} suitId - Suit id from OhHell.TRUMP_SUITS
+   * @returns {Promise} Resolves once saved
+   */
+  setCurrentRoundTrump(suitId) {
+    this.state.trumpSuit = DefaultOhHell.getTrumpSuit(suitId).id;
+    return this.save();
+  }
+
+  /**
+   * Get the bids (and tricks, once entered) for the current round
+   * @returns {Array} Array of { name, bid, wager, tricks } objects, empty before bidding
+   */
+  getCurrentRoundData() {
+    return this.state.roundData;
+  }
+
+  /**
+   * Whether bids have been placed for the current round
+   * @returns {boolean} True once bids are stored
+   */
+  hasCurrentRoundBids() {
+    return this.state.roundData.length > 0;
+  }
+
+  /**
+   * Store the bids for the current round
+   * Oh Hell games also enforce the hook rule on the dealer's bid.
+   * @param {Object} bids - Bids keyed by player name or seat index
+   * @param {Object} wagers - Optional wagers keyed the same way
+   * @returns {Promise} Resolves once saved
+   */
+  setCurrentRoundBids(bids, wagers = {}) {
+    if (!bids || typeof bids !== 'object') {
+      throw new Error('Bids must be an object');
+    }
+
+    const { players } = this.state;
+    if (players.length === 0) {
+      throw new Error('Cannot place bids without players');
+    }
+
+    const cardsDealt = this.getCardsDealt();
+    const valueFor = (values, player, index) => (player.name in values ? values[player.name] : values[index]);
+
+    const roundData = players.map((player, index) => {
+      const bid = valueFor(bids, player, index);
+      if (!Number.isInteger(bid) || bid < 0 || bid > cardsDealt) {
+        throw new Error(`Invalid bid for player ${player.name}: ${bid}`);
+      }
+
+      return {
+        name: player.name,
+        bid,
+        wager: valueFor(wagers || {}, player, index) || null,
+        tricks: null
+      };
+    });
+
+    if (this.isOhHell()) {
+      const dealerIndex = this.getDealerIndex();
+      const hook = DefaultOhHell.checkHookRule(roundData.map(playerData => playerData.bid), dealerIndex, cardsDealt);
+      if (!hook.isValid) {
+        throw new Error(`The dealer (${players[dealerIndex].name}) cannot bid ${hook.forbiddenBid}: ` +
+          `the bids would add up to the ${cardsDealt} ${cardsDealt === 1 ? 'card' : 'cards'} dealt`);
+      }
+    }
+
+    this.state.roundData = roundData;
+    return this.save();
+  }
+
+  /**
+   * Change one player's bid at the end of the round (Harry the Giant)
+   * Only one player per round may adjust their bid, before the round is scored.
+   * @param {string} playerName - Player who won Harry the Giant
+   * @param {number} change - -1, 0 or +1
+   * @returns {Promise} Resolves once saved
+   */
+  adjustCurrentRoundBid(playerName, change) {
+    if (!this.hasCurrentRoundBids()) {
+      throw new Error('Cannot adjust a bid before bids are placed');
+    }
+    if (this.getCurrentRoundBidAdjustment()) {
+      throw new Error('Only one bid can be adjusted per round');
+    }
+
+    const { roundData } = this.state;
+    const bids = Object.fromEntries(roundData.map(playerData => [playerData.name, playerData.bid]));
+    const { record } = DefaultHarryTheGiant.applyBidAdjustment(bids, { player: playerName, change }, this.getCardsDealt());
+
+    const playerData = roundData.find(pd => pd.name === playerName);
+    playerData.bid = record.to;
+    playerData.bidAdjustment = { change: record.change, from: record.from, to: record.to };
+    return this.save();
+  }
+
+  /**
+   * Get the current round's bid adjustment, if one has been made
+   * @returns {Object|null} { player, change, from, to }, or null
+   */
+  getCurrentRoundBidAdjustment() {
+    const playerData = this.state.roundData.find(pd => pd.bidAdjustment);
+    return playerData ? { player: playerData.name, ...playerData.bidAdjustment } : null;
+  }
+
+  /**
+   * Record the tricks taken in the current round
+   * @param {Object} tricks - Tricks keyed by player name or seat index
+   * @returns {Promise} Resolves once saved
+   */
+  setCurrentRoundTricks(tricks) {
+    if (!this.hasCurrentRoundBids()) {
+      throw new Error('Cannot record tricks before bids are placed');
+    }
+
+    const taken = this.state.roundData.map((playerData, index) => {
+      const count = playerData.name in tricks ? tricks[playerData.name] : tricks[index];
+      if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`Invalid tricks for player ${playerData.name}: ${count}`);
+      }
+      return count;
+    });
+
+    this.state.roundData.forEach((playerData, index) => {
+      playerData.tricks = taken[index];
+    });
+
+    return this.save();
+  }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    GameState,
+    createInitialGameState,
+    SAVED_GAME_ID
+  };
+} else {
+  // Browser environment: one shared instance per page
+  window.GameState = GameState;
+  window.gameState = new GameState({ gameStorage: window.GameStorage.createGameStorage() });
+}
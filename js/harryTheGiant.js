@@ -0,0 +1,92 @@
+/**
+ * Harry the Giant
+ * Skull King expansion character: at the end of the round, the player who won
+ * Harry may change their bid by -1, 0 or +1 before the round is scored.
+ * Only one player per round can make the adjustment.
+ */
+
+const BID_ADJUSTMENTS = [-1, 0, 1];
+
+/**
+ * Check a post-round bid adjustment
+ * @param {Object} adjustment - { player, change } where change is -1, 0 or +1
+ * @param {Object} bids - Confirmed bids keyed by player
+ * @param {number} cardsDealt - Cards dealt this round (the highest possible bid)
+ * @returns {Object} Validation result with isValid and errors
+ */
+function validateBidAdjustment(adjustment, bids, cardsDealt = Infinity) {
+  const errors = [];
+
+  if (!adjustment || typeof adjustment !== 'object') {
+    return { isValid: false, errors: ['Bid adjustment must be an object'] };
+  }
+
+  if (!(adjustment.player in bids)) {
+    errors.push(`No bid to adjust for player: ${adjustment.player}`);
+  } else if (!BID_ADJUSTMENTS.includes(adjustment.change)) {
+    errors.push('Bid adjustment must be -1, 0 or +1');
+  } else {
+    const adjusted = bids[adjustment.player] + adjustment.change;
+    if (adjusted < 0) {
+      errors.push('Adjusted bid cannot be negative');
+    } else if (adjusted > cardsDealt) {
+      errors.push(`Adjusted bid cannot exceed ${cardsDealt}`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Apply a post-round bid adjustment
+ * @param {Object} bids - Confirmed bids keyed by player
+ * @param {Object} adjustment - { player, change } where change is -1, 0 or +1
+ * @param {number} cardsDealt - Cards dealt this round
+ * @returns {Object} { bids, record } with the adjusted bids and { player, change, from, to } for the round history
+ */
+function applyBidAdjustment(bids, adjustment, cardsDealt = Infinity) {
+  const validation = validateBidAdjustment(adjustment, bids, cardsDealt);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+
+  const from = bids[adjustment.player];
+  const to = from + adjustment.change;
+  return {
+    bids: { ...bids, [adjustment.player]: to },
+    record: { player: adjustment.player, change: adjustment.change, from, to }
+  };
+}
+
+/**
+ * Describe an adjustment for the round history
+ * @param {Object} record - { player, change, from, to } from applyBidAdjustment
+ * @returns {string} Description such as "Harry the Giant: Alice's bid 2 → 3"
+ */
+function describeBidAdjustment(record) {
+  return record.change === 0
+    ? `Harry the Giant: ${record.player} kept their bid of ${record.from}`
+    : `Harry the Giant: ${record.player}'s bid ${record.from} → ${record.to}`;
+}
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    BID_ADJUSTMENTS,
+    validateBidAdjustment,
+    applyBidAdjustment,
+    describeBidAdjustment
+  };
+} else {
+  // Browser environment
+  window.HarryTheGiant = {
+    BID_ADJUSTMENTS,
+    validateBidAdjustment,
+    applyBidAdjustment,
+    describeBidAdjustment
+  };
+}
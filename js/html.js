@@ -0,0 +1,31 @@
+/**
+ * HTML helpers
+ * Shared by the pages that build markup from player names and other typed-in text
+ */
+
+/**
+ * Escape text for use in HTML and quoted attributes
+ * @param {string} text - Text to escape
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    escapeHtml
+  };
+} else {
+  // Browser environment
+  window.Html = {
+    escapeHtml
+  };
+}
@@ -97,8 +97,14 @@ class GameController {
             return;
         }
 
+        // Players added mid-game join with the tracker's late-join starting score
         if (this.gameActive && this.scoreTracker) {
-            this.scoreTracker.addPlayer(playerName);
+            try {
+                this.scoreTracker.addPlayer(playerName);
+            } catch (error) {
+                this.showError(`Failed to add player: ${error.message}`);
+                return;
+            }
         }
         
         this.players.push(playerName);
@@ -0,0 +1,130 @@
+/**
+ * Oh Hell rules
+ * Rounds go up from one card to the maximum hand and back down again, the deal
+ * passes to the left each round, and the dealer bids last under the "hook"
+ * rule: the total of all bids may not equal the number of cards dealt.
+ */
+
+const OH_HELL_RULESET_ID = 'oh-hell';
+const DECK_SIZE = 52;
+const MAX_HAND_SIZE = 10;
+
+const TRUMP_SUITS = [
+  { id: 'hearts', name: 'Hearts' },
+  { id: 'diamonds', name: 'Diamonds' },
+  { id: 'clubs', name: 'Clubs' },
+  { id: 'spades', name: 'Spades' },
+  { id: 'no-trump', name: 'No Trump' }
+];
+
+/**
+ * Get the largest hand for a player count
+ * One card is left over to turn up for trumps, and hands are capped at 10 cards
+ * @param {number} playerCount - Number of players
+ * @returns {number} Cards dealt in the longest round
+ */
+function getMaxCards(playerCount) {
+  if (!Number.isInteger(playerCount) || playerCount < 2) {
+    throw new Error('Oh Hell needs at least 2 players');
+  }
+  return Math.min(MAX_HAND_SIZE, Math.floor((DECK_SIZE - 1) / playerCount));
+}
+
+/**
+ * Build the up-and-down schedule: 1, 2, ... max, ... 2, 1
+ * @param {number} maxCards - Cards dealt in the longest round
+ * @returns {Array<number>} Cards dealt per round
+ */
+function getCardsPerRound(maxCards) {
+  const up = Array.from({ length: maxCards }, (_, i) => i + 1);
+  return [...up, ...up.slice(0, -1).reverse()];
+}
+
+/**
+ * Get the number of rounds in a game
+ * Not named getTotalRounds: this is a classic script that shares the page's
+ * globals with roundSchedules.js.
+ * @param {number} playerCount - Number of players
+ * @returns {number} Number of rounds
+ */
+function getRoundCount(playerCount) {
+  return getCardsPerRound(getMaxCards(playerCount)).length;
+}
+
+/**
+ * Get the cards dealt in a round
+ * @param {number} round - Round number (1-based)
+ * @param {number} playerCount - Number of players
+ * @returns {number} Cards dealt, or 0 if the round is outside the schedule
+ */
+function getCardsInRound(round, playerCount) {
+  return getCardsPerRound(getMaxCards(playerCount))[round - 1] || 0;
+}
+
+/**
+ * Get the bid the dealer may not make
+ * @param {Array<number>} otherBids - Every other player's bid
+ * @param {number} cardsDealt - Cards dealt this round
+ * @returns {number|null} Forbidden bid, or null if any bid is allowed
+ */
+function getForbiddenDealerBid(otherBids, cardsDealt) {
+  const remaining = cardsDealt - otherBids.reduce((sum, bid) => sum + bid, 0);
+  return remaining >= 0 ? remaining : null;
+}
+
+/**
+ * Check a round's bids against the hook rule
+ * @param {Array<number>} bids - Bids in seat order
+ * @param {number} dealerIndex - Dealer's seat index
+ * @param {number} cardsDealt - Cards dealt this round
+ * @returns {Object} { isValid, forbiddenBid }
+ */
+function checkHookRule(bids, dealerIndex, cardsDealt) {
+  const forbiddenBid = getForbiddenDealerBid(bids.filter((_, index) => index !== dealerIndex), cardsDealt);
+  return {
+    isValid: bids[dealerIndex] !== forbiddenBid,
+    forbiddenBid
+  };
+}
+
+/**
+ * Look up a trump suit
+ * @param {string} suitId - Suit id
+ * @returns {Object} Suit { id, name }
+ */
+function getTrumpSuit(suitId) {
+  const suit = TRUMP_SUITS.find(s => s.id === suitId);
+  if (!suit) {
+    throw new Error(`Unknown trump suit: ${suitId}`);
+  }
+  return suit;
+}
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    OH_HELL_RULESET_ID,
+    TRUMP_SUITS,
+    getMaxCards,
+    getCardsPerRound,
+    getRoundCount,
+    getCardsInRound,
+    getForbiddenDealerBid,
+    checkHookRule,
+    getTrumpSuit
+  };
+} else {
+  // Browser environment
+  window.OhHell = {
+    OH_HELL_RULESET_ID,
+    TRUMP_SUITS,
+    getMaxCards,
+    getCardsPerRound,
+    getRoundCount,
+    getCardsInRound,
+    getForbiddenDealerBid,
+    checkHookRule,
+    getTrumpSuit
+  };
+}
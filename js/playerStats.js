@@ -0,0 +1,170 @@
+/**
+ * Player statistics
+ * Bidding stats worked out from each player's bid, tricks and score per round,
+ * used to settle who really is the best bidder at the table.
+ */
+
+const Html = typeof module !== 'undefined' && module.exports
+  ? require('./html.js')
+  : window.Html;
+
+const TENDENCY_LABELS = { over: 'Overbids', under: 'Underbids', even: 'Even' };
+
+/**
+ * Calculate a player's bidding statistics
+ * @param {Array} rounds - Array of { round, bid, tricks, score, bonusPoints } in round order
+ * @returns {Object} Statistics (rates are 0-1, or null when there is nothing to measure)
+ */
+function calculatePlayerStats(rounds) {
+  const exactRounds = rounds.filter(r => r.bid === r.tricks);
+  const missedRounds = rounds.filter(r => r.bid !== r.tricks);
+  const zeroBidRounds = rounds.filter(r => r.bid === 0);
+  const overbids = rounds.filter(r => r.bid > r.tricks).length;
+  const underbids = rounds.filter(r => r.bid < r.tricks).length;
+
+  let bestRound = null;
+  let worstRound = null;
+  let streak = 0;
+  let longestExactStreak = 0;
+  rounds.forEach(r => {
+    if (!bestRound || r.score > bestRound.score) {
+      bestRound = { round: r.round, score: r.score };
+    }
+    if (!worstRound || r.score < worstRound.score) {
+      worstRound = { round: r.round, score: r.score };
+    }
+    streak = r.bid === r.tricks ? streak + 1 : 0;
+    longestExactStreak = Math.max(longestExactStreak, streak);
+  });
+
+  let tendency = null;
+  if (missedRounds.length > 0) {
+    tendency = overbids > underbids ? 'over' : underbids > overbids ? 'under' : 'even';
+  }
+
+  return {
+    roundsPlayed: rounds.length,
+    exactBids: exactRounds.length,
+    exactBidRate: rounds.length > 0 ? exactRounds.length / rounds.length : null,
+    zeroBids: zeroBidRounds.length,
+    zeroBidSuccesses: zeroBidRounds.filter(r => r.tricks === 0).length,
+    zeroBidRate: zeroBidRounds.length > 0
+      ? zeroBidRounds.filter(r => r.tricks === 0).length / zeroBidRounds.length
+      : null,
+    averageMiss: missedRounds.length > 0
+      ? missedRounds.reduce((sum, r) => sum + Math.abs(r.bid - r.tricks), 0) / missedRounds.length
+      : null,
+    overbids,
+    underbids,
+    tendency,
+    bestRound,
+    worstRound,
+    longestExactStreak,
+    bonusPoints: rounds.reduce((sum, r) => sum + (r.bonusPoints || 0), 0)
+  };
+}
+
+/**
+ * Collect a player's rounds from the app's round history
+ * @param {Array} gameHistory - Rounds of { round, data: [{ name, bid, tricks }] }
+ * @param {Object} player - Player with name and roundScores [{ round, score }]
+ * @returns {Array} Array of { round, bid, tricks, score, bonusPoints }
+ */
+function collectHistoryRounds(gameHistory, player) {
+  return gameHistory
+    .map(roundHistory => {
+      const playerData = roundHistory.data.find(pd => pd.name === player.name);
+      if (!playerData) return null;
+
+      const roundScore = player.roundScores.find(rs => rs.round === roundHistory.round);
+      return {
+        round: roundHistory.round,
+        bid: playerData.bid,
+        tricks: playerData.tricks,
+        score: roundScore ? roundScore.score : 0,
+        bonusPoints: roundScore && roundScore.bonusPoints ? roundScore.bonusPoints : 0
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Rank players as bidders: best exact-bid rate first, then smallest average miss
+ * @param {Array} playerStats - Array of { name, stats } from calculatePlayerStats
+ * @returns {Array} Array of { name, stats, rank, isBestBidder } sorted by rank
+ */
+function rankBidders(playerStats) {
+  const rate = entry => (entry.stats.exactBidRate === null ? -1 : entry.stats.exactBidRate);
+  const miss = entry => (entry.stats.averageMiss === null ? 0 : entry.stats.averageMiss);
+  const sorted = [...playerStats].sort((a, b) => rate(b) - rate(a) || miss(a) - miss(b));
+
+  let currentRank = 1;
+  return sorted.map((entry, index) => {
+    if (index > 0 && (rate(entry) !== rate(sorted[index - 1]) || miss(entry) !== miss(sorted[index - 1]))) {
+      currentRank = index + 1;
+    }
+    return {
+      ...entry,
+      rank: currentRank,
+      isBestBidder: currentRank === 1 && entry.stats.roundsPlayed > 0
+    };
+  });
+}
+
+/**
+ * Format a 0-1 rate as a percentage for display
+ * @param {number|null} rate - Rate to format
+ * @returns {string} Percentage such as "67%", or "–" when there is no rate
+ */
+function formatRate(rate) {
+  return rate === null ? '–' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Format a best or worst round for display
+ * @param {Object|null} round - { round, score }
+ * @returns {string} Score and round such as "40 (R3)", or "–" when there is none
+ */
+function formatRoundScore(round) {
+  return round ? `${round.score} (R${round.round})` : '–';
+}
+
+/**
+ * Format a player's statistics as the nine cells of a stats table row
+ * @param {Object} ranking - { name, stats, isBestBidder } from rankBidders
+ * @returns {string} HTML table cells, with the player's name escaped
+ */
+function formatStatsRow({ name, stats, isBestBidder }) {
+  return `
+    <td class="player-name">${isBestBidder ? '🎯 ' : ''}${Html.escapeHtml(name)}</td>
+    <td class="exact-rate">${formatRate(stats.exactBidRate)} (${stats.exactBids}/${stats.roundsPlayed})</td>
+    <td class="zero-rate">${formatRate(stats.zeroBidRate)} (${stats.zeroBidSuccesses}/${stats.zeroBids})</td>
+    <td class="average-miss">${stats.averageMiss === null ? '–' : stats.averageMiss.toFixed(1)}</td>
+    <td class="tendency">${stats.tendency ? TENDENCY_LABELS[stats.tendency] : '–'}</td>
+    <td class="best-round">${formatRoundScore(stats.bestRound)}</td>
+    <td class="worst-round">${formatRoundScore(stats.worstRound)}</td>
+    <td class="exact-streak">${stats.longestExactStreak}</td>
+    <td class="bonus-points">${stats.bonusPoints}</td>
+  `;
+}
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    calculatePlayerStats,
+    collectHistoryRounds,
+    rankBidders,
+    formatRate,
+    formatStatsRow
+  };
+} else {
+  // Browser environment
+  window.PlayerStats = {
+    calculatePlayerStats,
+    collectHistoryRounds,
+    rankBidders,
+    formatRate,
+    formatStatsRow
+  };
+}
@@ -0,0 +1,180 @@
+// Phone bidding screen for local-network games: join with a room code, bid in secret
+class RemoteBidding {
+    constructor(createSocket = () => new WebSocket(`ws://${window.location.host}`)) {
+        this.createSocket = createSocket;
+        this.socket = null;
+        this.roomCode = null;
+        this.playerName = null;
+        this.round = null;
+        this.init();
+    }
+
+    init() {
+        document.getElementById('join-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.join(
+                document.getElementById('room-code').value,
+                document.getElementById('player-name').value
+            );
+        });
+
+        document.getElementById('remote-bid-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitBid(document.getElementById('remote-bid').value);
+        });
+    }
+
+    join(roomCode, playerName) {
+        const code = roomCode.trim().toUpperCase();
+        const name = playerName.trim();
+        if (!code || !name) {
+            this.showError('Enter the room code and your name');
+            return;
+        }
+
+        this.showError('');
+        this.socket = this.createSocket();
+        this.socket.onmessage = (event) => this.handleMessage(JSON.parse(event.data));
+        this.socket.onclose = () => this.showError('Disconnected from the game');
+
+        const sendJoin = () => this.send({ type: 'join', code, name });
+        if (this.socket.readyState === 1) {
+            sendJoin();
+        } else {
+            this.socket.onopen = sendJoin;
+        }
+    }
+
+    submitBid(value) {
+        const bid = parseInt(value);
+        if (!this.round || isNaN(bid) || bid < 0 || bid > this.round.cardsDealt) {
+            this.showError(`Bid must be a number from 0 to ${this.round ? this.round.cardsDealt : 0}`);
+            return;
+        }
+
+        this.showError('');
+        this.send({ type: 'submit-bid', bid });
+    }
+
+    send(message) {
+        this.socket.send(JSON.stringify(message));
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.roomCode = message.code;
+                this.playerName = message.name;
+                this.showBidPanel();
+                this.showRound(message.round);
+                break;
+            case 'round-started':
+                this.showRound(message.round);
+                break;
+            case 'bid-status':
+                this.showProgress(message.submitted, message.total);
+                break;
+            case 'bids-revealed':
+                this.showRevealedBids(message.bids);
+                break;
+            case 'scores':
+                this.showStandings(message.standings);
+                break;
+            case 'room-closed':
+                this.showError('The host ended the game');
+                break;
+            case 'error':
+                this.showError(message.message);
+                break;
+            default:
+                break;
+        }
+    }
+
+    showBidPanel() {
+        document.getElementById('join-form').style.display = 'none';
+        document.getElementById('bid-panel').style.display = 'block';
+        document.getElementById('player-label').textContent = this.playerName;
+        document.getElementById('room-label').textContent = this.roomCode;
+    }
+
+    showRound(round) {
+        this.round = round;
+        document.getElementById('revealed-bids').innerHTML = '';
+        document.getElementById('bid-progress').textContent = '';
+
+        if (!round) {
+            document.getElementById('waiting-message').style.display = 'block';
+            document.getElementById('remote-bid-form').style.display = 'none';
+            return;
+        }
+
+        document.getElementById('round-number').textContent = round.round;
+        document.getElementById('available-hands').textContent = round.cardsDealt;
+
+        const bidInput = document.getElementById('remote-bid');
+        bidInput.max = round.cardsDealt;
+        bidInput.value = round.myBid !== null ? round.myBid : 0;
+
+        const hasBid = round.myBid !== null;
+        document.getElementById('waiting-message').style.display = 'none';
+        document.getElementById('remote-bid-form').style.display = hasBid ? 'none' : 'block';
+
+        if (round.bids) {
+            this.showRevealedBids(round.bids);
+        } else if (hasBid) {
+            this.showProgress(round.submitted);
+        }
+    }
+
+    showProgress(submitted, total) {
+        if (submitted.includes(this.playerName)) {
+            document.getElementById('remote-bid-form').style.display = 'none';
+        }
+
+        const count = total ? `${submitted.length} of ${total}` : `${submitted.length}`;
+        document.getElementById('bid-progress').textContent = `Bids in: ${count}. Waiting for everyone...`;
+    }
+
+    showRevealedBids(bids) {
+        document.getElementById('remote-bid-form').style.display = 'none';
+        document.getElementById('bid-progress').textContent = 'Yo-ho-ho! All bids are in:';
+
+        const list = document.createElement('ul');
+        Object.entries(bids).forEach(([name, bid]) => {
+            const item = document.createElement('li');
+            item.textContent = `${name}: ${bid} ${bid === 1 ? 'hand' : 'hands'}`;
+            list.appendChild(item);
+        });
+
+        const container = document.getElementById('revealed-bids');
+        container.innerHTML = '';
+        container.appendChild(list);
+    }
+
+    showStandings(standings) {
+        const list = document.createElement('ol');
+        standings.forEach(player => {
+            const item = document.createElement('li');
+            item.textContent = `${player.name}: ${player.totalScore}`;
+            list.appendChild(item);
+        });
+
+        const container = document.getElementById('remote-standings');
+        container.innerHTML = '<h3>Standings</h3>';
+        container.appendChild(list);
+    }
+
+    showError(message) {
+        document.getElementById('remote-error').textContent = message;
+    }
+}
+
+// Export for tests; start the page in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RemoteBidding;
+} else {
+    document.addEventListener('DOMContentLoaded', () => {
+        new RemoteBidding();
+    });
+}
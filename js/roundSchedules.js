@@ -0,0 +1,174 @@
+/**
+ * Round schedules for Skull King
+ * Each schedule lists the cards dealt in every round; its length is the number of rounds
+ */
+
+const DEFAULT_ROUND_SCHEDULE_ID = 'standard';
+const WIZARD_SCHEDULE_ID = 'wizard';
+const WIZARD_DECK_SIZE = 60;
+
+const roundScheduleRegistry = {};
+
+/**
+ * Build a schedule that deals the same number of cards every round
+ * @param {number} rounds - Number of rounds
+ * @param {number} cards - Cards dealt each round
+ * @returns {Array<number>} Cards dealt per round
+ */
+function repeatCards(rounds, cards) {
+  return Array.from({ length: rounds }, () => cards);
+}
+
+/**
+ * Build a schedule that counts from one card total to another
+ * @param {number} from - Cards dealt in the first round
+ * @param {number} to - Cards dealt in the last round
+ * @returns {Array<number>} Cards dealt per round
+ */
+function countCards(from, to) {
+  const step = from <= to ? 1 : -1;
+  return Array.from({ length: Math.abs(to - from) + 1 }, (_, i) => from + i * step);
+}
+
+const officialRoundSchedules = [
+  { id: 'standard', name: 'Standard', cardsPerRound: countCards(1, 10) },
+  { id: 'even-keeled', name: 'Even Keeled', cardsPerRound: [2, 4, 6, 8, 10] },
+  { id: 'skip-to-the-brawl', name: 'Skip to the Brawl', cardsPerRound: countCards(6, 10) },
+  { id: 'swift-n-salty', name: "Swift 'n Salty", cardsPerRound: repeatCards(5, 5) },
+  { id: 'broadside', name: 'Broadside', cardsPerRound: repeatCards(10, 10) },
+  { id: 'whirlpool', name: 'Whirlpool', cardsPerRound: countCards(10, 1) },
+  { id: 'bedtime', name: 'Bedtime', cardsPerRound: [1] }
+];
+
+/**
+ * Register a round schedule so games can select it by id
+ * @param {Object} schedule - Schedule with id, name and cardsPerRound
+ * @returns {Object} The registered schedule
+ */
+function registerRoundSchedule(schedule) {
+  if (!schedule || typeof schedule.id !== 'string' || schedule.id.trim() === '') {
+    throw new Error('Round schedule must have a non-empty id');
+  }
+
+  if (typeof schedule.name !== 'string' || schedule.name.trim() === '') {
+    throw new Error(`Round schedule ${schedule.id} must have a name`);
+  }
+
+  const { cardsPerRound } = schedule;
+  if (!Array.isArray(cardsPerRound) || cardsPerRound.length === 0 ||
+      !cardsPerRound.every(cards => Number.isInteger(cards) && cards > 0)) {
+    throw new Error(`Round schedule ${schedule.id} must deal a positive whole number of cards every round`);
+  }
+
+  roundScheduleRegistry[schedule.id] = {
+    id: schedule.id,
+    name: schedule.name,
+    cardsPerRound: [...cardsPerRound]
+  };
+  return roundScheduleRegistry[schedule.id];
+}
+
+/**
+ * Look up a registered round schedule
+ * @param {string} scheduleId - Schedule id (defaults to the standard 1-10 schedule)
+ * @returns {Object} The schedule
+ */
+function getRoundSchedule(scheduleId = DEFAULT_ROUND_SCHEDULE_ID) {
+  const schedule = roundScheduleRegistry[scheduleId];
+  if (!schedule) {
+    throw new Error(`Unknown round schedule: ${scheduleId}`);
+  }
+  return schedule;
+}
+
+/**
+ * List the registered round schedules for selection menus
+ * @returns {Array} Array of { id, name, totalRounds } objects
+ */
+function listRoundSchedules() {
+  return Object.values(roundScheduleRegistry).map(schedule => ({
+    id: schedule.id,
+    name: schedule.name,
+    totalRounds: schedule.cardsPerRound.length
+  }));
+}
+
+/**
+ * Build the Wizard schedule: round N deals N cards until the 60-card deck runs out
+ * @param {number} playerCount - Number of players (3 to 6)
+ * @returns {Object} Schedule with id, name and cardsPerRound
+ */
+function createWizardSchedule(playerCount) {
+  if (!Number.isInteger(playerCount) || playerCount < 3 || playerCount > 6) {
+    throw new Error('Wizard is played with 3 to 6 players');
+  }
+
+  return {
+    id: WIZARD_SCHEDULE_ID,
+    name: 'Wizard',
+    cardsPerRound: countCards(1, Math.floor(WIZARD_DECK_SIZE / playerCount))
+  };
+}
+
+/**
+ * Look up a schedule, building it from the player count when the schedule depends on it
+ * @param {string} scheduleId - Schedule id (a registered schedule or 'wizard')
+ * @param {number} playerCount - Number of players
+ * @returns {Object} The schedule
+ */
+function getScheduleForPlayers(scheduleId = DEFAULT_ROUND_SCHEDULE_ID, playerCount) {
+  if (scheduleId === WIZARD_SCHEDULE_ID) {
+    return createWizardSchedule(playerCount);
+  }
+  return getRoundSchedule(scheduleId);
+}
+
+/**
+ * Get the number of rounds in a schedule
+ * @param {string} scheduleId - Schedule id
+ * @returns {number} Number of rounds
+ */
+function getTotalRounds(scheduleId = DEFAULT_ROUND_SCHEDULE_ID) {
+  return getRoundSchedule(scheduleId).cardsPerRound.length;
+}
+
+/**
+ * Get the cards dealt in a round of a schedule
+ * @param {number} round - Round number (1-based)
+ * @param {string} scheduleId - Schedule id
+ * @returns {number} Cards dealt, or 0 if the round is outside the schedule
+ */
+function getCardsForRound(round, scheduleId = DEFAULT_ROUND_SCHEDULE_ID) {
+  return getRoundSchedule(scheduleId).cardsPerRound[round - 1] || 0;
+}
+
+officialRoundSchedules.forEach(registerRoundSchedule);
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    DEFAULT_ROUND_SCHEDULE_ID,
+    WIZARD_SCHEDULE_ID,
+    registerRoundSchedule,
+    getRoundSchedule,
+    createWizardSchedule,
+    getScheduleForPlayers,
+    listRoundSchedules,
+    getTotalRounds,
+    getCardsForRound
+  };
+} else {
+  // Browser environment
+  window.RoundSchedules = {
+    DEFAULT_ROUND_SCHEDULE_ID,
+    WIZARD_SCHEDULE_ID,
+    registerRoundSchedule,
+    getRoundSchedule,
+    createWizardSchedule,
+    getScheduleForPlayers,
+    listRoundSchedules,
+    getTotalRounds,
+    getCardsForRound
+  };
+}
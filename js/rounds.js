@@ -1,27 +1,97 @@
+import RoundSchedules from './roundSchedules.js';
+import Seating from './seating.js';
+import GameLength from './gameLength.js';
+
 /**
  * RoundManager class for managing round state and progression logic
- * Handles rounds 1-10 where round N allows N maximum hands
+ * Follows a named round schedule (standard: rounds 1-10 where round N deals N cards).
+ * The Wizard schedule is sized from the player count (60 cards / players rounds).
+ * A game length can cut the schedule short (a fixed round count) or run past its
+ * end (a target score or time limit), dealing the schedule again from the start.
  */
 class RoundManager {
-    constructor() {
+    /**
+     * @param {string} scheduleId - Round schedule to follow (defaults to standard)
+     * @param {number|null} playerCount - Number of players, if already known
+     */
+    constructor(scheduleId = RoundSchedules.DEFAULT_ROUND_SCHEDULE_ID, playerCount = null) {
+        this.scheduleId = scheduleId;
+        this.playerCount = playerCount;
+        this.schedule = this._buildSchedule();
         this.currentRound = 1;
         this.completedHands = 0;
+        // Player names in seating order and the seat that deals round 1
+        this.seatOrder = [];
+        this.firstDealerSeat = 0;
+        // Game length from js/gameLength.js; null plays the schedule once
+        this.endCondition = null;
+    }
+
+    /**
+     * Build the schedule for the current id and player count
+     * @private
+     * @returns {Object|null} Schedule, or null while a player-count schedule waits for the players
+     */
+    _buildSchedule() {
+        if (this.scheduleId === RoundSchedules.WIZARD_SCHEDULE_ID && this.playerCount === null) {
+            return null;
+        }
+        return RoundSchedules.getScheduleForPlayers(this.scheduleId, this.playerCount);
     }
 
     /**
      * Get the current round number
-     * @returns {number} Current round (1-10)
+     * @returns {number} Current round (1 to total rounds)
      */
     getCurrentRound() {
         return this.currentRound;
     }
 
+    /**
+     * Get the round schedule being followed
+     * @returns {Object|null} Schedule with id, name and cardsPerRound (null until a Wizard game knows its players)
+     */
+    getSchedule() {
+        return this.schedule;
+    }
+
+    /**
+     * Get number of rounds in the game
+     * @returns {number} Total rounds (Infinity when played to a target score or time limit)
+     */
+    getTotalRounds() {
+        return this._totalRoundsFor(this.schedule);
+    }
+
+    /**
+     * Count the rounds a schedule gives under the game length
+     * @private
+     * @param {Object|null} schedule - Round schedule
+     * @returns {number} Total rounds
+     */
+    _totalRoundsFor(schedule) {
+        if (!schedule) {
+            return 0;
+        }
+        if (!this.endCondition) {
+            return schedule.cardsPerRound.length;
+        }
+        if (this.endCondition.mode === GameLength.ROUNDS) {
+            return Math.min(this.endCondition.rounds, schedule.cardsPerRound.length);
+        }
+        return Infinity;
+    }
+
     /**
      * Get maximum hands allowed for current round
-     * @returns {number} Max hands (equals current round number)
+     * @returns {number} Max hands (cards dealt this round)
      */
     getMaxHands() {
-        return this.currentRound;
+        if (!this.schedule) {
+            return 0;
+        }
+        const { cardsPerRound } = this.schedule;
+        return cardsPerRound[(this.currentRound - 1) % cardsPerRound.length];
     }
 
     /**
@@ -45,7 +115,7 @@ class RoundManager {
      * @returns {boolean} True if successfully advanced, false if at max round
      */
     advanceRound() {
-        if (this.currentRound >= 10) {
+        if (this.currentRound >= this.getTotalRounds()) {
             return false; // Already at maximum round
         }
         
@@ -82,15 +152,141 @@ class RoundManager {
         this.completedHands = 0;
     }
 
+    /**
+     * Start a new game part-way through, e.g. to carry on a game begun on paper
+     * @param {number} round - Round to play next (1 to total rounds)
+     * @param {number|null} playerCount - Number of players
+     */
+    resumeAt(round, playerCount = this.playerCount) {
+        const schedule = RoundSchedules.getScheduleForPlayers(this.scheduleId, playerCount);
+        if (!Number.isInteger(round) || round < 1 || round > this._totalRoundsFor(schedule)) {
+            throw new Error(`Invalid round: ${round}`);
+        }
+
+        this.schedule = schedule;
+        this.playerCount = playerCount;
+        this.currentRound = round;
+        this.completedHands = 0;
+    }
+
+    /**
+     * Switch to a different round schedule (only before play has started)
+     * @param {string} scheduleId - Round schedule to follow
+     */
+    setSchedule(scheduleId) {
+        if (this.currentRound > 1 || this.completedHands > 0) {
+            throw new Error('Cannot change round schedule after play has started');
+        }
+
+        const previousId = this.scheduleId;
+        this.scheduleId = scheduleId;
+        try {
+            this.schedule = this._buildSchedule();
+        } catch (error) {
+            this.scheduleId = previousId;
+            throw error;
+        }
+    }
+
+    /**
+     * Set how long the game lasts
+     * A fixed round count can shorten the schedule but not lengthen it.
+     * @param {Object|null} condition - End condition from js/gameLength.js, or null to play the schedule once
+     */
+    setEndCondition(condition) {
+        const endCondition = condition === null ? null : GameLength.createEndCondition(condition);
+        if (endCondition && endCondition.mode === GameLength.ROUNDS) {
+            if (this.schedule && endCondition.rounds > this.schedule.cardsPerRound.length) {
+                throw new Error(`The ${this.schedule.name} schedule only has ${this.schedule.cardsPerRound.length} rounds`);
+            }
+            if (endCondition.rounds < this.currentRound) {
+                throw new Error(`Round ${this.currentRound} is already under way`);
+            }
+        }
+
+        this.endCondition = endCondition;
+    }
+
+    /**
+     * Set the number of players (only before play has started)
+     * Schedules that depend on the player count, such as Wizard, are rebuilt
+     * @param {number} playerCount - Number of players
+     */
+    setPlayerCount(playerCount) {
+        if (this.currentRound > 1 || this.completedHands > 0) {
+            throw new Error('Cannot change the player count after play has started');
+        }
+
+        this.schedule = RoundSchedules.getScheduleForPlayers(this.scheduleId, playerCount);
+        this.playerCount = playerCount;
+    }
+
+    /**
+     * Get the number of players the schedule was sized for
+     * @returns {number|null} Player count, or null if not set
+     */
+    getPlayerCount() {
+        return this.playerCount;
+    }
+
+    /**
+     * Set the seating order and first dealer (only before play has started)
+     * @param {Array<string>} seatOrder - Player names in seating order
+     * @param {number} firstDealerSeat - Seat that deals round 1
+     */
+    setSeating(seatOrder, firstDealerSeat = 0) {
+        if (this.currentRound > 1 || this.completedHands > 0) {
+            throw new Error('Cannot change seating after play has started');
+        }
+
+        const validation = Seating.validateSeating(seatOrder, seatOrder, firstDealerSeat);
+        if (!validation.isValid) {
+            throw new Error(`Invalid seating: ${validation.errors.join(', ')}`);
+        }
+
+        this.seatOrder = [...seatOrder];
+        this.firstDealerSeat = firstDealerSeat;
+    }
+
+    /**
+     * Get who deals and who leads a round
+     * @param {number} round - Round number (defaults to the current round)
+     * @returns {Object|null} { dealer, lead, dealerSeat, leadSeat }, or null without seating
+     */
+    getRoundSeating(round = this.currentRound) {
+        if (this.seatOrder.length === 0) {
+            return null;
+        }
+        return Seating.getRoundSeating(this.seatOrder, round, this.firstDealerSeat);
+    }
+
+    /**
+     * Get the dealer of the current round
+     * @returns {string|null} Dealer's name, or null without seating
+     */
+    getDealer() {
+        const seating = this.getRoundSeating();
+        return seating ? seating.dealer : null;
+    }
+
+    /**
+     * Get the player who leads the current round (the dealer's left)
+     * @returns {string|null} Lead player's name, or null without seating
+     */
+    getLeadPlayer() {
+        const seating = this.getRoundSeating();
+        return seating ? seating.lead : null;
+    }
+
     /**
      * Validate round bounds
      * @param {number} round - Round number to validate
-     * @returns {boolean} True if valid round (1-10)
+     * @returns {boolean} True if valid round (1 to total rounds)
      */
     isValidRound(round) {
-        return Number.isInteger(round) && round >= 1 && round <= 10;
+        return Number.isInteger(round) && round >= 1 && round <= this.getTotalRounds();
     }
 }
 
 // Export RoundManager class
-export default RoundManager;
\ No newline at end of file
+export default RoundManager;
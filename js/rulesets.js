@@ -0,0 +1,318 @@
+/**
+ * Ruleset registry for the card game
+ * Every score screen looks up its scoring math and explanations here
+ */
+
+const DEFAULT_RULESET_ID = 'skull-king-classic';
+
+const rulesetRegistry = {};
+
+/**
+ * Skull King classic scoring: +20 per trick on an exact bid, -10 per trick off,
+ * and a zero bid worth ±10 × cards dealt
+ */
+const skullKingClassicRuleset = {
+  id: 'skull-king-classic',
+  name: 'Skull King (Classic)',
+
+  calculateScore(bid, tricksTaken, cardsDealt) {
+    if (bid === 0) {
+      return tricksTaken === 0 ? 10 * cardsDealt : -10 * cardsDealt;
+    }
+
+    if (bid === tricksTaken) {
+      return 20 * tricksTaken;
+    }
+
+    return -10 * Math.abs(bid - tricksTaken);
+  },
+
+  getScoringReason(bid, tricksTaken, cardsDealt) {
+    if (bid === 0) {
+      if (tricksTaken === 0) {
+        return `Zero bid success: +10 × ${cardsDealt} cards = +${10 * cardsDealt}`;
+      }
+      return `Zero bid failure: -10 × ${cardsDealt} cards = -${10 * cardsDealt}`;
+    }
+
+    if (bid === tricksTaken) {
+      return `Correct bid: +20 × ${tricksTaken} tricks = +${20 * tricksTaken}`;
+    }
+
+    const difference = Math.abs(bid - tricksTaken);
+    return `Incorrect bid: -10 × ${difference} difference = -${10 * difference}`;
+  }
+};
+
+/**
+ * Skull King Rascal scoring: each player wagers along with their bid.
+ * Grapeshot pays a potential of 10 × cards dealt in full on an exact bid, half
+ * when one off, and nothing otherwise. Cannonball is all-or-nothing: 15 × cards
+ * dealt on an exact bid, nothing otherwise.
+ */
+const skullKingRascalRuleset = {
+  id: 'skull-king-rascal',
+  name: 'Skull King (Rascal)',
+  wagers: [
+    { id: 'grapeshot', name: 'Grapeshot' },
+    { id: 'cannonball', name: 'Cannonball' }
+  ],
+  defaultWager: 'grapeshot',
+
+  calculateScore(bid, tricksTaken, cardsDealt, options = {}) {
+    const difference = Math.abs(bid - tricksTaken);
+
+    if (resolveWager(this, options.wager) === 'cannonball') {
+      return difference === 0 ? 15 * cardsDealt : 0;
+    }
+
+    const potential = 10 * cardsDealt;
+    if (difference === 0) {
+      return potential;
+    }
+
+    return difference === 1 ? potential / 2 : 0;
+  },
+
+  getScoringReason(bid, tricksTaken, cardsDealt, options = {}) {
+    const difference = Math.abs(bid - tricksTaken);
+
+    if (resolveWager(this, options.wager) === 'cannonball') {
+      if (difference === 0) {
+        return `Cannonball direct hit: +15 × ${cardsDealt} cards = +${15 * cardsDealt}`;
+      }
+      return `Cannonball miss (${difference} off): +0`;
+    }
+
+    const potential = 10 * cardsDealt;
+    if (difference === 0) {
+      return `Grapeshot direct hit: +10 × ${cardsDealt} cards = +${potential}`;
+    }
+
+    if (difference === 1) {
+      return `Grapeshot glancing blow (1 off): half of ${potential} = +${potential / 2}`;
+    }
+
+    return `Grapeshot complete miss (${difference} off): +0`;
+  }
+};
+
+/**
+ * Oh Hell scoring: 10 + tricks on an exact bid, otherwise 1 point per trick
+ */
+const ohHellRuleset = {
+  id: 'oh-hell',
+  name: 'Oh Hell',
+
+  calculateScore(bid, tricksTaken) {
+    return bid === tricksTaken ? 10 + tricksTaken : tricksTaken;
+  },
+
+  getScoringReason(bid, tricksTaken) {
+    if (bid === tricksTaken) {
+      return `Made bid: 10 + ${tricksTaken} tricks = +${10 + tricksTaken}`;
+    }
+    return `Missed bid: 1 × ${tricksTaken} tricks = +${tricksTaken}`;
+  }
+};
+
+/**
+ * Wizard scoring: 20 + 10 per trick on an exact bid, -10 per trick off
+ */
+const wizardRuleset = {
+  id: 'wizard',
+  name: 'Wizard',
+
+  calculateScore(bid, tricksTaken) {
+    if (bid === tricksTaken) {
+      return 20 + 10 * tricksTaken;
+    }
+    return -10 * Math.abs(bid - tricksTaken);
+  },
+
+  getScoringReason(bid, tricksTaken) {
+    if (bid === tricksTaken) {
+      return `Correct bid: 20 + 10 × ${tricksTaken} tricks = +${20 + 10 * tricksTaken}`;
+    }
+
+    const difference = Math.abs(bid - tricksTaken);
+    return `Incorrect bid: -10 × ${difference} difference = -${10 * difference}`;
+  }
+};
+
+/**
+ * Spades scoring: 10 per bid trick plus 1 per overtrick when the bid is made,
+ * -10 per bid trick when set, ±100 for a nil bid and ±200 for a blind nil.
+ * Partnership games score teams with js/spades.js.
+ */
+const spadesRuleset = {
+  id: 'spades',
+  name: 'Spades',
+
+  calculateScore(bid, tricksTaken, cardsDealt, options = {}) {
+    if (bid === 0) {
+      const points = options.blindNil ? 200 : 100;
+      return tricksTaken === 0 ? points : -points;
+    }
+
+    if (tricksTaken >= bid) {
+      return 10 * bid + (tricksTaken - bid);
+    }
+
+    return -10 * bid;
+  },
+
+  getScoringReason(bid, tricksTaken, cardsDealt, options = {}) {
+    if (bid === 0) {
+      if (options.blindNil) {
+        return tricksTaken === 0 ? 'Blind nil made: +200' : 'Blind nil failed: -200';
+      }
+      return tricksTaken === 0 ? 'Nil bid made: +100' : 'Nil bid failed: -100';
+    }
+
+    if (tricksTaken >= bid) {
+      const overtricks = tricksTaken - bid;
+      return `Bid made: +10 × ${bid} bid + ${overtricks} overtricks = +${10 * bid + overtricks}`;
+    }
+
+    return `Set: -10 × ${bid} bid = -${10 * bid}`;
+  }
+};
+
+/**
+ * Resolve a player's wager against a ruleset's wager levels
+ * @param {Object} ruleset - Ruleset offering wagers
+ * @param {string} wager - Wager id chosen with the bid (optional)
+ * @returns {string} Wager id (the ruleset default when none was chosen)
+ */
+function resolveWager(ruleset, wager) {
+  if (wager === undefined || wager === null || wager === '') {
+    return ruleset.defaultWager;
+  }
+
+  if (!ruleset.wagers.some(w => w.id === wager)) {
+    throw new Error(`Unknown wager for ${ruleset.name}: ${wager}`);
+  }
+
+  return wager;
+}
+
+/**
+ * Get the wager levels a ruleset offers alongside bids
+ * @param {string} rulesetId - Ruleset id
+ * @returns {Array} Array of { id, name } wagers (empty if the ruleset has none)
+ */
+function getWagers(rulesetId = DEFAULT_RULESET_ID) {
+  const ruleset = getRuleset(rulesetId);
+  return Array.isArray(ruleset.wagers) ? ruleset.wagers.map(wager => ({ ...wager })) : [];
+}
+
+/**
+ * Register a ruleset so games can select it by id
+ * @param {Object} ruleset - Ruleset with id, name, calculateScore and getScoringReason
+ * @returns {Object} The registered ruleset
+ */
+function registerRuleset(ruleset) {
+  if (!ruleset || typeof ruleset.id !== 'string' || ruleset.id.trim() === '') {
+    throw new Error('Ruleset must have a non-empty id');
+  }
+
+  if (typeof ruleset.name !== 'string' || ruleset.name.trim() === '') {
+    throw new Error(`Ruleset ${ruleset.id} must have a name`);
+  }
+
+  if (typeof ruleset.calculateScore !== 'function' || typeof ruleset.getScoringReason !== 'function') {
+    throw new Error(`Ruleset ${ruleset.id} must implement calculateScore and getScoringReason`);
+  }
+
+  rulesetRegistry[ruleset.id] = ruleset;
+  return ruleset;
+}
+
+/**
+ * Look up a registered ruleset
+ * @param {string} rulesetId - Ruleset id (defaults to Skull King classic)
+ * @returns {Object} The ruleset
+ */
+function getRuleset(rulesetId = DEFAULT_RULESET_ID) {
+  const ruleset = rulesetRegistry[rulesetId];
+  if (!ruleset) {
+    throw new Error(`Unknown ruleset: ${rulesetId}`);
+  }
+  return ruleset;
+}
+
+/**
+ * Check whether a ruleset id is registered
+ * @param {string} rulesetId - Ruleset id
+ * @returns {boolean} True if registered
+ */
+function hasRuleset(rulesetId) {
+  return Object.prototype.hasOwnProperty.call(rulesetRegistry, rulesetId);
+}
+
+/**
+ * List the registered rulesets for selection menus
+ * @returns {Array} Array of { id, name } objects
+ */
+function listRulesets() {
+  return Object.values(rulesetRegistry).map(ruleset => ({
+    id: ruleset.id,
+    name: ruleset.name
+  }));
+}
+
+/**
+ * Calculate a player's round score under a ruleset
+ * @param {number} bid - The number of tricks the player bid
+ * @param {number} tricksTaken - The actual number of tricks taken
+ * @param {number} cardsDealt - The number of cards dealt this round
+ * @param {string} rulesetId - Ruleset id
+ * @param {Object} options - Per-player options such as { wager } or { blindNil }
+ * @returns {number} The score for this round
+ */
+function calculateScore(bid, tricksTaken, cardsDealt, rulesetId = DEFAULT_RULESET_ID, options = {}) {
+  return getRuleset(rulesetId).calculateScore(bid, tricksTaken, cardsDealt, options);
+}
+
+/**
+ * Explain a player's round score under a ruleset
+ * @param {number} bid - The number of tricks the player bid
+ * @param {number} tricksTaken - The actual number of tricks taken
+ * @param {number} cardsDealt - The number of cards dealt this round
+ * @param {string} rulesetId - Ruleset id
+ * @param {Object} options - Per-player options such as { wager } or { blindNil }
+ * @returns {string} Explanation of scoring
+ */
+function getScoringReason(bid, tricksTaken, cardsDealt, rulesetId = DEFAULT_RULESET_ID, options = {}) {
+  return getRuleset(rulesetId).getScoringReason(bid, tricksTaken, cardsDealt, options);
+}
+
+[skullKingClassicRuleset, skullKingRascalRuleset, ohHellRuleset, wizardRuleset, spadesRuleset].forEach(registerRuleset);
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    DEFAULT_RULESET_ID,
+    registerRuleset,
+    getRuleset,
+    hasRuleset,
+    listRulesets,
+    getWagers,
+    calculateScore,
+    getScoringReason
+  };
+} else {
+  // Browser environment
+  window.Rulesets = {
+    DEFAULT_RULESET_ID,
+    registerRuleset,
+    getRuleset,
+    hasRuleset,
+    listRulesets,
+    getWagers,
+    calculateScore,
+    getScoringReason
+  };
+}
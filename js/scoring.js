@@ -3,14 +3,21 @@
  * Handles score calculation and player score updates
  */
 
+// Scoring math lives in the shared ruleset registry (js/rulesets.js)
+const Rulesets = (typeof module !== 'undefined' && module.exports)
+  ? require('./rulesets.js')
+  : window.Rulesets;
+
 /**
  * Calculate the score for a single round based on bid and tricks taken
  * @param {number} bid - The number of tricks the player bid
  * @param {number} tricksTaken - The actual number of tricks taken
  * @param {number} cardsDealt - The number of cards dealt this round
+ * @param {string} rulesetId - Ruleset to score with (defaults to Skull King classic)
+ * @param {Object} options - Per-player options such as { wager } for Rascal
  * @returns {number} The score for this round
  */
-function calculateRoundScore(bid, tricksTaken, cardsDealt) {
+function calculateRoundScore(bid, tricksTaken, cardsDealt, rulesetId = Rulesets.DEFAULT_RULESET_ID, options = {}) {
   // Input validation
   if (typeof bid !== 'number' || typeof tricksTaken !== 'number' || typeof cardsDealt !== 'number') {
     throw new Error('All parameters must be numbers');
@@ -24,26 +31,7 @@ function calculateRoundScore(bid, tricksTaken, cardsDealt) {
     throw new Error('Bid and tricks taken cannot exceed cards dealt');
   }
   
-  // Special case: zero bid
-  if (bid === 0) {
-    if (tricksTaken === 0) {
-      // Successful zero bid: +10 × cards dealt
-      return 10 * cardsDealt;
-    } else {
-      // Failed zero bid: -10 × cards dealt
-      return -10 * cardsDealt;
-    }
-  }
-  
-  // Regular bidding
-  if (bid === tricksTaken) {
-    // Correct bid: +20 per trick taken
-    return 20 * tricksTaken;
-  } else {
-    // Incorrect bid: -10 per trick off
-    const tricksOff = Math.abs(bid - tricksTaken);
-    return -10 * tricksOff;
-  }
+  return Rulesets.calculateScore(bid, tricksTaken, cardsDealt, rulesetId, options);
 }
 
 /**
@@ -0,0 +1,136 @@
+/**
+ * Seating order and dealer rotation
+ * Players sit in a fixed order. The deal passes one seat to the left each round
+ * and the player to the dealer's left bids first and leads the first trick.
+ */
+
+/**
+ * Get the seat of the dealer in a round
+ * @param {number} round - Round number (1-based)
+ * @param {number} playerCount - Number of players
+ * @param {number} firstDealerSeat - Seat that dealt round 1
+ * @returns {number} Dealer's seat index
+ */
+function getDealerSeat(round, playerCount, firstDealerSeat = 0) {
+  return (firstDealerSeat + round - 1) % playerCount;
+}
+
+/**
+ * Get the seat of the player who leads in a round (the dealer's left)
+ * @param {number} round - Round number (1-based)
+ * @param {number} playerCount - Number of players
+ * @param {number} firstDealerSeat - Seat that dealt round 1
+ * @returns {number} Lead player's seat index
+ */
+function getLeadSeat(round, playerCount, firstDealerSeat = 0) {
+  return (getDealerSeat(round, playerCount, firstDealerSeat) + 1) % playerCount;
+}
+
+/**
+ * Get who deals and who leads in a round
+ * @param {Array<string>} seatOrder - Player names in seating order
+ * @param {number} round - Round number (1-based)
+ * @param {number} firstDealerSeat - Seat that dealt round 1
+ * @returns {Object} { dealer, lead, dealerSeat, leadSeat }
+ */
+function getRoundSeating(seatOrder, round, firstDealerSeat = 0) {
+  const dealerSeat = getDealerSeat(round, seatOrder.length, firstDealerSeat);
+  const leadSeat = getLeadSeat(round, seatOrder.length, firstDealerSeat);
+  return {
+    dealer: seatOrder[dealerSeat],
+    lead: seatOrder[leadSeat],
+    dealerSeat,
+    leadSeat
+  };
+}
+
+/**
+ * Move a player to another seat, shifting everyone in between
+ * @param {Array} seatOrder - Players in seating order
+ * @param {number} fromSeat - Seat the player is moving from
+ * @param {number} toSeat - Seat the player is moving to
+ * @returns {Array} New seating order
+ */
+function moveSeat(seatOrder, fromSeat, toSeat) {
+  [fromSeat, toSeat].forEach(seat => {
+    if (!Number.isInteger(seat) || seat < 0 || seat >= seatOrder.length) {
+      throw new Error(`Invalid seat: ${seat}`);
+    }
+  });
+
+  const order = [...seatOrder];
+  const [player] = order.splice(fromSeat, 1);
+  order.splice(toSeat, 0, player);
+  return order;
+}
+
+/**
+ * Pick a random seat to deal the first round
+ * @param {number} playerCount - Number of players
+ * @param {function} random - Random number source returning [0, 1)
+ * @returns {number} Seat index
+ */
+function pickFirstDealerSeat(playerCount, random = Math.random) {
+  return Math.floor(random() * playerCount);
+}
+
+/**
+ * Validate a seating order against the players in a game
+ * @param {Array<string>} seatOrder - Player names in seating order
+ * @param {Array<string>} playerNames - Every player in the game
+ * @param {number} firstDealerSeat - Seat that deals round 1
+ * @returns {Object} Validation result with isValid and errors
+ */
+function validateSeating(seatOrder, playerNames, firstDealerSeat = 0) {
+  const errors = [];
+
+  if (!Array.isArray(seatOrder)) {
+    return { isValid: false, errors: ['Seating order must be an array of player names'] };
+  }
+
+  const seated = new Set();
+  seatOrder.forEach(name => {
+    if (!playerNames.includes(name)) {
+      errors.push(`Unknown player in seating order: ${name}`);
+    } else if (seated.has(name)) {
+      errors.push(`Player is seated more than once: ${name}`);
+    }
+    seated.add(name);
+  });
+
+  playerNames
+    .filter(name => !seated.has(name))
+    .forEach(name => errors.push(`Player has no seat: ${name}`));
+
+  if (!Number.isInteger(firstDealerSeat) || firstDealerSeat < 0 || firstDealerSeat >= seatOrder.length) {
+    errors.push(`Invalid first dealer seat: ${firstDealerSeat}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    getDealerSeat,
+    getLeadSeat,
+    getRoundSeating,
+    moveSeat,
+    pickFirstDealerSeat,
+    validateSeating
+  };
+} else {
+  // Browser environment
+  window.Seating = {
+    getDealerSeat,
+    getLeadSeat,
+    getRoundSeating,
+    moveSeat,
+    pickFirstDealerSeat,
+    validateSeating
+  };
+}
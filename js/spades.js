@@ -0,0 +1,156 @@
+/**
+ * Spades partnership scoring
+ * Partners combine their bids into one team contract. Nil and blind nil bids
+ * are scored on their own, overtricks collect as bags, and every 10 bags costs
+ * the team 100 points.
+ */
+
+const NIL_POINTS = 100;
+const BLIND_NIL_POINTS = 200;
+const BAGS_PER_PENALTY = 10;
+const BAG_PENALTY = 100;
+const DEFAULT_TARGET_SCORE = 500;
+
+/**
+ * Score one team's round
+ * Tricks taken by a nil bidder do not count toward their partner's contract.
+ * Each member's contribution is their nil score or their share of the contract
+ * (±10 × their own bid); bags and bag penalties belong to the team.
+ * @param {Array} members - Array of { name, bid, tricks, blindNil } for each partner
+ * @param {number} bagsBefore - Bags the team carried into this round
+ * @returns {Object} Team result with contract, bags, penalty, score and per-member contributions and reasons
+ */
+function scorePartnershipRound(members, bagsBefore = 0) {
+  if (!Array.isArray(members) || members.length === 0) {
+    throw new Error('A team must have at least one member');
+  }
+
+  members.forEach(member => {
+    if (!Number.isInteger(member.bid) || member.bid < 0 || !Number.isInteger(member.tricks) || member.tricks < 0) {
+      throw new Error(`Bid and tricks must be non-negative whole numbers for player: ${member.name}`);
+    }
+    if (member.blindNil && member.bid !== 0) {
+      throw new Error(`Blind nil must be a bid of 0 for player: ${member.name}`);
+    }
+  });
+
+  const contractors = members.filter(member => member.bid > 0);
+  const contract = contractors.reduce((sum, member) => sum + member.bid, 0);
+  const contractTricks = contractors.reduce((sum, member) => sum + member.tricks, 0);
+  const contractMade = contract > 0 && contractTricks >= contract;
+  const bagPoints = contractMade ? contractTricks - contract : 0;
+
+  const contributions = {};
+  const reasons = {};
+  members.forEach(member => {
+    if (member.bid === 0) {
+      const points = member.blindNil ? BLIND_NIL_POINTS : NIL_POINTS;
+      const label = member.blindNil ? 'Blind nil' : 'Nil';
+      const made = member.tricks === 0;
+      contributions[member.name] = made ? points : -points;
+      reasons[member.name] = made
+        ? `${label} made: +${points}`
+        : `${label} failed (${member.tricks} ${member.tricks === 1 ? 'trick' : 'tricks'}): -${points}`;
+      return;
+    }
+
+    const points = 10 * member.bid;
+    contributions[member.name] = contractMade ? points : -points;
+    reasons[member.name] = contractMade
+      ? `Team bid ${contract} made: +10 × ${member.bid} bid = +${points}`
+      : `Team set (bid ${contract}, took ${contractTricks}): -10 × ${member.bid} bid = -${points}`;
+  });
+
+  // Every 10 bags costs 100 points and those 10 bags are cleared
+  const bagCount = bagsBefore + bagPoints;
+  const penalties = Math.floor(bagCount / BAGS_PER_PENALTY);
+  const bagPenalty = penalties > 0 ? -BAG_PENALTY * penalties : 0;
+  const memberPoints = Object.values(contributions).reduce((sum, points) => sum + points, 0);
+
+  return {
+    contract,
+    contractTricks,
+    contractMade,
+    bagPoints,
+    bagsBefore,
+    totalBags: bagCount - BAGS_PER_PENALTY * penalties,
+    bagPenalty,
+    score: memberPoints + bagPoints + bagPenalty,
+    contributions,
+    reasons
+  };
+}
+
+/**
+ * Validate the partnerships for a game
+ * @param {Array} teams - Array of { name, players } teams
+ * @param {Array<string>} playerNames - Every player in the game
+ * @returns {Object} Validation result with isValid and errors
+ */
+function validateTeams(teams, playerNames) {
+  const errors = [];
+
+  if (!Array.isArray(teams) || teams.length < 2) {
+    return { isValid: false, errors: ['At least two teams are required'] };
+  }
+
+  const seen = new Set();
+  const teamNames = new Set();
+  teams.forEach((team, index) => {
+    if (!team || !Array.isArray(team.players) || team.players.length === 0) {
+      errors.push(`Team ${index + 1} must have at least one player`);
+      return;
+    }
+
+    if (typeof team.name !== 'string' || team.name.trim() === '') {
+      errors.push(`Team ${index + 1} must have a name`);
+    } else if (teamNames.has(team.name)) {
+      errors.push(`Duplicate team name: ${team.name}`);
+    } else {
+      teamNames.add(team.name);
+    }
+
+    team.players.forEach(name => {
+      if (!playerNames.includes(name)) {
+        errors.push(`Unknown player in ${team.name}: ${name}`);
+      } else if (seen.has(name)) {
+        errors.push(`Player is on more than one team: ${name}`);
+      }
+      seen.add(name);
+    });
+  });
+
+  playerNames
+    .filter(name => !seen.has(name))
+    .forEach(name => errors.push(`Player is not on a team: ${name}`));
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    NIL_POINTS,
+    BLIND_NIL_POINTS,
+    BAGS_PER_PENALTY,
+    BAG_PENALTY,
+    DEFAULT_TARGET_SCORE,
+    scorePartnershipRound,
+    validateTeams
+  };
+} else {
+  // Browser environment
+  window.Spades = {
+    NIL_POINTS,
+    BLIND_NIL_POINTS,
+    BAGS_PER_PENALTY,
+    BAG_PENALTY,
+    DEFAULT_TARGET_SCORE,
+    scorePartnershipRound,
+    validateTeams
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * Game storage
+ * Saves game snapshots to IndexedDB, falling back to localStorage when IndexedDB is unavailable
+ */
+
+const DATABASE_NAME = 'skull-king-scores';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'games';
+const LOCAL_STORAGE_PREFIX = 'skull-king-scores:game:';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise} Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the games database, creating the object store on first use
+ * @param {IDBFactory} indexedDB - IndexedDB factory
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase(indexedDB) {
+  const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    }
+  };
+  return promisifyRequest(request);
+}
+
+/**
+ * Storage backend that keeps one record per game in IndexedDB
+ * @param {IDBFactory} indexedDB - IndexedDB factory
+ * @returns {Object} Backend with get, put, remove and list
+ */
+function createIndexedDbBackend(indexedDB) {
+  let databasePromise = null;
+
+  const withStore = (mode, operation) => {
+    databasePromise = databasePromise || openDatabase(indexedDB);
+    return databasePromise.then(database => {
+      const store = database.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+      return promisifyRequest(operation(store));
+    });
+  };
+
+  return {
+    type: 'indexeddb',
+    get: id => withStore('readonly', store => store.get(id)).then(record => record || null),
+    put: record => withStore('readwrite', store => store.put(record)).then(() => record),
+    remove: id => withStore('readwrite', store => store.delete(id)).then(() => undefined),
+    list: () => withStore('readonly', store => store.getAll())
+  };
+}
+
+/**
+ * Storage backend that keeps one JSON entry per game in localStorage
+ * @param {Storage} localStorage - Web storage area
+ * @returns {Object} Backend with get, put, remove and list
+ */
+function createLocalStorageBackend(localStorage) {
+  const read = key => {
+    const json = localStorage.getItem(key);
+    return json ? JSON.parse(json) : null;
+  };
+
+  return {
+    type: 'localstorage',
+    get: id => Promise.resolve().then(() => read(LOCAL_STORAGE_PREFIX + id)),
+    put: record => Promise.resolve().then(() => {
+      localStorage.setItem(LOCAL_STORAGE_PREFIX + record.id, JSON.stringify(record));
+      return record;
+    }),
+    remove: id => Promise.resolve().then(() => localStorage.removeItem(LOCAL_STORAGE_PREFIX + id)),
+    list: () => Promise.resolve().then(() => {
+      const records = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(LOCAL_STORAGE_PREFIX)) {
+          records.push(read(key));
+        }
+      }
+      return records;
+    })
+  };
+}
+
+/**
+ * Create a game store
+ * IndexedDB is preferred; any IndexedDB failure switches the store to localStorage for good
+ * @param {Object} options - Storage areas to use (default to the browser's)
+ * @param {IDBFactory} options.indexedDB - IndexedDB factory, or null to skip IndexedDB
+ * @param {Storage} options.localStorage - Fallback storage area
+ * @returns {Object} Store with saveGame, loadGame, deleteGame and listUnfinishedGames
+ */
+function createGameStorage(options = {}) {
+  const indexedDB = 'indexedDB' in options
+    ? options.indexedDB
+    : (typeof window !== 'undefined' ? window.indexedDB : null);
+  const localStorage = 'localStorage' in options
+    ? options.localStorage
+    : (typeof window !== 'undefined' ? window.localStorage : null);
+
+  if (!indexedDB && !localStorage) {
+    throw new Error('No game storage available');
+  }
+
+  const fallback = localStorage ? createLocalStorageBackend(localStorage) : null;
+  let backend = indexedDB ? createIndexedDbBackend(indexedDB) : fallback;
+
+  const run = operation => operation(backend).catch(error => {
+    if (backend === fallback || !fallback) {
+      throw error;
+    }
+    backend = fallback;
+    return operation(backend);
+  });
+
+  return {
+    /**
+     * Name of the backend currently in use ('indexeddb' or 'localstorage')
+     * @returns {string} Backend type
+     */
+    getBackendType() {
+      return backend.type;
+    },
+
+    /**
+     * Save a snapshot of a game, replacing any earlier save
+     * @param {string} gameId - Game identifier
+     * @param {Object} data - JSON-serializable game snapshot
+     * @param {Object} saveOptions - Save options
+     * @param {boolean} saveOptions.finished - Whether the game has ended
+     * @returns {Promise<Object>} The saved record
+     */
+    saveGame(gameId, data, saveOptions = {}) {
+      if (typeof gameId !== 'string' || gameId.trim() === '') {
+        return Promise.reject(new Error('Game id must be a non-empty string'));
+      }
+
+      const record = {
+        id: gameId,
+        data: JSON.parse(JSON.stringify(data)),
+        finished: Boolean(saveOptions.finished),
+        savedAt: new Date().toISOString()
+      };
+      return run(store => store.put(record));
+    },
+
+    /**
+     * Load a saved game
+     * @param {string} gameId - Game identifier
+     * @returns {Promise<Object|null>} Saved record ({ id, data, finished, savedAt }), or null
+     */
+    loadGame(gameId) {
+      return run(store => store.get(gameId));
+    },
+
+    /**
+     * Delete a saved game
+     * @param {string} gameId - Game identifier
+     * @returns {Promise} Resolves once deleted
+     */
+    deleteGame(gameId) {
+      return run(store => store.remove(gameId));
+    },
+
+    /**
+     * List saved games that have not ended, most recently saved first
+     * @returns {Promise<Array>} Saved records
+     */
+    listUnfinishedGames() {
+      return run(store => store.list()).then(records => records
+        .filter(record => record && !record.finished)
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt)));
+    }
+  };
+}
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    createGameStorage
+  };
+} else {
+  // Browser environment
+  window.GameStorage = {
+    createGameStorage
+  };
+}
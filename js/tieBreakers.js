@@ -0,0 +1,149 @@
+/**
+ * Tie-breakers
+ * Rules for separating players level on total score in the final rankings.
+ * They are tried in the order the game lists them; each one only settles the
+ * players it can tell apart, and whoever is still level moves on to the next.
+ */
+
+// value(entry) returns null when the rule cannot be applied to that player
+const TIE_BREAKERS = [
+  {
+    id: 'most-exact-bids',
+    name: 'Most exact bids',
+    higherWins: true,
+    value: entry => entry.rounds.filter(r => r.bid === r.tricks).length
+  },
+  {
+    id: 'highest-round-score',
+    name: 'Highest single-round score',
+    higherWins: true,
+    value: entry => (entry.roundScores.length > 0 ? Math.max(...entry.roundScores) : null)
+  },
+  {
+    id: 'most-bonus-points',
+    name: 'Most bonus points',
+    higherWins: true,
+    value: entry => entry.rounds.reduce((sum, r) => sum + (r.bonusPoints || 0), 0)
+  },
+  {
+    id: 'fewest-negative-rounds',
+    name: 'Fewest negative rounds',
+    higherWins: false,
+    value: entry => entry.roundScores.filter(score => score < 0).length
+  },
+  {
+    id: 'sudden-death',
+    name: 'Sudden-death round',
+    higherWins: true,
+    value: entry => (typeof entry.suddenDeathScore === 'number' ? entry.suddenDeathScore : null)
+  }
+];
+
+/**
+ * Get a tie-breaker by id
+ * @param {string} id - Tie-breaker id
+ * @returns {Object} Tie-breaker with id, name, higherWins and value
+ */
+function getTieBreaker(id) {
+  const tieBreaker = TIE_BREAKERS.find(t => t.id === id);
+  if (!tieBreaker) {
+    throw new Error(`Unknown tie-breaker: ${id}`);
+  }
+  return tieBreaker;
+}
+
+/**
+ * Check a list of tie-breaker ids
+ * @param {Array<string>} ids - Tie-breaker ids in the order they are tried
+ * @returns {Object} Validation result with isValid and errors
+ */
+function validateTieBreakers(ids) {
+  if (!Array.isArray(ids)) {
+    return { isValid: false, errors: ['Tie-breakers must be an array'] };
+  }
+
+  const errors = [];
+  ids.forEach((id, index) => {
+    if (!TIE_BREAKERS.some(t => t.id === id)) {
+      errors.push(`Unknown tie-breaker: ${id}`);
+    } else if (ids.indexOf(id) !== index) {
+      errors.push(`Tie-breaker listed twice: ${id}`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Order a group of level players with the remaining tie-breakers
+ * @param {Array} group - Entries level on everything tried so far
+ * @param {Array<Object>} tieBreakers - Tie-breakers still to try
+ * @returns {Array<Array>} Groups best first, each as [entries, tieBreaker id that settled them or null]
+ */
+function splitGroup(group, tieBreakers) {
+  if (group.length === 1 || tieBreakers.length === 0) {
+    return [[group, null]];
+  }
+
+  const [tieBreaker, ...rest] = tieBreakers;
+  const values = group.map(entry => tieBreaker.value(entry));
+  // A rule only applies when it has a value for everyone in the group
+  if (values.some(value => value === null)) {
+    return splitGroup(group, rest);
+  }
+
+  const distinct = [...new Set(values)].sort((a, b) => (tieBreaker.higherWins ? b - a : a - b));
+  if (distinct.length === 1) {
+    return splitGroup(group, rest);
+  }
+
+  return distinct.flatMap(value => {
+    const level = group.filter((entry, index) => values[index] === value);
+    return level.length === 1 ? [[level, tieBreaker.id]] : splitGroup(level, rest);
+  });
+}
+
+/**
+ * Rank entries by total score, separating ties with tie-breakers
+ * @param {Array} entries - Objects with totalScore, roundScores, rounds ([{ bid, tricks, bonusPoints }])
+ *   and an optional suddenDeathScore
+ * @param {Array<string>} ids - Tie-breaker ids in the order they are tried
+ * @returns {Array} Entries best first, each with rank and tieBreaker (the id that settled
+ *   their place, or null); players still level share a rank
+ */
+function rankWithTieBreakers(entries, ids = []) {
+  const tieBreakers = ids.map(getTieBreaker);
+  const totals = [...new Set(entries.map(entry => entry.totalScore))].sort((a, b) => b - a);
+
+  const ranked = [];
+  totals.forEach(total => {
+    const level = entries.filter(entry => entry.totalScore === total);
+    splitGroup(level, tieBreakers).forEach(([group, tieBreaker]) => {
+      const rank = ranked.length + 1;
+      group.forEach(entry => ranked.push({ ...entry, rank, tieBreaker }));
+    });
+  });
+  return ranked;
+}
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    TIE_BREAKERS,
+    getTieBreaker,
+    validateTieBreakers,
+    rankWithTieBreakers
+  };
+} else {
+  // Browser environment
+  window.TieBreakers = {
+    TIE_BREAKERS,
+    getTieBreaker,
+    validateTieBreakers,
+    rankWithTieBreakers
+  };
+}
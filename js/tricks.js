@@ -0,0 +1,459 @@
+/**
+ * Card-by-card trick recording
+ * Decides who wins each trick by Skull King rules and derives every player's
+ * trick count and bonus captures for the round.
+ *
+ * A card is { type } plus { suit, rank } for number cards and { playedAs } for
+ * the Tigress ('escape' or 'pirate').
+ */
+
+const Bonuses = typeof module !== 'undefined' && module.exports
+  ? require('./bonuses.js')
+  : window.Bonuses;
+
+const SUITS = [
+  { id: 'parrot', name: 'Parrot' },
+  { id: 'chest', name: 'Treasure Chest' },
+  { id: 'map', name: 'Treasure Map' },
+  { id: 'jollyRoger', name: 'Jolly Roger' }
+];
+
+// Jolly Roger beats every other suit
+const TRUMP_SUIT = 'jollyRoger';
+const MAX_RANK = 14;
+
+// Special cards and how many of each are in the deck
+const SPECIAL_CARDS = [
+  { type: 'escape', name: 'Escape', count: 5 },
+  { type: 'pirate', name: 'Pirate', count: 5 },
+  { type: 'tigress', name: 'Tigress', count: 1 },
+  { type: 'mermaid', name: 'Mermaid', count: 2 },
+  { type: 'skullKing', name: 'Skull King', count: 1 },
+  { type: 'kraken', name: 'Kraken', count: 1 },
+  { type: 'whiteWhale', name: 'White Whale', count: 1 },
+  { type: 'loot', name: 'Loot', count: 2 }
+];
+
+const TIGRESS_ROLES = ['escape', 'pirate'];
+
+// Rulesets played with the Skull King deck
+const SKULL_KING_RULESET_IDS = ['skull-king-classic', 'skull-king-rascal'];
+
+/**
+ * Check whether a ruleset is played with the Skull King deck
+ * @param {string} rulesetId - Ruleset id
+ * @returns {boolean} True if tricks can be recorded card by card
+ */
+function isSkullKingRuleset(rulesetId) {
+  return SKULL_KING_RULESET_IDS.includes(rulesetId);
+}
+
+/**
+ * Check that a card is one of the deck's cards
+ * @param {Object} card - Card to check
+ * @returns {Object} Validation result with isValid and errors
+ */
+function validateCard(card) {
+  const errors = [];
+
+  if (!card || typeof card !== 'object') {
+    errors.push('Card must be an object');
+  } else if (card.type === 'number') {
+    if (!SUITS.some(suit => suit.id === card.suit)) {
+      errors.push(`Unknown suit: ${card.suit}`);
+    }
+    if (!Number.isInteger(card.rank) || card.rank < 1 || card.rank > MAX_RANK) {
+      errors.push(`Rank must be 1 to ${MAX_RANK}`);
+    }
+  } else if (!SPECIAL_CARDS.some(special => special.type === card.type)) {
+    errors.push(`Unknown card type: ${card.type}`);
+  } else if (card.type === 'tigress' && !TIGRESS_ROLES.includes(card.playedAs)) {
+    errors.push('Tigress must be played as an escape or a pirate');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Name a card for display
+ * @param {Object} card - Card to describe
+ * @returns {string} Name such as "Parrot 14" or "Tigress (pirate)"
+ */
+function describeCard(card) {
+  if (card.type === 'number') {
+    return `${SUITS.find(suit => suit.id === card.suit).name} ${card.rank}`;
+  }
+
+  const name = SPECIAL_CARDS.find(special => special.type === card.type).name;
+  return card.type === 'tigress' ? `${name} (${card.playedAs})` : name;
+}
+
+/**
+ * The part a card plays in deciding a trick (the Tigress as chosen, Loot as an escape)
+ * @param {Object} card - Card played
+ * @returns {string} Card type it counts as
+ */
+function getCardRole(card) {
+  if (card.type === 'tigress') return card.playedAs;
+  if (card.type === 'loot') return 'escape';
+  return card.type;
+}
+
+/**
+ * Find the winning play when neither the Kraken nor the White Whale takes effect
+ * A mermaid captures the Skull King; otherwise the Skull King beats pirates,
+ * pirates beat mermaids and mermaids beat number cards. Among number cards the
+ * highest Jolly Roger wins, else the highest card of the first suit played.
+ * If every card is an escape the first one played wins.
+ * @param {Array<string>} roles - Role of each card in play order
+ * @param {Array<Object>} cards - Cards in play order
+ * @returns {number} Index of the winning play
+ */
+function findStandardWinner(roles, cards) {
+  const skullKing = roles.indexOf('skullKing');
+  const mermaid = roles.indexOf('mermaid');
+  const pirate = roles.indexOf('pirate');
+
+  if (skullKing !== -1) return mermaid !== -1 ? mermaid : skullKing;
+  if (pirate !== -1) return pirate;
+  if (mermaid !== -1) return mermaid;
+
+  const numbers = roles.map((role, index) => (role === 'number' ? index : -1)).filter(index => index !== -1);
+  if (numbers.length === 0) return 0;
+
+  const trumps = numbers.filter(index => cards[index].suit === TRUMP_SUIT);
+  const leadSuit = cards[numbers[0]].suit;
+  const contenders = trumps.length > 0 ? trumps : numbers.filter(index => cards[index].suit === leadSuit);
+  return highestRank(contenders, cards);
+}
+
+/**
+ * Pick the highest-ranked card, the first played winning a tie
+ * @param {Array<number>} indexes - Indexes of number cards in play order
+ * @param {Array<Object>} cards - Cards in play order
+ * @returns {number} Index of the highest card
+ */
+function highestRank(indexes, cards) {
+  return indexes.reduce((best, index) => (cards[index].rank > cards[best].rank ? index : best));
+}
+
+/**
+ * Count the bonus captures the winner of a trick earns
+ * Loot makes an alliance between the player who played it and the winner. Each side
+ * records it as { partner }, as it only pays if both players make their bids.
+ * @param {Array<Object>} plays - Plays of { player, card } in play order
+ * @param {number} winnerIndex - Index of the winning play
+ * @returns {Object} Partial bonus breakdowns keyed by player name
+ */
+function countCaptures(plays, winnerIndex) {
+  const winner = plays[winnerIndex].player;
+  const winnerRole = getCardRole(plays[winnerIndex].card);
+  const roles = plays.map(play => getCardRole(play.card));
+  const captures = { [winner]: {} };
+  const add = (player, typeId, count = 1) => {
+    if (count === 0) return;
+    captures[player] = captures[player] || {};
+    captures[player][typeId] = (captures[player][typeId] || 0) + count;
+  };
+  const ally = (player, partner) => {
+    captures[player] = captures[player] || {};
+    captures[player].lootAlliances = [...(captures[player].lootAlliances || []), { partner }];
+  };
+
+  plays.forEach(play => {
+    if (play.card.type === 'number' && play.card.rank === MAX_RANK) {
+      add(winner, play.card.suit === TRUMP_SUIT ? 'blackFourteen' : 'standardFourteens');
+    }
+    if (play.card.type === 'loot' && play.player !== winner) {
+      ally(winner, play.player);
+      ally(play.player, winner);
+    }
+  });
+
+  if (winnerRole === 'pirate') {
+    add(winner, 'mermaidsByPirate', roles.filter(role => role === 'mermaid').length);
+  }
+  if (winnerRole === 'skullKing') {
+    add(winner, 'piratesBySkullKing', roles.filter(role => role === 'pirate').length);
+  }
+  if (winnerRole === 'mermaid' && roles.includes('skullKing')) {
+    add(winner, 'skullKingByMermaid');
+  }
+
+  return captures;
+}
+
+/**
+ * Decide who wins a trick
+ * The Kraken destroys the trick (whoever would have won leads next). The White Whale
+ * turns every special card into an escape, so the highest number wins regardless of
+ * suit; with no number cards the trick is destroyed and the White Whale's player leads.
+ * If both are played, the one played second takes effect.
+ * @param {Array<Object>} plays - Plays of { player, card } in play order
+ * @returns {Object} { winner, winnerIndex, voidedBy, nextLeader, captures }
+ */
+function resolveTrick(plays) {
+  if (!Array.isArray(plays) || plays.length === 0) {
+    throw new Error('A trick needs at least one card');
+  }
+  plays.forEach(play => {
+    const validation = validateCard(play.card);
+    if (!validation.isValid) {
+      throw new Error(`Invalid card for ${play.player}: ${validation.errors.join(', ')}`);
+    }
+  });
+
+  const cards = plays.map(play => play.card);
+  const voidingPlays = cards.filter(card => card.type === 'kraken' || card.type === 'whiteWhale');
+  const effect = voidingPlays.length > 0 ? voidingPlays[voidingPlays.length - 1].type : null;
+  const voided = result => ({ winner: null, winnerIndex: -1, captures: {}, ...result });
+
+  if (effect === 'whiteWhale') {
+    const numbers = cards.map((card, index) => (card.type === 'number' ? index : -1)).filter(index => index !== -1);
+    if (numbers.length === 0) {
+      const whale = cards.map(card => card.type).lastIndexOf('whiteWhale');
+      return voided({ voidedBy: 'whiteWhale', nextLeader: plays[whale].player });
+    }
+
+    const winnerIndex = highestRank(numbers, cards);
+    return {
+      winner: plays[winnerIndex].player,
+      winnerIndex,
+      voidedBy: null,
+      nextLeader: plays[winnerIndex].player,
+      captures: countCaptures(plays.map(play => (play.card.type === 'number' ? play : { ...play, card: { type: 'escape' } })), winnerIndex)
+    };
+  }
+
+  // Kraken and White Whale count as escapes when they do not take effect
+  const roles = cards.map(card => (card.type === 'kraken' || card.type === 'whiteWhale' ? 'escape' : getCardRole(card)));
+  const winnerIndex = findStandardWinner(roles, cards);
+
+  if (effect === 'kraken') {
+    return voided({ voidedBy: 'kraken', nextLeader: plays[winnerIndex].player });
+  }
+
+  return {
+    winner: plays[winnerIndex].player,
+    winnerIndex,
+    voidedBy: null,
+    nextLeader: plays[winnerIndex].player,
+    captures: countCaptures(plays, winnerIndex)
+  };
+}
+
+/**
+ * Total a round's resolved tricks for each player
+ * @param {Array<Object>} results - Results from resolveTrick, one per trick
+ * @param {Array<string>} playerNames - Players in the round
+ * @returns {Object} { tricks, bonuses, voidedBy } with tricks and full bonus breakdowns keyed by
+ *   player name (Loot alliances listed as { partner }) and voidedBy listing the cards that
+ *   destroyed a trick (as InputValidator expects)
+ */
+function summarizeRound(results, playerNames) {
+  const tricks = Object.fromEntries(playerNames.map(name => [name, 0]));
+  const bonuses = Object.fromEntries(playerNames.map(name => [name, { ...Bonuses.createEmptyBonusBreakdown(), lootAlliances: [] }]));
+  const voidedBy = [];
+
+  results.forEach(result => {
+    if (result.voidedBy) {
+      voidedBy.push(result.voidedBy);
+      return;
+    }
+
+    tricks[result.winner]++;
+    Object.entries(result.captures).forEach(([name, captured]) => {
+      Object.entries(captured).forEach(([typeId, count]) => {
+        if (Array.isArray(count)) {
+          bonuses[name][typeId].push(...count);
+        } else {
+          bonuses[name][typeId] += count;
+        }
+      });
+    });
+  });
+
+  return { tricks, bonuses, voidedBy };
+}
+
+/**
+ * Turn a round summary into players for ScoreCalculator.calculateRoundScores
+ * @param {Object} summary - Summary from summarizeRound
+ * @param {Array<Object>} roundData - Each player's { name, bid, wager }
+ * @returns {Array<Object>} Players with name, bid, actualTricks, bonus and wager
+ */
+function toScoringPlayers(summary, roundData) {
+  return roundData.map(playerData => ({
+    name: playerData.name,
+    bid: playerData.bid,
+    actualTricks: summary.tricks[playerData.name],
+    bonus: summary.bonuses[playerData.name],
+    wager: playerData.wager
+  }));
+}
+
+/**
+ * Create a recorder that takes a round's cards one at a time
+ * Cards are assigned to players in turn order; the winner of each trick leads the next.
+ * @param {Array<string>} playerNames - Players in seating order
+ * @param {string} firstLeader - Player who leads the first trick
+ * @param {number} cardsDealt - Cards dealt to each player (the number of tricks)
+ * @returns {Object} Recorder with play, undo and inspection helpers
+ */
+function createTrickRecorder(playerNames, firstLeader, cardsDealt) {
+  if (!Array.isArray(playerNames) || playerNames.length < 2) {
+    throw new Error('Trick recording needs at least 2 players');
+  }
+  if (!playerNames.includes(firstLeader)) {
+    throw new Error(`Unknown lead player: ${firstLeader}`);
+  }
+  if (!Number.isInteger(cardsDealt) || cardsDealt <= 0) {
+    throw new Error('Cards dealt must be a positive whole number');
+  }
+
+  const completed = [];
+  let leader = firstLeader;
+  let plays = [];
+
+  const allCards = () => [...completed.flatMap(trick => trick.plays), ...plays].map(play => play.card);
+
+  // Every number card is unique, and special cards are limited to their count in the deck
+  const checkAvailable = card => {
+    const played = allCards();
+    if (card.type === 'number') {
+      if (played.some(c => c.type === 'number' && c.suit === card.suit && c.rank === card.rank)) {
+        throw new Error(`${describeCard(card)} has already been played`);
+      }
+      return;
+    }
+
+    const special = SPECIAL_CARDS.find(s => s.type === card.type);
+    if (played.filter(c => c.type === card.type).length >= special.count) {
+      throw new Error(special.count === 1
+        ? `The ${special.name} has already been played`
+        : `All ${special.count} ${special.name} cards have already been played`);
+    }
+  };
+
+  const recorder = {
+    /**
+     * Get the player whose card is next
+     * @returns {string|null} Player name, or null once every trick is recorded
+     */
+    getNextPlayer() {
+      if (recorder.isComplete()) return null;
+      return playerNames[(playerNames.indexOf(leader) + plays.length) % playerNames.length];
+    },
+
+    /**
+     * Record the next player's card
+     * @param {Object} card - Card played
+     * @returns {Object|null} The trick's result if the card completed it, otherwise null
+     */
+    play(card) {
+      if (recorder.isComplete()) {
+        throw new Error('Every trick has already been recorded');
+      }
+      const validation = validateCard(card);
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join(', '));
+      }
+      checkAvailable(card);
+
+      plays.push({ player: recorder.getNextPlayer(), card: { ...card } });
+      if (plays.length < playerNames.length) {
+        return null;
+      }
+
+      const result = resolveTrick(plays);
+      completed.push({ number: completed.length + 1, leader, plays, result });
+      leader = result.nextLeader;
+      plays = [];
+      return result;
+    },
+
+    /**
+     * Take back the last card recorded, reopening its trick if it completed one
+     * @returns {Object|null} The removed play, or null if nothing has been played
+     */
+    undo() {
+      if (plays.length === 0) {
+        const lastTrick = completed.pop();
+        if (!lastTrick) return null;
+        leader = lastTrick.leader;
+        plays = lastTrick.plays;
+      }
+      return plays.pop();
+    },
+
+    /**
+     * Get the trick being played
+     * @returns {Object} { number, leader, plays }
+     */
+    getCurrentTrick() {
+      return { number: completed.length + 1, leader, plays: plays.map(play => ({ ...play })) };
+    },
+
+    /**
+     * Get the completed tricks
+     * @returns {Array<Object>} Tricks of { number, leader, plays, result }
+     */
+    getCompletedTricks() {
+      return completed.map(trick => ({ ...trick, plays: trick.plays.map(play => ({ ...play })) }));
+    },
+
+    /**
+     * Check whether every trick of the round has been recorded
+     * @returns {boolean} True when the round is complete
+     */
+    isComplete() {
+      return completed.length === cardsDealt;
+    },
+
+    /**
+     * Total the tricks recorded so far
+     * @returns {Object} Summary from summarizeRound
+     */
+    getSummary() {
+      return summarizeRound(completed.map(trick => trick.result), playerNames);
+    }
+  };
+
+  return recorder;
+}
+
+// Export functions for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    SUITS,
+    TRUMP_SUIT,
+    SPECIAL_CARDS,
+    isSkullKingRuleset,
+    validateCard,
+    describeCard,
+    getCardRole,
+    resolveTrick,
+    summarizeRound,
+    toScoringPlayers,
+    createTrickRecorder
+  };
+} else {
+  // Browser environment
+  window.Tricks = {
+    SUITS,
+    TRUMP_SUIT,
+    SPECIAL_CARDS,
+    isSkullKingRuleset,
+    validateCard,
+    describeCard,
+    getCardRole,
+    resolveTrick,
+    summarizeRound,
+    toScoringPlayers,
+    createTrickRecorder
+  };
+}
@@ -43,7 +43,8 @@ window.ValidationUtils = {
         return { isValid: true, message: '' };
     },
 
-    validateTricksAmount: function(value) {
+    // maxTricks is the cards dealt this round (13 when unknown)
+    validateTricksAmount: function(value, maxTricks = 13) {
         if (!value && value !== '0') {
             return { isValid: false, message: 'Number of tricks is required' };
         }
@@ -57,8 +58,8 @@ window.ValidationUtils = {
             return { isValid: false, message: 'Tricks cannot be negative' };
         }
         
-        if (numValue > 13) {
-            return { isValid: false, message: 'Tricks cannot exceed 13' };
+        if (numValue > maxTricks) {
+            return { isValid: false, message: `Tricks cannot exceed ${maxTricks}` };
         }
         
         return { isValid: true, message: '' };
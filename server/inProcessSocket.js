@@ -0,0 +1,62 @@
+/**
+ * In-process WebSocket stand-in
+ * Connects client code written against the browser WebSocket API (send, close,
+ * onmessage, onclose, readyState) directly to a RoomManager, without a network.
+ * Used by tests and for trying the multiplayer flow in a single process.
+ */
+
+const READY_STATES = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3
+};
+
+class InProcessSocket {
+  /**
+   * @param {RoomManager} roomManager - Rooms the socket talks to
+   */
+  constructor(roomManager) {
+    this.readyState = READY_STATES.OPEN;
+    this.onmessage = null;
+    this.onclose = null;
+    this.session = roomManager.connect({
+      send: text => {
+        if (this.readyState === READY_STATES.OPEN && this.onmessage) {
+          this.onmessage({ data: text });
+        }
+      }
+    });
+  }
+
+  /**
+   * Send a text message to the server
+   * @param {string} text - Message text
+   */
+  send(text) {
+    if (this.readyState !== READY_STATES.OPEN) {
+      throw new Error('Socket is not open');
+    }
+    this.session.receive(text);
+  }
+
+  /**
+   * Close the connection, as if the device went away
+   */
+  close() {
+    if (this.readyState === READY_STATES.CLOSED) return;
+
+    this.readyState = READY_STATES.CLOSED;
+    this.session.close();
+    if (this.onclose) {
+      this.onclose({});
+    }
+  }
+}
+
+InProcessSocket.CONNECTING = READY_STATES.CONNECTING;
+InProcessSocket.OPEN = READY_STATES.OPEN;
+InProcessSocket.CLOSING = READY_STATES.CLOSING;
+InProcessSocket.CLOSED = READY_STATES.CLOSED;
+
+module.exports = InProcessSocket;
@@ -0,0 +1,145 @@
+/**
+ * Local-network multiplayer server
+ * Serves the app's pages and hosts rooms over WebSocket so players can bid from
+ * their phones. Needs no internet connection or extra packages:
+ *
+ *   node server/index.js [port]
+ *
+ * The host opens http://<laptop address>:<port>/host.html to create a room;
+ * players on the same Wi-Fi open http://<laptop address>:<port>/join.html.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { RoomManager } = require('./rooms');
+const { acceptWebSocket } = require('./websocket');
+
+const DEFAULT_PORT = 8080;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png'
+};
+
+// Only the pages and the directories they load from are served; the rest of the
+// repository (.git, server, tests, ...) stays private
+const PUBLIC_FILES = ['index.html', 'bidding.html', 'join.html', 'host.html'];
+const PUBLIC_DIRECTORIES = ['css', 'js', 'src'];
+
+/**
+ * Resolve a request path to a public file inside the static root
+ * @param {string} root - Static root directory
+ * @param {string} requestUrl - Request URL
+ * @returns {string|null} File path, or null if it escapes the root or is not public
+ */
+function resolveStaticPath(root, requestUrl) {
+  const pathname = decodeURIComponent(new URL(requestUrl, 'http://localhost').pathname);
+  const resolvedRoot = path.resolve(root);
+  const filePath = path.normalize(path.join(resolvedRoot, pathname === '/' ? 'index.html' : pathname));
+  if (!filePath.startsWith(resolvedRoot + path.sep)) {
+    return null;
+  }
+
+  const [first, ...rest] = path.relative(resolvedRoot, filePath).split(path.sep);
+  const isPublic = rest.length === 0
+    ? PUBLIC_FILES.includes(first)
+    : PUBLIC_DIRECTORIES.includes(first);
+  return isPublic ? filePath : null;
+}
+
+/**
+ * Create the HTTP + WebSocket server
+ * @param {Object} options - Server options
+ * @param {string} options.root - Directory the pages are served from (defaults to the repository root)
+ * @param {RoomManager} options.roomManager - Rooms to host (defaults to a new RoomManager)
+ * @returns {http.Server} Server, not yet listening
+ */
+function createMultiplayerServer(options = {}) {
+  const root = path.resolve(options.root || path.join(__dirname, '..'));
+  const roomManager = options.roomManager || new RoomManager();
+
+  const server = http.createServer((request, response) => {
+    let filePath;
+    try {
+      filePath = resolveStaticPath(root, request.url);
+    } catch (error) {
+      filePath = null;
+    }
+
+    if (request.method !== 'GET') {
+      response.writeHead(400);
+      response.end('Bad request');
+      return;
+    }
+
+    if (!filePath) {
+      response.writeHead(404);
+      response.end('Not found');
+      return;
+    }
+
+    fs.readFile(filePath, (error, contents) => {
+      if (error) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+      }
+
+      response.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream'
+      });
+      response.end(contents);
+    });
+  });
+
+  server.on('upgrade', (request, socket) => {
+    let session = null;
+    const connection = acceptWebSocket(request, socket, {
+      onMessage: text => session.receive(text),
+      onClose: () => session.close()
+    });
+
+    if (connection) {
+      session = roomManager.connect(connection);
+    }
+  });
+
+  server.roomManager = roomManager;
+  return server;
+}
+
+/**
+ * List this machine's local-network IPv4 addresses for the join URL
+ * @returns {Array<string>} Addresses
+ */
+function getLocalAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter(address => address && address.family === 'IPv4' && !address.internal)
+    .map(address => address.address);
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+  const server = createMultiplayerServer();
+
+  server.listen(port, '0.0.0.0', () => {
+    console.log(`Multiplayer server running on port ${port}`);
+    getLocalAddresses().forEach(address => {
+      console.log(`  Host the game at http://${address}:${port}/host.html`);
+      console.log(`  Players join at http://${address}:${port}/join.html`);
+    });
+  });
+}
+
+module.exports = {
+  createMultiplayerServer,
+  resolveStaticPath,
+  getLocalAddresses
+};
@@ -0,0 +1,282 @@
+/**
+ * Multiplayer rooms
+ * A host creates a room for a roster of players; each player joins from their own
+ * device with the room code and submits a secret bid. Bids are revealed to everyone
+ * at once when the last player has bid. Transport-agnostic: connections only need send(text).
+ */
+
+const crypto = require('crypto');
+
+// No I or O so codes are easy to read out across a table
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ROOM_CODE_LENGTH = 4;
+
+/**
+ * Generate a random room code
+ * @returns {string} Room code such as "KRWX"
+ */
+function generateRoomCode() {
+  let code = '';
+  for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+    code += ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+class RoomManager {
+  /**
+   * @param {Object} options - Room options
+   * @param {Function} options.generateCode - Room code generator (defaults to random codes)
+   */
+  constructor(options = {}) {
+    this.rooms = new Map();
+    this.generateCode = options.generateCode || generateRoomCode;
+  }
+
+  /**
+   * Attach a new connection
+   * @param {Object} connection - Transport connection with send(text)
+   * @returns {Object} Session with receive(text) for incoming messages and close() on disconnect
+   */
+  connect(connection) {
+    const client = { connection, room: null, role: null, name: null };
+
+    return {
+      receive: text => this._receive(client, text),
+      close: () => this._disconnect(client)
+    };
+  }
+
+  /**
+   * Get a room by code
+   * @param {string} code - Room code
+   * @returns {Object|undefined} Room
+   */
+  getRoom(code) {
+    return this.rooms.get(String(code || '').toUpperCase());
+  }
+
+  _send(client, message) {
+    client.connection.send(JSON.stringify(message));
+  }
+
+  _broadcast(room, message) {
+    if (room.host) {
+      this._send(room.host, message);
+    }
+    room.players.forEach(player => {
+      if (player.client) {
+        this._send(player.client, message);
+      }
+    });
+  }
+
+  _receive(client, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      this._send(client, { type: 'error', message: 'Messages must be JSON' });
+      return;
+    }
+
+    const handlers = {
+      'create-room': () => this._createRoom(client, message),
+      'join': () => this._join(client, message),
+      'start-round': () => this._startRound(client, message),
+      'submit-bid': () => this._submitBid(client, message),
+      'scores': () => this._shareScores(client, message)
+    };
+
+    const handler = handlers[message && message.type];
+    if (!handler) {
+      this._send(client, { type: 'error', message: `Unknown message type: ${message && message.type}` });
+      return;
+    }
+
+    try {
+      handler();
+    } catch (error) {
+      this._send(client, { type: 'error', message: error.message });
+    }
+  }
+
+  _createRoom(client, { players }) {
+    if (client.room) {
+      throw new Error('Already in a room');
+    }
+
+    if (!Array.isArray(players) || players.length < 2) {
+      throw new Error('A room needs at least 2 players');
+    }
+
+    const names = players.map(name => String(name).trim());
+    if (names.some(name => name === '') || new Set(names).size !== names.length) {
+      throw new Error('Player names must be unique and non-empty');
+    }
+
+    let code = this.generateCode();
+    while (this.rooms.has(code)) {
+      code = this.generateCode();
+    }
+
+    const room = {
+      code,
+      host: client,
+      players: new Map(names.map(name => [name, { name, client: null }])),
+      round: null
+    };
+    this.rooms.set(code, room);
+    client.room = room;
+    client.role = 'host';
+
+    this._send(client, { type: 'room-created', code, players: names });
+  }
+
+  _join(client, { code, name }) {
+    if (client.room) {
+      throw new Error('Already in a room');
+    }
+
+    const room = this.getRoom(code);
+    if (!room) {
+      throw new Error(`No game with room code ${String(code || '').toUpperCase()}`);
+    }
+
+    const player = room.players.get(String(name || '').trim());
+    if (!player) {
+      throw new Error(`${name} is not a player in this game`);
+    }
+
+    // A player re-joining (e.g. after their phone slept) takes over their seat
+    if (player.client && player.client !== client) {
+      this._send(player.client, { type: 'error', message: `${player.name} joined from another device` });
+      player.client.room = null;
+    }
+
+    player.client = client;
+    client.room = room;
+    client.role = 'player';
+    client.name = player.name;
+
+    this._send(client, {
+      type: 'joined',
+      code: room.code,
+      name: player.name,
+      round: this._describeRound(room, player.name)
+    });
+    this._send(room.host, { type: 'player-joined', name: player.name });
+  }
+
+  _startRound(client, { round, cardsDealt }) {
+    this._requireRole(client, 'host');
+
+    if (!Number.isInteger(round) || round < 1) {
+      throw new Error('Round must be a positive whole number');
+    }
+
+    if (!Number.isInteger(cardsDealt) || cardsDealt < 1) {
+      throw new Error('Cards dealt must be a positive whole number');
+    }
+
+    const room = client.room;
+    room.round = { round, cardsDealt, bids: new Map(), revealed: false };
+
+    room.players.forEach(player => {
+      if (player.client) {
+        this._send(player.client, { type: 'round-started', round: this._describeRound(room, player.name) });
+      }
+    });
+  }
+
+  _submitBid(client, { bid }) {
+    this._requireRole(client, 'player');
+
+    const room = client.room;
+    const round = room.round;
+    if (!round || round.revealed) {
+      throw new Error('Bidding is not open');
+    }
+
+    if (round.bids.has(client.name)) {
+      throw new Error('Your bid is already in');
+    }
+
+    if (!Number.isInteger(bid) || bid < 0 || bid > round.cardsDealt) {
+      throw new Error(`Bid must be a whole number from 0 to ${round.cardsDealt}`);
+    }
+
+    round.bids.set(client.name, bid);
+
+    // Only who has bid is shared until everyone is in
+    const submitted = Array.from(round.bids.keys());
+    this._broadcast(room, { type: 'bid-status', round: round.round, submitted, total: room.players.size });
+
+    if (round.bids.size === room.players.size) {
+      round.revealed = true;
+      this._broadcast(room, { type: 'bids-revealed', round: round.round, bids: Object.fromEntries(round.bids) });
+    }
+  }
+
+  _shareScores(client, { standings }) {
+    this._requireRole(client, 'host');
+
+    if (!Array.isArray(standings)) {
+      throw new Error('Standings must be an array');
+    }
+
+    this._broadcast(client.room, { type: 'scores', standings });
+  }
+
+  _requireRole(client, role) {
+    if (!client.room || client.role !== role) {
+      throw new Error(role === 'host' ? 'Only the host can do that' : 'Join a game first');
+    }
+  }
+
+  /**
+   * Describe the current round for one player without revealing other players' bids
+   */
+  _describeRound(room, playerName) {
+    const round = room.round;
+    if (!round) return null;
+
+    return {
+      round: round.round,
+      cardsDealt: round.cardsDealt,
+      submitted: Array.from(round.bids.keys()),
+      myBid: round.bids.has(playerName) ? round.bids.get(playerName) : null,
+      bids: round.revealed ? Object.fromEntries(round.bids) : null
+    };
+  }
+
+  _disconnect(client) {
+    const room = client.room;
+    if (!room) return;
+
+    if (client.role === 'host') {
+      this.rooms.delete(room.code);
+      room.players.forEach(player => {
+        if (player.client) {
+          this._send(player.client, { type: 'room-closed' });
+          player.client.room = null;
+        }
+      });
+    } else {
+      const player = room.players.get(client.name);
+      if (player && player.client === client) {
+        player.client = null;
+        this._send(room.host, { type: 'player-left', name: client.name });
+      }
+    }
+
+    client.room = null;
+  }
+}
+
+module.exports = {
+  RoomManager,
+  generateRoomCode,
+  ROOM_CODE_ALPHABET,
+  ROOM_CODE_LENGTH
+};
@@ -0,0 +1,182 @@
+/**
+ * Minimal WebSocket (RFC 6455) support for the local multiplayer server
+ * Handles the upgrade handshake and unfragmented text, ping and close frames,
+ * which is all the game's small JSON messages need.
+ */
+
+const crypto = require('crypto');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xA
+};
+
+/**
+ * Compute the Sec-WebSocket-Accept value for a handshake key
+ * @param {string} key - Client's Sec-WebSocket-Key header
+ * @returns {string} Accept value
+ */
+function createAcceptValue(key) {
+  return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Encode a server-to-client frame (servers never mask)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Encoded frame
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode one frame from the start of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} { fin, opcode, payload, length } or null if the frame is incomplete
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0F;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let payloadLength = buffer[1] & 0x7F;
+  let offset = 2;
+
+  if (payloadLength === 126) {
+    if (buffer.length < 4) return null;
+    payloadLength = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (payloadLength === 127) {
+    if (buffer.length < 10) return null;
+    payloadLength = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  if (payloadLength > MAX_PAYLOAD_BYTES) {
+    throw new Error('WebSocket frame too large');
+  }
+
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + payloadLength) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + payloadLength));
+  if (masked) {
+    const mask = buffer.subarray(offset, offset + 4);
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+
+  return { fin, opcode, payload, length: offset + maskLength + payloadLength };
+}
+
+/**
+ * Complete a WebSocket upgrade request and wrap the socket
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Underlying socket
+ * @param {Object} handlers - { onMessage(text), onClose() }
+ * @returns {Object|null} Connection with send(text) and close(), or null if the request was rejected
+ */
+function acceptWebSocket(request, socket, handlers) {
+  const key = request.headers['sec-websocket-key'];
+  if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${createAcceptValue(key)}`,
+    '', ''
+  ].join('\r\n'));
+
+  let buffered = Buffer.alloc(0);
+  let closed = false;
+
+  const connection = {
+    send(text) {
+      if (!closed) {
+        socket.write(encodeFrame(OPCODES.text, Buffer.from(text, 'utf8')));
+      }
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      socket.end(encodeFrame(OPCODES.close));
+      handlers.onClose();
+    }
+  };
+
+  socket.on('data', chunk => {
+    buffered = Buffer.concat([buffered, chunk]);
+
+    try {
+      let frame = decodeFrame(buffered);
+      while (frame) {
+        buffered = buffered.subarray(frame.length);
+
+        if (frame.opcode === OPCODES.text && frame.fin) {
+          handlers.onMessage(frame.payload.toString('utf8'));
+        } else if (frame.opcode === OPCODES.ping) {
+          socket.write(encodeFrame(OPCODES.pong, frame.payload));
+        } else if (frame.opcode === OPCODES.close) {
+          connection.close();
+          return;
+        } else if (frame.opcode !== OPCODES.pong) {
+          // Binary and fragmented messages are not part of the game protocol
+          connection.close();
+          return;
+        }
+
+        frame = decodeFrame(buffered);
+      }
+    } catch (error) {
+      connection.close();
+    }
+  });
+
+  // HTTP server sockets allow half-open connections, so finish closing when the client hangs up
+  socket.on('end', () => connection.close());
+  socket.on('close', () => {
+    if (!closed) {
+      closed = true;
+      handlers.onClose();
+    }
+  });
+  socket.on('error', () => socket.destroy());
+
+  return connection;
+}
+
+module.exports = {
+  OPCODES,
+  createAcceptValue,
+  encodeFrame,
+  decodeFrame,
+  acceptWebSocket
+};
@@ -1,15 +1,28 @@
 import React, { useState } from 'react';
 import './BiddingCollection.css';
 
+const Rulesets = typeof module !== 'undefined' && module.exports
+  ? require('../../js/rulesets.js')
+  : window.Rulesets;
+
 const BiddingCollection = ({ 
   currentRound, 
   availableHands, 
   players, 
-  onBidsConfirmed 
+  onBidsConfirmed,
+  rulesetId = Rulesets.DEFAULT_RULESET_ID,
+  dealerId = null,
+  leadId = null
 }) => {
+  const wagerOptions = Rulesets.getWagers(rulesetId);
   const [bids, setBids] = useState(
     players.reduce((acc, player) => ({ ...acc, [player.id]: 0 }), {})
   );
+  const [wagers, setWagers] = useState(
+    wagerOptions.length > 0
+      ? players.reduce((acc, player) => ({ ...acc, [player.id]: wagerOptions[0].id }), {})
+      : {}
+  );
   const [isEditing, setIsEditing] = useState(true);
   const [errors, setErrors] = useState({});
 
@@ -39,6 +52,15 @@ const BiddingCollection = ({
     setBids(prev => ({ ...prev, [playerId]: bidValue }));
   };
 
+  const handleWagerChange = (playerId, wager) => {
+    setWagers(prev => ({ ...prev, [playerId]: wager }));
+  };
+
+  const getWagerName = (playerId) => {
+    const wager = wagerOptions.find(w => w.id === wagers[playerId]);
+    return wager ? wager.name : null;
+  };
+
   const hasErrors = () => {
     return Object.values(errors).some(error => error !== null);
   };
@@ -57,7 +79,11 @@ const BiddingCollection = ({
   };
 
   const handleFinalConfirm = () => {
-    onBidsConfirmed(bids);
+    if (wagerOptions.length > 0) {
+      onBidsConfirmed(bids, wagers);
+    } else {
+      onBidsConfirmed(bids);
+    }
   };
 
   const getPlayerName = (playerId) => {
@@ -80,7 +106,7 @@ const BiddingCollection = ({
             {players.map(player => (
               <div key={player.id} className="player-bid">
                 <label htmlFor={`bid-${player.id}`}>
-                  {player.name}:
+                  {player.name}{player.id === dealerId ? ' (Dealer)' : ''}{player.id === leadId ? ' (Leads)' : ''}:
                 </label>
                 <input
                   id={`bid-${player.id}`}
@@ -91,6 +117,19 @@ const BiddingCollection = ({
                   onChange={(e) => handleBidChange(player.id, e.target.value)}
                   className={errors[player.id] ? 'error' : ''}
                 />
+                {wagerOptions.length > 0 && (
+                  <select
+                    id={`wager-${player.id}`}
+                    aria-label={`${player.name} wager`}
+                    value={wagers[player.id]}
+                    onChange={(e) => handleWagerChange(player.id, e.target.value)}
+                    className="wager-select"
+                  >
+                    {wagerOptions.map(wager => (
+                      <option key={wager.id} value={wager.id}>{wager.name}</option>
+                    ))}
+                  </select>
+                )}
                 {errors[player.id] && (
                   <span className="error-message">{errors[player.id]}</span>
                 )}
@@ -113,6 +152,9 @@ const BiddingCollection = ({
                 <div key={playerId} className="bid-display">
                   <span className="player-name">{getPlayerName(playerId)}:</span>
                   <span className="bid-value">{bid} hands</span>
+                  {getWagerName(playerId) && (
+                    <span className="wager-value">{getWagerName(playerId)}</span>
+                  )}
                 </div>
               ))}
             </div>
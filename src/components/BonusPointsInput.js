@@ -1,23 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import './BonusPointsInput.css';
 
+const Bonuses = typeof module !== 'undefined' && module.exports
+  ? require('../../js/bonuses.js')
+  : window.Bonuses;
+
 const BonusPointsInput = ({ players, currentRound, onBonusPointsChange, roundResults }) => {
   const [bonusPoints, setBonusPoints] = useState({});
 
   useEffect(() => {
-    // Initialize bonus points for all players
+    // Initialize an empty itemized breakdown for all players
     const initialBonusPoints = {};
     players.forEach(player => {
-      initialBonusPoints[player.id] = 0;
+      initialBonusPoints[player.id] = Bonuses.createEmptyBonusBreakdown();
     });
     setBonusPoints(initialBonusPoints);
   }, [players, currentRound]);
 
-  const handleBonusChange = (playerId, value) => {
-    const numericValue = Math.max(0, parseInt(value) || 0);
+  const handleBonusChange = (playerId, bonusType, value) => {
+    const count = Math.min(bonusType.max, Math.max(0, parseInt(value) || 0));
     const updatedBonus = {
       ...bonusPoints,
-      [playerId]: numericValue
+      [playerId]: {
+        ...(bonusPoints[playerId] || Bonuses.createEmptyBonusBreakdown()),
+        [bonusType.id]: count
+      }
     };
     setBonusPoints(updatedBonus);
     onBonusPointsChange(updatedBonus);
@@ -39,7 +46,9 @@ const BonusPointsInput = ({ players, currentRound, onBonusPointsChange, roundRes
         {players.map(player => {
           const exactBid = isExactBid(player.id);
           const result = getPlayerResult(player.id);
-          
+          const breakdown = bonusPoints[player.id] || {};
+          const bonusTotal = Bonuses.calculateBonusTotal(breakdown);
+
           return (
             <div key={player.id} className={`bonus-point-item ${!exactBid ? 'disabled' : ''}`}>
               <div className="player-info">
@@ -50,17 +59,27 @@ const BonusPointsInput = ({ players, currentRound, onBonusPointsChange, roundRes
                   </span>
                 )}
               </div>
-              
+
               <div className="bonus-input-container">
-                <input
-                  type="number"
-                  min="0"
-                  value={bonusPoints[player.id] || 0}
-                  onChange={(e) => handleBonusChange(player.id, e.target.value)}
-                  className={`bonus-input ${!exactBid ? 'ignored' : ''}`}
-                  disabled={!exactBid}
-                />
-                {!exactBid && bonusPoints[player.id] > 0 && (
+                {Bonuses.BONUS_TYPES.map(bonusType => (
+                  <label key={bonusType.id} className="bonus-type-row">
+                    <span className="bonus-type-label">
+                      {bonusType.label} (+{bonusType.points})
+                    </span>
+                    <input
+                      type="number"
+                      min="0"
+                      max={bonusType.max}
+                      value={breakdown[bonusType.id] || 0}
+                      onChange={(e) => handleBonusChange(player.id, bonusType, e.target.value)}
+                      className={`bonus-input ${!exactBid ? 'ignored' : ''}`}
+                      disabled={!exactBid}
+                      aria-label={`${player.name} ${bonusType.label}`}
+                    />
+                  </label>
+                ))}
+                <div className="bonus-total">Bonus: +{bonusTotal}</div>
+                {!exactBid && bonusTotal > 0 && (
                   <div className="bonus-ignored-warning">
                     Bonus ignored - bid not exact
                   </div>
@@ -74,4 +93,4 @@ const BonusPointsInput = ({ players, currentRound, onBonusPointsChange, roundRes
   );
 };
 
-export default BonusPointsInput;
\ No newline at end of file
+export default BonusPointsInput;
@@ -1,26 +1,47 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './RoundManager.css';
 
-const RoundManager = ({ onRoundChange, gameData, onGameComplete }) => {
+const RoundSchedules = typeof module !== 'undefined' && module.exports
+  ? require('../../js/roundSchedules.js')
+  : window.RoundSchedules;
+
+const Seating = typeof module !== 'undefined' && module.exports
+  ? require('../../js/seating.js')
+  : window.Seating;
+
+const RoundManager = ({
+  onRoundChange,
+  gameData,
+  onGameComplete,
+  scheduleId = RoundSchedules.DEFAULT_ROUND_SCHEDULE_ID,
+  playerCount,
+  seatOrder = [],
+  firstDealerSeat = 0
+}) => {
   const [currentRound, setCurrentRound] = useState(1);
   const [roundsData, setRoundsData] = useState({});
   const [gameComplete, setGameComplete] = useState(false);
 
-  const TOTAL_ROUNDS = 10;
+  // Wizard schedules are rebuilt from the player count, so keep the object stable between renders
+  const schedule = useMemo(
+    () => RoundSchedules.getScheduleForPlayers(scheduleId, playerCount),
+    [scheduleId, playerCount]
+  );
+  const totalRounds = schedule.cardsPerRound.length;
 
   // Initialize rounds data structure
   useEffect(() => {
     const initialData = {};
-    for (let round = 1; round <= TOTAL_ROUNDS; round++) {
-      initialData[round] = {
-        handsCount: round,
+    schedule.cardsPerRound.forEach((cards, index) => {
+      initialData[index + 1] = {
+        handsCount: cards,
         handsCompleted: 0,
         scores: [],
         isComplete: false
       };
-    }
+    });
     setRoundsData(initialData);
-  }, []);
+  }, [schedule]);
 
   // Check if current round is complete
   const isRoundComplete = (roundNumber) => {
@@ -31,17 +52,23 @@ const RoundManager = ({ onRoundChange, gameData, onGameComplete }) => {
 
   // Update round data when game data changes
   useEffect(() => {
-    if (gameData && roundsData[currentRound]) {
-      const updatedRoundsData = { ...roundsData };
-      updatedRoundsData[currentRound] = {
-        ...updatedRoundsData[currentRound],
-        handsCompleted: gameData.handsCompleted || 0,
-        scores: gameData.scores || [],
-        isComplete: isRoundComplete(currentRound)
+    if (!gameData) return;
+
+    setRoundsData(prev => {
+      if (!prev[currentRound]) return prev;
+
+      const handsCompleted = gameData.handsCompleted || 0;
+      return {
+        ...prev,
+        [currentRound]: {
+          ...prev[currentRound],
+          handsCompleted,
+          scores: gameData.scores || [],
+          isComplete: handsCompleted === prev[currentRound].handsCount
+        }
       };
-      setRoundsData(updatedRoundsData);
-    }
-  }, [gameData, currentRound, roundsData]);
+    });
+  }, [gameData, currentRound]);
 
   // Advance to next round
   const advanceRound = () => {
@@ -50,7 +77,7 @@ const RoundManager = ({ onRoundChange, gameData, onGameComplete }) => {
       return;
     }
 
-    if (currentRound < TOTAL_ROUNDS) {
+    if (currentRound < totalRounds) {
       const nextRound = currentRound + 1;
       setCurrentRound(nextRound);
       if (onRoundChange) {
@@ -80,7 +107,7 @@ const RoundManager = ({ onRoundChange, gameData, onGameComplete }) => {
     return (
       <div className="round-manager game-complete">
         <h2>🎉 Game Complete!</h2>
-        <p>All 10 rounds finished successfully!</p>
+        <p>All {totalRounds} rounds of {schedule.name} finished successfully!</p>
         <div className="final-summary">
           {Object.entries(roundsData).map(([round, data]) => (
             <div key={round} className="round-summary">
@@ -93,12 +120,14 @@ const RoundManager = ({ onRoundChange, gameData, onGameComplete }) => {
   }
 
   const currentRoundData = roundsData[currentRound] || {};
-  const progress = (currentRound - 1) / TOTAL_ROUNDS * 100;
+  const progress = (currentRound - 1) / totalRounds * 100;
+  const seating = seatOrder.length > 0 ? Seating.getRoundSeating(seatOrder, currentRound, firstDealerSeat) : null;
 
   return (
-    <div className="round-manager">
+    <div className="round-manager" data-hands-available={currentRoundData.handsCount || 0}>
       <div className="round-header">
-        <h2>Round {currentRound} of {TOTAL_ROUNDS}</h2>
+        <h2>Round {currentRound} of {totalRounds}</h2>
+        <span className="schedule-name">{schedule.name}</span>
         <div className="progress-bar">
           <div 
             className="progress-fill" 
@@ -116,6 +145,13 @@ const RoundManager = ({ onRoundChange, gameData, onGameComplete }) => {
             Completed: {currentRoundData.handsCompleted || 0} / {currentRoundData.handsCount || 0}
           </span>
         </div>
+
+        {seating && (
+          <div className="seating-info">
+            <span className="dealer">Dealer: {seating.dealer}</span>
+            <span className="lead-player">Leads: {seating.lead}</span>
+          </div>
+        )}
         
         <div className="round-status">
           {isRoundComplete(currentRound) ? (
@@ -140,14 +176,14 @@ const RoundManager = ({ onRoundChange, gameData, onGameComplete }) => {
           disabled={!isRoundComplete(currentRound)}
           className={`nav-button next ${!isRoundComplete(currentRound) ? 'disabled' : ''}`}
         >
-          {currentRound === TOTAL_ROUNDS ? 'Finish Game' : 'Next Round →'}
+          {currentRound === totalRounds ? 'Finish Game' : 'Next Round →'}
         </button>
       </div>
 
       <div className="rounds-overview">
         <h4>Game Progress</h4>
         <div className="rounds-grid">
-          {Array.from({ length: TOTAL_ROUNDS }, (_, i) => i + 1).map(round => (
+          {Array.from({ length: totalRounds }, (_, i) => i + 1).map(round => (
             <div 
               key={round}
               className={`round-tile ${
@@ -159,7 +195,7 @@ const RoundManager = ({ onRoundChange, gameData, onGameComplete }) => {
               }`}
             >
               <span className="round-number">{round}</span>
-              <span className="hands-indicator">{round} hands</span>
+              <span className="hands-indicator">{schedule.cardsPerRound[round - 1]} hands</span>
               {isRoundComplete(round) && <span className="complete-check">✓</span>}
             </div>
           ))}
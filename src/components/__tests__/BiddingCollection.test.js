@@ -28,6 +28,13 @@ describe('BiddingCollection Component', () => {
     expect(screen.getByText('Available Hands: 5')).toBeInTheDocument();
   });
 
+  test('marks the dealer and the lead player', () => {
+    render(<BiddingCollection {...defaultProps} dealerId="3" leadId="1" />);
+
+    expect(screen.getByLabelText('Alice (Leads):')).toBeInTheDocument();
+    expect(screen.getByLabelText('Charlie (Dealer):')).toBeInTheDocument();
+  });
+
   test('renders bid inputs for each player', () => {
     render(<BiddingCollection {...defaultProps} />);
     
@@ -145,4 +152,27 @@ describe('BiddingCollection Component', () => {
       '3': 0
     });
   });
+
+  test('offers a wager selector for Rascal scoring', () => {
+    render(<BiddingCollection {...defaultProps} rulesetId="skull-king-rascal" />);
+
+    const aliceWager = screen.getByLabelText('Alice wager');
+    fireEvent.change(aliceWager, { target: { value: 'cannonball' } });
+    fireEvent.click(screen.getByText('Confirm Bids'));
+
+    expect(screen.getByText('Cannonball')).toBeInTheDocument();
+    expect(screen.getAllByText('Grapeshot')).toHaveLength(2);
+
+    fireEvent.click(screen.getByText('Proceed to Round'));
+    expect(defaultProps.onBidsConfirmed).toHaveBeenCalledWith(
+      { '1': 0, '2': 0, '3': 0 },
+      { '1': 'cannonball', '2': 'grapeshot', '3': 'grapeshot' }
+    );
+  });
+
+  test('hides the wager selector for rulesets without wagers', () => {
+    render(<BiddingCollection {...defaultProps} />);
+
+    expect(screen.queryByLabelText('Alice wager')).not.toBeInTheDocument();
+  });
 });
\ No newline at end of file
@@ -46,11 +46,16 @@ describe('BonusPointsInput', () => {
       />
     );
 
-    const aliceInput = screen.getAllByRole('spinbutton')[0];
+    const aliceInput = screen.getByLabelText('Alice Standard 14s captured');
     expect(aliceInput).not.toBeDisabled();
     
-    fireEvent.change(aliceInput, { target: { value: '5' } });
-    expect(mockOnBonusPointsChange).toHaveBeenCalled();
+    fireEvent.change(aliceInput, { target: { value: '2' } });
+    expect(mockOnBonusPointsChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        1: expect.objectContaining({ standardFourteens: 2 })
+      })
+    );
+    expect(screen.getByText('Bonus: +20')).toBeInTheDocument();
   });
 
   test('disables bonus points input for players without exact bids', () => {
@@ -63,7 +68,7 @@ describe('BonusPointsInput', () => {
       />
     );
 
-    const bobInput = screen.getAllByRole('spinbutton')[1];
+    const bobInput = screen.getByLabelText('Bob Standard 14s captured');
     expect(bobInput).toBeDisabled();
   });
 
@@ -92,9 +97,38 @@ describe('BonusPointsInput', () => {
       />
     );
 
-    const aliceInput = screen.getAllByRole('spinbutton')[0];
+    const aliceInput = screen.getByLabelText('Alice Standard 14s captured');
     
     fireEvent.change(aliceInput, { target: { value: '-5' } });
     expect(aliceInput.value).toBe('0');
   });
+
+  test('renders an input for every bonus type', () => {
+    render(
+      <BonusPointsInput
+        players={mockPlayers}
+        currentRound={1}
+        onBonusPointsChange={mockOnBonusPointsChange}
+        roundResults={mockRoundResults}
+      />
+    );
+
+    expect(screen.getAllByRole('spinbutton')).toHaveLength(18); // 3 players × 6 bonus types
+    expect(screen.getAllByText('Skull King captured by a mermaid (+40)')).toHaveLength(3);
+  });
+
+  test('caps captures at the number of cards in the deck', () => {
+    render(
+      <BonusPointsInput
+        players={mockPlayers}
+        currentRound={1}
+        onBonusPointsChange={mockOnBonusPointsChange}
+        roundResults={mockRoundResults}
+      />
+    );
+
+    const blackFourteen = screen.getByLabelText('Alice Black 14 captured');
+    fireEvent.change(blackFourteen, { target: { value: '3' } });
+    expect(blackFourteen.value).toBe('1');
+  });
 });
\ No newline at end of file
@@ -116,4 +116,28 @@ describe('RoundManager', () => {
       expect(round1Tile).toHaveClass('complete');
     });
   });
+
+  test('follows the selected round schedule', () => {
+    render(<RoundManager onRoundChange={mockOnRoundChange} scheduleId="skip-to-the-brawl" />);
+
+    expect(screen.getByText('Round 1 of 5')).toBeInTheDocument();
+    expect(screen.getByText("Skip to the Brawl")).toBeInTheDocument();
+    expect(screen.getByText('Hands this round: 6')).toBeInTheDocument();
+    expect(screen.getByText('10 hands')).toBeInTheDocument();
+  });
+
+  test('shows the dealer and lead player for the round', () => {
+    render(<RoundManager onRoundChange={mockOnRoundChange} seatOrder={['Alice', 'Bob', 'Cara']} firstDealerSeat={2} />);
+
+    expect(screen.getByText('Dealer: Cara')).toBeInTheDocument();
+    expect(screen.getByText('Leads: Alice')).toBeInTheDocument();
+  });
+
+  test('sizes a Wizard game from the player count', () => {
+    const { container } = render(<RoundManager onRoundChange={mockOnRoundChange} scheduleId="wizard" playerCount={3} />);
+
+    expect(screen.getByText('Round 1 of 20')).toBeInTheDocument();
+    expect(screen.getByText('20 hands')).toBeInTheDocument();
+    expect(container.querySelector('[data-hands-available]').getAttribute('data-hands-available')).toBe('1');
+  });
 });
\ No newline at end of file
@@ -1,12 +1,668 @@
+import ScoreValidator from '../utils/ScoreValidator.js';
+import { GAME_DOCUMENT_FORMAT, GAME_DOCUMENT_VERSION, getDocumentVersion, migrateGameDocument } from './gameDocument.js';
+import { exportScoresheetCsv } from './scoresheetCsv.js';
+
+// The js/ modules are classic scripts: the browser page loads them first and they register on window
+const Rulesets = typeof module !== 'undefined' && module.exports
+  ? require('../../js/rulesets.js')
+  : window.Rulesets;
+
+const Bonuses = typeof module !== 'undefined' && module.exports
+  ? require('../../js/bonuses.js')
+  : window.Bonuses;
+
+const CommandHistory = typeof module !== 'undefined' && module.exports
+  ? require('../../js/commandHistory.js')
+  : window.CommandHistory;
+
+const Spades = typeof module !== 'undefined' && module.exports
+  ? require('../../js/spades.js')
+  : window.Spades;
+
+const Seating = typeof module !== 'undefined' && module.exports
+  ? require('../../js/seating.js')
+  : window.Seating;
+
+const PlayerStats = typeof module !== 'undefined' && module.exports
+  ? require('../../js/playerStats.js')
+  : window.PlayerStats;
+
+const GameLength = typeof module !== 'undefined' && module.exports
+  ? require('../../js/gameLength.js')
+  : window.GameLength;
+
+const TieBreakers = typeof module !== 'undefined' && module.exports
+  ? require('../../js/tieBreakers.js')
+  : window.TieBreakers;
+
+// Where a late joiner's total starts: zero, the lowest current total, or the average total
+const LATE_JOIN_SCORES = ['zero', 'lowest', 'average'];
+
 /**
  * ScoreTracker - Manages player scores, rankings, and score history
  */
 class ScoreTracker {
-  constructor() {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {string} options.rulesetId - Ruleset used to score rounds (defaults to Skull King classic)
+   * @param {Object} options.storage - Game store from GameStorage.createGameStorage; enables autosave
+   * @param {string} options.gameId - Id the game is saved under (defaults to 'score-tracker')
+   * @param {Object} options.endCondition - Game length from js/gameLength.js (defaults to ending manually)
+   * @param {Array<string>} options.tieBreakers - Tie-breaker ids from js/tieBreakers.js, tried in order
+   * @param {string} options.lateJoinScore - Starting score for late joiners: 'zero' (default), 'lowest' or 'average'
+   */
+  constructor(options = {}) {
     this.players = new Map();
     this.rounds = [];
     this.currentRound = 0;
     this.gameEnded = false;
+    this.rulesetId = Rulesets.getRuleset(options.rulesetId || Rulesets.DEFAULT_RULESET_ID).id;
+    this.storage = options.storage || null;
+    this.gameId = options.gameId || 'score-tracker';
+    this.lastSave = Promise.resolve(null);
+    this.history = CommandHistory.createCommandHistory();
+    this.auditLog = [];
+    // Spades partnerships: [{ name, players, totalScore, bags, roundScores, rank }]
+    this.teams = [];
+    // Game length: null until set, the game then ends itself after the round that meets it
+    this.endCondition = options.endCondition ? GameLength.createEndCondition(options.endCondition) : null;
+    this.startedAt = null;
+    this.endReason = null;
+    // A game that ended itself can be reopened by undoing or correcting the rounds that ended it
+    this.endedByCondition = false;
+    // Final rankings: tie-breaker ids tried in order, and sudden-death scores keyed by player
+    this.tieBreakers = [];
+    this.suddenDeathScores = {};
+    if (options.tieBreakers) {
+      this.setTieBreakers(options.tieBreakers);
+    }
+    this.lateJoinScore = options.lateJoinScore || 'zero';
+    if (!LATE_JOIN_SCORES.includes(this.lateJoinScore)) {
+      throw new Error(`Unknown late-join score: ${this.lateJoinScore}`);
+    }
+    // Seating: { seatOrder, firstDealerSeat }; each scored round records its dealer and lead
+    this.seating = null;
+  }
+
+  /**
+   * Restore a tracker from a snapshot produced by toJSON
+   * @param {Object} snapshot - Saved tracker state
+   * @param {Object} options - Constructor options (storage, gameId)
+   * @returns {ScoreTracker} Restored tracker
+   */
+  static fromJSON(snapshot, options = {}) {
+    if (!snapshot || !Array.isArray(snapshot.players) || !Array.isArray(snapshot.rounds)) {
+      throw new Error('Invalid score tracker snapshot');
+    }
+
+    const tracker = new ScoreTracker({ ...options, rulesetId: snapshot.rulesetId });
+    snapshot.players.forEach(player => {
+      tracker.players.set(player.name, {
+        ...tracker._createPlayer(player),
+        totalScore: player.totalScore,
+        roundScores: [...player.roundScores],
+        rank: player.rank
+      });
+    });
+    tracker.rounds = snapshot.rounds.map(round => JSON.parse(JSON.stringify(round)));
+    tracker.currentRound = snapshot.currentRound;
+    tracker.gameEnded = Boolean(snapshot.gameEnded);
+    tracker.auditLog = (snapshot.auditLog || []).map(entry => JSON.parse(JSON.stringify(entry)));
+    if (snapshot.seating) {
+      tracker.seating = {
+        seatOrder: [...snapshot.seating.seatOrder],
+        firstDealerSeat: snapshot.seating.firstDealerSeat
+      };
+    }
+    if (Array.isArray(snapshot.teams) && snapshot.teams.length > 0) {
+      tracker.teams = snapshot.teams.map(team => tracker._createTeam(team));
+      tracker._rebuildTeams();
+    }
+    if (snapshot.endCondition) {
+      tracker.endCondition = GameLength.createEndCondition(snapshot.endCondition);
+    } else if (typeof snapshot.targetScore === 'number') {
+      // Snapshots saved before game lengths only had the partnership target score
+      tracker.endCondition = { mode: GameLength.TARGET_SCORE, targetScore: snapshot.targetScore };
+    }
+    tracker.startedAt = snapshot.startedAt || null;
+    tracker.endReason = snapshot.endReason || null;
+    tracker.endedByCondition = Boolean(snapshot.endedByCondition);
+    tracker.tieBreakers = [...(snapshot.tieBreakers || [])];
+    tracker.suddenDeathScores = { ...(snapshot.suddenDeathScores || {}) };
+    return tracker;
+  }
+
+  /**
+   * Resume the game saved in a store, if it has not ended
+   * @param {Object} storage - Game store from GameStorage.createGameStorage
+   * @param {string} gameId - Id the game was saved under
+   * @returns {Promise<ScoreTracker|null>} Restored tracker, or null if there is nothing to resume
+   */
+  static resume(storage, gameId = 'score-tracker') {
+    return storage.loadGame(gameId).then(record => {
+      if (!record || record.finished) {
+        return null;
+      }
+      return ScoreTracker.fromJSON(record.data, { storage, gameId });
+    });
+  }
+
+  /**
+   * Serialize the tracker state for saving
+   * @returns {Object} JSON-serializable snapshot
+   */
+  toJSON() {
+    return {
+      rulesetId: this.rulesetId,
+      currentRound: this.currentRound,
+      gameEnded: this.gameEnded,
+      players: Array.from(this.players.entries()).map(([name, data]) => ({
+        name,
+        totalScore: data.totalScore,
+        roundScores: [...data.roundScores],
+        rank: data.rank,
+        ...this._describeRoster(data)
+      })),
+      rounds: this.getRoundBreakdown(),
+      auditLog: this.getAuditLog(),
+      teams: this.teams.map(team => ({ name: team.name, players: [...team.players] })),
+      targetScore: this.targetScore,
+      endCondition: this.getEndCondition(),
+      startedAt: this.startedAt,
+      endReason: this.endReason,
+      endedByCondition: this.endedByCondition,
+      tieBreakers: [...this.tieBreakers],
+      suddenDeathScores: { ...this.suddenDeathScores },
+      seating: this.getSeating()
+    };
+  }
+
+  /**
+   * Export the complete game as a versioned, portable document
+   * Rounds keep the bids, tricks, bonuses and wagers they were scored from, plus the computed scores.
+   * @returns {Object} Game document (see gameDocument.js for the schema history)
+   */
+  exportGame() {
+    return {
+      format: GAME_DOCUMENT_FORMAT,
+      version: GAME_DOCUMENT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: {
+        rulesetId: this.rulesetId,
+        targetScore: this.targetScore,
+        endCondition: this.getEndCondition(),
+        tieBreakers: [...this.tieBreakers],
+        teams: this.teams.map(team => ({ name: team.name, players: [...team.players] })),
+        seating: this.getSeating()
+      },
+      players: Array.from(this.players.keys()),
+      roster: Array.from(this.players.entries()).map(([name, data]) => ({ name, ...this._describeRoster(data) })),
+      startedAt: this.startedAt,
+      gameEnded: this.gameEnded,
+      endReason: this.endReason,
+      suddenDeathScores: { ...this.suddenDeathScores },
+      rounds: this.rounds.map(round => ({
+        roundNumber: round.roundNumber,
+        timestamp: round.timestamp,
+        cardsDealt: round.cardsDealt || null,
+        scores: { ...round.scores },
+        results: round.results
+          ? Object.fromEntries(Object.entries(round.results).map(([name, result]) => [name, {
+            bid: result.bid,
+            tricks: result.tricks,
+            bonus: this._bonusInput(result),
+            wager: result.wager,
+            blindNil: Boolean(result.blindNil),
+            corrected: Boolean(result.corrected)
+          }]))
+          : null,
+        seating: round.seating ? { ...round.seating, seats: { ...round.seating.seats } } : null,
+        ...(round.voidedBy ? { voidedBy: [...round.voidedBy] } : {})
+      })),
+      totals: Object.fromEntries(Array.from(this.players.entries()).map(([name, data]) => [name, data.totalScore])),
+      auditLog: this.getAuditLog()
+    };
+  }
+
+  /**
+   * Import a game document, migrating older versions and re-scoring every round
+   * Problems are returned as field-level errors rather than thrown.
+   * @param {Object|string} input - Game document, or its JSON text
+   * @param {Object} options - Constructor options for the new tracker (storage, gameId)
+   * @returns {Object} { success, tracker, migratedFrom } or { success: false, errors, fieldErrors }
+   */
+  static importGame(input, options = {}) {
+    const failure = fieldErrors => ({
+      success: false,
+      errors: fieldErrors.map(error => `${error.field}: ${error.message}`),
+      fieldErrors
+    });
+
+    let doc = input;
+    if (typeof input === 'string') {
+      try {
+        doc = JSON.parse(input);
+      } catch (error) {
+        return failure([{ field: 'document', message: `Invalid JSON: ${error.message}` }]);
+      }
+    }
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      return failure([{ field: 'document', message: 'Game document must be an object' }]);
+    }
+
+    const migratedFrom = getDocumentVersion(doc);
+    try {
+      doc = migrateGameDocument(doc);
+    } catch (error) {
+      return failure([{ field: 'version', message: error.message }]);
+    }
+
+    const validation = ScoreValidator.validateGameDocument(doc);
+    if (!validation.isValid) {
+      return failure(validation.fieldErrors);
+    }
+
+    let tracker;
+    try {
+      tracker = new ScoreTracker({ ...options, rulesetId: doc.settings.rulesetId });
+    } catch (error) {
+      return failure([{ field: 'settings.rulesetId', message: error.message }]);
+    }
+    // Late joiners and leavers are replayed at the point they joined or left
+    const roster = new Map((doc.roster || []).map(entry => [entry.name, entry]));
+    const rosterChanged = Array.from(roster.values())
+      .some(entry => entry.joinedAfterRound !== null || entry.leftAfterRound !== null);
+    const rosterChangesAfter = playedRounds => {
+      roster.forEach(entry => {
+        if (entry.joinedAfterRound === playedRounds) {
+          tracker.addPlayer(entry.name, { startingScore: entry.startingScore });
+        }
+      });
+      roster.forEach(entry => {
+        if (entry.leftAfterRound === playedRounds) {
+          tracker.removePlayer(entry.name);
+        }
+      });
+    };
+    tracker.initializePlayers(doc.players.filter(name => !roster.has(name) || roster.get(name).joinedAfterRound === null));
+
+    const { teams, targetScore, seating } = doc.settings;
+    try {
+      if (teams.length > 0) {
+        tracker.setTeams(teams, targetScore === null ? {} : { targetScore });
+      }
+    } catch (error) {
+      return failure([{ field: 'settings.teams', message: error.message }]);
+    }
+    try {
+      // When players came and went the saved seating is the table as it ended, set after the replay
+      if (seating && !rosterChanged) {
+        tracker.setSeating(seating.seatOrder, seating.firstDealerSeat);
+      }
+    } catch (error) {
+      return failure([{ field: 'settings.seating', message: error.message }]);
+    }
+
+    // Re-score each round from its inputs, then check the result against the exported scores
+    const fieldErrors = [];
+    for (const [index, round] of doc.rounds.entries()) {
+      try {
+        rosterChangesAfter(index);
+      } catch (error) {
+        return failure([{ field: 'roster', message: error.message }]);
+      }
+      try {
+        if (round.results) {
+          tracker.addRoundResults(round.results, round.cardsDealt, { voidedBy: round.voidedBy || [] });
+        } else {
+          tracker.addRoundScores(round.scores);
+        }
+      } catch (error) {
+        return failure([{ field: `rounds[${index}]`, message: error.message }]);
+      }
+
+      const imported = tracker.rounds[index];
+      if (round.timestamp) {
+        imported.timestamp = round.timestamp;
+      }
+      Object.entries(round.results || {}).forEach(([name, result]) => {
+        if (result.corrected) {
+          imported.results[name].corrected = true;
+        }
+      });
+      if (rosterChanged && round.seating) {
+        imported.seating = { ...round.seating, seats: { ...round.seating.seats } };
+      }
+    }
+    try {
+      rosterChangesAfter(doc.rounds.length);
+    } catch (error) {
+      return failure([{ field: 'roster', message: error.message }]);
+    }
+    if (seating && rosterChanged) {
+      const seatingCheck = Seating.validateSeating(seating.seatOrder, tracker._activePlayerNames(), seating.firstDealerSeat);
+      if (!seatingCheck.isValid) {
+        return failure([{ field: 'settings.seating', message: seatingCheck.errors.join(', ') }]);
+      }
+      tracker.seating = { seatOrder: [...seating.seatOrder], firstDealerSeat: seating.firstDealerSeat };
+    }
+    roster.forEach(entry => {
+      tracker.players.get(entry.name).previousNames = entry.previousNames.map(previous => ({ ...previous }));
+    });
+
+    doc.rounds.forEach((round, index) => {
+      doc.players.forEach(name => {
+        const recomputed = tracker.rounds[index].scores[name];
+        if (recomputed !== round.scores[name]) {
+          fieldErrors.push({
+            field: `rounds[${index}].scores.${name}`,
+            message: `Score ${round.scores[name]} does not match the recomputed score ${recomputed}`
+          });
+        }
+      });
+    });
+    if (fieldErrors.length > 0) {
+      return failure(fieldErrors);
+    }
+
+    tracker.auditLog = doc.auditLog.map(entry => JSON.parse(JSON.stringify(entry)));
+    // The game length is restored after the replay so a time limit is not measured against the import
+    if (doc.settings.endCondition) {
+      tracker.endCondition = GameLength.createEndCondition(doc.settings.endCondition);
+    }
+    tracker.startedAt = doc.startedAt || tracker.startedAt;
+    tracker.endReason = doc.endReason || tracker.endReason;
+    tracker.tieBreakers = [...(doc.settings.tieBreakers || [])];
+    tracker.suddenDeathScores = { ...(doc.suddenDeathScores || {}) };
+    tracker.gameEnded = tracker.gameEnded || doc.gameEnded;
+    // The imported rounds are the starting point, not steps to undo
+    tracker.history.clear();
+    tracker._autosave();
+
+    return { success: true, tracker, migratedFrom };
+  }
+
+  /**
+   * Save the current state when a store is attached
+   * @private
+   * @returns {Promise} Resolves with the saved record (or null without a store)
+   */
+  _autosave() {
+    if (!this.storage) {
+      return this.lastSave;
+    }
+
+    this.lastSave = this.storage
+      .saveGame(this.gameId, this.toJSON(), { finished: this.gameEnded })
+      .catch(error => {
+        console.error('Failed to save game:', error);
+        return null;
+      });
+    return this.lastSave;
+  }
+
+  /**
+   * Select the ruleset used to score rounds
+   * @param {string} rulesetId - Registered ruleset id
+   */
+  setRuleset(rulesetId) {
+    if (this.rounds.length > 0) {
+      throw new Error('Cannot change ruleset after rounds have been scored');
+    }
+
+    this.rulesetId = Rulesets.getRuleset(rulesetId).id;
+  }
+
+  /**
+   * Get the ruleset used to score rounds
+   * @returns {Object} Ruleset id and display name
+   */
+  getRuleset() {
+    const ruleset = Rulesets.getRuleset(this.rulesetId);
+    return { id: ruleset.id, name: ruleset.name };
+  }
+
+  /**
+   * Set how long the game lasts
+   * The condition is checked after each scored round from the next one on; once it is
+   * met the game ends and the final rankings are fixed.
+   * @param {Object|null} condition - End condition from js/gameLength.js, or null to end the game manually
+   */
+  setEndCondition(condition) {
+    if (this.gameEnded) {
+      throw new Error('Cannot change the game length after the game has ended');
+    }
+
+    this.endCondition = condition === null ? null : GameLength.createEndCondition(condition);
+    this._autosave();
+  }
+
+  /**
+   * Get how long the game lasts
+   * @returns {Object|null} End condition, or null if the game is ended manually
+   */
+  getEndCondition() {
+    return this.endCondition ? { ...this.endCondition } : null;
+  }
+
+  /**
+   * Choose how players level on total score are separated in the final rankings
+   * @param {Array<string>} tieBreakers - Tie-breaker ids from js/tieBreakers.js, tried in order
+   */
+  setTieBreakers(tieBreakers) {
+    if (this.gameEnded) {
+      throw new Error('Cannot change tie-breakers after the game has ended');
+    }
+
+    const validation = TieBreakers.validateTieBreakers(tieBreakers);
+    if (!validation.isValid) {
+      throw new Error(`Invalid tie-breakers: ${validation.errors.join(', ')}`);
+    }
+
+    this.tieBreakers = [...tieBreakers];
+    this._autosave();
+  }
+
+  /**
+   * Record a sudden-death round played by players still level after the game
+   * The scores only separate tied players; they are not added to anyone's total.
+   * @param {Object} scores - Sudden-death scores keyed by player name
+   */
+  recordSuddenDeath(scores) {
+    if (!this.tieBreakers.includes('sudden-death')) {
+      throw new Error('Sudden death is not one of the tie-breakers');
+    }
+
+    if (!this.gameEnded) {
+      throw new Error('Sudden death is played after the game has ended');
+    }
+
+    if (!scores || typeof scores !== 'object') {
+      throw new Error('Sudden-death scores must be an object');
+    }
+
+    Object.entries(scores).forEach(([playerName, score]) => {
+      if (!this.players.has(playerName)) {
+        throw new Error(`Player not found: ${playerName}`);
+      }
+      if (typeof score !== 'number' || isNaN(score)) {
+        throw new Error(`Invalid score for player ${playerName}: ${score}`);
+      }
+    });
+
+    this.suddenDeathScores = { ...this.suddenDeathScores, ...scores };
+    this._autosave();
+  }
+
+  /**
+   * Score the game is played to, if it has one
+   * @returns {number|null} Target score, or null for other game lengths
+   */
+  get targetScore() {
+    return this.endCondition && this.endCondition.mode === GameLength.TARGET_SCORE
+      ? this.endCondition.targetScore
+      : null;
+  }
+
+  /**
+   * Play Spades in fixed partnerships
+   * Team rounds are scored together (combined bids, nil, blind nil and bags) and
+   * the game is played to a target score, replacing any other game length.
+   * @param {Array} teams - Array of { name, players } (players are names already in the game)
+   * @param {Object} options - Partnership options
+   * @param {number} options.targetScore - Score that ends the game (defaults to 500)
+   */
+  setTeams(teams, options = {}) {
+    if (this.rulesetId !== 'spades') {
+      throw new Error('Partnerships are only available in Spades');
+    }
+
+    if (this.rounds.length > 0) {
+      throw new Error('Cannot change teams after rounds have been scored');
+    }
+
+    const validation = Spades.validateTeams(teams, Array.from(this.players.keys()));
+    if (!validation.isValid) {
+      throw new Error(`Invalid teams: ${validation.errors.join(', ')}`);
+    }
+
+    const targetScore = options.targetScore === undefined ? Spades.DEFAULT_TARGET_SCORE : options.targetScore;
+    if (!Number.isInteger(targetScore) || targetScore <= 0) {
+      throw new Error('Target score must be a positive whole number');
+    }
+
+    this.teams = teams.map(team => this._createTeam(team));
+    this.endCondition = { mode: GameLength.TARGET_SCORE, targetScore };
+    this._autosave();
+  }
+
+  /**
+   * Create a team with empty totals
+   * @private
+   * @param {Object} team - { name, players }
+   * @returns {Object} Team record
+   */
+  _createTeam(team) {
+    return {
+      name: team.name,
+      players: [...team.players],
+      totalScore: 0,
+      bags: 0,
+      roundScores: [],
+      rank: 1
+    };
+  }
+
+  /**
+   * Get the team the player belongs to
+   * @param {string} playerName - Name of the player
+   * @returns {Object|null} Team { name, players }, or null outside partnership games
+   */
+  getTeam(playerName) {
+    const team = this.teams.find(t => t.players.includes(playerName));
+    return team ? { name: team.name, players: [...team.players] } : null;
+  }
+
+  /**
+   * Get team standings with each member's contribution
+   * @returns {Array} Teams sorted by rank (empty outside partnership games)
+   */
+  getTeamStandings() {
+    return this.teams
+      .map(team => ({
+        name: team.name,
+        totalScore: team.totalScore,
+        bags: team.bags,
+        rank: team.rank,
+        roundScores: [...team.roundScores],
+        members: team.players.map(name => ({
+          name,
+          contribution: this.players.get(name).totalScore
+        })),
+        isLeader: team.rank === 1
+      }))
+      .sort((a, b) => a.rank - b.rank);
+  }
+
+  /**
+   * Set the seating order and first dealer
+   * Every round scored afterwards records its dealer, lead player and each player's seat.
+   * @param {Array<string>} seatOrder - Player names in seating order
+   * @param {number} firstDealerSeat - Seat that deals round 1
+   */
+  setSeating(seatOrder, firstDealerSeat = 0) {
+    if (this.rounds.length > 0) {
+      throw new Error('Cannot change seating after rounds have been scored');
+    }
+
+    const validation = Seating.validateSeating(seatOrder, Array.from(this.players.keys()), firstDealerSeat);
+    if (!validation.isValid) {
+      throw new Error(`Invalid seating: ${validation.errors.join(', ')}`);
+    }
+
+    this.seating = { seatOrder: [...seatOrder], firstDealerSeat };
+    this._autosave();
+  }
+
+  /**
+   * Get the seating order and first dealer
+   * @returns {Object|null} { seatOrder, firstDealerSeat }, or null if no seating was set
+   */
+  getSeating() {
+    return this.seating
+      ? { seatOrder: [...this.seating.seatOrder], firstDealerSeat: this.seating.firstDealerSeat }
+      : null;
+  }
+
+  /**
+   * Work out who deals and leads a round and where everyone sits
+   * @private
+   * @param {number} roundNumber - Round number
+   * @returns {Object} { dealer, lead, seats } with seats keyed by player name
+   */
+  _roundSeating(roundNumber) {
+    const { seatOrder, firstDealerSeat } = this.seating;
+    const { dealer, lead } = Seating.getRoundSeating(seatOrder, roundNumber, firstDealerSeat);
+    return {
+      dealer,
+      lead,
+      seats: Object.fromEntries(seatOrder.map((name, seat) => [name, seat]))
+    };
+  }
+
+  /**
+   * Change who is at the table without disturbing the deal
+   * The deal still passes to the left of whoever dealt last (before round 1,
+   * the chosen first dealer keeps the deal unless they have left).
+   * @private
+   * @param {Array<string>} seatOrder - New seating order
+   */
+  _reseat(seatOrder) {
+    const roundsPlayed = this.rounds.length;
+    const { seatOrder: oldOrder, firstDealerSeat } = this.seating;
+    const anchorSeat = Seating.getDealerSeat(Math.max(roundsPlayed, 1), oldOrder.length, firstDealerSeat);
+    const anchor = oldOrder[anchorSeat];
+
+    let dealer;
+    if (roundsPlayed > 0 && seatOrder.includes(anchor)) {
+      dealer = seatOrder[(seatOrder.indexOf(anchor) + 1) % seatOrder.length];
+    } else {
+      // Walk round the old table to the first player still seated
+      const start = roundsPlayed > 0 ? 1 : 0;
+      for (let offset = start; offset < oldOrder.length + start && !dealer; offset++) {
+        const name = oldOrder[(anchorSeat + offset) % oldOrder.length];
+        if (seatOrder.includes(name)) {
+          dealer = name;
+        }
+      }
+    }
+
+    const nextRound = roundsPlayed + 1;
+    const dealerSeat = seatOrder.indexOf(dealer);
+    this.seating = {
+      seatOrder,
+      firstDealerSeat: (((dealerSeat - (nextRound - 1)) % seatOrder.length) + seatOrder.length) % seatOrder.length
+    };
   }
 
   /**
@@ -22,25 +678,281 @@ class ScoreTracker {
     this.rounds = [];
     this.currentRound = 0;
     this.gameEnded = false;
+    this.endedByCondition = false;
+    this.history.clear();
+    this.auditLog = [];
+    this.teams = [];
+    this.seating = null;
+    this.startedAt = new Date().toISOString();
+    this.endReason = null;
+    this.suddenDeathScores = {};
 
     playerNames.forEach(name => {
       if (typeof name !== 'string' || name.trim() === '') {
         throw new Error('All player names must be non-empty strings');
       }
       
-      this.players.set(name, {
-        totalScore: 0,
-        roundScores: [],
-        rank: 1
-      });
+      this.players.set(name, this._createPlayer());
+    });
+
+    this._autosave();
+  }
+
+  /**
+   * Create a player record with no rounds played
+   * @private
+   * @param {Object} roster - Saved roster fields (see _describeRoster); originals by default
+   * @returns {Object} Player record
+   */
+  _createPlayer(roster = {}) {
+    return {
+      totalScore: roster.startingScore || 0,
+      roundScores: [],
+      rank: 1,
+      startingScore: roster.startingScore || 0,
+      joinedAfterRound: roster.joinedAfterRound === undefined ? null : roster.joinedAfterRound,
+      leftAfterRound: roster.leftAfterRound === undefined ? null : roster.leftAfterRound,
+      previousNames: (roster.previousNames || []).map(previous => ({ ...previous }))
+    };
+  }
+
+  /**
+   * Copy the roster fields of a player record: when they joined and left, and who held the seat before
+   * @private
+   * @param {Object} player - Player record
+   * @returns {Object} { startingScore, joinedAfterRound, leftAfterRound, previousNames }
+   */
+  _describeRoster(player) {
+    return {
+      startingScore: player.startingScore,
+      joinedAfterRound: player.joinedAfterRound,
+      leftAfterRound: player.leftAfterRound,
+      previousNames: player.previousNames.map(previous => ({ ...previous }))
+    };
+  }
+
+  /**
+   * Names of the players still in the game (everyone who has not left)
+   * @private
+   * @returns {Array<string>} Player names
+   */
+  _activePlayerNames() {
+    return Array.from(this.players.entries())
+      .filter(([, player]) => player.leftAfterRound === null)
+      .map(([name]) => name);
+  }
+
+  /**
+   * Add a player part-way through the game
+   * They are scored from the next round on, starting from zero, the lowest current
+   * total or the average total (rounded) of the players still in the game.
+   * @param {string} playerName - Name of the new player
+   * @param {Object} options - Join options
+   * @param {string|number} options.startingScore - 'zero', 'lowest', 'average' or a score
+   *   (defaults to the tracker's lateJoinScore)
+   * @returns {Object} The new player's { name, startingScore, joinedAfterRound }
+   */
+  addPlayer(playerName, options = {}) {
+    if (this.gameEnded) {
+      throw new Error('Cannot add players after game has ended');
+    }
+    if (this.teams.length > 0) {
+      throw new Error('Players cannot join or leave a partnership game');
+    }
+    if (typeof playerName !== 'string' || playerName.trim() === '') {
+      throw new Error('All player names must be non-empty strings');
+    }
+    if (this.players.has(playerName)) {
+      throw new Error(`Player already exists: ${playerName}`);
+    }
+
+    const startingScore = this._lateJoinStartingScore(
+      options.startingScore === undefined ? this.lateJoinScore : options.startingScore
+    );
+    const joinedAfterRound = this.rounds.length;
+    const seating = this.getSeating();
+
+    this.history.execute({
+      label: `${playerName} joins`,
+      execute: () => {
+        this.players.set(playerName, this._createPlayer({ startingScore, joinedAfterRound }));
+        if (seating) {
+          // Late joiners take the last seat
+          this._reseat([...seating.seatOrder, playerName]);
+        }
+        this._rebuildScores();
+      },
+      undo: () => {
+        this.players.delete(playerName);
+        this.seating = seating;
+        this._rebuildScores();
+      }
+    });
+
+    return { name: playerName, startingScore, joinedAfterRound };
+  }
+
+  /**
+   * Work out a late joiner's starting score
+   * @private
+   * @param {string|number} startingScore - 'zero', 'lowest', 'average' or a score
+   * @returns {number} Starting score
+   */
+  _lateJoinStartingScore(startingScore) {
+    if (typeof startingScore === 'number') {
+      if (!isFinite(startingScore)) {
+        throw new Error(`Invalid starting score: ${startingScore}`);
+      }
+      return startingScore;
+    }
+    if (!LATE_JOIN_SCORES.includes(startingScore)) {
+      throw new Error(`Unknown late-join score: ${startingScore}`);
+    }
+
+    const totals = this._activePlayerNames().map(name => this.players.get(name).totalScore);
+    if (startingScore === 'zero' || totals.length === 0) {
+      return 0;
+    }
+    return startingScore === 'lowest'
+      ? Math.min(...totals)
+      : Math.round(totals.reduce((sum, total) => sum + total, 0) / totals.length);
+  }
+
+  /**
+   * Take a player out of the game
+   * They keep their rounds, total and place in the standings but are not scored in later rounds.
+   * @param {string} playerName - Name of the player leaving
+   */
+  removePlayer(playerName) {
+    const player = this.players.get(playerName);
+    if (!player) {
+      throw new Error(`Player not found: ${playerName}`);
+    }
+    if (this.gameEnded) {
+      throw new Error('Cannot remove players after game has ended');
+    }
+    if (this.teams.length > 0) {
+      throw new Error('Players cannot join or leave a partnership game');
+    }
+    if (player.leftAfterRound !== null) {
+      throw new Error(`${playerName} has already left the game`);
+    }
+    if (this._activePlayerNames().length === 1) {
+      throw new Error('The last player cannot leave the game');
+    }
+
+    const seating = this.getSeating();
+
+    this.history.execute({
+      label: `${playerName} leaves`,
+      execute: () => {
+        player.leftAfterRound = this.rounds.length;
+        if (seating) {
+          this._reseat(seating.seatOrder.filter(name => name !== playerName));
+        }
+        this._autosave();
+      },
+      undo: () => {
+        player.leftAfterRound = null;
+        this.seating = seating;
+        this._autosave();
+      }
     });
   }
 
+  /**
+   * Put a substitute in a player's seat
+   * The substitute takes over the seat's rounds, total and place; the rounds already
+   * played are listed under the substitute's name, and the player they replaced is
+   * kept in previousNames.
+   * @param {string} playerName - Name of the player being replaced
+   * @param {string} substituteName - Name of the substitute
+   */
+  substitutePlayer(playerName, substituteName) {
+    const player = this.players.get(playerName);
+    if (!player) {
+      throw new Error(`Player not found: ${playerName}`);
+    }
+    if (this.gameEnded) {
+      throw new Error('Cannot substitute players after game has ended');
+    }
+    if (player.leftAfterRound !== null) {
+      throw new Error(`${playerName} has already left the game`);
+    }
+    if (typeof substituteName !== 'string' || substituteName.trim() === '') {
+      throw new Error('All player names must be non-empty strings');
+    }
+    if (this.players.has(substituteName)) {
+      throw new Error(`Player already exists: ${substituteName}`);
+    }
+
+    const untilRound = this.rounds.length;
+
+    this.history.execute({
+      label: `${substituteName} takes over from ${playerName}`,
+      execute: () => {
+        this._renamePlayer(playerName, substituteName);
+        player.previousNames.push({ name: playerName, untilRound });
+        this._rebuildScores();
+      },
+      undo: () => {
+        player.previousNames.pop();
+        this._renamePlayer(substituteName, playerName);
+        this._rebuildScores();
+      }
+    });
+  }
+
+  /**
+   * Move a seat, its rounds and its team place from one name to another
+   * @private
+   * @param {string} from - Current name
+   * @param {string} to - New name
+   */
+  _renamePlayer(from, to) {
+    const rename = name => (name === from ? to : name);
+    const renameKeys = object => Object.fromEntries(Object.entries(object).map(([name, value]) => [rename(name), value]));
+
+    this.players = new Map(Array.from(this.players.entries()).map(([name, data]) => [rename(name), data]));
+    this.rounds.forEach(round => {
+      round.scores = renameKeys(round.scores);
+      if (round.results) {
+        round.results = renameKeys(round.results);
+      }
+      if (round.seating) {
+        round.seating = {
+          ...round.seating,
+          dealer: rename(round.seating.dealer),
+          lead: rename(round.seating.lead),
+          seats: renameKeys(round.seating.seats)
+        };
+      }
+    });
+    this.teams.forEach(team => {
+      team.players = team.players.map(rename);
+    });
+    if (this.seating) {
+      this.seating = { ...this.seating, seatOrder: this.seating.seatOrder.map(rename) };
+    }
+    this.suddenDeathScores = renameKeys(this.suddenDeathScores);
+  }
+
   /**
    * Add scores for a round
+   * The game ends itself when the round meets the game's end condition.
    * @param {Object} roundScores - Object with player names as keys and scores as values
    */
   addRoundScores(roundScores) {
+    this._addRound(roundScores);
+  }
+
+  /**
+   * Record a round, then end the game if it met the end condition
+   * @private
+   * @param {Object} roundScores - Object with player names as keys and scores as values
+   * @param {Object} details - { cardsDealt, results } when the round was scored from bids
+   */
+  _addRound(roundScores, details = {}) {
     if (!roundScores || typeof roundScores !== 'object') {
       throw new Error('Round scores must be an object');
     }
@@ -49,8 +961,15 @@ class ScoreTracker {
       throw new Error('Cannot add scores after game has ended');
     }
 
-    // Validate all players have scores
-    for (const playerName of this.players.keys()) {
+    Object.keys(roundScores).forEach(playerName => {
+      const player = this.players.get(playerName);
+      if (player && player.leftAfterRound !== null) {
+        throw new Error(`${playerName} has left the game`);
+      }
+    });
+
+    // Validate all players still in the game have scores
+    for (const playerName of this._activePlayerNames()) {
       if (!(playerName in roundScores)) {
         throw new Error(`Score missing for player: ${playerName}`);
       }
@@ -61,23 +980,443 @@ class ScoreTracker {
       }
     }
 
-    // Update player scores and history
+    // Update player scores and history (undoable)
     const roundData = {
       roundNumber: this.currentRound + 1,
       scores: { ...roundScores },
       timestamp: new Date().toISOString()
     };
+    if (this.seating) {
+      roundData.seating = this._roundSeating(roundData.roundNumber);
+    }
+    Object.assign(roundData, details);
 
-    this.rounds.push(roundData);
+    // Undoing the round that ended the game reopens it
+    const endState = this._getEndState();
+    this.history.execute({
+      label: `Round ${roundData.roundNumber} scores`,
+      execute: () => {
+        this.rounds.push(roundData);
+        this._rebuildScores();
+        this._checkEndCondition();
+      },
+      undo: () => {
+        this.rounds.pop();
+        this._setEndState(endState);
+        this._rebuildScores();
+      }
+    });
+  }
 
-    for (const [playerName, score] of Object.entries(roundScores)) {
-      const player = this.players.get(playerName);
-      player.roundScores.push(score);
-      player.totalScore += score;
+  /**
+   * Undo the most recently added round or round correction
+   * A game that ended itself on its end condition is reopened by undoing the round
+   * that ended it; a game ended with endGame cannot be undone.
+   * @returns {boolean} True if something was undone
+   */
+  undo() {
+    if (this.gameEnded && !this.endedByCondition) {
+      throw new Error('Cannot undo after game has ended');
+    }
+    return this.history.undo() !== null;
+  }
+
+  /**
+   * Re-apply the most recently undone round or round correction
+   * @returns {boolean} True if something was redone
+   */
+  redo() {
+    if (this.gameEnded && !this.endedByCondition) {
+      throw new Error('Cannot redo after game has ended');
+    }
+    return this.history.redo() !== null;
+  }
+
+  /**
+   * Whether there is a round or correction to undo
+   * @returns {boolean} True if undo() would change the scores
+   */
+  canUndo() {
+    return (!this.gameEnded || this.endedByCondition) && this.history.canUndo();
+  }
+
+  /**
+   * Whether there is an undone round or correction to redo
+   * @returns {boolean} True if redo() would change the scores
+   */
+  canRedo() {
+    return (!this.gameEnded || this.endedByCondition) && this.history.canRedo();
+  }
+
+  /**
+   * Recompute every player's totals, round scores and rank from the recorded rounds
+   * @private
+   */
+  _rebuildScores() {
+    for (const player of this.players.values()) {
+      player.totalScore = player.startingScore;
+      player.roundScores = [];
     }
 
-    this.currentRound++;
+    // Team scoring rewrites each round's player scores, so it runs first
+    this._rebuildTeams();
+
+    this.rounds.forEach(round => {
+      for (const [playerName, score] of Object.entries(round.scores)) {
+        const player = this.players.get(playerName);
+        player.roundScores.push(score);
+        player.totalScore += score;
+      }
+    });
+
+    this.currentRound = this.rounds.length;
     this._updateRankings();
+    this._autosave();
+  }
+
+  /**
+   * Re-score every round for each partnership, carrying bags from round to round
+   * @private
+   */
+  _rebuildTeams() {
+    this.teams.forEach(team => {
+      team.totalScore = 0;
+      team.bags = 0;
+      team.roundScores = [];
+    });
+
+    this.rounds.forEach(round => {
+      if (round.results) {
+        round.teamResults = {};
+      }
+
+      this.teams.forEach(team => {
+        let teamScore = 0;
+
+        if (round.results) {
+          const members = team.players.map(name => ({ name, ...round.results[name] }));
+          const teamResult = Spades.scorePartnershipRound(members, team.bags);
+
+          team.players.forEach(name => {
+            const result = round.results[name];
+            result.baseScore = teamResult.contributions[name];
+            result.score = result.baseScore + result.bonusPoints;
+            result.scoringReason = teamResult.reasons[name];
+            round.scores[name] = result.score;
+          });
+
+          const { contributions, reasons, ...summary } = teamResult;
+          round.teamResults[team.name] = summary;
+          team.bags = teamResult.totalBags;
+          teamScore = teamResult.bagPoints + teamResult.bagPenalty;
+        }
+
+        teamScore += team.players.reduce((sum, name) => sum + (round.scores[name] || 0), 0);
+        team.roundScores.push(teamScore);
+        team.totalScore += teamScore;
+      });
+    });
+
+    this._rankByScore(this.teams);
+  }
+
+  /**
+   * End the game if the latest round met the end condition
+   * A game that ended itself is re-checked after a correction, and reopened if the
+   * corrected scores no longer meet the condition; a game ended with endGame stays ended.
+   * Partnership games are played to the teams' totals rather than the players'.
+   * @private
+   */
+  _checkEndCondition() {
+    if (this.gameEnded && !this.endedByCondition) {
+      return;
+    }
+
+    const entries = this.teams.length > 0 ? this.teams : Array.from(this.players.values());
+    const { ended, reason } = GameLength.checkEndCondition(this.endCondition, {
+      roundsPlayed: this.rounds.length,
+      totals: entries.map(entry => entry.totalScore),
+      startedAt: this.startedAt
+    });
+    if (ended !== this.gameEnded || reason !== this.endReason) {
+      this._setEndState({ gameEnded: ended, endReason: reason, endedByCondition: ended });
+      this._autosave();
+    }
+  }
+
+  /**
+   * Capture whether and why the game has ended, so an undo can restore it
+   * @private
+   * @returns {Object} { gameEnded, endReason, endedByCondition }
+   */
+  _getEndState() {
+    return { gameEnded: this.gameEnded, endReason: this.endReason, endedByCondition: this.endedByCondition };
+  }
+
+  /**
+   * Restore a state captured by _getEndState
+   * @private
+   * @param {Object} state - { gameEnded, endReason, endedByCondition }
+   */
+  _setEndState(state) {
+    this.gameEnded = state.gameEnded;
+    this.endReason = state.endReason;
+    this.endedByCondition = state.endedByCondition;
+  }
+
+  /**
+   * Score a round from bids and tricks using the game's ruleset
+   * Bonuses (an itemized breakdown or a plain number) only count on an exact bid
+   * @param {Object} roundResults - Object with player names as keys and { bid, tricks, bonus, wager, blindNil } as values
+   * @param {number} cardsDealt - Number of cards dealt this round
+   * @param {Object} options - Round details
+   * @param {Array<string>} options.voidedBy - Cards that destroyed a trick this round ('kraken', 'whiteWhale')
+   * @returns {Object} Scored results keyed by player name
+   */
+  addRoundResults(roundResults, cardsDealt, options = {}) {
+    if (!roundResults || typeof roundResults !== 'object') {
+      throw new Error('Round results must be an object');
+    }
+
+    if (typeof cardsDealt !== 'number' || cardsDealt <= 0) {
+      throw new Error('Cards dealt must be a positive number');
+    }
+
+    const { voidedBy = [] } = options;
+    if (!Array.isArray(voidedBy)) {
+      throw new Error('Voided by must be a list of cards');
+    }
+
+    const scores = {};
+    const results = {};
+
+    const exactBids = this._findExactBids(roundResults);
+    for (const playerName of this._activePlayerNames()) {
+      results[playerName] = this._scoreResult(playerName, roundResults[playerName], cardsDealt, exactBids);
+      scores[playerName] = results[playerName].score;
+    }
+
+    // Partnership rounds are re-scored from the attached bids as the round is recorded
+    this._addRound(scores, voidedBy.length > 0 ? { cardsDealt, results, voidedBy: [...voidedBy] } : { cardsDealt, results });
+
+    return results;
+  }
+
+  /**
+   * Find which players made their bid exactly
+   * @private
+   * @param {Object} roundResults - { bid, tricks } keyed by player name
+   * @returns {Object} true or false keyed by player name
+   */
+  _findExactBids(roundResults) {
+    return Object.fromEntries(Object.entries(roundResults)
+      .filter(([, result]) => result)
+      .map(([playerName, result]) => [playerName, result.bid === result.tricks]));
+  }
+
+  /**
+   * Score one player's bid, tricks, bonus and wager with the game's ruleset
+   * @private
+   * @param {string} playerName - Name of the player
+   * @param {Object} result - { bid, tricks, bonus, wager, blindNil }
+   * @param {number} cardsDealt - Number of cards dealt in the round
+   * @param {Object} exactBids - Whether each player made their bid, keyed by name (for Loot alliances)
+   * @returns {Object} Scored result
+   */
+  _scoreResult(playerName, result, cardsDealt, exactBids = {}) {
+    if (!result || typeof result.bid !== 'number' || typeof result.tricks !== 'number') {
+      throw new Error(`Bid and tricks missing for player: ${playerName}`);
+    }
+    ['bid', 'tricks'].forEach(field => {
+      const value = result[field];
+      if (!Number.isInteger(value) || value < 0 || value > cardsDealt) {
+        throw new Error(`Invalid ${field} for player ${playerName}: ${value}`);
+      }
+    });
+
+    const bonus = result.bonus || 0;
+    if (typeof bonus === 'object') {
+      const validation = Bonuses.validateBonusBreakdown(bonus);
+      if (!validation.isValid) {
+        throw new Error(`Invalid bonus for player ${playerName}: ${validation.errors.join(', ')}`);
+      }
+    } else if (typeof bonus !== 'number' || isNaN(bonus)) {
+      throw new Error(`Invalid bonus for player ${playerName}: ${bonus}`);
+    }
+
+    if (result.blindNil && result.bid !== 0) {
+      throw new Error(`Blind nil must be a bid of 0 for player: ${playerName}`);
+    }
+
+    const options = { wager: result.wager, blindNil: Boolean(result.blindNil) };
+    const baseScore = Rulesets.calculateScore(result.bid, result.tricks, cardsDealt, this.rulesetId, options);
+    const bonusPoints = Bonuses.calculateAppliedBonus(bonus, result.bid, result.tricks, exactBids);
+    const scored = {
+      bid: result.bid,
+      tricks: result.tricks,
+      wager: result.wager || null,
+      baseScore,
+      bonus: typeof bonus === 'object' ? { ...bonus } : bonus,
+      bonusPoints,
+      bonusBreakdown: typeof bonus === 'object' ? { ...bonus } : null,
+      score: baseScore + bonusPoints,
+      scoringReason: Rulesets.getScoringReason(result.bid, result.tricks, cardsDealt, this.rulesetId, options)
+    };
+
+    if (result.blindNil) {
+      scored.blindNil = true;
+    }
+    return scored;
+  }
+
+  /**
+   * Get the bonus that was entered for a scored result, so a re-score starts from it
+   * Results saved before the entered bonus was kept fall back to the points applied.
+   * @private
+   * @param {Object} result - Scored result
+   * @returns {Object|number} Itemized breakdown or plain bonus number
+   */
+  _bonusInput(result) {
+    if (result.bonus !== undefined) {
+      return typeof result.bonus === 'object' ? { ...result.bonus } : result.bonus;
+    }
+    return result.bonusBreakdown ? { ...result.bonusBreakdown } : result.bonusPoints;
+  }
+
+  /**
+   * Correct a player's bid, tricks, bonus or wager in a completed round
+   * Every later running total and ranking is re-derived, and the change is added to the audit log
+   * A game that ended itself on its end condition is reopened if the corrected scores no longer meet it.
+   * @param {number} roundNumber - Round number (1-based)
+   * @param {string} playerName - Name of the player
+   * @param {Object} changes - New values for any of bid, tricks, bonus, wager and blindNil
+   * @param {string} editedBy - Who made the correction
+   * @returns {Object} The player's re-scored result
+   */
+  editRoundResult(roundNumber, playerName, changes, editedBy) {
+    const round = this.rounds.find(r => r.roundNumber === roundNumber);
+    if (!round) {
+      throw new Error(`Round not found: ${roundNumber}`);
+    }
+
+    if (!round.results) {
+      throw new Error(`Round ${roundNumber} was scored without bids and cannot be edited`);
+    }
+
+    const previous = round.results[playerName];
+    if (!previous) {
+      throw new Error(`Player not found: ${playerName}`);
+    }
+
+    if (!changes || typeof changes !== 'object') {
+      throw new Error('Changes must be an object');
+    }
+
+    if (typeof editedBy !== 'string' || editedBy.trim() === '') {
+      throw new Error('Editor name is required');
+    }
+
+    const editableFields = ['bid', 'tricks', 'bonus', 'wager', 'blindNil'];
+    Object.keys(changes).forEach(field => {
+      if (!editableFields.includes(field)) {
+        throw new Error(`Cannot edit field: ${field}`);
+      }
+    });
+
+    const current = {
+      bid: previous.bid,
+      tricks: previous.tricks,
+      bonus: this._bonusInput(previous),
+      wager: previous.wager,
+      blindNil: Boolean(previous.blindNil)
+    };
+    const exactBids = this._findExactBids({ ...round.results, [playerName]: { ...current, ...changes } });
+    const updated = this._scoreResult(playerName, { ...current, ...changes }, round.cardsDealt, exactBids);
+    updated.corrected = true;
+
+    // The player's Loot alliance partners are re-scored, as their alliances depend on this bid
+    const previousAllies = {};
+    const updatedAllies = {};
+    Object.entries(round.results)
+      .filter(([name, result]) => name !== playerName && Bonuses.getLootPartners(result.bonusBreakdown).includes(playerName))
+      .forEach(([name, result]) => {
+        previousAllies[name] = result;
+        updatedAllies[name] = {
+          ...result,
+          ...this._scoreResult(name, { ...result, bonus: this._bonusInput(result) }, round.cardsDealt, exactBids)
+        };
+      });
+
+    const fieldChanges = Object.keys(changes)
+      .filter(field => JSON.stringify(changes[field]) !== JSON.stringify(current[field]))
+      .map(field => ({ field, from: current[field], to: changes[field] }));
+
+    if (fieldChanges.length === 0) {
+      return { ...previous };
+    }
+
+    const logEntry = action => ({
+      action,
+      roundNumber,
+      playerName,
+      changes: fieldChanges,
+      editedBy: editedBy.trim(),
+      timestamp: new Date().toISOString()
+    });
+
+    // Only a game that ended itself is re-checked: a correction can reopen it but never ends an open game
+    const endState = this._getEndState();
+    this.history.execute({
+      label: `Round ${roundNumber} correction for ${playerName}`,
+      execute: () => {
+        this.auditLog.push(logEntry('edit'));
+        Object.entries({ ...updatedAllies, [playerName]: updated }).forEach(([name, result]) => {
+          round.results[name] = result;
+          round.scores[name] = result.score;
+        });
+        this._rebuildScores();
+        if (this.endedByCondition) {
+          this._checkEndCondition();
+        }
+      },
+      undo: () => {
+        this.auditLog.push(logEntry('undo'));
+        Object.entries({ ...previousAllies, [playerName]: previous }).forEach(([name, result]) => {
+          round.results[name] = result;
+          round.scores[name] = result.score;
+        });
+        this._setEndState(endState);
+        this._rebuildScores();
+      }
+    });
+
+    // Partnership rounds are re-scored for the whole team during the rebuild
+    return { ...round.results[playerName] };
+  }
+
+  /**
+   * Get the record of corrections made to completed rounds
+   * @returns {Array} Entries of { action, roundNumber, playerName, changes, editedBy, timestamp }
+   */
+  getAuditLog() {
+    return this.auditLog.map(entry => ({
+      ...entry,
+      changes: entry.changes.map(change => ({ ...change }))
+    }));
+  }
+
+  /**
+   * Get the ruleset's explanation of a player's score in a round
+   * @param {string} playerName - Name of the player
+   * @param {number} roundNumber - Round number (1-based)
+   * @returns {string|null} Scoring reason, or null if the round was scored without bids
+   */
+  getScoringReason(playerName, roundNumber) {
+    const round = this.rounds.find(r => r.roundNumber === roundNumber);
+    if (!round || !round.results || !round.results[playerName]) {
+      return null;
+    }
+    return round.results[playerName].scoringReason;
   }
 
   /**
@@ -85,28 +1424,38 @@ class ScoreTracker {
    * @private
    */
   _updateRankings() {
-    const sortedPlayers = Array.from(this.players.entries())
-      .sort((a, b) => b[1].totalScore - a[1].totalScore);
+    this._rankByScore(Array.from(this.players.values()));
+  }
+
+  /**
+   * Rank entries by total score, sharing a rank on ties
+   * @private
+   * @param {Array} entries - Objects with totalScore; each gets a rank
+   */
+  _rankByScore(entries) {
+    const sorted = [...entries].sort((a, b) => b.totalScore - a.totalScore);
 
     let currentRank = 1;
     let previousScore = null;
-    let playersAtRank = 0;
+    let entriesAtRank = 0;
 
-    sortedPlayers.forEach(([playerName, playerData]) => {
-      if (previousScore !== null && playerData.totalScore < previousScore) {
-        currentRank += playersAtRank;
-        playersAtRank = 1;
+    sorted.forEach(entry => {
+      if (previousScore !== null && entry.totalScore < previousScore) {
+        currentRank += entriesAtRank;
+        entriesAtRank = 1;
       } else {
-        playersAtRank++;
+        entriesAtRank++;
       }
 
-      playerData.rank = currentRank;
-      previousScore = playerData.totalScore;
+      entry.rank = currentRank;
+      previousScore = entry.totalScore;
     });
   }
 
   /**
    * Get current standings
+   * Players who joined late, took over a seat or left carry the roster fields from
+   * _describeRoster, an isActive flag and an annotation describing the change.
    * @returns {Array} Array of player standings sorted by rank
    */
   getCurrentStandings() {
@@ -116,11 +1465,35 @@ class ScoreTracker {
         totalScore: data.totalScore,
         rank: data.rank,
         roundScores: [...data.roundScores],
-        isLeader: data.rank === 1
+        isLeader: data.rank === 1,
+        isActive: data.leftAfterRound === null,
+        ...this._describeRoster(data),
+        annotation: this._annotateRoster(data)
       }))
       .sort((a, b) => a.rank - b.rank);
   }
 
+  /**
+   * Describe a player's joins, substitutions and departure for the standings
+   * @private
+   * @param {Object} player - Player record
+   * @returns {string|null} e.g. "Joined after round 2 on 40 points; Left after round 5", or null
+   */
+  _annotateRoster(player) {
+    const when = round => (round === 0 ? 'before round 1' : `after round ${round}`);
+    const notes = [];
+    if (player.joinedAfterRound !== null) {
+      notes.push(`Joined ${when(player.joinedAfterRound)} on ${player.startingScore} points`);
+    }
+    player.previousNames.forEach(previous => {
+      notes.push(`Took over from ${previous.name} ${when(previous.untilRound)}`);
+    });
+    if (player.leftAfterRound !== null) {
+      notes.push(`Left ${when(player.leftAfterRound)}`);
+    }
+    return notes.length > 0 ? notes.join('; ') : null;
+  }
+
   /**
    * Get the current leader(s)
    * @returns {Array} Array of players tied for first place
@@ -135,31 +1508,82 @@ class ScoreTracker {
    * @returns {Array} Array of round data with scores
    */
   getRoundBreakdown() {
-    return this.rounds.map(round => ({
-      ...round,
-      scores: { ...round.scores }
-    }));
+    return this.rounds.map(round => {
+      const copy = {
+        ...round,
+        scores: { ...round.scores }
+      };
+
+      if (round.results) {
+        copy.results = Object.fromEntries(
+          Object.entries(round.results).map(([name, result]) => [name, {
+            ...result,
+            bonus: result.bonus && typeof result.bonus === 'object' ? { ...result.bonus } : result.bonus,
+            bonusBreakdown: result.bonusBreakdown ? { ...result.bonusBreakdown } : null
+          }])
+        );
+      }
+
+      if (round.seating) {
+        copy.seating = { ...round.seating, seats: { ...round.seating.seats } };
+      }
+
+      if (round.voidedBy) {
+        copy.voidedBy = [...round.voidedBy];
+      }
+
+      if (round.teamResults) {
+        copy.teamResults = Object.fromEntries(
+          Object.entries(round.teamResults).map(([name, result]) => [name, { ...result }])
+        );
+      }
+
+      return copy;
+    });
   }
 
   /**
    * End the game and get final rankings
+   * @param {string|null} reason - Why the game ended (set when the end condition is met)
    * @returns {Array} Final rankings with all player data
    */
-  endGame() {
-    this.gameEnded = true;
+  endGame(reason = null) {
+    this._setEndState({ gameEnded: true, endReason: reason, endedByCondition: false });
+    this._autosave();
     return this.getFinalRankings();
   }
 
   /**
    * Get final rankings
+   * Players level on total score are separated by the game's tie-breakers; each
+   * player's tieBreaker is the id of the rule that settled their place (or null).
    * @returns {Array} Final rankings sorted by rank
    */
   getFinalRankings() {
-    const standings = this.getCurrentStandings();
-    return standings.map(player => ({
+    const entries = this.getCurrentStandings().map(player => ({
       ...player,
-      isFinalWinner: player.rank === 1
+      rounds: this.getPlayerHistory(player.name).rounds,
+      suddenDeathScore: this.suddenDeathScores[player.name]
     }));
+
+    return TieBreakers.rankWithTieBreakers(entries, this.tieBreakers)
+      .map(({ rounds, suddenDeathScore, ...player }) => ({
+        ...player,
+        isLeader: player.rank === 1,
+        isFinalWinner: player.rank === 1
+      }));
+  }
+
+  /**
+   * Get the groups of players still sharing a place in the final rankings
+   * @returns {Array<Array<string>>} Player names in each tied group, best place first
+   */
+  getUnsettledTies() {
+    const groups = new Map();
+    this.getFinalRankings().forEach(player => {
+      groups.set(player.rank, [...(groups.get(player.rank) || []), player.name]);
+    });
+    return Array.from(groups.values()).filter(names => names.length > 1);
   }
 
   /**
@@ -170,14 +1594,23 @@ class ScoreTracker {
     return {
       totalRounds: this.rounds.length,
       gameEnded: this.gameEnded,
+      ruleset: this.getRuleset(),
       currentStandings: this.getCurrentStandings(),
       roundBreakdown: this.getRoundBreakdown(),
-      leaders: this.getCurrentLeaders()
+      auditLog: this.getAuditLog(),
+      leaders: this.getCurrentLeaders(),
+      teamStandings: this.getTeamStandings(),
+      targetScore: this.targetScore,
+      endCondition: this.getEndCondition(),
+      endReason: this.endReason,
+      tieBreakers: [...this.tieBreakers],
+      seating: this.getSeating()
     };
   }
 
   /**
    * Get player's individual score history
+   * Rounds scored from bids and tricks are listed with the bid, tricks and bonus points.
    * @param {string} playerName - Name of the player
    * @returns {Object} Player's score data
    */
@@ -193,10 +1626,47 @@ class ScoreTracker {
       roundScores: [...player.roundScores],
       rank: player.rank,
       averageScore: player.roundScores.length > 0 
-        ? player.totalScore / player.roundScores.length 
-        : 0
+        ? (player.totalScore - player.startingScore) / player.roundScores.length 
+        : 0,
+      rounds: this.rounds
+        .filter(round => round.results && round.results[playerName])
+        .map(round => ({
+          round: round.roundNumber,
+          bid: round.results[playerName].bid,
+          tricks: round.results[playerName].tricks,
+          score: round.scores[playerName],
+          bonusPoints: round.results[playerName].bonusPoints || 0
+        }))
     };
   }
+
+  /**
+   * Export the round-by-round scoresheet as CSV
+   * @param {string} layout - 'long' (one row per player per round) or 'wide' (one column per player)
+   * @returns {string} CSV text
+   */
+  exportCsv(layout = 'long') {
+    return exportScoresheetCsv(this.getRoundBreakdown(), this.getCurrentStandings(), layout);
+  }
+
+  /**
+   * Get a player's bidding statistics
+   * @param {string} playerName - Name of the player
+   * @returns {Object} Statistics from PlayerStats.calculatePlayerStats
+   */
+  getPlayerStats(playerName) {
+    return PlayerStats.calculatePlayerStats(this.getPlayerHistory(playerName).rounds);
+  }
+
+  /**
+   * Rank every player as a bidder
+   * @returns {Array} Array of { name, stats, rank, isBestBidder } sorted by rank
+   */
+  getBidderRankings() {
+    return PlayerStats.rankBidders(
+      Array.from(this.players.keys()).map(name => ({ name, stats: this.getPlayerStats(name) }))
+    );
+  }
 }
 
 export default ScoreTracker;
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Versioned game documents
+ * A game document is the portable JSON form of a ScoreTracker game, used to move
+ * games between devices and to archive them. Older documents are migrated forward
+ * one version at a time before they are validated and imported.
+ *
+ * Version history:
+ *   1 - the unversioned snapshot written by ScoreTracker.toJSON (autosaves)
+ *   2 - players as names, settings grouped, round results as the raw inputs
+ *       (settings.endCondition, settings.tieBreakers, startedAt, endReason,
+ *       suddenDeathScores and roster were added later and are optional)
+ */
+
+export const GAME_DOCUMENT_FORMAT = 'skull-king-scores';
+export const GAME_DOCUMENT_VERSION = 2;
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Upgrade a version 1 snapshot to version 2
+ * Anything malformed is passed through unchanged for the validator to report.
+ * @param {Object} doc - Version 1 snapshot
+ * @returns {Object} Version 2 document
+ */
+function migrateFromVersion1(doc) {
+  const migrateResult = result => (isObject(result)
+    ? {
+      bid: result.bid,
+      tricks: result.tricks,
+      bonus: result.bonusBreakdown || result.bonusPoints || 0,
+      wager: result.wager || null,
+      blindNil: Boolean(result.blindNil),
+      corrected: Boolean(result.corrected)
+    }
+    : result);
+
+  return {
+    format: GAME_DOCUMENT_FORMAT,
+    version: 2,
+    exportedAt: null,
+    settings: {
+      rulesetId: doc.rulesetId,
+      targetScore: doc.targetScore === undefined ? null : doc.targetScore,
+      endCondition: doc.endCondition || null,
+      tieBreakers: Array.isArray(doc.tieBreakers) ? doc.tieBreakers : [],
+      teams: Array.isArray(doc.teams) ? doc.teams : [],
+      seating: doc.seating || null
+    },
+    players: Array.isArray(doc.players)
+      ? doc.players.map(player => (isObject(player) ? player.name : player))
+      : doc.players,
+    // Snapshots keep each player's joins, departures and substitutions on the player
+    roster: Array.isArray(doc.players)
+      ? doc.players
+        .filter(player => isObject(player) && Array.isArray(player.previousNames))
+        .map(player => ({
+          name: player.name,
+          startingScore: player.startingScore,
+          joinedAfterRound: player.joinedAfterRound,
+          leftAfterRound: player.leftAfterRound,
+          previousNames: player.previousNames
+        }))
+      : [],
+    startedAt: doc.startedAt || null,
+    gameEnded: Boolean(doc.gameEnded),
+    endReason: doc.endReason || null,
+    suddenDeathScores: isObject(doc.suddenDeathScores) ? doc.suddenDeathScores : {},
+    rounds: Array.isArray(doc.rounds)
+      ? doc.rounds.map(round => (isObject(round)
+        ? {
+          roundNumber: round.roundNumber,
+          timestamp: round.timestamp || null,
+          cardsDealt: round.cardsDealt === undefined ? null : round.cardsDealt,
+          scores: round.scores,
+          results: isObject(round.results)
+            ? Object.fromEntries(Object.entries(round.results).map(([name, result]) => [name, migrateResult(result)]))
+            : null,
+          seating: round.seating || null
+        }
+        : round))
+      : doc.rounds,
+    auditLog: Array.isArray(doc.auditLog) ? doc.auditLog : []
+  };
+}
+
+// Each migration upgrades a document from version N to N + 1
+const MIGRATIONS = {
+  1: migrateFromVersion1
+};
+
+/**
+ * Get a document's schema version (unversioned documents are version 1)
+ * @param {Object} doc - Game document
+ * @returns {*} Version number as found in the document
+ */
+export function getDocumentVersion(doc) {
+  return doc.version === undefined ? 1 : doc.version;
+}
+
+/**
+ * Migrate a game document to the current version
+ * @param {Object} doc - Game document of any supported version
+ * @returns {Object} Document at GAME_DOCUMENT_VERSION
+ */
+export function migrateGameDocument(doc) {
+  let version = getDocumentVersion(doc);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unsupported game document version: ${version}`);
+  }
+  if (version > GAME_DOCUMENT_VERSION) {
+    throw new Error(`Game document version ${version} is newer than this app supports (${GAME_DOCUMENT_VERSION})`);
+  }
+
+  let migrated = doc;
+  while (version < GAME_DOCUMENT_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.version;
+  }
+  return migrated;
+}
@@ -0,0 +1,194 @@
+/**
+ * Scoresheet CSV
+ * Turns a game's round breakdown into CSV for league spreadsheets. The "long"
+ * layout has one row per player per round; the "wide" layout mirrors the
+ * round-by-round breakdown table in ScoreDisplay. Long-layout sheets, or paper
+ * scoresheets typed up the same way, can be read back with scoresheetImport.js.
+ */
+
+import InputValidator from '../validation/inputValidator.js';
+
+export const CSV_LAYOUTS = ['long', 'wide'];
+
+export const LONG_COLUMNS = [
+  'Round', 'Cards Dealt', 'Player', 'Bid', 'Tricks', 'Base Score',
+  'Bonus', 'Round Total', 'Running Total', 'Rank', 'Voided By'
+];
+
+/**
+ * Name the cards that destroyed a trick in a round
+ * @param {Array<string>} voidedBy - Card ids, e.g. ['kraken']
+ * @returns {string} e.g. "Kraken; White Whale" ('' when no trick was destroyed)
+ */
+export function formatVoidedBy(voidedBy = []) {
+  return voidedBy.map(cardId => InputValidator.TRICK_VOIDING_CARDS[cardId] || cardId).join('; ');
+}
+
+/**
+ * Quote a value for CSV when it contains a comma, quote or line break
+ * @param {*} value - Cell value (null and undefined become empty cells)
+ * @returns {string} CSV-safe cell
+ */
+export function escapeCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Join rows of cells into CSV text
+ * @param {Array<Array>} rows - Rows of cell values
+ * @returns {string} CSV with CRLF line endings
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+}
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells containing commas, doubled quotes and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells (a record spanning lines is one row)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted cell in row ${rows.length + 1}`);
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Rank running totals, sharing a rank on ties (1, 1, 3)
+ * @param {Object} totals - Running totals keyed by player name
+ * @returns {Object} Ranks keyed by player name
+ */
+function rankTotals(totals) {
+  const ranks = {};
+  Object.keys(totals).forEach(name => {
+    ranks[name] = 1 + Object.values(totals).filter(total => total > totals[name]).length;
+  });
+  return ranks;
+}
+
+/**
+ * Build the long layout: one row per player per round
+ * Bid, tricks, base score and bonus are blank for rounds entered as scores only.
+ * Voided By names the Kraken or White Whale when they destroyed a trick that round.
+ * Players who joined late or left only have rows for the rounds they played, and
+ * are ranked from their first round on.
+ * @param {Array} rounds - Round breakdown from ScoreTracker.getRoundBreakdown
+ * @param {Array<string>} playerNames - Players in row order
+ * @param {Object} startingScores - Late joiners' starting scores keyed by name (others start at 0)
+ * @returns {Array<Array>} Header row followed by data rows
+ */
+export function buildLongRows(rounds, playerNames, startingScores = {}) {
+  const totals = {};
+  const rows = [LONG_COLUMNS];
+
+  rounds.forEach(round => {
+    const inRound = playerNames.filter(name => name in round.scores);
+    inRound.forEach(name => {
+      totals[name] = (name in totals ? totals[name] : startingScores[name] || 0) + round.scores[name];
+    });
+    const ranks = rankTotals(totals);
+
+    inRound.forEach(name => {
+      const result = round.results && round.results[name];
+      rows.push([
+        round.roundNumber,
+        round.cardsDealt,
+        name,
+        result ? result.bid : null,
+        result ? result.tricks : null,
+        result ? result.baseScore : null,
+        result ? result.bonusPoints : null,
+        round.scores[name],
+        totals[name],
+        ranks[name],
+        formatVoidedBy(round.voidedBy)
+      ]);
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Build the wide layout: a row per round, a column per player and a totals row
+ * Cells for rounds a player sat out are left blank.
+ * @param {Array} rounds - Round breakdown from ScoreTracker.getRoundBreakdown
+ * @param {Array} standings - Standings from ScoreTracker.getCurrentStandings, in column order
+ * @returns {Array<Array>} Header row, round rows and the totals row
+ */
+export function buildWideRows(rounds, standings) {
+  const playerNames = standings.map(player => player.name);
+
+  return [
+    ['Round', ...playerNames],
+    ...rounds.map(round => [`R${round.roundNumber}`, ...playerNames.map(name => (name in round.scores ? round.scores[name] : null))]),
+    ['Total', ...standings.map(player => player.totalScore)]
+  ];
+}
+
+/**
+ * Export a scoresheet as CSV
+ * @param {Array} rounds - Round breakdown from ScoreTracker.getRoundBreakdown
+ * @param {Array} standings - Standings from ScoreTracker.getCurrentStandings
+ * @param {string} layout - 'long' or 'wide'
+ * @returns {string} CSV text
+ */
+export function exportScoresheetCsv(rounds, standings, layout = 'long') {
+  if (!CSV_LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown CSV layout: ${layout}`);
+  }
+
+  return toCsv(layout === 'wide'
+    ? buildWideRows(rounds, standings)
+    : buildLongRows(
+      rounds,
+      standings.map(player => player.name),
+      Object.fromEntries(standings.map(player => [player.name, player.startingScore || 0]))
+    ));
+}
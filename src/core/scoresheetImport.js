@@ -0,0 +1,313 @@
+/**
+ * Scoresheet import
+ * Reads a scoresheet CSV with one row per player per round (a paper sheet typed
+ * up, or the app's own long-layout export) into a new ScoreTracker game, and moves
+ * the RoundManager on to the next round so play can continue in the app.
+ * Players only have rows for the rounds they played: someone whose rows start
+ * after round 1 joined late, and someone whose rows stop early left the game.
+ */
+
+import ScoreTracker from './ScoreTracker.js';
+import InputValidator from '../validation/inputValidator.js';
+import { parseCsv } from './scoresheetCsv.js';
+
+const RoundSchedules = typeof module !== 'undefined' && module.exports
+  ? require('../../js/roundSchedules.js')
+  : window.RoundSchedules;
+
+// Accepted header names for each column (compared case-insensitively)
+export const COLUMN_ALIASES = {
+  player: ['player', 'name', 'player name'],
+  round: ['round', 'round number'],
+  bid: ['bid'],
+  tricks: ['tricks', 'tricks taken', 'took'],
+  bonus: ['bonus', 'bonus points'],
+  cards: ['cards', 'cards dealt'],
+  roundTotal: ['round total'],
+  runningTotal: ['running total', 'total'],
+  voidedBy: ['voided by', 'voided']
+};
+
+const REQUIRED_COLUMNS = ['player', 'round', 'bid', 'tricks'];
+
+/**
+ * Find which cell of each row holds each column
+ * @param {Array<string>} header - Header row
+ * @returns {Object} Column indexes keyed by column name (-1 when absent)
+ */
+function mapColumns(header) {
+  const names = header.map(cell => cell.trim().toLowerCase());
+  return Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([column, aliases]) => [
+    column,
+    names.findIndex(name => aliases.includes(name))
+  ]));
+}
+
+/**
+ * Read a "Voided By" cell into card ids
+ * @param {string} text - Card names or ids separated by semicolons, e.g. "Kraken; White Whale"
+ * @returns {Object} { voidedBy, unknown } with the card ids and any names not recognised
+ */
+function parseVoidedBy(text) {
+  const cards = Object.entries(InputValidator.TRICK_VOIDING_CARDS);
+  const voidedBy = [];
+  const unknown = [];
+
+  text.split(';').map(name => name.trim()).filter(Boolean).forEach(name => {
+    const card = cards.find(([cardId, cardName]) => [cardId, cardName].some(value => value.toLowerCase() === name.toLowerCase()));
+    if (card) {
+      voidedBy.push(card[0]);
+    } else {
+      unknown.push(name);
+    }
+  });
+
+  return { voidedBy, unknown };
+}
+
+/**
+ * Group data rows into rounds, checking each row can be placed
+ * @param {Array<Array<string>>} rows - Data rows (header removed)
+ * @param {Object} columns - Column indexes from mapColumns
+ * @param {Function} addError - Records (rowNumber, message)
+ * @returns {Object} { players, rounds: Map of round number to
+ *   [{ rowNumber, player, bid, tricks, bonus, cards, voidedBy, roundTotal, runningTotal }] }
+ */
+function groupRows(rows, columns, addError) {
+  const players = [];
+  const rounds = new Map();
+  const cell = (row, column) => (columns[column] === -1 ? '' : (row[columns[column]] || '').trim());
+
+  rows.forEach((row, index) => {
+    // Row 1 is the header
+    const rowNumber = index + 2;
+    if (row.every(value => value.trim() === '')) {
+      return;
+    }
+
+    const player = cell(row, 'player');
+    const roundMatch = /^r?(\d+)$/i.exec(cell(row, 'round'));
+    if (!player) {
+      addError(rowNumber, 'Missing player name');
+      return;
+    }
+    if (!roundMatch || parseInt(roundMatch[1], 10) < 1) {
+      addError(rowNumber, `Invalid round: ${cell(row, 'round')}`);
+      return;
+    }
+
+    const roundNumber = parseInt(roundMatch[1], 10);
+    if (!players.includes(player)) {
+      players.push(player);
+    }
+    if (!rounds.has(roundNumber)) {
+      rounds.set(roundNumber, []);
+    }
+    if (rounds.get(roundNumber).some(entry => entry.player === player)) {
+      addError(rowNumber, `${player} already has a row for round ${roundNumber}`);
+      return;
+    }
+
+    rounds.get(roundNumber).push({
+      rowNumber,
+      player,
+      bid: cell(row, 'bid'),
+      tricks: cell(row, 'tricks'),
+      bonus: cell(row, 'bonus'),
+      cards: cell(row, 'cards'),
+      voidedBy: cell(row, 'voidedBy'),
+      roundTotal: cell(row, 'roundTotal'),
+      runningTotal: cell(row, 'runningTotal')
+    });
+  });
+
+  return { players, rounds };
+}
+
+/**
+ * Find the first and last round each player has rows for
+ * @param {Array<string>} players - Player names
+ * @param {Map} rounds - Rounds from groupRows
+ * @returns {Map} { first, last } keyed by player name
+ */
+function findPlayedRounds(players, rounds) {
+  return new Map(players.map(player => {
+    const played = Array.from(rounds.entries())
+      .filter(([, entries]) => entries.some(entry => entry.player === player))
+      .map(([roundNumber]) => roundNumber);
+    return [player, { first: Math.min(...played), last: Math.max(...played) }];
+  }));
+}
+
+/**
+ * Work out a late joiner's starting score from the totals on their first row
+ * @param {Object} entry - The joiner's first row from groupRows
+ * @returns {number|undefined} Running total less the round's score, or undefined
+ *   (the tracker's lateJoinScore) when the sheet has no totals
+ */
+function lateJoinStartingScore(entry) {
+  const roundTotal = parseFloat(entry.roundTotal);
+  const runningTotal = parseFloat(entry.runningTotal);
+  return isFinite(roundTotal) && isFinite(runningTotal) ? runningTotal - roundTotal : undefined;
+}
+
+/**
+ * Import a scoresheet CSV as a new game
+ * Every round is checked with InputValidator.validateRoundData before anything is
+ * scored; if any row is rejected nothing is imported and the rejections are returned.
+ * Cards dealt come from a "Cards Dealt" column when present, otherwise from the
+ * RoundManager's schedule. A "Voided By" column names the Kraken or White Whale
+ * when they destroyed a trick, so that round's tricks add up to one fewer each.
+ * A late joiner starts from their first row's running total less that round's
+ * score when the sheet has both columns, otherwise from trackerOptions.lateJoinScore.
+ * @param {string} text - CSV text with player, round, bid and tricks columns (bonus, cards and voided by optional)
+ * @param {Object} options - Import options
+ * @param {Object} options.roundManager - RoundManager to move on to the next round
+ * @param {Object} options.trackerOptions - Constructor options for the new ScoreTracker
+ * @returns {Object} { success, tracker, players, nextRound } (nextRound is null when every round has been played)
+ *   or { success: false, errors, rowErrors }
+ */
+export function importScoresheetCsv(text, options = {}) {
+  const { roundManager = null, trackerOptions = {} } = options;
+  const rowErrors = [];
+  const addError = (row, message) => rowErrors.push({ row, message });
+  const failure = () => ({
+    success: false,
+    errors: rowErrors.map(error => `Row ${error.row}: ${error.message}`),
+    rowErrors
+  });
+
+  let rows;
+  try {
+    rows = parseCsv(typeof text === 'string' ? text : '');
+  } catch (error) {
+    addError(1, error.message);
+    return failure();
+  }
+  if (rows.length < 2) {
+    addError(1, 'Scoresheet has no rows to import');
+    return failure();
+  }
+
+  const columns = mapColumns(rows[0]);
+  REQUIRED_COLUMNS.filter(column => columns[column] === -1)
+    .forEach(column => addError(1, `Missing column: ${column}`));
+  if (rowErrors.length > 0) {
+    return failure();
+  }
+
+  const { players, rounds } = groupRows(rows.slice(1), columns, addError);
+  const roundCount = rounds.size === 0 ? 0 : Math.max(...rounds.keys());
+  const playedRounds = findPlayedRounds(players, rounds);
+
+  let schedule = null;
+  if (roundManager) {
+    try {
+      schedule = RoundSchedules.getScheduleForPlayers(roundManager.scheduleId, players.length);
+    } catch (error) {
+      addError(1, error.message);
+      return failure();
+    }
+  }
+
+  const validator = new InputValidator();
+  const cardsByRound = new Map();
+  const voidedByRound = new Map();
+  for (let roundNumber = 1; roundNumber <= roundCount; roundNumber++) {
+    const entries = rounds.get(roundNumber);
+    if (!entries) {
+      addError(1, `Round ${roundNumber} has no rows`);
+      continue;
+    }
+
+    const firstRow = entries[0].rowNumber;
+    // A player cannot sit out a round between joining and leaving
+    const missing = players.filter(player => {
+      const { first, last } = playedRounds.get(player);
+      return first < roundNumber && roundNumber < last && !entries.some(entry => entry.player === player);
+    });
+    if (missing.length > 0) {
+      missing.forEach(player => addError(firstRow, `${player} has no row for round ${roundNumber}`));
+      continue;
+    }
+
+    const cardsDealt = entries[0].cards !== ''
+      ? parseInt(entries[0].cards, 10)
+      : schedule && schedule.cardsPerRound[roundNumber - 1];
+    if (!Number.isInteger(cardsDealt) || cardsDealt <= 0) {
+      addError(firstRow, schedule && roundNumber > schedule.cardsPerRound.length
+        ? `Round ${roundNumber} is beyond the ${schedule.name} schedule`
+        : `Cards dealt unknown for round ${roundNumber}`);
+      continue;
+    }
+
+    const { voidedBy, unknown } = parseVoidedBy(entries[0].voidedBy);
+    if (unknown.length > 0) {
+      unknown.forEach(name => addError(firstRow, `Unknown voiding card: ${name}`));
+      continue;
+    }
+
+    const isValid = validator.validateRoundData({
+      bids: entries.map(entry => entry.bid),
+      tricksTaken: entries.map(entry => entry.tricks),
+      bonusPoints: entries.map(entry => entry.bonus),
+      voidedBy
+    }, cardsDealt);
+    if (!isValid) {
+      // Point "Player N" messages at that player's row; round-level messages at the round's first row
+      validator.getErrors().forEach(message => {
+        const match = /^Player (\d+) (.*)$/.exec(message);
+        const entry = match ? entries[parseInt(match[1], 10) - 1] : null;
+        if (entry) {
+          addError(entry.rowNumber, `${entry.player} ${match[2]}`);
+        } else {
+          addError(firstRow, `Round ${roundNumber}: ${message}`);
+        }
+      });
+    }
+    cardsByRound.set(roundNumber, cardsDealt);
+    voidedByRound.set(roundNumber, voidedBy);
+  }
+
+  if (rowErrors.length > 0) {
+    rowErrors.sort((a, b) => a.row - b.row);
+    return failure();
+  }
+
+  let tracker;
+  try {
+    tracker = new ScoreTracker(trackerOptions);
+    tracker.initializePlayers(players.filter(player => playedRounds.get(player).first === 1));
+  } catch (error) {
+    addError(1, error.message);
+    return failure();
+  }
+
+  for (let roundNumber = 1; roundNumber <= roundCount; roundNumber++) {
+    const entries = rounds.get(roundNumber);
+    const results = Object.fromEntries(entries.map(entry => [entry.player, {
+      bid: parseInt(entry.bid, 10),
+      tricks: parseInt(entry.tricks, 10),
+      bonus: entry.bonus === '' ? 0 : parseFloat(entry.bonus)
+    }]));
+    try {
+      entries.filter(entry => roundNumber > 1 && playedRounds.get(entry.player).first === roundNumber)
+        .forEach(entry => tracker.addPlayer(entry.player, { startingScore: lateJoinStartingScore(entry) }));
+      players.filter(player => playedRounds.get(player).last === roundNumber - 1)
+        .forEach(player => tracker.removePlayer(player));
+      tracker.addRoundResults(results, cardsByRound.get(roundNumber), { voidedBy: voidedByRound.get(roundNumber) });
+    } catch (error) {
+      addError(entries[0].rowNumber, `Round ${roundNumber}: ${error.message}`);
+      return failure();
+    }
+  }
+  // The imported rounds are the starting point, not steps to undo
+  tracker.history.clear();
+
+  const nextRound = schedule && roundCount >= schedule.cardsPerRound.length ? null : roundCount + 1;
+  if (roundManager && nextRound !== null) {
+    roundManager.resumeAt(nextRound, players.length);
+  }
+
+  return { success: true, tracker, players, nextRound };
+}
@@ -1,17 +1,24 @@
 /**
  * Score Calculation Engine
  * Handles scoring for trick-taking game based on bids vs actual tricks
+ * The math itself comes from the selected ruleset in js/rulesets.js
  */
 
+const Rulesets = require('../../js/rulesets');
+const Bonuses = require('../../js/bonuses');
+const HarryTheGiant = require('../../js/harryTheGiant');
+
 class ScoreCalculator {
   /**
    * Calculate score for a player's performance in a round
    * @param {number} bid - Number of tricks the player bid
    * @param {number} actualTricks - Number of tricks the player actually took
    * @param {number} cardsDealt - Number of cards dealt in this round
+   * @param {string} rulesetId - Ruleset to score with (defaults to Skull King classic)
+   * @param {Object} options - Per-player options such as { wager } for Rascal
    * @returns {number} The calculated score
    */
-  static calculateScore(bid, actualTricks, cardsDealt) {
+  static calculateScore(bid, actualTricks, cardsDealt, rulesetId = Rulesets.DEFAULT_RULESET_ID, options = {}) {
     // Validate inputs
     if (typeof bid !== 'number' || bid < 0) {
       throw new Error('Bid must be a non-negative number');
@@ -23,75 +30,77 @@ class ScoreCalculator {
       throw new Error('Cards dealt must be a positive number');
     }
 
-    // Handle zero bid (special rules)
-    if (bid === 0) {
-      if (actualTricks === 0) {
-        // Zero bid success: +10 × cards dealt
-        return 10 * cardsDealt;
-      } else {
-        // Zero bid failure: -10 × cards dealt
-        return -10 * cardsDealt;
-      }
-    }
-
-    // Handle regular bidding
-    if (bid === actualTricks) {
-      // Correct trick bid: +20 points per trick taken
-      return 20 * actualTricks;
-    } else {
-      // Incorrect trick bid: -10 points per trick difference
-      const difference = Math.abs(bid - actualTricks);
-      return -10 * difference;
-    }
+    return Rulesets.calculateScore(bid, actualTricks, cardsDealt, rulesetId, options);
   }
 
   /**
    * Calculate scores for multiple players in a round
-   * @param {Array} players - Array of player objects with bid and actualTricks properties
+   * A player's bonus (a number or an itemized breakdown, e.g. from js/tricks.js)
+   * is added to their score when they make their bid exactly.
+   * @param {Array} players - Array of player objects with bid and actualTricks properties (and an optional wager and bonus)
    * @param {number} cardsDealt - Number of cards dealt in this round
+   * @param {string} rulesetId - Ruleset to score with (defaults to Skull King classic)
    * @returns {Array} Array of score results
    */
-  static calculateRoundScores(players, cardsDealt) {
+  static calculateRoundScores(players, cardsDealt, rulesetId = Rulesets.DEFAULT_RULESET_ID) {
     if (!Array.isArray(players)) {
       throw new Error('Players must be an array');
     }
 
-    return players.map(player => {
+    players.forEach(player => {
       if (!player.hasOwnProperty('bid') || !player.hasOwnProperty('actualTricks')) {
         throw new Error('Each player must have bid and actualTricks properties');
       }
+    });
+
+    // Loot alliances need both partners' bids to be exact
+    const exactBids = Object.fromEntries(players.map(player => [player.name, player.bid === player.actualTricks]));
+
+    return players.map(player => {
 
-      const score = this.calculateScore(player.bid, player.actualTricks, cardsDealt);
+      const options = { wager: player.wager };
+      const baseScore = this.calculateScore(player.bid, player.actualTricks, cardsDealt, rulesetId, options);
+      const bonusPoints = Bonuses.calculateAppliedBonus(player.bonus || 0, player.bid, player.actualTricks, exactBids);
       return {
         ...player,
-        score: score,
-        scoringReason: this.getScoringReason(player.bid, player.actualTricks, cardsDealt)
+        baseScore,
+        bonusPoints,
+        score: baseScore + bonusPoints,
+        scoringReason: this.getScoringReason(player.bid, player.actualTricks, cardsDealt, rulesetId, options)
       };
     });
   }
 
+  /**
+   * Apply a Harry the Giant bid adjustment before the round is scored
+   * @param {Array} players - Array of player objects with name and bid properties
+   * @param {Object} adjustment - { player, change } where change is -1, 0 or +1
+   * @param {number} cardsDealt - Number of cards dealt in this round
+   * @returns {Array} Players with the adjusted bid; the adjusted player also gets a bidAdjustment record
+   */
+  static applyBidAdjustment(players, adjustment, cardsDealt) {
+    if (!Array.isArray(players)) {
+      throw new Error('Players must be an array');
+    }
+
+    const bids = Object.fromEntries(players.map(player => [player.name, player.bid]));
+    const { record } = HarryTheGiant.applyBidAdjustment(bids, adjustment, cardsDealt);
+    return players.map(player => (player.name === record.player
+      ? { ...player, bid: record.to, bidAdjustment: record }
+      : player));
+  }
+
   /**
    * Get human-readable explanation of how score was calculated
    * @param {number} bid - Number of tricks bid
    * @param {number} actualTricks - Number of tricks actually taken
    * @param {number} cardsDealt - Number of cards dealt
+   * @param {string} rulesetId - Ruleset to explain (defaults to Skull King classic)
+   * @param {Object} options - Per-player options such as { wager } for Rascal
    * @returns {string} Explanation of scoring
    */
-  static getScoringReason(bid, actualTricks, cardsDealt) {
-    if (bid === 0) {
-      if (actualTricks === 0) {
-        return `Zero bid success: +10 × ${cardsDealt} cards = +${10 * cardsDealt}`;
-      } else {
-        return `Zero bid failure: -10 × ${cardsDealt} cards = -${10 * cardsDealt}`;
-      }
-    }
-
-    if (bid === actualTricks) {
-      return `Correct bid: +20 × ${actualTricks} tricks = +${20 * actualTricks}`;
-    } else {
-      const difference = Math.abs(bid - actualTricks);
-      return `Incorrect bid: -10 × ${difference} difference = -${10 * difference}`;
-    }
+  static getScoringReason(bid, actualTricks, cardsDealt, rulesetId = Rulesets.DEFAULT_RULESET_ID, options = {}) {
+    return Rulesets.getScoringReason(bid, actualTricks, cardsDealt, rulesetId, options);
   }
 }
 
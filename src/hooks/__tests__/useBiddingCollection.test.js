@@ -88,4 +88,26 @@ describe('useBiddingCollection Hook', () => {
     expect(history[0]).toEqual({ round: 1, bids: { '1': 3, '2': 2 } });
     expect(history[1]).toEqual({ round: 2, bids: { '1': 1, '2': 4 } });
   });
-});
\ No newline at end of file
+
+  test('adjusts one bid per round after bidding (Harry the Giant)', () => {
+    const { result } = renderHook(() => useBiddingCollection());
+
+    act(() => {
+      result.current.completeBiddingCollection({ '1': 3, '2': 0 }, 1);
+    });
+
+    expect(() => result.current.adjustBid(2, '1', 1)).toThrow('No bids recorded for round 2');
+    expect(() => result.current.adjustBid(1, '2', -1)).toThrow('Adjusted bid cannot be negative');
+    expect(() => result.current.adjustBid(1, '1', 1, 3)).toThrow('Adjusted bid cannot exceed 3');
+
+    act(() => {
+      result.current.adjustBid(1, '1', -1, 3);
+    });
+
+    expect(result.current.biddingHistory).toEqual([
+      { round: 1, bids: { '1': 2, '2': 0 }, adjustment: { player: '1', change: -1, from: 3, to: 2 } }
+    ]);
+    expect(result.current.getTotalBidsForRound(1)).toBe(2);
+    expect(() => result.current.adjustBid(1, '2', 1)).toThrow('A bid has already been adjusted in round 1');
+  });
+});
@@ -60,4 +60,32 @@ describe('useBonusPoints', () => {
 
     expect(result.current.getBonusPointsForRound(1)).toEqual({});
   });
+
+  test('stores itemized bonus breakdowns per round', () => {
+    const { result } = renderHook(() => useBonusPoints());
+    const roundResults = [
+      { playerId: 1, bid: 2, tricks: 2 },
+      { playerId: 2, bid: 1, tricks: 0 }
+    ];
+
+    act(() => {
+      result.current.setBonusBreakdownForPlayer(1, 1, { standardFourteens: 2, skullKingByMermaid: 1 });
+      result.current.setBonusBreakdownForPlayer(1, 2, { piratesBySkullKing: 1 });
+    });
+
+    expect(result.current.getBonusBreakdown(1, 1).standardFourteens).toBe(2);
+    expect(result.current.getBonusBreakdown(1, 1).blackFourteen).toBe(0);
+    expect(result.current.calculateAppliedBonusPoints(1, 1, roundResults)).toBe(60);
+    expect(result.current.calculateAppliedBonusPoints(1, 2, roundResults)).toBe(0);
+  });
+
+  test('rejects invalid bonus breakdowns', () => {
+    const { result } = renderHook(() => useBonusPoints());
+
+    expect(() => {
+      act(() => {
+        result.current.setBonusBreakdownForPlayer(1, 1, { blackFourteen: 2 });
+      });
+    }).toThrow('Black 14 captured cannot exceed 1');
+  });
 });
\ No newline at end of file
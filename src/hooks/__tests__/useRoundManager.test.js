@@ -134,4 +134,45 @@ describe('useRoundManager', () => {
     
     expect(result.current.currentRound).toBe(1);
   });
+
+  test('follows the selected round schedule', () => {
+    const { result } = renderHook(() => useRoundManager({ scheduleId: 'even-keeled' }));
+
+    expect(result.current.totalRounds).toBe(5);
+    expect(result.current.handsRequired).toBe(2);
+
+    act(() => {
+      result.current.updateHandCompletion(2, [100, 100]);
+    });
+    act(() => {
+      result.current.advanceRound();
+    });
+
+    expect(result.current.currentRound).toBe(2);
+    expect(result.current.handsRequired).toBe(4);
+    expect(result.current.getRoundProgress().totalHands).toBe(30); // 2+4+6+8+10
+  });
+
+  test('still accepts a totalRounds game length, playing the start of the schedule', () => {
+    const { result } = renderHook(() => useRoundManager({ totalRounds: 3 }));
+
+    expect(result.current.totalRounds).toBe(3);
+    expect(result.current.schedule.cardsPerRound).toEqual([1, 2, 3]);
+    expect(result.current.getRoundProgress().totalHands).toBe(6);
+  });
+
+  test('rejects a totalRounds longer than the schedule', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(() => renderHook(() => useRoundManager({ totalRounds: 12 })))
+      .toThrow('totalRounds must be between 1 and 10 for the');
+    console.error.mockRestore();
+  });
+
+  test('sizes a Wizard game from the player count', () => {
+    const { result } = renderHook(() => useRoundManager({ scheduleId: 'wizard', playerCount: 4 }));
+
+    expect(result.current.totalRounds).toBe(15);
+    expect(result.current.handsRequired).toBe(1);
+    expect(() => result.current.goToRound(16)).toThrow('Must be between 1 and 15');
+  });
 });
\ No newline at end of file
@@ -1,5 +1,9 @@
 import { useState, useCallback } from 'react';
 
+const HarryTheGiant = typeof module !== 'undefined' && module.exports
+  ? require('../../js/harryTheGiant.js')
+  : window.HarryTheGiant;
+
 export const useBiddingCollection = () => {
   const [currentBids, setCurrentBids] = useState({});
   const [biddingHistory, setBiddingHistory] = useState([]);
@@ -37,6 +41,23 @@ export const useBiddingCollection = () => {
     return finalBids;
   }, []);
 
+  // Harry the Giant: after the round, one player may change their confirmed bid by -1, 0 or +1
+  const adjustBid = useCallback((round, playerId, change, availableHands = Infinity) => {
+    const roundHistory = biddingHistory.find(h => h.round === round);
+    if (!roundHistory) {
+      throw new Error(`No bids recorded for round ${round}`);
+    }
+    if (roundHistory.adjustment) {
+      throw new Error(`A bid has already been adjusted in round ${round}`);
+    }
+
+    const { bids, record } = HarryTheGiant.applyBidAdjustment(
+      roundHistory.bids, { player: playerId, change }, availableHands
+    );
+    setBiddingHistory(prev => prev.map(h => (h.round === round ? { ...h, bids, adjustment: record } : h)));
+    return bids;
+  }, [biddingHistory]);
+
   const getBiddingHistory = useCallback(() => {
     return biddingHistory;
   }, [biddingHistory]);
@@ -55,6 +76,7 @@ export const useBiddingCollection = () => {
     startBiddingCollection,
     validateBids,
     completeBiddingCollection,
+    adjustBid,
     getBiddingHistory,
     getTotalBidsForRound
   };
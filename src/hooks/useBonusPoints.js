@@ -1,8 +1,13 @@
 import { useState, useCallback } from 'react';
 
+const Bonuses = typeof module !== 'undefined' && module.exports
+  ? require('../../js/bonuses.js')
+  : window.Bonuses;
+
 export const useBonusPoints = () => {
   const [bonusPointsHistory, setBonusPointsHistory] = useState({});
 
+  // Each player's entry is an itemized breakdown (or a plain number for legacy rounds)
   const setBonusPointsForRound = useCallback((round, bonusPoints) => {
     setBonusPointsHistory(prev => ({
       ...prev,
@@ -10,19 +15,39 @@ export const useBonusPoints = () => {
     }));
   }, []);
 
+  const setBonusBreakdownForPlayer = useCallback((round, playerId, breakdown) => {
+    const validation = Bonuses.validateBonusBreakdown(breakdown);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    setBonusPointsHistory(prev => ({
+      ...prev,
+      [round]: {
+        ...prev[round],
+        [playerId]: { ...Bonuses.createEmptyBonusBreakdown(), ...breakdown }
+      }
+    }));
+  }, []);
+
   const getBonusPointsForRound = useCallback((round) => {
     return bonusPointsHistory[round] || {};
   }, [bonusPointsHistory]);
 
+  const getBonusBreakdown = useCallback((round, playerId) => {
+    const bonus = bonusPointsHistory[round]?.[playerId];
+    return bonus && typeof bonus === 'object' ? bonus : Bonuses.createEmptyBonusBreakdown();
+  }, [bonusPointsHistory]);
+
   const calculateAppliedBonusPoints = useCallback((round, playerId, roundResults) => {
-    const bonusPoints = bonusPointsHistory[round]?.[playerId] || 0;
-    if (bonusPoints === 0) return 0;
+    const bonus = bonusPointsHistory[round]?.[playerId] || 0;
+    if (bonus === 0) return 0;
 
     const playerResult = roundResults.find(result => result.playerId === playerId);
     if (!playerResult) return 0;
 
     // Only apply bonus points if player achieved exact bid
-    return playerResult.bid === playerResult.tricks ? bonusPoints : 0;
+    return Bonuses.calculateAppliedBonus(bonus, playerResult.bid, playerResult.tricks);
   }, [bonusPointsHistory]);
 
   const getTotalBonusPointsForPlayer = useCallback((playerId, allRoundResults) => {
@@ -40,10 +65,12 @@ export const useBonusPoints = () => {
 
   return {
     setBonusPointsForRound,
+    setBonusBreakdownForPlayer,
     getBonusPointsForRound,
+    getBonusBreakdown,
     calculateAppliedBonusPoints,
     getTotalBonusPointsForPlayer,
     clearBonusPoints,
     bonusPointsHistory
   };
-};
\ No newline at end of file
+};
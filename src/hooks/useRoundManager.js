@@ -1,4 +1,12 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+
+const RoundSchedules = typeof module !== 'undefined' && module.exports
+  ? require('../../js/roundSchedules.js')
+  : window.RoundSchedules;
+
+const Seating = typeof module !== 'undefined' && module.exports
+  ? require('../../js/seating.js')
+  : window.Seating;
 
 /**
  * Custom hook for managing round progression and validation
@@ -7,12 +15,32 @@ import { useState, useEffect, useCallback } from 'react';
  */
 export const useRoundManager = (options = {}) => {
   const {
-    totalRounds = 10,
+    scheduleId = RoundSchedules.DEFAULT_ROUND_SCHEDULE_ID,
     onRoundComplete = () => {},
     onGameComplete = () => {},
-    initialRound = 1
+    playerCount,
+    seatOrder = [],
+    firstDealerSeat = 0,
+    initialRound = 1,
+    // Older callers set a game length instead of a schedule: play that many rounds of the schedule
+    totalRounds: roundLimit
   } = options;
 
+  // Wizard schedules are rebuilt from the player count, so keep the object stable between renders
+  const schedule = useMemo(() => {
+    const fullSchedule = RoundSchedules.getScheduleForPlayers(scheduleId, playerCount);
+    if (roundLimit === undefined) {
+      return fullSchedule;
+    }
+
+    const maxRounds = fullSchedule.cardsPerRound.length;
+    if (!Number.isInteger(roundLimit) || roundLimit < 1 || roundLimit > maxRounds) {
+      throw new Error(`totalRounds must be between 1 and ${maxRounds} for the ${fullSchedule.name} schedule`);
+    }
+    return { ...fullSchedule, cardsPerRound: fullSchedule.cardsPerRound.slice(0, roundLimit) };
+  }, [scheduleId, playerCount, roundLimit]);
+  const totalRounds = schedule.cardsPerRound.length;
+
   const [currentRound, setCurrentRound] = useState(initialRound);
   const [roundsData, setRoundsData] = useState({});
   const [gameComplete, setGameComplete] = useState(false);
@@ -23,7 +51,7 @@ export const useRoundManager = (options = {}) => {
     for (let round = 1; round <= totalRounds; round++) {
       initialData[round] = {
         number: round,
-        handsRequired: round,
+        handsRequired: schedule.cardsPerRound[round - 1],
         handsCompleted: 0,
         scores: [],
         isComplete: false,
@@ -32,7 +60,7 @@ export const useRoundManager = (options = {}) => {
       };
     }
     setRoundsData(initialData);
-  }, [totalRounds]);
+  }, [schedule, totalRounds]);
 
   // Check if a round is complete
   const isRoundComplete = useCallback((roundNumber) => {
@@ -116,6 +144,9 @@ export const useRoundManager = (options = {}) => {
     };
   }, [roundsData, totalRounds]);
 
+  // Dealer and lead player rotate one seat each round
+  const seating = seatOrder.length > 0 ? Seating.getRoundSeating(seatOrder, currentRound, firstDealerSeat) : null;
+
   // Can advance validation
   const canAdvance = isRoundComplete(currentRound);
   const canGoBack = currentRound > 1;
@@ -130,7 +161,13 @@ export const useRoundManager = (options = {}) => {
     currentRoundData: roundsData[currentRound] || {},
     handsRequired: roundsData[currentRound]?.handsRequired || 0,
     handsCompleted: roundsData[currentRound]?.handsCompleted || 0,
+    dealer: seating ? seating.dealer : null,
+    leadPlayer: seating ? seating.lead : null,
     
+    // Schedule info
+    schedule,
+    totalRounds,
+
     // Validation flags
     canAdvance,
     canGoBack,
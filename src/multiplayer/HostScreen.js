@@ -0,0 +1,244 @@
+import ScoreTracker from '../core/ScoreTracker.js';
+import ScoreDisplay from '../ui/ScoreDisplay.js';
+import HostSession from './HostSession.js';
+
+/**
+ * HostScreen - The host device's page for local-network games (host.html)
+ * Creates a room for the players, shows its code, opens each round's secret
+ * bidding, watches the bids come in and, once they are revealed, takes the
+ * tricks and scores the round on the score sheet.
+ */
+class HostScreen {
+  /**
+   * @param {Document} doc - Document holding the host.html markup
+   * @param {Object} options - Optional settings
+   * @param {Function} options.createSocket - Opens the connection to the multiplayer server
+   */
+  constructor(doc, options = {}) {
+    this.doc = doc;
+    this.createSocket = options.createSocket || (() => new WebSocket(`ws://${window.location.host}`));
+    this.session = null;
+    this.scoreTracker = null;
+    this.scoreDisplay = null;
+  }
+
+  /**
+   * Attach the page's form handlers
+   */
+  init() {
+    this._element('host-setup-form').addEventListener('submit', event => {
+      event.preventDefault();
+      this.createRoom(this._element('host-player-names').value);
+    });
+
+    this._element('host-round-form').addEventListener('submit', event => {
+      event.preventDefault();
+      this.startRound(this._element('host-cards-dealt').value);
+    });
+
+    this._element('host-tricks-form').addEventListener('submit', event => {
+      event.preventDefault();
+      this.recordTricks();
+    });
+  }
+
+  /**
+   * Open a room for the listed players
+   * @param {string} namesText - Player names, one per line (commas also separate names)
+   */
+  createRoom(namesText) {
+    const names = namesText.split(/[\n,]/).map(name => name.trim()).filter(Boolean);
+    if (names.length < 2) {
+      this.showError('Enter at least 2 player names');
+      return;
+    }
+
+    this.showError('');
+    try {
+      this.scoreTracker = new ScoreTracker();
+      this.session = new HostSession(this.createSocket(), this.scoreTracker);
+      this.session.addListener((type, message) => this._handleEvent(type, message));
+      this.session.createRoom(names);
+    } catch (error) {
+      this.showError(error.message);
+      return;
+    }
+
+    this.scoreDisplay = new ScoreDisplay(this.scoreTracker, { checkImport: tracker => this._checkImportedPlayers(tracker) });
+    this.scoreDisplay.initialize(this._element('host-scores'));
+    // A game imported on the score sheet is the one scored from then on
+    this.scoreDisplay.addUpdateListener(() => {
+      this.scoreTracker = this.scoreDisplay.scoreTracker;
+      this.session.scoreTracker = this.scoreTracker;
+    });
+  }
+
+  /**
+   * Check a game imported on the score sheet is for the players in the room
+   * @private
+   * @param {ScoreTracker} tracker - Imported game
+   * @returns {Array} Field errors ([] when the players match)
+   */
+  _checkImportedPlayers(tracker) {
+    const imported = tracker.getCurrentStandings().map(player => player.name);
+    const roomPlayers = this.session.roomPlayers;
+    if (imported.length === roomPlayers.length && imported.every(name => roomPlayers.includes(name))) {
+      return [];
+    }
+    return [{
+      field: 'players',
+      message: `The game is for ${imported.join(', ')} but the room is open for ${roomPlayers.join(', ')}`
+    }];
+  }
+
+  /**
+   * Open secret bidding for the next round
+   * @param {string|number} cardsDealt - Cards dealt to each player
+   */
+  startRound(cardsDealt) {
+    const cards = parseInt(cardsDealt, 10);
+    if (isNaN(cards) || cards < 1) {
+      this.showError('Cards dealt must be at least 1');
+      return;
+    }
+
+    try {
+      this.session.startRound(cards);
+    } catch (error) {
+      this.showError(error.message);
+      return;
+    }
+
+    this.showError('');
+    this._element('host-revealed-bids').innerHTML = '';
+    this._element('host-tricks-form').style.display = 'none';
+    this._element('host-bid-status').textContent = `Round ${this.session.round.round}: waiting for bids...`;
+  }
+
+  /**
+   * Score the round from the revealed bids and the tricks entered for each player
+   * @returns {Object|null} Scored results, or null if the round could not be scored
+   */
+  recordTricks() {
+    const tricks = {};
+    this._element('host-tricks-inputs').querySelectorAll('input[data-player]').forEach(input => {
+      tricks[input.getAttribute('data-player')] = parseInt(input.value, 10);
+    });
+
+    let results;
+    try {
+      results = this.session.recordTricks(tricks);
+    } catch (error) {
+      this.showError(error.message);
+      return null;
+    }
+
+    this.showError('');
+    this._element('host-tricks-form').style.display = 'none';
+    this._element('host-bid-status').textContent = `Round ${this.scoreTracker.currentRound} scored`;
+    this._element('host-cards-dealt').value = this.scoreTracker.currentRound + 1;
+    this.scoreDisplay.updateDisplay();
+    return results;
+  }
+
+  /**
+   * React to the session's room, player and bidding events
+   * @private
+   * @param {string} type - Event type
+   * @param {Object} message - Server message
+   */
+  _handleEvent(type, message) {
+    switch (type) {
+      case 'room-created':
+        this._element('host-setup-form').style.display = 'none';
+        this._element('host-panel').style.display = 'block';
+        this._element('host-room-code').textContent = message.code;
+        this._element('host-join-url').textContent = `${this._host()}/join.html`;
+        break;
+      case 'player-joined':
+      case 'player-left': {
+        const connected = Array.from(this.session.connectedPlayers);
+        this._element('host-connected').textContent = connected.length > 0 ? connected.join(', ') : 'nobody yet';
+        break;
+      }
+      case 'bid-status':
+        this._element('host-bid-status').textContent =
+          `Round ${message.round}: ${message.submitted.length} of ${message.total} bids in (${message.submitted.join(', ')})`;
+        break;
+      case 'bids-revealed':
+        this._showRevealedBids(message.round, message.bids);
+        break;
+      case 'error':
+        this.showError(message.message);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * List the revealed bids and ask for each player's tricks
+   * @private
+   * @param {number} round - Round number
+   * @param {Object} bids - Bids keyed by player name
+   */
+  _showRevealedBids(round, bids) {
+    this._element('host-bid-status').textContent = `Round ${round}: all bids are in`;
+
+    const list = this.doc.createElement('ul');
+    const inputs = this._element('host-tricks-inputs');
+    inputs.innerHTML = '';
+
+    Object.entries(bids).forEach(([name, bid]) => {
+      const item = this.doc.createElement('li');
+      item.textContent = `${name}: ${bid} ${bid === 1 ? 'hand' : 'hands'}`;
+      list.appendChild(item);
+
+      const label = this.doc.createElement('label');
+      label.textContent = `${name} took `;
+      const input = this.doc.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.max = String(this.session.round.cardsDealt);
+      input.value = '0';
+      input.setAttribute('data-player', name);
+      label.appendChild(input);
+      inputs.appendChild(label);
+    });
+
+    const revealed = this._element('host-revealed-bids');
+    revealed.innerHTML = '';
+    revealed.appendChild(list);
+    this._element('host-tricks-form').style.display = 'block';
+  }
+
+  /**
+   * Show or clear the error message
+   * @param {string} message - Message to show ('' clears it)
+   */
+  showError(message) {
+    this._element('host-error').textContent = message;
+  }
+
+  /**
+   * Host and port players should connect to
+   * @private
+   * @returns {string} e.g. "http://192.168.1.20:8080"
+   */
+  _host() {
+    const location = this.doc.defaultView ? this.doc.defaultView.location : null;
+    return location ? `${location.protocol}//${location.host}` : '';
+  }
+
+  /**
+   * Get one of the page's elements
+   * @private
+   * @param {string} id - Element id
+   * @returns {HTMLElement} Element
+   */
+  _element(id) {
+    return this.doc.getElementById(id);
+  }
+}
+
+export default HostScreen;
@@ -0,0 +1,152 @@
+/**
+ * HostSession - Runs a multiplayer game from the host device
+ * Opens a room on the local server, starts each round's secret bidding and,
+ * once the server reveals every bid, scores the round in a ScoreTracker.
+ */
+class HostSession {
+  /**
+   * @param {WebSocket} socket - Connection to the multiplayer server (or an in-process stand-in)
+   * @param {ScoreTracker} scoreTracker - Tracker that scores the game
+   */
+  constructor(socket, scoreTracker) {
+    this.socket = socket;
+    this.scoreTracker = scoreTracker;
+    this.roomCode = null;
+    // Players the server room was opened for
+    this.roomPlayers = [];
+    this.connectedPlayers = new Set();
+    this.round = null;
+    this.listeners = new Set();
+    this.pendingMessages = [];
+
+    this.socket.onmessage = event => this._handleMessage(JSON.parse(event.data));
+    this.socket.onopen = () => this._flushPending();
+  }
+
+  /**
+   * Open a room for the tracker's players
+   * @param {Array<string>} playerNames - Players who will join from their own devices
+   */
+  createRoom(playerNames) {
+    this.scoreTracker.initializePlayers(playerNames);
+    this.roomPlayers = [...playerNames];
+    this._send({ type: 'create-room', players: playerNames });
+  }
+
+  /**
+   * Open secret bidding for the next round
+   * @param {number} cardsDealt - Cards dealt to each player this round
+   */
+  startRound(cardsDealt) {
+    if (!this.roomCode) {
+      throw new Error('Create a room before starting a round');
+    }
+
+    if (this.round && !this.round.bids) {
+      throw new Error(`Round ${this.round.round} bidding is still open`);
+    }
+
+    this.round = {
+      round: this.scoreTracker.currentRound + 1,
+      cardsDealt,
+      submitted: [],
+      bids: null
+    };
+    this._send({ type: 'start-round', round: this.round.round, cardsDealt });
+  }
+
+  /**
+   * Score the round from the revealed bids and the tricks each player took
+   * @param {Object} tricks - Tricks keyed by player name
+   * @param {Object} extras - Optional bonus or wager per player, keyed by player name
+   * @returns {Object} Scored results keyed by player name
+   */
+  recordTricks(tricks, extras = {}) {
+    if (!this.round || !this.round.bids) {
+      throw new Error('Bids have not been revealed yet');
+    }
+
+    const roundResults = {};
+    Object.entries(this.round.bids).forEach(([name, bid]) => {
+      roundResults[name] = { ...(extras[name] || {}), bid, tricks: tricks[name] };
+    });
+
+    const results = this.scoreTracker.addRoundResults(roundResults, this.round.cardsDealt);
+    this.round = null;
+
+    const standings = this.scoreTracker.getCurrentStandings()
+      .map(({ name, totalScore, rank }) => ({ name, totalScore, rank }));
+    this._send({ type: 'scores', standings });
+
+    return results;
+  }
+
+  /**
+   * Listen for session events: room-created, player-joined, player-left, bid-status, bids-revealed, error
+   * @param {Function} callback - Called with (type, message)
+   */
+  addListener(callback) {
+    if (typeof callback === 'function') {
+      this.listeners.add(callback);
+    }
+  }
+
+  /**
+   * Remove an event listener
+   * @param {Function} callback - Listener to remove
+   */
+  removeListener(callback) {
+    this.listeners.delete(callback);
+  }
+
+  _handleMessage(message) {
+    switch (message.type) {
+      case 'room-created':
+        this.roomCode = message.code;
+        break;
+      case 'player-joined':
+        this.connectedPlayers.add(message.name);
+        break;
+      case 'player-left':
+        this.connectedPlayers.delete(message.name);
+        break;
+      case 'bid-status':
+        if (this.round && this.round.round === message.round) {
+          this.round.submitted = message.submitted;
+        }
+        break;
+      case 'bids-revealed':
+        if (this.round && this.round.round === message.round) {
+          this.round.bids = message.bids;
+        }
+        break;
+      default:
+        break;
+    }
+
+    this.listeners.forEach(callback => {
+      try {
+        callback(message.type, message);
+      } catch (error) {
+        console.error('Error in session listener:', error);
+      }
+    });
+  }
+
+  _send(message) {
+    // Queue until a real WebSocket finishes connecting
+    if (this.socket.readyState !== 1) {
+      this.pendingMessages.push(message);
+      return;
+    }
+    this.socket.send(JSON.stringify(message));
+  }
+
+  _flushPending() {
+    const pending = this.pendingMessages;
+    this.pendingMessages = [];
+    pending.forEach(message => this._send(message));
+  }
+}
+
+export default HostSession;
@@ -1,11 +1,20 @@
 /**
  * Player Manager for Scorekeeper Game
  * Handles player setup, validation, and game state management
+ * Players are kept in seating order; the deal rotates from the chosen first dealer.
  */
 
+const Seating = require('../js/seating.js');
+
 class PlayerManager {
-  constructor() {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {Object} options.roundManager - Round manager to size from the player count when the game starts
+   */
+  constructor(options = {}) {
+    this.roundManager = options.roundManager || null;
     this.players = [];
+    this.firstDealerId = null;
     this.gameStarted = false;
     this.minPlayers = 2;
     this.maxPlayers = 8;
@@ -84,6 +93,9 @@ class PlayerManager {
     }
 
     const removedPlayer = this.players.splice(playerIndex, 1)[0];
+    if (this.firstDealerId === removedPlayer.id) {
+      this.firstDealerId = null;
+    }
     
     return {
       success: true,
@@ -157,6 +169,23 @@ class PlayerManager {
       };
     }
 
+    // Schedules such as Wizard take their length from the number of players
+    if (this.roundManager) {
+      try {
+        this.roundManager.setPlayerCount(this.players.length);
+        this.roundManager.setSeating(this.players.map(p => p.name), this.getFirstDealerSeat());
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message
+        };
+      }
+    }
+
+    // Seat 1 deals first unless a dealer was chosen
+    if (this.firstDealerId === null) {
+      this.firstDealerId = this.players[0].id;
+    }
     this.gameStarted = true;
     
     return {
@@ -165,6 +194,150 @@ class PlayerManager {
     };
   }
 
+  /**
+   * Add a player to a game that has already started
+   * They take the last seat and are dealt in from the next round.
+   * @param {string} name - Player name
+   * @returns {Object} Success/error result
+   */
+  joinGame(name) {
+    if (!this.gameStarted) {
+      return {
+        success: false,
+        error: 'Game has not started; add players instead'
+      };
+    }
+
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      return {
+        success: false,
+        error: 'Player name is required'
+      };
+    }
+
+    const trimmedName = name.trim();
+
+    if (this.getActivePlayers().length >= this.maxPlayers) {
+      return {
+        success: false,
+        error: `Maximum of ${this.maxPlayers} players allowed`
+      };
+    }
+
+    if (this.isDuplicateName(trimmedName)) {
+      return {
+        success: false,
+        error: 'Player name already exists'
+      };
+    }
+
+    const player = {
+      id: this.generatePlayerId(),
+      name: trimmedName,
+      score: 0,
+      joinedAfterRound: this.getRoundsPlayed()
+    };
+
+    this.players.push(player);
+
+    return {
+      success: true,
+      player: player
+    };
+  }
+
+  /**
+   * Take a player out of a game that has already started
+   * They stay in the player list, marked as left, so their scores are kept.
+   * @param {string} playerId - Player ID of the player leaving
+   * @returns {Object} Success/error result
+   */
+  leaveGame(playerId) {
+    if (!this.gameStarted) {
+      return {
+        success: false,
+        error: 'Game has not started; remove players instead'
+      };
+    }
+
+    const player = this.players.find(p => p.id === playerId);
+    if (!player || player.leftAfterRound !== undefined) {
+      return {
+        success: false,
+        error: 'Player not found'
+      };
+    }
+
+    if (this.getActivePlayers().length <= this.minPlayers) {
+      return {
+        success: false,
+        error: `At least ${this.minPlayers} players must stay in the game`
+      };
+    }
+
+    player.leftAfterRound = this.getRoundsPlayed();
+
+    return {
+      success: true,
+      player: player
+    };
+  }
+
+  /**
+   * Put a substitute in a player's seat during a game
+   * The seat keeps its ID, so the substitute carries on with its scores.
+   * @param {string} playerId - Player ID of the seat being taken over
+   * @param {string} newName - Substitute's name
+   * @returns {Object} Success/error result
+   */
+  substitutePlayer(playerId, newName) {
+    if (!this.gameStarted) {
+      return {
+        success: false,
+        error: 'Game has not started; edit the player instead'
+      };
+    }
+
+    if (!newName || typeof newName !== 'string' || newName.trim() === '') {
+      return {
+        success: false,
+        error: 'Player name is required'
+      };
+    }
+
+    const trimmedName = newName.trim();
+    const player = this.players.find(p => p.id === playerId);
+    if (!player || player.leftAfterRound !== undefined) {
+      return {
+        success: false,
+        error: 'Player not found'
+      };
+    }
+
+    if (this.isDuplicateName(trimmedName)) {
+      return {
+        success: false,
+        error: 'Player name already exists'
+      };
+    }
+
+    player.previousNames = [...(player.previousNames || []), { name: player.name, untilRound: this.getRoundsPlayed() }];
+    player.name = trimmedName;
+
+    return {
+      success: true,
+      player: player
+    };
+  }
+
+  /**
+   * Get the number of rounds finished so far (0 without a round manager)
+   * @returns {number} Rounds played
+   */
+  getRoundsPlayed() {
+    return this.roundManager ? this.roundManager.getCurrentRound() - 1 : 0;
+  }
+
   /**
    * Get all players
    * @returns {Array} Array of player objects
@@ -173,6 +346,122 @@ class PlayerManager {
     return [...this.players];
   }
 
+  /**
+   * Get the players still in the game, in seating order
+   * @returns {Array} Array of player objects
+   */
+  getActivePlayers() {
+    return this.players.filter(p => p.leftAfterRound === undefined);
+  }
+
+  /**
+   * Move a player to another seat (only before the game starts)
+   * @param {number} fromSeat - Seat index the player is in
+   * @param {number} toSeat - Seat index to move them to
+   * @returns {Object} Success/error result
+   */
+  moveSeat(fromSeat, toSeat) {
+    if (this.gameStarted) {
+      return {
+        success: false,
+        error: 'Cannot change seating after game has started'
+      };
+    }
+
+    try {
+      this.players = Seating.moveSeat(this.players, fromSeat, toSeat);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
+    return {
+      success: true,
+      players: this.getPlayers()
+    };
+  }
+
+  /**
+   * Choose the player who deals the first round
+   * @param {string} playerId - Player ID of the first dealer
+   * @returns {Object} Success/error result
+   */
+  setFirstDealer(playerId) {
+    if (this.gameStarted) {
+      return {
+        success: false,
+        error: 'Cannot change seating after game has started'
+      };
+    }
+
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) {
+      return {
+        success: false,
+        error: 'Player not found'
+      };
+    }
+
+    this.firstDealerId = player.id;
+    return {
+      success: true,
+      player: player
+    };
+  }
+
+  /**
+   * Pick the first dealer at random
+   * @param {function} random - Random number source returning [0, 1)
+   * @returns {Object} Success/error result
+   */
+  chooseRandomFirstDealer(random = Math.random) {
+    if (this.players.length === 0) {
+      return {
+        success: false,
+        error: 'Add players before choosing a dealer'
+      };
+    }
+
+    return this.setFirstDealer(this.players[Seating.pickFirstDealerSeat(this.players.length, random)].id);
+  }
+
+  /**
+   * Get the player chosen to deal the first round
+   * @returns {Object|null} Player, or null if no dealer has been chosen
+   */
+  getFirstDealer() {
+    return this.players.find(p => p.id === this.firstDealerId) || null;
+  }
+
+  /**
+   * Get the seat index of the first dealer (seat 0 until one is chosen)
+   * @returns {number} Seat index
+   */
+  getFirstDealerSeat() {
+    const seat = this.getActivePlayers().findIndex(p => p.id === this.firstDealerId);
+    return seat === -1 ? 0 : seat;
+  }
+
+  /**
+   * Get who deals and who leads in a round
+   * @param {number} round - Round number (1-based)
+   * @returns {Object|null} { dealer, lead } players, or null without players
+   */
+  getSeating(round) {
+    const players = this.getActivePlayers();
+    if (players.length === 0) {
+      return null;
+    }
+
+    const seating = Seating.getRoundSeating(players, round, this.getFirstDealerSeat());
+    return {
+      dealer: seating.dealer,
+      lead: seating.lead
+    };
+  }
+
   /**
    * Check if game has started
    * @returns {boolean} Game started status
@@ -207,7 +496,11 @@ class PlayerManager {
    */
   reset() {
     this.players = [];
+    this.firstDealerId = null;
     this.gameStarted = false;
+    if (this.roundManager) {
+      this.roundManager.resetGame();
+    }
   }
 
   /**
@@ -1,6 +1,7 @@
 /**
  * Player Setup UI Component
- * Provides user interface for managing players before game starts
+ * Provides user interface for managing players before game starts,
+ * including the seating order (drag to reorder) and the first dealer
  */
 
 class PlayerSetupUI {
@@ -10,6 +11,7 @@ class PlayerSetupUI {
     this.playerListElement = null;
     this.addPlayerInput = null;
     this.startGameButton = null;
+    this.dragSeat = null;
   }
 
   /**
@@ -43,6 +45,10 @@ class PlayerSetupUI {
         <div class="player-count-info">
           <span id="player-count">0</span> players (2-8 required)
         </div>
+        <div class="seating-section">
+          <p class="seating-hint">Drag players into seating order. The deal passes to the left each round.</p>
+          <button id="random-dealer-btn" class="btn btn-secondary">Random First Dealer</button>
+        </div>
         <ul id="player-list" class="player-list"></ul>
         <div class="game-controls">
           <button id="start-game-btn" class="btn btn-success" disabled>Start Game</button>
@@ -63,9 +69,11 @@ class PlayerSetupUI {
   attachEventListeners() {
     const addButton = this.container.querySelector('#add-player-btn');
     const resetButton = this.container.querySelector('#reset-players-btn');
+    const randomDealerButton = this.container.querySelector('#random-dealer-btn');
     
     addButton.addEventListener('click', () => this.handleAddPlayer());
     resetButton.addEventListener('click', () => this.handleReset());
+    randomDealerButton.addEventListener('click', () => this.handleRandomDealer());
     this.startGameButton.addEventListener('click', () => this.handleStartGame());
     
     this.addPlayerInput.addEventListener('keypress', (e) => {
@@ -126,6 +134,55 @@ class PlayerSetupUI {
     }
   }
 
+  /**
+   * Handle moving a player to another seat
+   * @param {number} fromSeat - Seat index the player is dragged from
+   * @param {number} toSeat - Seat index the player is dropped on
+   */
+  handleMoveSeat(fromSeat, toSeat) {
+    if (fromSeat === toSeat) {
+      return;
+    }
+
+    const result = this.playerManager.moveSeat(fromSeat, toSeat);
+    
+    if (result.success) {
+      this.updateUI();
+      this.clearError();
+    } else {
+      this.showError(result.error);
+    }
+  }
+
+  /**
+   * Handle choosing the first dealer
+   * @param {string} playerId - ID of the player who deals first
+   */
+  handleSetFirstDealer(playerId) {
+    const result = this.playerManager.setFirstDealer(playerId);
+    
+    if (result.success) {
+      this.updateUI();
+      this.clearError();
+    } else {
+      this.showError(result.error);
+    }
+  }
+
+  /**
+   * Handle picking the first dealer at random
+   */
+  handleRandomDealer() {
+    const result = this.playerManager.chooseRandomFirstDealer();
+    
+    if (result.success) {
+      this.updateUI();
+      this.clearError();
+    } else {
+      this.showError(result.error);
+    }
+  }
+
   /**
    * Handle starting the game
    */
@@ -172,13 +229,21 @@ class PlayerSetupUI {
   updatePlayerList() {
     const players = this.playerManager.getPlayers();
     const gameStarted = this.playerManager.isGameStarted();
+    // Seat 1 deals first until another dealer is chosen
+    const firstDealerSeat = this.playerManager.getFirstDealerSeat();
     
-    this.playerListElement.innerHTML = players.map(player => `
-      <li class="player-item" data-player-id="${player.id}">
+    this.playerListElement.innerHTML = players.map((player, seat) => {
+      const isFirstDealer = seat === firstDealerSeat;
+      return `
+      <li class="player-item" data-player-id="${player.id}" data-seat="${seat}" ${gameStarted ? '' : 'draggable="true"'}>
+        <span class="seat-number">Seat ${seat + 1}</span>
         <span class="player-name" ${gameStarted ? '' : 'contenteditable="true"'}>${player.name}</span>
+        ${isFirstDealer ? '<span class="dealer-badge">Deals first</span>' : ''}
+        ${gameStarted || isFirstDealer ? '' : `<button class="btn btn-secondary btn-sm set-dealer" data-player-id="${player.id}">Deal First</button>`}
         ${gameStarted ? '' : `<button class="btn btn-danger btn-sm remove-player" data-player-id="${player.id}">Remove</button>`}
       </li>
-    `).join('');
+    `;
+    }).join('');
 
     // Attach event listeners for player interactions
     if (!gameStarted) {
@@ -198,6 +263,43 @@ class PlayerSetupUI {
       });
     });
 
+    // Choose the first dealer
+    this.playerListElement.querySelectorAll('.set-dealer').forEach(button => {
+      button.addEventListener('click', (e) => {
+        this.handleSetFirstDealer(e.target.getAttribute('data-player-id'));
+      });
+    });
+
+    // Drag players between seats
+    this.playerListElement.querySelectorAll('.player-item[draggable]').forEach(item => {
+      const seat = parseInt(item.getAttribute('data-seat'), 10);
+
+      item.addEventListener('dragstart', (e) => {
+        this.dragSeat = seat;
+        item.classList.add('dragging');
+        if (e.dataTransfer) {
+          e.dataTransfer.effectAllowed = 'move';
+        }
+      });
+
+      item.addEventListener('dragover', (e) => {
+        e.preventDefault();
+      });
+
+      item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (this.dragSeat !== null) {
+          this.handleMoveSeat(this.dragSeat, seat);
+        }
+        this.dragSeat = null;
+      });
+
+      item.addEventListener('dragend', () => {
+        this.dragSeat = null;
+        item.classList.remove('dragging');
+      });
+    });
+
     // Editable player names
     this.playerListElement.querySelectorAll('.player-name[contenteditable]').forEach(nameElement => {
       nameElement.addEventListener('blur', (e) => {
@@ -236,6 +338,7 @@ class PlayerSetupUI {
     if (gameStarted) {
       this.startGameButton.textContent = 'Game Started';
       this.addPlayerInput.disabled = true;
+      this.container.querySelector('#random-dealer-btn').disabled = true;
       this.container.querySelector('#add-player-btn').disabled = true;
     }
   }
@@ -1,11 +1,41 @@
+import ScoreTracker from '../core/ScoreTracker.js';
+import { buildChartData, renderScoreChart } from './scoreChart.js';
+
+const Bonuses = typeof module !== 'undefined' && module.exports
+  ? require('../../js/bonuses.js')
+  : window.Bonuses;
+
+const PlayerStats = typeof module !== 'undefined' && module.exports
+  ? require('../../js/playerStats.js')
+  : window.PlayerStats;
+
+const GameLength = typeof module !== 'undefined' && module.exports
+  ? require('../../js/gameLength.js')
+  : window.GameLength;
+
+const TieBreakers = typeof module !== 'undefined' && module.exports
+  ? require('../../js/tieBreakers.js')
+  : window.TieBreakers;
+
 /**
  * ScoreDisplay - UI component for displaying scores and standings
  */
 class ScoreDisplay {
-  constructor(scoreTracker) {
+  /**
+   * @param {ScoreTracker} scoreTracker - Tracker whose game is shown
+   * @param {Object} options - Optional settings
+   * @param {Function} options.checkImport - Checks an imported game's tracker before it replaces
+   *   the one on display; returns field errors ([] to accept it)
+   */
+  constructor(scoreTracker, options = {}) {
     this.scoreTracker = scoreTracker;
+    this.checkImport = options.checkImport || (() => []);
     this.container = null;
     this.listeners = new Set();
+    // Players toggled off in the chart legend
+    this.hiddenPlayers = new Set();
+    // Field errors from the last game file that could not be imported
+    this.importErrors = [];
   }
 
   /**
@@ -19,7 +49,183 @@ class ScoreDisplay {
     
     this.container = container;
     this.container.className = 'score-display';
+    this._attachListeners();
+    this.render();
+  }
+
+  /**
+   * Listen for downloads, game imports, legend toggles and point hover/tap on the chart
+   * Listeners are delegated to the container so they survive re-rendering.
+   * @private
+   */
+  _attachListeners() {
+    if (typeof this.container.addEventListener !== 'function') {
+      return;
+    }
+
+    this.container.addEventListener('click', event => {
+      const exportButton = event.target.closest('.export-csv');
+      if (exportButton) {
+        this.downloadCsv(exportButton.getAttribute('data-layout'));
+        return;
+      }
+
+      if (event.target.closest('.export-game')) {
+        this.downloadGame();
+        return;
+      }
+
+      const toggle = event.target.closest('.legend-toggle');
+      if (toggle) {
+        this.togglePlayer(toggle.getAttribute('data-player'));
+        return;
+      }
+
+      const point = event.target.closest('.chart-point');
+      if (point) {
+        this._showPointDetails(point);
+      }
+    });
+
+    this.container.addEventListener('change', event => {
+      const fileInput = event.target.closest('.import-game-file');
+      if (fileInput && fileInput.files.length > 0) {
+        this._readGameFile(fileInput.files[0]);
+      }
+    });
+
+    ['mouseover', 'focusin'].forEach(type => {
+      this.container.addEventListener(type, event => {
+        const point = event.target.closest('.chart-point');
+        if (point) {
+          this._showPointDetails(point);
+        }
+      });
+    });
+  }
+
+  /**
+   * Show a chart point's bid, tricks and score below the chart
+   * @private
+   * @param {Element} point - Chart point element
+   */
+  _showPointDetails(point) {
+    const tooltip = this.container.querySelector('.chart-tooltip');
+    if (tooltip) {
+      tooltip.textContent = point.getAttribute('data-details');
+    }
+  }
+
+  /**
+   * Show or hide a player's line on the chart
+   * @param {string} playerName - Name of the player
+   */
+  togglePlayer(playerName) {
+    if (this.hiddenPlayers.has(playerName)) {
+      this.hiddenPlayers.delete(playerName);
+    } else {
+      this.hiddenPlayers.add(playerName);
+    }
+    this.render();
+  }
+
+  /**
+   * Download the scoresheet as a CSV file
+   * @param {string} layout - 'long' or 'wide'
+   * @returns {string} The CSV that was downloaded
+   */
+  downloadCsv(layout = 'long') {
+    const csv = this.scoreTracker.exportCsv(layout);
+    this._download(csv, 'text/csv;charset=utf-8', `scoresheet-${layout}.csv`);
+    return csv;
+  }
+
+  /**
+   * Download the game as a JSON document that can be imported again
+   * @returns {Object} The game document that was downloaded
+   */
+  downloadGame() {
+    const doc = this.scoreTracker.exportGame();
+    this._download(JSON.stringify(doc, null, 2), 'application/json', 'skull-king-game.json');
+    return doc;
+  }
+
+  /**
+   * Replace the game on display with an imported game document
+   * If the document is rejected the current game is kept and its field errors are listed.
+   * The imported game is saved in the current game's place, so replacing a game with
+   * rounds played has to be confirmed first.
+   * @param {Object|string} input - Game document, or its JSON text
+   * @returns {Object} Result from ScoreTracker.importGame, or { success: false, cancelled: true }
+   *   when the replacement was not confirmed
+   */
+  importGame(input) {
+    // Checked without the store first, so nothing is saved over the current game yet
+    let result = ScoreTracker.importGame(input);
+    if (result.success) {
+      const fieldErrors = this.checkImport(result.tracker);
+      if (fieldErrors.length > 0) {
+        result = {
+          success: false,
+          errors: fieldErrors.map(error => `${error.field}: ${error.message}`),
+          fieldErrors
+        };
+      }
+    }
+    if (!result.success) {
+      this.importErrors = result.fieldErrors;
+      this.render();
+      return result;
+    }
+
+    if (this.scoreTracker.currentRound > 0 &&
+        !window.confirm(`Replace the game on display (${this.scoreTracker.currentRound} rounds played) with the imported game?`)) {
+      return { success: false, cancelled: true, errors: [], fieldErrors: [] };
+    }
+
+    const { storage, gameId } = this.scoreTracker;
+    if (storage) {
+      result = ScoreTracker.importGame(input, { storage, gameId });
+    }
+    this.scoreTracker = result.tracker;
+    this.importErrors = [];
     this.render();
+    return result;
+  }
+
+  /**
+   * Read a game file chosen with the "Import game" control
+   * @private
+   * @param {File} file - Chosen file
+   */
+  _readGameFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => this.importGame(reader.result);
+    reader.onerror = () => {
+      this.importErrors = [{ field: 'document', message: `Could not read ${file.name}` }];
+      this.render();
+    };
+    reader.readAsText(file);
+  }
+
+  /**
+   * Save content as a file through a temporary download link
+   * @private
+   * @param {string} content - File content
+   * @param {string} type - MIME type
+   * @param {string} filename - Suggested file name
+   */
+  _download(content, type, filename) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
   }
 
   /**
@@ -37,19 +243,54 @@ class ScoreDisplay {
         <h2>Game Scores</h2>
         <div class="game-info">
           <span class="round-info">Round: ${summary.totalRounds}</span>
+          <span class="ruleset-info">${this._escapeHtml(summary.ruleset.name)}</span>
+          ${summary.endCondition && summary.teamStandings.length === 0 ? `<span class="game-length">${GameLength.describeEndCondition(summary.endCondition)}</span>` : ''}
           ${summary.gameEnded ? '<span class="game-status final">FINAL</span>' : '<span class="game-status ongoing">IN PROGRESS</span>'}
         </div>
       </div>
       
+      ${summary.teamStandings.length > 0 ? `
+      <div class="team-standings">
+        <h3>Team Standings</h3>
+        ${this._renderTeamStandings(summary.teamStandings, summary.targetScore)}
+      </div>
+      ` : ''}
+
       <div class="current-standings">
         <h3>Current Standings</h3>
         ${this._renderStandings(summary.currentStandings)}
       </div>
       
+      ${summary.roundBreakdown.length > 0 ? `
+      <div class="score-chart">
+        <h3>Score Progression</h3>
+        ${this._renderScoreChart(summary.roundBreakdown)}
+      </div>
+      ` : ''}
+
       <div class="round-breakdown">
         <h3>Round-by-Round Breakdown</h3>
-        ${this._renderRoundBreakdown(summary.roundBreakdown, summary.currentStandings)}
+        ${this._renderRoundBreakdown(summary.roundBreakdown, summary.currentStandings, summary.auditLog)}
+        ${summary.roundBreakdown.length > 0 ? `
+        <div class="csv-export">
+          <button type="button" class="export-csv" data-layout="long">Download CSV</button>
+          <button type="button" class="export-csv" data-layout="wide">Download CSV (wide)</button>
+        </div>
+        ` : ''}
+      </div>
+
+      <div class="game-file">
+        <button type="button" class="export-game">Download game</button>
+        <label class="import-game">Import game <input type="file" class="import-game-file" accept=".json,application/json"></label>
+        ${this._renderImportErrors()}
+      </div>
+
+      ${summary.roundBreakdown.some(round => round.results) ? `
+      <div class="player-stats">
+        <h3>Player Statistics</h3>
+        ${this._renderPlayerStats(this.scoreTracker.getBidderRankings())}
       </div>
+      ` : ''}
       
       ${summary.gameEnded ? this._renderFinalRankings() : ''}
     `;
@@ -67,16 +308,22 @@ class ScoreDisplay {
       return '<p class="no-data">No scores recorded yet</p>';
     }
 
+    // A late joiner's starting score is not counted in their average
+    const average = player => (player.totalScore - (player.startingScore || 0)) / player.roundScores.length;
+
     const tableRows = standings.map(player => `
-      <tr class="${player.isLeader ? 'leader' : ''} rank-${player.rank}">
+      <tr class="${player.isLeader ? 'leader' : ''} rank-${player.rank}${player.isActive === false ? ' left-game' : ''}">
         <td class="rank">
           ${player.isLeader ? '🏆' : ''}
           #${player.rank}
         </td>
-        <td class="player-name">${this._escapeHtml(player.name)}</td>
+        <td class="player-name">
+          ${this._escapeHtml(player.name)}
+          ${player.annotation ? `<div class="roster-note">${this._escapeHtml(player.annotation)}</div>` : ''}
+        </td>
         <td class="total-score">${player.totalScore}</td>
         <td class="rounds-played">${player.roundScores.length}</td>
-        <td class="average-score">${player.roundScores.length > 0 ? (player.totalScore / player.roundScores.length).toFixed(1) : '0.0'}</td>
+        <td class="average-score">${player.roundScores.length > 0 ? average(player).toFixed(1) : '0.0'}</td>
       </tr>
     `).join('');
 
@@ -98,13 +345,104 @@ class ScoreDisplay {
     `;
   }
 
+  /**
+   * Render partnership standings with each member's contribution
+   * @param {Array} teamStandings - Team standings from ScoreTracker.getTeamStandings
+   * @param {number|null} targetScore - Score that ends the game
+   * @returns {string} HTML string for team standings
+   */
+  _renderTeamStandings(teamStandings, targetScore) {
+    const tableRows = teamStandings.map(team => `
+      <tr class="${team.isLeader ? 'leader' : ''} rank-${team.rank}">
+        <td class="rank">
+          ${team.isLeader ? '🏆' : ''}
+          #${team.rank}
+        </td>
+        <td class="team-name">${this._escapeHtml(team.name)}</td>
+        <td class="team-members">
+          ${team.members.map(member => `<span class="team-member">${this._escapeHtml(member.name)}: ${member.contribution}</span>`).join(' ')}
+        </td>
+        <td class="team-bags">${team.bags}</td>
+        <td class="total-score">${team.totalScore}</td>
+      </tr>
+    `).join('');
+
+    return `
+      ${targetScore ? `<p class="target-score">Playing to ${targetScore} points</p>` : ''}
+      <table class="standings-table team-standings-table">
+        <thead>
+          <tr>
+            <th>Rank</th>
+            <th>Team</th>
+            <th>Contributions</th>
+            <th>Bags</th>
+            <th>Total Score</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${tableRows}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Render the running-total line chart
+   * @param {Array} rounds - Round data
+   * @returns {string} HTML string for the chart and its legend
+   */
+  _renderScoreChart(rounds) {
+    // Legend follows the order players joined rather than rank so colours stay put
+    const startingScores = Object.fromEntries(
+      this.scoreTracker.getCurrentStandings().map(player => [player.name, player.startingScore])
+    );
+    const chartData = buildChartData(rounds, Array.from(this.scoreTracker.players.keys()), startingScores);
+    return renderScoreChart(chartData, {
+      hiddenPlayers: this.hiddenPlayers,
+      escapeHtml: value => this._escapeHtml(value).replace(/"/g, '&quot;')
+    });
+  }
+
+  /**
+   * Render each player's bidding statistics, best bidder first
+   * @param {Array} rankings - Bidder rankings from ScoreTracker.getBidderRankings
+   * @returns {string} HTML string for the statistics table
+   */
+  _renderPlayerStats(rankings) {
+    const tableRows = rankings.map(ranking => `
+      <tr class="${ranking.isBestBidder ? 'best-bidder' : ''}">${PlayerStats.formatStatsRow(ranking)}</tr>
+    `).join('');
+
+    return `
+      <table class="stats-table">
+        <thead>
+          <tr>
+            <th>Player</th>
+            <th>Exact Bids</th>
+            <th>Zero Bids Made</th>
+            <th>Avg Miss</th>
+            <th>Tendency</th>
+            <th>Best Round</th>
+            <th>Worst Round</th>
+            <th>Exact Streak</th>
+            <th>Bonus Points</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${tableRows}
+        </tbody>
+      </table>
+    `;
+  }
+
   /**
    * Render round-by-round breakdown
    * @param {Array} rounds - Round data
    * @param {Array} standings - Current standings for player order
+   * @param {Array} auditLog - Corrections made to completed rounds
    * @returns {string} HTML string for round breakdown
    */
-  _renderRoundBreakdown(rounds, standings) {
+  _renderRoundBreakdown(rounds, standings, auditLog = []) {
     if (rounds.length === 0) {
       return '<p class="no-data">No rounds completed yet</p>';
     }
@@ -120,10 +458,21 @@ class ScoreDisplay {
 
     const roundRows = rounds.map(round => `
       <tr class="round-row">
-        <td class="round-number">R${round.roundNumber}</td>
+        <td class="round-number">R${round.roundNumber}${this._renderRoundSeating(round.seating)}</td>
         ${playerNames.map(name => {
-          const score = round.scores[name] || 0;
-          return `<td class="round-score">${score}</td>`;
+          if (!(name in round.scores)) {
+            return '<td class="round-score absent" aria-label="Did not play">–</td>';
+          }
+          const score = round.scores[name];
+          const result = round.results && round.results[name];
+          const corrected = Boolean(result && result.corrected);
+          const tooltip = result
+            ? [result.scoringReason, corrected ? this._describeCorrection(auditLog, round.roundNumber, name) : '']
+              .filter(Boolean).join(' — ')
+            : '';
+          const title = tooltip ? ` title="${this._escapeHtml(tooltip)}"` : '';
+          const marker = corrected ? '<span class="correction-marker" aria-label="Corrected">✎</span>' : '';
+          return `<td class="round-score${corrected ? ' corrected' : ''}"${title}>${score}${marker}${this._renderBonusItems(result)}</td>`;
         }).join('')}
       </tr>
     `).join('');
@@ -151,23 +500,111 @@ class ScoreDisplay {
     `;
   }
 
+  /**
+   * Render who dealt and led a round
+   * @param {Object} seating - Round seating { dealer, lead, seats }
+   * @returns {string} HTML string for the dealer and lead player
+   */
+  _renderRoundSeating(seating) {
+    if (!seating) {
+      return '';
+    }
+
+    return `
+      <span class="round-seating">
+        <span class="round-dealer">Dealer: ${this._escapeHtml(seating.dealer)}</span>
+        <span class="round-lead">Leads: ${this._escapeHtml(seating.lead)}</span>
+      </span>
+    `;
+  }
+
+  /**
+   * Describe the latest correction to a player's round for a tooltip
+   * @param {Array} auditLog - Corrections made to completed rounds
+   * @param {number} roundNumber - Round number
+   * @param {string} playerName - Name of the player
+   * @returns {string} Description such as "Corrected by Sam: tricks 2 → 3"
+   */
+  _describeCorrection(auditLog, roundNumber, playerName) {
+    const edits = auditLog.filter(entry =>
+      entry.action === 'edit' && entry.roundNumber === roundNumber && entry.playerName === playerName);
+    const latest = edits[edits.length - 1];
+    if (!latest) {
+      return 'Corrected';
+    }
+
+    const formatValue = value => (value && typeof value === 'object' ? `+${Bonuses.calculateBonusTotal(value)}` : value);
+    const changes = latest.changes
+      .map(change => `${change.field} ${formatValue(change.from)} → ${formatValue(change.to)}`)
+      .join(', ');
+    return `Corrected by ${latest.editedBy}: ${changes}`;
+  }
+
+  /**
+   * Render the itemized bonus captures for a round result
+   * @param {Object} result - Player's scored round result
+   * @returns {string} HTML string for bonus items
+   */
+  _renderBonusItems(result) {
+    if (!result || !result.bonusBreakdown) {
+      return '';
+    }
+
+    const items = Bonuses.describeBonusBreakdown(result.bonusBreakdown);
+    if (items.length === 0) {
+      return '';
+    }
+
+    const applied = result.bonusPoints > 0;
+    return `
+      <ul class="bonus-items ${applied ? 'bonus-applied' : 'bonus-ignored'}">
+        ${items.map(item => `<li>${item.count} × ${item.label}: +${item.total}</li>`).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * List why the last game file could not be imported
+   * @returns {string} HTML string for the import errors
+   */
+  _renderImportErrors() {
+    if (this.importErrors.length === 0) {
+      return '';
+    }
+
+    return `
+      <ul class="import-errors" role="alert">
+        ${this.importErrors.map(error => `<li>${this._escapeHtml(error.field)}: ${this._escapeHtml(error.message)}</li>`).join('')}
+      </ul>
+    `;
+  }
+
   /**
    * Render final rankings section
    * @returns {string} HTML string for final rankings
    */
   _renderFinalRankings() {
     const finalRankings = this.scoreTracker.getFinalRankings();
-    const winners = finalRankings.filter(p => p.isFinalWinner);
+    const teamStandings = this.scoreTracker.getTeamStandings();
+    // Partnership games are won by a team
+    const winners = teamStandings.length > 0
+      ? teamStandings.filter(team => team.rank === 1)
+      : finalRankings.filter(p => p.isFinalWinner);
     
     const winnerText = winners.length === 1 
       ? `🎉 Winner: ${winners[0].name} with ${winners[0].totalScore} points!`
       : `🎉 Tie between: ${winners.map(w => w.name).join(', ')} with ${winners[0].totalScore} points each!`;
+    const settledBy = winners.length === 1 && winners[0].tieBreaker
+      ? `<div class="tie-breaker-note">Tie broken by ${TieBreakers.getTieBreaker(winners[0].tieBreaker).name.toLowerCase()}</div>`
+      : '';
 
     return `
       <div class="final-rankings">
         <h3>Final Results</h3>
+        ${this.scoreTracker.endReason ? `<p class="end-reason">${this._escapeHtml(this.scoreTracker.endReason)}</p>` : ''}
         <div class="winner-announcement">
           ${winnerText}
+          ${settledBy}
         </div>
         <div class="final-standings">
           ${this._renderFinalStandingsTable(finalRankings)}
@@ -178,10 +615,12 @@ class ScoreDisplay {
 
   /**
    * Render final standings table
+   * A "Settled By" column names the tie-breaker behind any place decided by one.
    * @param {Array} rankings - Final rankings data
    * @returns {string} HTML string for final standings table
    */
   _renderFinalStandingsTable(rankings) {
+    const showTieBreakers = rankings.some(player => player.tieBreaker);
     const tableRows = rankings.map(player => `
       <tr class="${player.isFinalWinner ? 'final-winner' : ''} final-rank-${player.rank}">
         <td class="rank">
@@ -191,6 +630,7 @@ class ScoreDisplay {
         <td class="player-name">${this._escapeHtml(player.name)}</td>
         <td class="total-score">${player.totalScore}</td>
         <td class="score-details">${player.roundScores.join(', ')}</td>
+        ${showTieBreakers ? `<td class="tie-breaker">${player.tieBreaker ? TieBreakers.getTieBreaker(player.tieBreaker).name : ''}</td>` : ''}
       </tr>
     `).join('');
 
@@ -202,6 +642,7 @@ class ScoreDisplay {
             <th>Player</th>
             <th>Final Score</th>
             <th>Round Scores</th>
+            ${showTieBreakers ? '<th>Settled By</th>' : ''}
           </tr>
         </thead>
         <tbody>
@@ -0,0 +1,152 @@
+/**
+ * Score progression chart
+ * Builds an SVG line chart of each player's running total as a plain string,
+ * so it needs no charting library and renders the same offline and in jsdom.
+ */
+
+export const CHART_SIZE = {
+  WIDTH: 600,
+  HEIGHT: 300,
+  PADDING: 40
+};
+
+export const PLAYER_COLORS = [
+  '#007bff', '#dc3545', '#28a745', '#fd7e14',
+  '#6f42c1', '#20c997', '#e83e8c', '#6c757d'
+];
+
+/**
+ * Work out each player's running total and the rounds where the lead changed
+ * Players only get points for the rounds they played in, so a late joiner's line
+ * starts from their starting score and a leaver's line stops where they left.
+ * @param {Array} rounds - Round breakdown from ScoreTracker.getRoundBreakdown
+ * @param {Array<string>} playerNames - Players in legend order
+ * @param {Object} startingScores - Late joiners' starting scores keyed by name (others start at 0)
+ * @returns {Object} { series: [{ name, color, startingScore, points }], leaderChanges: [{ round, leaders }],
+ *   roundNumbers }
+ */
+export function buildChartData(rounds, playerNames, startingScores = {}) {
+  const totals = Object.fromEntries(playerNames.map(name => [name, startingScores[name] || 0]));
+  const series = playerNames.map((name, index) => ({
+    name,
+    color: PLAYER_COLORS[index % PLAYER_COLORS.length],
+    startingScore: totals[name],
+    points: []
+  }));
+  const leaderChanges = [];
+  let previousLeaders = null;
+
+  rounds.forEach((round, index) => {
+    series.forEach(line => {
+      if (!(line.name in round.scores)) {
+        return;
+      }
+      const score = round.scores[line.name];
+      const result = round.results && round.results[line.name];
+      totals[line.name] += score;
+      line.points.push({
+        round: round.roundNumber,
+        position: index + 1,
+        score,
+        total: totals[line.name],
+        bid: result ? result.bid : null,
+        tricks: result ? result.tricks : null
+      });
+    });
+
+    // Only players who have played a round so far can hold the lead
+    const contenders = series.filter(line => line.points.length > 0).map(line => line.name);
+    const best = Math.max(...contenders.map(name => totals[name]));
+    const leaders = contenders.filter(name => totals[name] === best);
+    if (previousLeaders && leaders.join('|') !== previousLeaders.join('|')) {
+      leaderChanges.push({ round: round.roundNumber, leaders });
+    }
+    previousLeaders = leaders;
+  });
+
+  return { series, leaderChanges, roundNumbers: rounds.map(round => round.roundNumber) };
+}
+
+/**
+ * Describe one point on the chart for the hover/tap details
+ * @param {string} name - Player name
+ * @param {Object} point - { round, score, total, bid, tricks }
+ * @returns {string} Description such as "Alice — Round 2: bid 1, took 1, +20 (total 50)"
+ */
+export function describePoint(name, point) {
+  const bidTricks = point.bid === null ? '' : `bid ${point.bid}, took ${point.tricks}, `;
+  const score = point.score >= 0 ? `+${point.score}` : `${point.score}`;
+  return `${name} — Round ${point.round}: ${bidTricks}${score} (total ${point.total})`;
+}
+
+/**
+ * Render the chart as an SVG string
+ * Hidden players keep their place in the legend but are not drawn or used for the scale.
+ * @param {Object} chartData - Data from buildChartData
+ * @param {Object} options - Rendering options
+ * @param {Set<string>} options.hiddenPlayers - Players toggled off in the legend
+ * @param {function} options.escapeHtml - Escapes text for HTML and attributes
+ * @returns {string} HTML string with the SVG chart and its legend
+ */
+export function renderScoreChart(chartData, options = {}) {
+  const hiddenPlayers = options.hiddenPlayers || new Set();
+  const escape = options.escapeHtml || (value => String(value));
+  const { WIDTH, HEIGHT, PADDING } = CHART_SIZE;
+  const visible = chartData.series.filter(line => !hiddenPlayers.has(line.name));
+  const roundCount = chartData.roundNumbers.length;
+
+  // Each line starts from its starting score before its first round; the scale always includes 0
+  const values = [0, ...visible.flatMap(line => [line.startingScore, ...line.points.map(point => point.total)])];
+  const maxValue = Math.max(...values);
+  const minValue = Math.min(...values);
+  const range = maxValue - minValue || 1;
+
+  const x = round => PADDING + (roundCount > 0 ? (round / roundCount) * (WIDTH - 2 * PADDING) : 0);
+  const y = total => HEIGHT - PADDING - ((total - minValue) / range) * (HEIGHT - 2 * PADDING);
+
+  const lines = visible.map(line => {
+    const start = line.points.length > 0 ? line.points[0].position - 1 : 0;
+    const points = [`${x(start)},${y(line.startingScore)}`, ...line.points.map(point => `${x(point.position)},${y(point.total)}`)];
+    const markers = line.points.map(point => {
+      const details = escape(describePoint(line.name, point));
+      return `<circle class="chart-point" cx="${x(point.position)}" cy="${y(point.total)}" r="4" fill="${line.color}" ` +
+        `tabindex="0" data-player="${escape(line.name)}" data-round="${point.round}" data-details="${details}">` +
+        `<title>${details}</title></circle>`;
+    }).join('');
+    return `<g class="chart-series" data-player="${escape(line.name)}">` +
+      `<polyline class="chart-line" fill="none" stroke="${line.color}" stroke-width="2" points="${points.join(' ')}"></polyline>` +
+      `${markers}</g>`;
+  }).join('');
+
+  const leaderMarks = chartData.leaderChanges.map(change => {
+    const label = `Round ${change.round}: ${change.leaders.join(' & ')} ${change.leaders.length === 1 ? 'takes' : 'share'} the lead`;
+    const roundX = x(change.round);
+    return `<line class="leader-change" x1="${roundX}" y1="${PADDING}" x2="${roundX}" y2="${HEIGHT - PADDING}" ` +
+      `stroke="#ffc107" stroke-dasharray="4 3" data-round="${change.round}"><title>${escape(label)}</title></line>` +
+      `<text class="leader-change-label" x="${roundX}" y="${PADDING - 8}" text-anchor="middle">★</text>`;
+  }).join('');
+
+  const roundLabels = chartData.roundNumbers.map((roundNumber, index) =>
+    `<text class="axis-label" x="${x(index + 1)}" y="${HEIGHT - PADDING + 18}" text-anchor="middle">R${roundNumber}</text>`
+  ).join('');
+
+  const legend = chartData.series.map(line => {
+    const shown = !hiddenPlayers.has(line.name);
+    return `<li><button type="button" class="legend-toggle${shown ? '' : ' legend-hidden'}" ` +
+      `data-player="${escape(line.name)}" aria-pressed="${shown}">` +
+      `<span class="legend-swatch" style="background: ${line.color}"></span>${escape(line.name)}</button></li>`;
+  }).join('');
+
+  return `
+    <svg class="score-chart-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="Running total after each round">
+      <line class="chart-axis" x1="${PADDING}" y1="${y(0)}" x2="${WIDTH - PADDING}" y2="${y(0)}" stroke="#adb5bd"></line>
+      <text class="axis-label" x="${PADDING - 6}" y="${y(maxValue) + 4}" text-anchor="end">${maxValue}</text>
+      <text class="axis-label" x="${PADDING - 6}" y="${y(minValue) + 4}" text-anchor="end">${minValue}</text>
+      ${roundLabels}
+      ${leaderMarks}
+      ${lines}
+    </svg>
+    <div class="chart-tooltip" role="status" aria-live="polite"></div>
+    <ul class="chart-legend">${legend}</ul>
+  `;
+}
@@ -1,3 +1,13 @@
+import { GAME_DOCUMENT_FORMAT, GAME_DOCUMENT_VERSION } from '../core/gameDocument.js';
+
+const GameLength = typeof module !== 'undefined' && module.exports
+  ? require('../../js/gameLength.js')
+  : window.GameLength;
+
+const TieBreakers = typeof module !== 'undefined' && module.exports
+  ? require('../../js/tieBreakers.js')
+  : window.TieBreakers;
+
 /**
  * ScoreValidator - Utility for validating score-related data
  */
@@ -198,6 +208,174 @@ class ScoreValidator {
     };
   }
   
+  /**
+   * Validate a game document (current version) before it is imported
+   * Each problem is reported against the field it was found in, e.g. rounds[2].results.Alice.tricks
+   * @param {Object} doc - Game document from ScoreTracker.exportGame
+   * @returns {Object} Validation result with isValid, errors and fieldErrors [{ field, message }]
+   */
+  static validateGameDocument(doc) {
+    const fieldErrors = [];
+    const addError = (field, message) => fieldErrors.push({ field, message });
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    const result = () => ({
+      isValid: fieldErrors.length === 0,
+      errors: fieldErrors.map(error => `${error.field}: ${error.message}`),
+      fieldErrors
+    });
+
+    if (!isObject(doc)) {
+      addError('document', 'Game document must be an object');
+      return result();
+    }
+
+    if (doc.format !== GAME_DOCUMENT_FORMAT) {
+      addError('format', `Expected "${GAME_DOCUMENT_FORMAT}"`);
+    }
+    if (doc.version !== GAME_DOCUMENT_VERSION) {
+      addError('version', `Expected version ${GAME_DOCUMENT_VERSION}`);
+    }
+
+    if (!isObject(doc.settings)) {
+      addError('settings', 'Settings must be an object');
+    } else {
+      if (typeof doc.settings.rulesetId !== 'string' || doc.settings.rulesetId === '') {
+        addError('settings.rulesetId', 'Ruleset id must be a non-empty string');
+      }
+      if (!Array.isArray(doc.settings.teams)) {
+        addError('settings.teams', 'Teams must be an array');
+      }
+      if (doc.settings.seating !== null && !isObject(doc.settings.seating)) {
+        addError('settings.seating', 'Seating must be an object or null');
+      }
+      if (doc.settings.endCondition !== undefined && doc.settings.endCondition !== null) {
+        GameLength.validateEndCondition(doc.settings.endCondition).errors
+          .forEach(message => addError('settings.endCondition', message));
+      }
+      if (doc.settings.tieBreakers !== undefined) {
+        TieBreakers.validateTieBreakers(doc.settings.tieBreakers).errors
+          .forEach(message => addError('settings.tieBreakers', message));
+      }
+    }
+
+    const players = this.validatePlayerNames(doc.players);
+    players.errors.forEach(message => addError('players', message));
+    const playerNames = players.isValid ? doc.players : [];
+
+    if (doc.startedAt !== undefined && doc.startedAt !== null &&
+        (typeof doc.startedAt !== 'string' || isNaN(Date.parse(doc.startedAt)))) {
+      addError('startedAt', 'Start time must be an ISO date string or null');
+    }
+    if (typeof doc.gameEnded !== 'boolean') {
+      addError('gameEnded', 'Must be true or false');
+    }
+    if (doc.endReason !== undefined && doc.endReason !== null && typeof doc.endReason !== 'string') {
+      addError('endReason', 'End reason must be a string or null');
+    }
+    if (doc.suddenDeathScores !== undefined && (!isObject(doc.suddenDeathScores) ||
+        !Object.values(doc.suddenDeathScores).every(score => typeof score === 'number' && isFinite(score)))) {
+      addError('suddenDeathScores', 'Sudden-death scores must be an object of numbers');
+    }
+    if (!Array.isArray(doc.auditLog)) {
+      addError('auditLog', 'Audit log must be an array');
+    }
+
+    if (!Array.isArray(doc.rounds)) {
+      addError('rounds', 'Rounds must be an array');
+      return result();
+    }
+
+    // Players who joined late or left are only scored in the rounds they played
+    const roster = {};
+    if (doc.roster !== undefined) {
+      if (!Array.isArray(doc.roster)) {
+        addError('roster', 'Roster must be an array');
+      } else {
+        doc.roster.forEach((entry, index) => {
+          const field = `roster[${index}]`;
+          if (!isObject(entry) || !playerNames.includes(entry.name)) {
+            addError(field, 'Roster entries must name a player');
+            return;
+          }
+          const isRound = value => isCount(value) && value <= doc.rounds.length;
+          if (typeof entry.startingScore !== 'number' || !isFinite(entry.startingScore)) {
+            addError(`${field}.startingScore`, 'Starting score must be a number');
+          }
+          if (entry.joinedAfterRound !== null && !isRound(entry.joinedAfterRound)) {
+            addError(`${field}.joinedAfterRound`, 'Must be a played round number or null');
+          }
+          if (entry.leftAfterRound !== null && (!isRound(entry.leftAfterRound) ||
+              entry.leftAfterRound < (entry.joinedAfterRound || 0))) {
+            addError(`${field}.leftAfterRound`, 'Must be a played round number after joining, or null');
+          }
+          if (!Array.isArray(entry.previousNames) || !entry.previousNames.every(previous =>
+            isObject(previous) && typeof previous.name === 'string' && isRound(previous.untilRound))) {
+            addError(`${field}.previousNames`, 'Previous names must be an array of { name, untilRound }');
+          }
+          roster[entry.name] = entry;
+        });
+      }
+    }
+    const playersInRound = index => playerNames.filter(name => {
+      const entry = roster[name];
+      return !entry ||
+        ((entry.joinedAfterRound === null || entry.joinedAfterRound <= index) &&
+          (entry.leftAfterRound === null || entry.leftAfterRound > index));
+    });
+
+    doc.rounds.forEach((round, index) => {
+      const field = `rounds[${index}]`;
+      if (!isObject(round)) {
+        addError(field, 'Round must be an object');
+        return;
+      }
+
+      if (round.roundNumber !== index + 1) {
+        addError(`${field}.roundNumber`, `Expected round ${index + 1}, got ${round.roundNumber}`);
+      }
+      if (round.timestamp !== null && (typeof round.timestamp !== 'string' || isNaN(Date.parse(round.timestamp)))) {
+        addError(`${field}.timestamp`, 'Timestamp must be an ISO date string or null');
+      }
+
+      if (playerNames.length > 0) {
+        const scores = this.validateRoundScores(round.scores, playersInRound(index));
+        scores.errors.forEach(message => addError(`${field}.scores`, message));
+      }
+
+      if (round.results === null) {
+        return;
+      }
+      if (!isObject(round.results)) {
+        addError(`${field}.results`, 'Results must be an object or null');
+        return;
+      }
+      if (!Number.isInteger(round.cardsDealt) || round.cardsDealt <= 0) {
+        addError(`${field}.cardsDealt`, 'Cards dealt must be a positive whole number');
+      }
+
+      playersInRound(index).forEach(name => {
+        const playerResult = round.results[name];
+        const resultField = `${field}.results.${name}`;
+        if (!isObject(playerResult)) {
+          addError(resultField, 'Missing bid and tricks');
+          return;
+        }
+        if (!isCount(playerResult.bid)) {
+          addError(`${resultField}.bid`, 'Bid must be a non-negative whole number');
+        }
+        if (!isCount(playerResult.tricks)) {
+          addError(`${resultField}.tricks`, 'Tricks must be a non-negative whole number');
+        }
+        if (typeof playerResult.bonus !== 'number' && !isObject(playerResult.bonus)) {
+          addError(`${resultField}.bonus`, 'Bonus must be a number or an itemized breakdown');
+        }
+      });
+    });
+
+    return result();
+  }
+
   /**
    * Sanitize player name for safe display
    * @param {string} name - Player name
@@ -101,9 +101,14 @@ export function sanitizePlayerName(name) {
 /**
  * Get hands available for current round (utility for determining max bid/tricks)
  * @param {HTMLElement} context - DOM element to search for hands-available data
+ * @param {Object} roundManager - Optional round manager; its current round wins over the DOM
  * @returns {number} - Number of hands available
  */
-export function getHandsAvailable(context = document) {
+export function getHandsAvailable(context = document, roundManager = null) {
+  if (roundManager && roundManager.getMaxHands() > 0) {
+    return roundManager.getMaxHands();
+  }
+
   const element = context.querySelector('[data-hands-available]');
   if (element) {
     const hands = parseInt(element.getAttribute('data-hands-available'));
@@ -143,7 +143,8 @@ class FormValidation {
       playerNames: [],
       bids: [],
       tricksTaken: [],
-      bonusPoints: []
+      bonusPoints: [],
+      voidedBy: []
     };
 
     // Collect player names
@@ -170,6 +171,12 @@ class FormValidation {
       formData.bonusPoints.push(field.value);
     });
 
+    // Collect declared Kraken / White Whale tricks
+    const voidingFields = this.form.querySelectorAll('[data-voids-trick]:checked');
+    voidingFields.forEach(field => {
+      formData.voidedBy.push(field.value);
+    });
+
     // Validate collected data
     const isValid = this.validator.validateRoundData(formData, handsAvailable);
 
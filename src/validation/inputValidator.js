@@ -3,6 +3,12 @@
  * Validates player names, bids, tricks, and bonus points
  */
 
+// Skull King cards that void the trick they are played in (one trick each per round)
+const TRICK_VOIDING_CARDS = {
+  kraken: 'Kraken',
+  whiteWhale: 'White Whale'
+};
+
 class InputValidator {
   constructor() {
     this.errors = [];
@@ -136,6 +142,44 @@ class InputValidator {
     return true;
   }
 
+  /**
+   * Validate that the tricks taken by all players add up to the tricks played in the round
+   * Each Kraken or White Whale declared lowers the expected total by one voided trick
+   * @param {Array<number|string>} tricksTaken - Tricks taken by each player
+   * @param {number} cardsDealt - Cards dealt to each player this round
+   * @param {Array<string>} voidedBy - Ids of the cards that voided a trick ('kraken', 'whiteWhale')
+   * @returns {boolean} - True if the totals match
+   */
+  validateTrickTotal(tricksTaken, cardsDealt, voidedBy = []) {
+    const unknown = voidedBy.filter(cardId => !(cardId in TRICK_VOIDING_CARDS));
+    if (unknown.length > 0) {
+      this.errors.push(`Unknown trick-voiding card: ${unknown.join(', ')}`);
+      return false;
+    }
+
+    const repeated = voidedBy.filter((cardId, index) => voidedBy.indexOf(cardId) !== index);
+    if (repeated.length > 0) {
+      this.errors.push(`The ${TRICK_VOIDING_CARDS[repeated[0]]} can only void one trick per round`);
+      return false;
+    }
+
+    const total = tricksTaken.reduce((sum, tricks) => sum + (parseInt(tricks, 10) || 0), 0);
+    const expected = cardsDealt - voidedBy.length;
+    if (total === expected) {
+      return true;
+    }
+
+    const voided = voidedBy.length > 0
+      ? `, ${voidedBy.length} voided by the ${voidedBy.map(cardId => TRICK_VOIDING_CARDS[cardId]).join(' and the ')}`
+      : '';
+    const difference = Math.abs(total - expected);
+    const mismatch = total > expected ? `${difference} too many` : `${difference} missing`;
+    this.errors.push(
+      `Tricks taken add up to ${total} but must total ${expected} (${cardsDealt} cards dealt${voided}): ${mismatch}`
+    );
+    return false;
+  }
+
   /**
    * Validate bonus points
    * @param {number|string} bonusPoints - Bonus points to validate
@@ -164,7 +208,7 @@ class InputValidator {
 
   /**
    * Validate form data for game round
-   * @param {Object} formData - Form data to validate
+   * @param {Object} formData - Form data to validate (voidedBy lists any Kraken/White Whale declared)
    * @param {number} handsAvailable - Number of hands available
    * @returns {boolean} - True if all data is valid
    */
@@ -192,11 +236,22 @@ class InputValidator {
 
     // Validate tricks taken
     if (formData.tricksTaken && Array.isArray(formData.tricksTaken)) {
+      let allTricksValid = true;
       formData.tricksTaken.forEach((tricks, index) => {
         if (!this.validateTricksTaken(tricks, handsAvailable, `Player ${index + 1} tricks`)) {
-          isValid = false;
+          allTricksValid = false;
         }
       });
+
+      // Round-level check once every player's count is valid on its own
+      if (allTricksValid && formData.tricksTaken.length > 0 &&
+          !this.validateTrickTotal(formData.tricksTaken, handsAvailable, formData.voidedBy || [])) {
+        allTricksValid = false;
+      }
+
+      if (!allTricksValid) {
+        isValid = false;
+      }
     }
 
     // Validate bonus points
@@ -215,6 +270,8 @@ class InputValidator {
 }
 
 // Export for both CommonJS and ES6 modules
+InputValidator.TRICK_VOIDING_CARDS = TRICK_VOIDING_CARDS;
+
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = InputValidator;
 } else if (typeof window !== 'undefined') {
@@ -92,6 +92,70 @@ describe('ScoreDisplay', () => {
       expect(mockContainer.innerHTML).toContain('Total');
     });
 
+    test('should mark corrected round cells', () => {
+      scoreTracker.addRoundResults({
+        Alice: { bid: 1, tricks: 1 },
+        Bob: { bid: 0, tricks: 0 },
+        Charlie: { bid: 1, tricks: 0 }
+      }, 1);
+      scoreTracker.editRoundResult(1, 'Charlie', { tricks: 1 }, 'Sam');
+      scoreDisplay.render();
+
+      expect(mockContainer.innerHTML.match(/round-score corrected/g)).toHaveLength(1);
+      expect(mockContainer.innerHTML).toContain('correction-marker');
+      expect(scoreDisplay._describeCorrection(scoreTracker.getAuditLog(), 1, 'Charlie'))
+        .toBe('Corrected by Sam: tricks 0 → 1');
+    });
+
+    test('should render team standings in partnership games', () => {
+      const partnershipTracker = new ScoreTracker({ rulesetId: 'spades' });
+      partnershipTracker.initializePlayers(['Ann', 'Bea', 'Cy', 'Di']);
+      partnershipTracker.setTeams([
+        { name: 'North-South', players: ['Ann', 'Cy'] },
+        { name: 'East-West', players: ['Bea', 'Di'] }
+      ]);
+      partnershipTracker.addRoundResults({
+        Ann: { bid: 3, tricks: 4 },
+        Cy: { bid: 2, tricks: 2 },
+        Bea: { bid: 4, tricks: 3 },
+        Di: { bid: 0, tricks: 0 }
+      }, 13);
+
+      const partnershipDisplay = new ScoreDisplay(partnershipTracker);
+      partnershipDisplay.initialize(mockContainer);
+
+      expect(mockContainer.innerHTML).toContain('Team Standings');
+      expect(mockContainer.innerHTML).toContain('Playing to 500 points');
+      expect(mockContainer.innerHTML).toContain('<td class="team-bags">1</td>');
+      expect(mockContainer.innerHTML).toContain('<td class="total-score">51</td>');
+      expect(mockContainer.innerHTML).toContain('<td class="total-score">60</td>');
+    });
+
+    test('should not render team standings without partnerships', () => {
+      scoreDisplay.render();
+      expect(mockContainer.innerHTML).not.toContain('Team Standings');
+    });
+
+    test('should render player statistics for rounds scored from bids', () => {
+      scoreTracker.addRoundResults({
+        Alice: { bid: 1, tricks: 1 },
+        Bob: { bid: 0, tricks: 1 },
+        Charlie: { bid: 2, tricks: 0 }
+      }, 2);
+      scoreDisplay.render();
+
+      expect(mockContainer.innerHTML).toContain('Player Statistics');
+      expect(mockContainer.innerHTML).toContain('<td class="exact-rate">100% (1/1)</td>');
+      expect(mockContainer.innerHTML).toContain('<td class="average-miss">2.0</td>');
+      expect(mockContainer.innerHTML).toContain('<td class="tendency">Underbids</td>');
+    });
+
+    test('should not render player statistics for plain scores', () => {
+      scoreTracker.addRoundScores({ Alice: 10, Bob: 15, Charlie: 5 });
+      scoreDisplay.render();
+      expect(mockContainer.innerHTML).not.toContain('Player Statistics');
+    });
+
     test('should render final rankings when game ends', () => {
       scoreTracker.addRoundScores({ Alice: 10, Bob: 15, Charlie: 5 });
       scoreTracker.endGame();
@@ -101,6 +165,43 @@ describe('ScoreDisplay', () => {
       expect(mockContainer.innerHTML).toContain('Winner: Bob');
       expect(mockContainer.innerHTML).toContain('FINAL');
     });
+
+    test('should show the game length and why the game ended', () => {
+      scoreTracker.setEndCondition({ mode: 'rounds', rounds: 2 });
+      scoreTracker.addRoundScores({ Alice: 10, Bob: 15, Charlie: 5 });
+      scoreDisplay.render();
+      expect(mockContainer.innerHTML).toContain('Playing 2 rounds');
+
+      scoreTracker.addRoundScores({ Alice: 10, Bob: 15, Charlie: 5 });
+      scoreDisplay.render();
+      expect(mockContainer.innerHTML).toContain('class="end-reason"');
+      expect(mockContainer.innerHTML).toContain('Winner: Bob');
+    });
+
+    test('should show which tie-breaker settled each place', () => {
+      scoreTracker.setTieBreakers(['highest-round-score']);
+      scoreTracker.addRoundScores({ Alice: 40, Bob: 20, Charlie: 5 });
+      scoreTracker.addRoundScores({ Alice: -20, Bob: 0, Charlie: 5 });
+      scoreTracker.endGame();
+      scoreDisplay.render();
+
+      expect(mockContainer.innerHTML).toContain('Tie broken by highest single-round score');
+      expect(mockContainer.innerHTML).toContain('<th>Settled By</th>');
+      expect(mockContainer.innerHTML).toContain('<td class="tie-breaker">Highest single-round score</td>');
+      expect(mockContainer.innerHTML).toContain('<td class="tie-breaker"></td>');
+    });
+
+    test('should mark players who joined or left during the game', () => {
+      scoreTracker.addRoundScores({ Alice: 10, Bob: 15, Charlie: 5 });
+      scoreTracker.removePlayer('Charlie');
+      scoreTracker.addPlayer('Dana');
+      scoreTracker.addRoundScores({ Alice: 10, Bob: 15, Dana: 20 });
+      scoreDisplay.render();
+
+      expect(mockContainer.innerHTML).toContain('left-game');
+      expect(mockContainer.innerHTML.match(/class="roster-note"/g)).toHaveLength(2);
+      expect(mockContainer.innerHTML.match(/class="round-score absent"/g)).toHaveLength(2);
+    });
   });
 
   describe('Update Listeners', () => {
@@ -1,4 +1,5 @@
 import ScoreTracker from '../src/core/ScoreTracker.js';
+import GameStorage from '../js/storage.js';
 
 describe('ScoreTracker', () => {
   let scoreTracker;
@@ -201,6 +202,927 @@ describe('ScoreTracker', () => {
     });
   });
 
+  describe('Rulesets', () => {
+    beforeEach(() => {
+      scoreTracker.initializePlayers(['Alice', 'Bob']);
+    });
+
+    test('should default to Skull King classic', () => {
+      expect(scoreTracker.getRuleset()).toEqual({ id: 'skull-king-classic', name: 'Skull King (Classic)' });
+      expect(scoreTracker.getGameSummary().ruleset.id).toBe('skull-king-classic');
+    });
+
+    test('should accept a ruleset in the constructor', () => {
+      const ohHellTracker = new ScoreTracker({ rulesetId: 'oh-hell' });
+      expect(ohHellTracker.getRuleset().id).toBe('oh-hell');
+      expect(() => new ScoreTracker({ rulesetId: 'cribbage' })).toThrow('Unknown ruleset: cribbage');
+    });
+
+    test('should score rounds from bids and tricks', () => {
+      const results = scoreTracker.addRoundResults({
+        Alice: { bid: 2, tricks: 2 },
+        Bob: { bid: 0, tricks: 1 }
+      }, 3);
+
+      expect(results.Alice.score).toBe(40);
+      expect(results.Bob.score).toBe(-30);
+      expect(scoreTracker.players.get('Alice').totalScore).toBe(40);
+      expect(scoreTracker.getRoundBreakdown()[0].cardsDealt).toBe(3);
+      expect(scoreTracker.getScoringReason('Bob', 1)).toBe('Zero bid failure: -10 × 3 cards = -30');
+    });
+
+    test('should score rounds with the selected ruleset', () => {
+      scoreTracker.setRuleset('oh-hell');
+      scoreTracker.addRoundResults({
+        Alice: { bid: 2, tricks: 2 },
+        Bob: { bid: 0, tricks: 1 }
+      }, 3);
+
+      expect(scoreTracker.players.get('Alice').totalScore).toBe(12);
+      expect(scoreTracker.players.get('Bob').totalScore).toBe(1);
+    });
+
+    test('should apply itemized bonuses only on an exact bid', () => {
+      const results = scoreTracker.addRoundResults({
+        Alice: { bid: 1, tricks: 1, bonus: { standardFourteens: 1, skullKingByMermaid: 1 } },
+        Bob: { bid: 1, tricks: 0, bonus: { piratesBySkullKing: 1 } }
+      }, 2);
+
+      expect(results.Alice.baseScore).toBe(20);
+      expect(results.Alice.bonusPoints).toBe(50);
+      expect(results.Alice.score).toBe(70);
+      expect(results.Bob.bonusPoints).toBe(0);
+      expect(results.Bob.score).toBe(-10);
+      expect(scoreTracker.getRoundBreakdown()[0].results.Alice.bonusBreakdown.skullKingByMermaid).toBe(1);
+    });
+
+    test('should reject invalid bonuses', () => {
+      expect(() => scoreTracker.addRoundResults({
+        Alice: { bid: 1, tricks: 1, bonus: { blackFourteen: 2 } },
+        Bob: { bid: 1, tricks: 1 }
+      }, 2)).toThrow('Invalid bonus for player Alice: Black 14 captured cannot exceed 1');
+    });
+
+    test('should score Rascal wagers', () => {
+      scoreTracker.setRuleset('skull-king-rascal');
+      const results = scoreTracker.addRoundResults({
+        Alice: { bid: 1, tricks: 1, wager: 'cannonball' },
+        Bob: { bid: 1, tricks: 2 }
+      }, 2);
+
+      expect(results.Alice.score).toBe(30);
+      expect(results.Alice.wager).toBe('cannonball');
+      expect(results.Bob.score).toBe(10);
+      expect(scoreTracker.getScoringReason('Alice', 1)).toBe('Cannonball direct hit: +15 × 2 cards = +30');
+    });
+
+    test('should lock the ruleset once rounds are scored', () => {
+      scoreTracker.addRoundScores({ Alice: 10, Bob: 5 });
+      expect(() => scoreTracker.setRuleset('wizard')).toThrow('Cannot change ruleset after rounds have been scored');
+    });
+
+    test('should validate round results', () => {
+      expect(() => scoreTracker.addRoundResults(null, 3)).toThrow('Round results must be an object');
+      expect(() => scoreTracker.addRoundResults({ Alice: { bid: 1, tricks: 1 } }, 3)).toThrow('Bid and tricks missing for player: Bob');
+      expect(() => scoreTracker.addRoundResults({}, 0)).toThrow('Cards dealt must be a positive number');
+      expect(() => scoreTracker.addRoundResults({ Alice: { bid: 4, tricks: 1 }, Bob: { bid: 0, tricks: 2 } }, 3))
+        .toThrow('Invalid bid for player Alice: 4');
+    });
+
+    test('should return null reason for rounds scored without bids', () => {
+      scoreTracker.addRoundScores({ Alice: 10, Bob: 5 });
+      expect(scoreTracker.getScoringReason('Alice', 1)).toBeNull();
+    });
+  });
+
+  describe('Undo and Redo', () => {
+    beforeEach(() => {
+      scoreTracker.initializePlayers(testPlayers);
+      scoreTracker.addRoundScores({ Alice: 20, Bob: 10, Charlie: -10 });
+      scoreTracker.addRoundScores({ Alice: -20, Bob: 30, Charlie: 0 });
+    });
+
+    test('should undo the last round and rebuild totals and rankings', () => {
+      expect(scoreTracker.getCurrentLeaders().map(p => p.name)).toEqual(['Bob']);
+
+      expect(scoreTracker.undo()).toBe(true);
+
+      expect(scoreTracker.currentRound).toBe(1);
+      expect(scoreTracker.rounds).toHaveLength(1);
+      expect(scoreTracker.getPlayerHistory('Alice')).toMatchObject({ totalScore: 20, roundScores: [20], rank: 1 });
+      expect(scoreTracker.getPlayerHistory('Bob')).toMatchObject({ totalScore: 10, roundScores: [10], rank: 2 });
+      expect(scoreTracker.getPlayerHistory('Charlie').rank).toBe(3);
+    });
+
+    test('should redo an undone round exactly', () => {
+      const before = scoreTracker.getGameSummary();
+
+      scoreTracker.undo();
+      scoreTracker.undo();
+      expect(scoreTracker.getCurrentStandings().every(p => p.totalScore === 0)).toBe(true);
+      expect(scoreTracker.undo()).toBe(false);
+
+      scoreTracker.redo();
+      scoreTracker.redo();
+      expect(scoreTracker.getGameSummary()).toEqual(before);
+      expect(scoreTracker.redo()).toBe(false);
+    });
+
+    test('should discard redo history when a new round is added', () => {
+      scoreTracker.undo();
+      expect(scoreTracker.canRedo()).toBe(true);
+
+      scoreTracker.addRoundScores({ Alice: 0, Bob: 0, Charlie: 50 });
+      expect(scoreTracker.canRedo()).toBe(false);
+      expect(scoreTracker.getPlayerHistory('Charlie').totalScore).toBe(40);
+    });
+
+    test('should undo scored round results including bonuses', () => {
+      scoreTracker.addRoundResults({
+        Alice: { bid: 1, tricks: 1, bonus: { standardFourteens: 1 } },
+        Bob: { bid: 0, tricks: 1 },
+        Charlie: { bid: 1, tricks: 0 }
+      }, 3);
+      scoreTracker.undo();
+
+      expect(scoreTracker.rounds).toHaveLength(2);
+      expect(scoreTracker.getPlayerHistory('Alice').totalScore).toBe(0);
+
+      scoreTracker.redo();
+      expect(scoreTracker.getPlayerHistory('Alice').totalScore).toBe(30);
+      expect(scoreTracker.getScoringReason('Alice', 3)).not.toBeNull();
+    });
+
+    test('should not undo after the game has ended', () => {
+      scoreTracker.endGame();
+
+      expect(scoreTracker.canUndo()).toBe(false);
+      expect(() => scoreTracker.undo()).toThrow('Cannot undo after game has ended');
+    });
+  });
+
+  describe('Round Corrections', () => {
+    beforeEach(() => {
+      scoreTracker.initializePlayers(['Alice', 'Bob']);
+      scoreTracker.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 0, tricks: 1 } }, 1);
+      scoreTracker.addRoundResults({ Alice: { bid: 2, tricks: 1 }, Bob: { bid: 1, tricks: 1 } }, 2);
+    });
+
+    test('should re-score an earlier round and every later total', () => {
+      expect(scoreTracker.getPlayerHistory('Alice').totalScore).toBe(10); // 20 - 10
+
+      const result = scoreTracker.editRoundResult(1, 'Alice', { tricks: 0 }, 'Sam');
+
+      expect(result.score).toBe(-10);
+      expect(result.corrected).toBe(true);
+      expect(scoreTracker.getPlayerHistory('Alice')).toMatchObject({ totalScore: -20, roundScores: [-10, -10] });
+      expect(scoreTracker.rounds[0].scores.Alice).toBe(-10);
+      expect(scoreTracker.getCurrentLeaders().map(p => p.name)).toEqual(['Bob']);
+    });
+
+    test('should re-score bonuses and keep them only on exact bids', () => {
+      scoreTracker.editRoundResult(2, 'Bob', { bonus: { blackFourteen: 1 } }, 'Sam');
+      expect(scoreTracker.getPlayerHistory('Bob').totalScore).toBe(-10 + 20 + 20);
+
+      scoreTracker.editRoundResult(2, 'Bob', { tricks: 2 }, 'Sam');
+      expect(scoreTracker.getPlayerHistory('Bob').totalScore).toBe(-10 - 10);
+    });
+
+    test('should keep a plain-number bonus entered on a missed bid and apply it once the bid is exact', () => {
+      scoreTracker.addRoundResults({ Alice: { bid: 1, tricks: 0, bonus: 15 }, Bob: { bid: 0, tricks: 1 } }, 1);
+      expect(scoreTracker.rounds[2].results.Alice).toMatchObject({ bonus: 15, bonusPoints: 0, score: -10 });
+
+      const result = scoreTracker.editRoundResult(3, 'Alice', { tricks: 1 }, 'Sam');
+      expect(result).toMatchObject({ bonus: 15, bonusPoints: 15, score: 35 });
+      expect(scoreTracker.getAuditLog()[0].changes).toEqual([{ field: 'tricks', from: 0, to: 1 }]);
+    });
+
+    test('should re-score Loot alliance partners when a partner\'s bid changes', () => {
+      scoreTracker.addRoundResults({
+        Alice: { bid: 1, tricks: 1, bonus: { lootAlliances: [{ partner: 'Bob' }] } },
+        Bob: { bid: 0, tricks: 0, bonus: { lootAlliances: [{ partner: 'Alice' }] } }
+      }, 3);
+      expect(scoreTracker.rounds[2].scores).toEqual({ Alice: 40, Bob: 50 });
+
+      scoreTracker.editRoundResult(3, 'Bob', { tricks: 1 }, 'Sam');
+      expect(scoreTracker.rounds[2].scores).toEqual({ Alice: 20, Bob: -30 });
+
+      scoreTracker.undo();
+      expect(scoreTracker.rounds[2].scores).toEqual({ Alice: 40, Bob: 50 });
+    });
+
+    test('should record who changed what and when', () => {
+      scoreTracker.editRoundResult(2, 'Alice', { bid: 1, tricks: 1 }, 'Sam');
+
+      const [entry] = scoreTracker.getAuditLog();
+      expect(entry).toMatchObject({
+        action: 'edit',
+        roundNumber: 2,
+        playerName: 'Alice',
+        editedBy: 'Sam',
+        changes: [{ field: 'bid', from: 2, to: 1 }]
+      });
+      expect(typeof entry.timestamp).toBe('string');
+    });
+
+    test('should undo a correction', () => {
+      scoreTracker.editRoundResult(1, 'Bob', { bid: 1 }, 'Sam');
+      expect(scoreTracker.getPlayerHistory('Bob').totalScore).toBe(40);
+
+      scoreTracker.undo();
+      expect(scoreTracker.getPlayerHistory('Bob').totalScore).toBe(10);
+      expect(scoreTracker.getRoundBreakdown()[0].results.Bob.corrected).toBeUndefined();
+      expect(scoreTracker.getAuditLog().map(entry => entry.action)).toEqual(['edit', 'undo']);
+    });
+
+    test('should ignore edits that change nothing', () => {
+      scoreTracker.editRoundResult(1, 'Alice', { bid: 1 }, 'Sam');
+      expect(scoreTracker.getAuditLog()).toEqual([]);
+    });
+
+    test('should reject invalid corrections', () => {
+      expect(() => scoreTracker.editRoundResult(5, 'Alice', { bid: 1 }, 'Sam')).toThrow('Round not found: 5');
+      expect(() => scoreTracker.editRoundResult(1, 'Zed', { bid: 1 }, 'Sam')).toThrow('Player not found: Zed');
+      expect(() => scoreTracker.editRoundResult(1, 'Alice', { score: 99 }, 'Sam')).toThrow('Cannot edit field: score');
+      expect(() => scoreTracker.editRoundResult(1, 'Alice', { bid: 0 }, '')).toThrow('Editor name is required');
+      expect(() => scoreTracker.editRoundResult(1, 'Alice', { bonus: { blackFourteen: 2 } }, 'Sam'))
+        .toThrow('Invalid bonus for player Alice');
+      expect(() => scoreTracker.editRoundResult(1, 'Alice', { bid: NaN }, 'Sam')).toThrow('Invalid bid for player Alice: NaN');
+      expect(() => scoreTracker.editRoundResult(1, 'Alice', { bid: -1 }, 'Sam')).toThrow('Invalid bid for player Alice: -1');
+      expect(() => scoreTracker.editRoundResult(2, 'Alice', { tricks: 3 }, 'Sam')).toThrow('Invalid tricks for player Alice: 3');
+      expect(() => scoreTracker.editRoundResult(2, 'Alice', { tricks: 1.5 }, 'Sam')).toThrow('Invalid tricks for player Alice: 1.5');
+      expect(scoreTracker.getAuditLog()).toEqual([]);
+      expect(scoreTracker.getPlayerHistory('Alice').totalScore).toBe(10);
+    });
+
+    test('should not edit rounds scored without bids', () => {
+      scoreTracker.addRoundScores({ Alice: 10, Bob: 10 });
+      expect(() => scoreTracker.editRoundResult(3, 'Alice', { bid: 1 }, 'Sam'))
+        .toThrow('Round 3 was scored without bids and cannot be edited');
+    });
+  });
+
+  describe('Persistence', () => {
+    let storage;
+
+    beforeEach(() => {
+      window.localStorage.clear();
+      storage = GameStorage.createGameStorage({ indexedDB: null, localStorage: window.localStorage });
+    });
+
+    test('should round-trip through toJSON and fromJSON', () => {
+      scoreTracker.setRuleset('skull-king-rascal');
+      scoreTracker.initializePlayers(['Alice', 'Bob']);
+      scoreTracker.addRoundResults({
+        Alice: { bid: 1, tricks: 1 },
+        Bob: { bid: 0, tricks: 1 }
+      }, 1);
+
+      const restored = ScoreTracker.fromJSON(JSON.parse(JSON.stringify(scoreTracker.toJSON())));
+
+      expect(restored.getRuleset().id).toBe('skull-king-rascal');
+      expect(restored.getCurrentStandings()).toEqual(scoreTracker.getCurrentStandings());
+      expect(restored.getRoundBreakdown()).toEqual(scoreTracker.getRoundBreakdown());
+      expect(restored.getScoringReason('Alice', 1)).toBe(scoreTracker.getScoringReason('Alice', 1));
+    });
+
+    test('should autosave after every round and resume unfinished games', async () => {
+      const tracker = new ScoreTracker({ storage, gameId: 'table-1' });
+      tracker.initializePlayers(['Alice', 'Bob']);
+      tracker.addRoundScores({ Alice: 20, Bob: -10 });
+      await tracker.lastSave;
+
+      const resumed = await ScoreTracker.resume(storage, 'table-1');
+      expect(resumed.currentRound).toBe(1);
+      expect(resumed.getPlayerHistory('Alice').totalScore).toBe(20);
+
+      resumed.addRoundScores({ Alice: 10, Bob: 30 });
+      await resumed.lastSave;
+      const saved = await storage.loadGame('table-1');
+      expect(saved.data.currentRound).toBe(2);
+    });
+
+    test('should not resume a finished game', async () => {
+      const tracker = new ScoreTracker({ storage });
+      tracker.initializePlayers(['Alice', 'Bob']);
+      tracker.endGame();
+      await tracker.lastSave;
+
+      expect(await ScoreTracker.resume(storage)).toBeNull();
+      expect(await storage.listUnfinishedGames()).toEqual([]);
+    });
+
+    test('should reject invalid snapshots', () => {
+      expect(() => ScoreTracker.fromJSON({})).toThrow('Invalid score tracker snapshot');
+    });
+  });
+
+  describe('Spades Partnerships', () => {
+    const teams = [
+      { name: 'North-South', players: ['Ann', 'Cy'] },
+      { name: 'East-West', players: ['Bea', 'Di'] }
+    ];
+
+    beforeEach(() => {
+      scoreTracker = new ScoreTracker({ rulesetId: 'spades' });
+      scoreTracker.initializePlayers(['Ann', 'Bea', 'Cy', 'Di']);
+    });
+
+    test('should only allow partnerships in Spades', () => {
+      const classic = new ScoreTracker();
+      classic.initializePlayers(['Ann', 'Bea', 'Cy', 'Di']);
+      expect(() => classic.setTeams(teams)).toThrow('Partnerships are only available in Spades');
+    });
+
+    test('should require every player on exactly one team', () => {
+      expect(() => scoreTracker.setTeams([
+        { name: 'North-South', players: ['Ann', 'Cy'] },
+        { name: 'East-West', players: ['Bea', 'Ann'] }
+      ])).toThrow('Invalid teams: Player is on more than one team: Ann, Player is not on a team: Di');
+    });
+
+    test('should score combined team bids and individual contributions', () => {
+      scoreTracker.setTeams(teams);
+      const results = scoreTracker.addRoundResults({
+        Ann: { bid: 3, tricks: 4 },
+        Cy: { bid: 2, tricks: 2 },
+        Bea: { bid: 4, tricks: 3 },
+        Di: { bid: 0, tricks: 0 }
+      }, 13);
+
+      expect(results.Ann.score).toBe(30);
+      expect(results.Ann.scoringReason).toBe('Team bid 5 made: +10 × 3 bid = +30');
+      expect(results.Bea.scoringReason).toBe('Team set (bid 4, took 3): -10 × 4 bid = -40');
+      expect(results.Di.scoringReason).toBe('Nil made: +100');
+
+      const standings = scoreTracker.getTeamStandings();
+      expect(standings.map(team => [team.name, team.totalScore, team.bags])).toEqual([
+        ['East-West', 60, 0],
+        ['North-South', 51, 1]
+      ]);
+      expect(standings[1].members).toEqual([
+        { name: 'Ann', contribution: 30 },
+        { name: 'Cy', contribution: 20 }
+      ]);
+      expect(scoreTracker.getRoundBreakdown()[0].teamResults['North-South'].bagPoints).toBe(1);
+    });
+
+    test('should score blind nil for double the points', () => {
+      scoreTracker.setTeams(teams);
+      const results = scoreTracker.addRoundResults({
+        Ann: { bid: 0, tricks: 1, blindNil: true },
+        Cy: { bid: 4, tricks: 4 },
+        Bea: { bid: 4, tricks: 4 },
+        Di: { bid: 4, tricks: 4 }
+      }, 13);
+
+      expect(results.Ann.score).toBe(-200);
+      expect(results.Ann.blindNil).toBe(true);
+      expect(() => scoreTracker.addRoundResults({
+        Ann: { bid: 2, tricks: 2, blindNil: true },
+        Cy: { bid: 4, tricks: 4 },
+        Bea: { bid: 4, tricks: 4 },
+        Di: { bid: 3, tricks: 3 }
+      }, 13)).toThrow('Blind nil must be a bid of 0 for player: Ann');
+    });
+
+    test('should take 100 points for every 10 bags', () => {
+      scoreTracker.setTeams(teams, { targetScore: 1000 });
+      const round = { Ann: { bid: 1, tricks: 4 }, Cy: { bid: 1, tricks: 4 }, Bea: { bid: 2, tricks: 2 }, Di: { bid: 3, tricks: 3 } };
+
+      scoreTracker.addRoundResults(round, 13);
+      expect(scoreTracker.getTeamStandings().find(team => team.name === 'North-South').bags).toBe(6);
+
+      scoreTracker.addRoundResults(round, 13);
+      const northSouth = scoreTracker.getTeamStandings().find(team => team.name === 'North-South');
+      expect(northSouth.bags).toBe(2);
+      expect(northSouth.roundScores).toEqual([26, -74]);
+      expect(scoreTracker.getRoundBreakdown()[1].teamResults['North-South'].bagPenalty).toBe(-100);
+    });
+
+    test('should end the game when one team reaches the target score', () => {
+      scoreTracker.setTeams(teams, { targetScore: 100 });
+      scoreTracker.addRoundResults({
+        Ann: { bid: 5, tricks: 5 },
+        Cy: { bid: 5, tricks: 5 },
+        Bea: { bid: 2, tricks: 2 },
+        Di: { bid: 1, tricks: 1 }
+      }, 13);
+
+      expect(scoreTracker.gameEnded).toBe(true);
+      expect(scoreTracker.getTeamStandings()[0]).toMatchObject({ name: 'North-South', totalScore: 100, rank: 1 });
+    });
+
+    test('should keep playing while teams are tied at the target score', () => {
+      scoreTracker.setTeams(teams, { targetScore: 60 });
+      scoreTracker.addRoundResults({
+        Ann: { bid: 3, tricks: 3 },
+        Cy: { bid: 3, tricks: 3 },
+        Bea: { bid: 3, tricks: 3 },
+        Di: { bid: 3, tricks: 3 }
+      }, 13);
+
+      expect(scoreTracker.getTeamStandings().map(team => team.totalScore)).toEqual([60, 60]);
+      expect(scoreTracker.gameEnded).toBe(false);
+    });
+
+    test('should re-score the whole team when a round is corrected', () => {
+      scoreTracker.setTeams(teams);
+      scoreTracker.addRoundResults({
+        Ann: { bid: 3, tricks: 3 },
+        Cy: { bid: 2, tricks: 1 },
+        Bea: { bid: 4, tricks: 5 },
+        Di: { bid: 4, tricks: 4 }
+      }, 13);
+
+      scoreTracker.editRoundResult(1, 'Cy', { tricks: 2 }, 'Sam');
+
+      const round = scoreTracker.getRoundBreakdown()[0];
+      expect(round.scores.Ann).toBe(30);
+      expect(round.results.Ann.scoringReason).toBe('Team bid 5 made: +10 × 3 bid = +30');
+      expect(scoreTracker.getTeamStandings().find(team => team.name === 'North-South').totalScore).toBe(50);
+    });
+
+    test('should save and restore partnerships', () => {
+      scoreTracker.setTeams(teams, { targetScore: 300 });
+      scoreTracker.addRoundResults({
+        Ann: { bid: 3, tricks: 4 },
+        Cy: { bid: 2, tricks: 2 },
+        Bea: { bid: 4, tricks: 3 },
+        Di: { bid: 0, tricks: 0 }
+      }, 13);
+
+      const restored = ScoreTracker.fromJSON(JSON.parse(JSON.stringify(scoreTracker.toJSON())));
+      expect(restored.targetScore).toBe(300);
+      expect(restored.getTeamStandings()).toEqual(scoreTracker.getTeamStandings());
+    });
+  });
+
+  describe('Game Length', () => {
+    beforeEach(() => {
+      scoreTracker.initializePlayers(['Alice', 'Bob']);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('ends after a fixed number of rounds with final rankings', () => {
+      scoreTracker.setEndCondition({ mode: 'rounds', rounds: 2 });
+      scoreTracker.addRoundScores({ Alice: 20, Bob: 10 });
+      expect(scoreTracker.gameEnded).toBe(false);
+
+      scoreTracker.addRoundScores({ Alice: -10, Bob: 30 });
+      expect(scoreTracker.gameEnded).toBe(true);
+      expect(scoreTracker.endReason).toBe('Played 2 rounds');
+      expect(scoreTracker.getFinalRankings()[0]).toMatchObject({ name: 'Bob', isFinalWinner: true });
+      expect(() => scoreTracker.addRoundScores({ Alice: 0, Bob: 0 })).toThrow('Cannot add scores after game has ended');
+    });
+
+    test('reopens a game that ended itself when the final round is undone', () => {
+      scoreTracker.setEndCondition({ mode: 'rounds', rounds: 2 });
+      scoreTracker.addRoundScores({ Alice: 20, Bob: 10 });
+      scoreTracker.addRoundScores({ Alice: -10, Bob: 30 });
+      expect(scoreTracker.canUndo()).toBe(true);
+
+      scoreTracker.undo();
+      expect(scoreTracker).toMatchObject({ gameEnded: false, endReason: null, currentRound: 1 });
+
+      scoreTracker.redo();
+      expect(scoreTracker).toMatchObject({ gameEnded: true, endReason: 'Played 2 rounds' });
+
+      scoreTracker.undo();
+      scoreTracker.addRoundScores({ Alice: 30, Bob: 10 });
+      expect(scoreTracker.gameEnded).toBe(true);
+      expect(scoreTracker.getFinalRankings()[0].name).toBe('Alice');
+    });
+
+    test('reopens a game that ended itself when a correction no longer meets the end condition', () => {
+      scoreTracker.setEndCondition({ mode: 'target-score', targetScore: 40 });
+      scoreTracker.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 1, tricks: 0 } }, 1);
+      scoreTracker.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 0, tricks: 1 } }, 2);
+      expect(scoreTracker.gameEnded).toBe(true);
+
+      scoreTracker.editRoundResult(2, 'Alice', { tricks: 2 }, 'Sam');
+      expect(scoreTracker).toMatchObject({ gameEnded: false, endReason: null });
+      scoreTracker.addRoundResults({ Alice: { bid: 2, tricks: 2 }, Bob: { bid: 0, tricks: 0 } }, 2);
+      expect(scoreTracker.endReason).toBe('Reached the target of 40 points');
+
+      scoreTracker.undo();
+      scoreTracker.undo();
+      expect(scoreTracker).toMatchObject({ gameEnded: true, endReason: 'Reached the target of 40 points' });
+    });
+
+    test('keeps a game ended by hand ended through corrections', () => {
+      scoreTracker.setEndCondition({ mode: 'target-score', targetScore: 40 });
+      scoreTracker.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 1, tricks: 0 } }, 1);
+      scoreTracker.endGame('Called at midnight');
+
+      scoreTracker.editRoundResult(1, 'Bob', { tricks: 1 }, 'Sam');
+      expect(scoreTracker).toMatchObject({ gameEnded: true, endReason: 'Called at midnight' });
+      expect(() => scoreTracker.undo()).toThrow('Cannot undo after game has ended');
+    });
+
+    test('finishes the round that reaches the target score', () => {
+      scoreTracker.setEndCondition({ mode: 'target-score', targetScore: 100 });
+      scoreTracker.addRoundScores({ Alice: 60, Bob: 60 });
+      scoreTracker.addRoundScores({ Alice: 40, Bob: 40 });
+      expect(scoreTracker.gameEnded).toBe(false);
+
+      scoreTracker.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 1, tricks: 2 } }, 3);
+      expect(scoreTracker.gameEnded).toBe(true);
+      expect(scoreTracker.targetScore).toBe(100);
+      expect(scoreTracker.getGameSummary()).toMatchObject({
+        endCondition: { mode: 'target-score', targetScore: 100 },
+        endReason: 'Reached the target of 100 points'
+      });
+    });
+
+    test('ends after the round in progress once the time limit runs out', () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-01-01T20:00:00Z'));
+      const tracker = new ScoreTracker({ endCondition: { mode: 'time-limit', minutes: 30 } });
+      tracker.initializePlayers(['Alice', 'Bob']);
+
+      jest.setSystemTime(new Date('2026-01-01T20:29:00Z'));
+      tracker.addRoundScores({ Alice: 20, Bob: 10 });
+      expect(tracker.gameEnded).toBe(false);
+
+      jest.setSystemTime(new Date('2026-01-01T20:41:00Z'));
+      tracker.addRoundScores({ Alice: 20, Bob: 10 });
+      expect(tracker.gameEnded).toBe(true);
+      expect(tracker.endReason).toBe('The 30-minute time limit ran out');
+    });
+
+    test('rejects invalid game lengths and changes after the game has ended', () => {
+      expect(() => scoreTracker.setEndCondition({ mode: 'rounds', rounds: 0 }))
+        .toThrow('Round count must be a positive whole number');
+      expect(() => scoreTracker.setEndCondition({ mode: 'sudden-death' })).toThrow('Unknown game length: sudden-death');
+
+      scoreTracker.endGame();
+      expect(scoreTracker.endReason).toBeNull();
+      expect(() => scoreTracker.setEndCondition(null)).toThrow('Cannot change the game length after the game has ended');
+    });
+
+    test('keeps the game length when saved, exported and imported', () => {
+      scoreTracker.setEndCondition({ mode: 'rounds', rounds: 1 });
+      scoreTracker.addRoundScores({ Alice: 20, Bob: 10 });
+
+      const restored = ScoreTracker.fromJSON(JSON.parse(JSON.stringify(scoreTracker.toJSON())));
+      expect(restored.getEndCondition()).toEqual({ mode: 'rounds', rounds: 1 });
+      expect(restored.endReason).toBe('Played 1 round');
+
+      const imported = ScoreTracker.importGame(JSON.stringify(scoreTracker.exportGame()));
+      expect(imported.success).toBe(true);
+      expect(imported.tracker.getEndCondition()).toEqual({ mode: 'rounds', rounds: 1 });
+      expect(imported.tracker.startedAt).toBe(scoreTracker.startedAt);
+      expect(imported.tracker.gameEnded).toBe(true);
+    });
+  });
+
+  describe('Tie-Breakers', () => {
+    beforeEach(() => {
+      scoreTracker.initializePlayers(testPlayers);
+      scoreTracker.addRoundResults({
+        Alice: { bid: 1, tricks: 1 },
+        Bob: { bid: 2, tricks: 1 },
+        Charlie: { bid: 1, tricks: 2 }
+      }, 2);
+      scoreTracker.addRoundResults({
+        Alice: { bid: 2, tricks: 0 },
+        Bob: { bid: 2, tricks: 2 },
+        Charlie: { bid: 0, tricks: 0 }
+      }, 2);
+    });
+
+    test('separates tied totals in the final rankings', () => {
+      // Alice 20 - 20 = 0, Bob -10 + 40 = 30, Charlie -10 + 20 = 10
+      scoreTracker.addRoundScores({ Alice: 30, Bob: 0, Charlie: 20 });
+      scoreTracker.setTieBreakers(['highest-round-score', 'most-exact-bids']);
+      const rankings = scoreTracker.endGame();
+
+      expect(rankings.map(p => [p.name, p.totalScore, p.rank, p.tieBreaker])).toEqual([
+        ['Bob', 30, 1, 'highest-round-score'],
+        ['Alice', 30, 2, 'highest-round-score'],
+        ['Charlie', 30, 3, 'highest-round-score']
+      ]);
+      expect(rankings.filter(p => p.isFinalWinner).map(p => p.name)).toEqual(['Bob']);
+      expect(scoreTracker.getCurrentLeaders()).toHaveLength(3);
+    });
+
+    test('settles a remaining tie with a sudden-death round', () => {
+      scoreTracker.addRoundScores({ Alice: 30, Bob: 0, Charlie: 20 });
+      scoreTracker.setTieBreakers(['fewest-negative-rounds', 'sudden-death']);
+      expect(() => scoreTracker.recordSuddenDeath({ Alice: 20 })).toThrow('Sudden death is played after the game has ended');
+
+      scoreTracker.endGame();
+      expect(scoreTracker.getUnsettledTies()).toEqual([['Alice', 'Bob', 'Charlie']]);
+
+      scoreTracker.recordSuddenDeath({ Alice: 20, Bob: -10, Charlie: 40 });
+      expect(scoreTracker.getUnsettledTies()).toEqual([]);
+      expect(scoreTracker.getFinalRankings().map(p => [p.name, p.tieBreaker])).toEqual([
+        ['Charlie', 'sudden-death'],
+        ['Alice', 'sudden-death'],
+        ['Bob', 'sudden-death']
+      ]);
+
+      const restored = ScoreTracker.fromJSON(JSON.parse(JSON.stringify(scoreTracker.toJSON())));
+      expect(restored.getFinalRankings()[0].name).toBe('Charlie');
+      const imported = ScoreTracker.importGame(scoreTracker.exportGame());
+      expect(imported.tracker.getFinalRankings()[0].name).toBe('Charlie');
+    });
+
+    test('rejects unknown tie-breakers and changes after the game has ended', () => {
+      expect(() => scoreTracker.setTieBreakers(['coin-toss']))
+        .toThrow('Invalid tie-breakers: Unknown tie-breaker: coin-toss');
+      expect(() => scoreTracker.recordSuddenDeath({ Alice: 10 })).toThrow('Sudden death is not one of the tie-breakers');
+
+      scoreTracker.endGame();
+      expect(() => scoreTracker.setTieBreakers([])).toThrow('Cannot change tie-breakers after the game has ended');
+    });
+  });
+
+  describe('Export and Import', () => {
+    beforeEach(() => {
+      scoreTracker.initializePlayers(['Alice', 'Bob']);
+      scoreTracker.addRoundResults({
+        Alice: { bid: 1, tricks: 1, bonus: { standardFourteens: 1 } },
+        Bob: { bid: 0, tricks: 1 }
+      }, 1);
+      scoreTracker.addRoundScores({ Alice: 5, Bob: 15 });
+    });
+
+    test('exports a versioned document with inputs and computed scores', () => {
+      const doc = scoreTracker.exportGame();
+
+      expect(doc.format).toBe('skull-king-scores');
+      expect(doc.version).toBe(2);
+      expect(doc.settings.rulesetId).toBe('skull-king-classic');
+      expect(doc.players).toEqual(['Alice', 'Bob']);
+      expect(doc.rounds[0].results.Alice).toEqual({
+        bid: 1, tricks: 1, bonus: { standardFourteens: 1 }, wager: null, blindNil: false, corrected: false
+      });
+      expect(doc.rounds[0].scores).toEqual({ Alice: 30, Bob: -10 });
+      expect(doc.rounds[1].results).toBeNull();
+      expect(typeof doc.rounds[0].timestamp).toBe('string');
+      expect(doc.totals).toEqual({ Alice: 35, Bob: 5 });
+    });
+
+    test('rebuilds an identical tracker from its JSON', () => {
+      scoreTracker.editRoundResult(1, 'Bob', { tricks: 0 }, 'Sam');
+      const json = JSON.stringify(scoreTracker.exportGame());
+
+      const imported = ScoreTracker.importGame(json);
+      expect(imported.success).toBe(true);
+      expect(imported.migratedFrom).toBe(2);
+      expect(imported.tracker.getCurrentStandings()).toEqual(scoreTracker.getCurrentStandings());
+      expect(imported.tracker.getRoundBreakdown()).toEqual(scoreTracker.getRoundBreakdown());
+      expect(imported.tracker.getAuditLog()).toEqual(scoreTracker.getAuditLog());
+      expect(imported.tracker.canUndo()).toBe(false);
+    });
+
+    test('exports the bonus as entered, not the points it applied', () => {
+      scoreTracker.addRoundResults({ Alice: { bid: 1, tricks: 0, bonus: 15 }, Bob: { bid: 0, tricks: 0, bonus: 5 } }, 1);
+
+      const doc = scoreTracker.exportGame();
+      expect(doc.rounds[2].results.Alice.bonus).toBe(15);
+      expect(doc.rounds[2].results.Bob.bonus).toBe(5);
+
+      const imported = ScoreTracker.importGame(JSON.stringify(doc)).tracker;
+      imported.editRoundResult(3, 'Alice', { tricks: 1 }, 'Sam');
+      expect(imported.rounds[2].scores.Alice).toBe(35);
+    });
+
+    test('keeps the cards that destroyed a trick', () => {
+      scoreTracker.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 0, tricks: 0 } }, 2, { voidedBy: ['kraken'] });
+
+      const imported = ScoreTracker.importGame(JSON.stringify(scoreTracker.exportGame()));
+      expect(imported.tracker.getRoundBreakdown()[2].voidedBy).toEqual(['kraken']);
+    });
+
+    test('migrates unversioned snapshots forward', () => {
+      const snapshot = JSON.parse(JSON.stringify(scoreTracker.toJSON()));
+
+      const imported = ScoreTracker.importGame(snapshot);
+      expect(imported.success).toBe(true);
+      expect(imported.migratedFrom).toBe(1);
+      expect(imported.tracker.getCurrentStandings()).toEqual(scoreTracker.getCurrentStandings());
+    });
+
+    test('reports field-level errors for malformed documents', () => {
+      const doc = scoreTracker.exportGame();
+      doc.rounds[0].results.Bob.bid = 'zero';
+      doc.gameEnded = 'yes';
+
+      const imported = ScoreTracker.importGame(doc);
+      expect(imported.success).toBe(false);
+      expect(imported.fieldErrors).toContainEqual({ field: 'gameEnded', message: 'Must be true or false' });
+      expect(imported.fieldErrors).toContainEqual({ field: 'rounds[0].results.Bob.bid', message: 'Bid must be a non-negative whole number' });
+    });
+
+    test('reports scores that do not match the recomputed scores', () => {
+      const doc = scoreTracker.exportGame();
+      doc.rounds[0].scores.Alice = 99;
+
+      expect(ScoreTracker.importGame(doc).errors).toEqual([
+        'rounds[0].scores.Alice: Score 99 does not match the recomputed score 30'
+      ]);
+    });
+
+    test('does not crash on unreadable input', () => {
+      expect(ScoreTracker.importGame('{ not json').fieldErrors[0].field).toBe('document');
+      expect(ScoreTracker.importGame([]).errors).toEqual(['document: Game document must be an object']);
+      expect(ScoreTracker.importGame({ ...scoreTracker.exportGame(), version: 9 }).errors)
+        .toEqual(['version: Game document version 9 is newer than this app supports (2)']);
+      expect(ScoreTracker.importGame({ ...scoreTracker.exportGame(), settings: { ...scoreTracker.exportGame().settings, rulesetId: 'cribbage' } }).errors)
+        .toEqual(['settings.rulesetId: Unknown ruleset: cribbage']);
+    });
+  });
+
+  describe('Player Statistics', () => {
+    beforeEach(() => {
+      scoreTracker.initializePlayers(['Alice', 'Bob']);
+      scoreTracker.addRoundResults({
+        Alice: { bid: 1, tricks: 1, bonus: { standardFourteens: 1 } },
+        Bob: { bid: 0, tricks: 1 }
+      }, 1);
+      scoreTracker.addRoundResults({
+        Alice: { bid: 2, tricks: 2 },
+        Bob: { bid: 2, tricks: 0 }
+      }, 2);
+    });
+
+    test('lists bids, tricks and bonus points in the player history', () => {
+      expect(scoreTracker.getPlayerHistory('Alice').rounds).toEqual([
+        { round: 1, bid: 1, tricks: 1, score: 30, bonusPoints: 10 },
+        { round: 2, bid: 2, tricks: 2, score: 40, bonusPoints: 0 }
+      ]);
+    });
+
+    test('calculates bidding statistics for a player', () => {
+      const stats = scoreTracker.getPlayerStats('Bob');
+
+      expect(stats.exactBidRate).toBe(0);
+      expect(stats.zeroBidRate).toBe(0);
+      expect(stats.averageMiss).toBe(1.5);
+      expect(stats.tendency).toBe('even');
+      expect(stats.worstRound).toEqual({ round: 2, score: -20 });
+    });
+
+    test('ranks the best bidder', () => {
+      const rankings = scoreTracker.getBidderRankings();
+
+      expect(rankings[0]).toMatchObject({ name: 'Alice', rank: 1, isBestBidder: true });
+      expect(rankings[0].stats.longestExactStreak).toBe(2);
+      expect(rankings[0].stats.bonusPoints).toBe(10);
+    });
+  });
+
+  describe('Seating', () => {
+    beforeEach(() => {
+      scoreTracker.initializePlayers(['Alice', 'Bob', 'Charlie']);
+    });
+
+    test('records the dealer, lead player and seats for each round', () => {
+      scoreTracker.setSeating(['Bob', 'Charlie', 'Alice'], 2);
+      scoreTracker.addRoundScores({ Alice: 20, Bob: 0, Charlie: -10 });
+      scoreTracker.addRoundScores({ Alice: 0, Bob: 20, Charlie: 20 });
+
+      const rounds = scoreTracker.getRoundBreakdown();
+      expect(rounds[0].seating).toEqual({
+        dealer: 'Alice',
+        lead: 'Bob',
+        seats: { Bob: 0, Charlie: 1, Alice: 2 }
+      });
+      expect(rounds[1].seating.dealer).toBe('Bob');
+      expect(rounds[1].seating.lead).toBe('Charlie');
+    });
+
+    test('rejects seating that does not match the players', () => {
+      expect(() => scoreTracker.setSeating(['Alice', 'Bob'], 0))
+        .toThrow('Invalid seating: Player has no seat: Charlie');
+    });
+
+    test('cannot change seating after rounds have been scored', () => {
+      scoreTracker.addRoundScores({ Alice: 20, Bob: 0, Charlie: -10 });
+      expect(() => scoreTracker.setSeating(['Alice', 'Bob', 'Charlie']))
+        .toThrow('Cannot change seating after rounds have been scored');
+    });
+
+    test('saves and restores the seating', () => {
+      scoreTracker.setSeating(['Charlie', 'Bob', 'Alice'], 1);
+      scoreTracker.addRoundScores({ Alice: 20, Bob: 0, Charlie: -10 });
+
+      const restored = ScoreTracker.fromJSON(JSON.parse(JSON.stringify(scoreTracker.toJSON())));
+      expect(restored.getSeating()).toEqual({ seatOrder: ['Charlie', 'Bob', 'Alice'], firstDealerSeat: 1 });
+      restored.addRoundScores({ Alice: 0, Bob: 0, Charlie: 0 });
+      expect(restored.getRoundBreakdown()[1].seating.dealer).toBe('Alice');
+    });
+  });
+
+  describe('Player Changes', () => {
+    beforeEach(() => {
+      scoreTracker.initializePlayers(['Alice', 'Bob', 'Charlie']);
+      scoreTracker.addRoundScores({ Alice: 20, Bob: 60, Charlie: -10 });
+    });
+
+    test('a late joiner starts from zero, the lowest total or the average', () => {
+      expect(scoreTracker.addPlayer('Dana').startingScore).toBe(0);
+      expect(scoreTracker.addPlayer('Eve', { startingScore: 'lowest' }).startingScore).toBe(-10);
+      expect(scoreTracker.addPlayer('Finn', { startingScore: 'average' }).startingScore).toBe(12);
+
+      const averaged = new ScoreTracker({ lateJoinScore: 'average' });
+      averaged.initializePlayers(['Alice', 'Bob']);
+      averaged.addRoundScores({ Alice: 20, Bob: 40 });
+      averaged.addPlayer('Charlie');
+      averaged.addRoundScores({ Alice: 0, Bob: 0, Charlie: 10 });
+
+      const charlie = averaged.getCurrentStandings().find(p => p.name === 'Charlie');
+      expect(charlie.totalScore).toBe(40);
+      expect(charlie.roundScores).toEqual([10]);
+      expect(charlie.annotation).toBe('Joined after round 1 on 30 points');
+      expect(() => new ScoreTracker({ lateJoinScore: 'highest' })).toThrow('Unknown late-join score: highest');
+    });
+
+    test('a player who leaves keeps their history but is not scored again', () => {
+      scoreTracker.removePlayer('Bob');
+      scoreTracker.addRoundScores({ Alice: 30, Charlie: 20 });
+
+      expect(() => scoreTracker.addRoundScores({ Alice: 0, Bob: 0, Charlie: 0 })).toThrow('Bob has left the game');
+      const bob = scoreTracker.getCurrentStandings().find(p => p.name === 'Bob');
+      expect(bob).toMatchObject({ totalScore: 60, rank: 1, isActive: false, annotation: 'Left after round 1' });
+      expect(scoreTracker.getRoundBreakdown()[1].scores).toEqual({ Alice: 30, Charlie: 20 });
+      expect(() => scoreTracker.removePlayer('Bob')).toThrow('Bob has already left the game');
+    });
+
+    test('a substitute takes over a seat and its history', () => {
+      scoreTracker.substitutePlayer('Bob', 'Dana');
+      scoreTracker.addRoundScores({ Alice: 0, Dana: 20, Charlie: 0 });
+
+      const dana = scoreTracker.getCurrentStandings().find(p => p.name === 'Dana');
+      expect(dana).toMatchObject({ totalScore: 80, roundScores: [60, 20], annotation: 'Took over from Bob after round 1' });
+      expect(scoreTracker.getRoundBreakdown()[0].scores).toEqual({ Alice: 20, Dana: 60, Charlie: -10 });
+      expect(() => scoreTracker.getPlayerHistory('Bob')).toThrow('Player not found: Bob');
+    });
+
+    test('keeps the deal going round the table as players come and go', () => {
+      const tracker = new ScoreTracker();
+      tracker.initializePlayers(['Alice', 'Bob', 'Charlie']);
+      tracker.setSeating(['Alice', 'Bob', 'Charlie'], 0);
+      tracker.addRoundScores({ Alice: 0, Bob: 0, Charlie: 0 });
+
+      tracker.removePlayer('Bob');
+      expect(tracker.getSeating()).toEqual({ seatOrder: ['Alice', 'Charlie'], firstDealerSeat: 0 });
+      tracker.addRoundScores({ Alice: 0, Charlie: 0 });
+      expect(tracker.getRoundBreakdown()[1].seating.dealer).toBe('Charlie');
+
+      tracker.addPlayer('Dana');
+      tracker.addRoundScores({ Alice: 0, Charlie: 0, Dana: 0 });
+      expect(tracker.getRoundBreakdown()[2].seating.dealer).toBe('Dana');
+    });
+
+    test('undoes joins, departures and substitutions', () => {
+      scoreTracker.addPlayer('Dana', { startingScore: 15 });
+      scoreTracker.substitutePlayer('Charlie', 'Eve');
+      scoreTracker.removePlayer('Alice');
+
+      scoreTracker.undo();
+      scoreTracker.undo();
+      scoreTracker.undo();
+      expect(scoreTracker.getCurrentStandings().map(p => p.name)).toEqual(['Bob', 'Alice', 'Charlie']);
+      expect(scoreTracker.getCurrentStandings().every(p => p.annotation === null)).toBe(true);
+    });
+
+    test('refuses changes to partnerships and finished games', () => {
+      const partnership = new ScoreTracker({ rulesetId: 'spades' });
+      partnership.initializePlayers(['Alice', 'Bob', 'Charlie', 'Dana']);
+      partnership.setTeams([
+        { name: 'North-South', players: ['Alice', 'Charlie'] },
+        { name: 'East-West', players: ['Bob', 'Dana'] }
+      ]);
+      expect(() => partnership.addPlayer('Eve')).toThrow('Players cannot join or leave a partnership game');
+
+      scoreTracker.endGame();
+      expect(() => scoreTracker.addPlayer('Dana')).toThrow('Cannot add players after game has ended');
+      expect(() => scoreTracker.substitutePlayer('Bob', 'Dana')).toThrow('Cannot substitute players after game has ended');
+    });
+
+    test('exports and imports the roster changes', () => {
+      scoreTracker.addPlayer('Dana', { startingScore: 'lowest' });
+      scoreTracker.addRoundScores({ Alice: 10, Bob: 10, Charlie: 10, Dana: 10 });
+      scoreTracker.removePlayer('Alice');
+      scoreTracker.substitutePlayer('Bob', 'Eve');
+      scoreTracker.addRoundScores({ Eve: 20, Charlie: 20, Dana: 20 });
+
+      const result = ScoreTracker.importGame(JSON.stringify(scoreTracker.exportGame()));
+      expect(result.success).toBe(true);
+      expect(result.tracker.getCurrentStandings()).toEqual(scoreTracker.getCurrentStandings());
+
+      const restored = ScoreTracker.fromJSON(JSON.parse(JSON.stringify(scoreTracker.toJSON())));
+      expect(restored.getCurrentStandings()).toEqual(scoreTracker.getCurrentStandings());
+    });
+  });
+
   describe('Edge Cases', () => {
     test('should handle negative scores', () => {
       scoreTracker.initializePlayers(['Player1', 'Player2']);
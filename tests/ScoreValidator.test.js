@@ -214,4 +214,68 @@ describe('ScoreValidator', () => {
       expect(ScoreValidator.sanitizePlayerName(undefined)).toBe('Unknown Player');
     });
   });
+
+  describe('validateGameDocument', () => {
+    const validDocument = () => ({
+      format: 'skull-king-scores',
+      version: 2,
+      exportedAt: '2026-01-01T00:00:00.000Z',
+      settings: { rulesetId: 'skull-king-classic', targetScore: null, teams: [], seating: null },
+      players: ['Alice', 'Bob'],
+      gameEnded: false,
+      rounds: [{
+        roundNumber: 1,
+        timestamp: '2026-01-01T00:00:00.000Z',
+        cardsDealt: 1,
+        scores: { Alice: 20, Bob: -10 },
+        results: {
+          Alice: { bid: 1, tricks: 1, bonus: 0, wager: null, blindNil: false, corrected: false },
+          Bob: { bid: 0, tricks: 1, bonus: 0, wager: null, blindNil: false, corrected: false }
+        },
+        seating: null
+      }],
+      totals: { Alice: 20, Bob: -10 },
+      auditLog: []
+    });
+
+    test('should accept a valid document', () => {
+      const result = ScoreValidator.validateGameDocument(validDocument());
+      expect(result.isValid).toBe(true);
+      expect(result.fieldErrors).toEqual([]);
+    });
+
+    test('should report errors against the field they were found in', () => {
+      const doc = validDocument();
+      doc.format = 'spreadsheet';
+      doc.rounds[0].results.Alice.tricks = -1;
+      delete doc.rounds[0].scores.Bob;
+
+      const result = ScoreValidator.validateGameDocument(doc);
+      expect(result.isValid).toBe(false);
+      expect(result.fieldErrors).toEqual([
+        { field: 'format', message: 'Expected "skull-king-scores"' },
+        { field: 'rounds[0].scores', message: 'Missing score for player: Bob' },
+        { field: 'rounds[0].results.Alice.tricks', message: 'Tricks must be a non-negative whole number' }
+      ]);
+      expect(result.errors).toContain('format: Expected "skull-king-scores"');
+    });
+
+    test('should only expect scores from players in the game that round', () => {
+      const doc = validDocument();
+      doc.players.push('Charlie');
+      doc.roster = [{ name: 'Charlie', startingScore: 0, joinedAfterRound: 1, leftAfterRound: null, previousNames: [] }];
+      expect(ScoreValidator.validateGameDocument(doc).isValid).toBe(true);
+
+      doc.roster[0].joinedAfterRound = 2;
+      expect(ScoreValidator.validateGameDocument(doc).fieldErrors).toEqual([
+        { field: 'roster[0].joinedAfterRound', message: 'Must be a played round number or null' }
+      ]);
+    });
+
+    test('should reject documents that are not objects', () => {
+      expect(ScoreValidator.validateGameDocument(null).errors).toEqual(['document: Game document must be an object']);
+      expect(ScoreValidator.validateGameDocument({ ...validDocument(), rounds: 'none' }).errors)
+        .toEqual(['rounds: Rounds must be an array']);
+    });
+  });
 });
\ No newline at end of file
@@ -1,3 +1,9 @@
+global.Html = require('../js/html.js');
+global.Rulesets = require('../js/rulesets.js');
+global.GameStorage = require('../js/storage.js');
+global.OhHell = require('../js/ohHell.js');
+const BiddingManager = require('../js/bidding.js');
+
 describe('BiddingManager', () => {
     let biddingManager;
     let mockGameState;
@@ -82,4 +88,208 @@ describe('BiddingManager', () => {
         expect(document.getElementById('bidding-form').style.display).toBe('block');
         expect(document.getElementById('bid-review').style.display).toBe('none');
     });
-});
\ No newline at end of file
+});
+
+describe('BiddingManager pass-and-play', () => {
+    let biddingManager;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="round-number"></div>
+            <div id="available-hands"></div>
+            <input type="checkbox" id="pass-and-play-toggle">
+            <form id="bidding-form"><div id="player-bids"></div></form>
+            <div id="pass-and-play"></div>
+            <div id="bid-review"><div id="bid-summary"></div></div>
+            <button id="edit-bids-btn"></button>
+            <button id="confirm-bids-btn" disabled></button>
+            <button id="back-to-game-btn"></button>
+        `;
+
+        window.gameState = {
+            getCurrentRound: () => 3,
+            getPlayers: () => [
+                { name: 'Alice' },
+                { name: 'Bob' }
+            ],
+            setCurrentRoundBids: jest.fn()
+        };
+
+        biddingManager = new BiddingManager();
+        biddingManager.revealStepDelay = 0;
+
+        const toggle = document.getElementById('pass-and-play-toggle');
+        toggle.checked = true;
+        toggle.dispatchEvent(new Event('change'));
+    });
+
+    function lockBid(value) {
+        document.getElementById('show-private-bid-btn').click();
+        document.getElementById('private-bid').value = String(value);
+        document.getElementById('lock-bid-btn').click();
+    }
+
+    test('replaces the shared bid form with a cover for the first player', () => {
+        expect(document.querySelectorAll('#player-bids input')).toHaveLength(0);
+        expect(document.getElementById('bidding-form').style.display).toBe('none');
+        expect(document.getElementById('pass-and-play').textContent).toContain('Pass the device to');
+        expect(document.getElementById('pass-and-play').textContent).toContain('Alice');
+        expect(document.getElementById('private-bid')).toBeNull();
+    });
+
+    test('shows one private bid screen at a time and keeps locked bids out of the page', () => {
+        document.getElementById('show-private-bid-btn').click();
+        expect(document.getElementById('private-bid').getAttribute('max')).toBe('3');
+
+        document.getElementById('private-bid').value = '2';
+        document.getElementById('lock-bid-btn').click();
+
+        expect(document.getElementById('private-bid')).toBeNull();
+        expect(document.getElementById('pass-and-play').textContent).toContain('Bob');
+
+        lockBid(1);
+
+        expect(document.getElementById('reveal-bids-btn')).not.toBeNull();
+        expect(document.querySelectorAll('input[type="number"]')).toHaveLength(0);
+        expect(document.getElementById('bid-summary').innerHTML).toBe('');
+        expect(biddingManager.bids).toEqual({ 0: 2, 1: 1 });
+    });
+
+    test('rejects an out-of-range private bid', () => {
+        document.getElementById('show-private-bid-btn').click();
+        document.getElementById('private-bid').value = '4';
+
+        expect(biddingManager.lockPrivateBid()).toBe(false);
+        expect(document.getElementById('private-bid-error').textContent).toBe('Bid must be from 0 to 3 hands');
+        expect(biddingManager.passIndex).toBe(0);
+    });
+
+    test('cannot reveal until every player has locked in a bid', () => {
+        lockBid(2);
+
+        expect(biddingManager.validateAllBids()).toBe(false);
+    });
+
+    test('counts down before revealing every bid at once', async () => {
+        lockBid(2);
+        lockBid(0);
+
+        const reveal = biddingManager.showBidReview();
+        expect(document.getElementById('pass-and-play').textContent).toBe('Yo...');
+        expect(document.getElementById('bid-summary').innerHTML).toBe('');
+
+        await reveal;
+
+        const summary = document.getElementById('bid-summary').textContent;
+        expect(summary).toContain('Alice: 2 hands');
+        expect(summary).toContain('Bob: 0 hands');
+        expect(document.getElementById('bid-review').style.display).toBe('block');
+        expect(document.getElementById('confirm-bids-btn').textContent).toBe('Final Confirm');
+        expect(document.getElementById('confirm-bids-btn').disabled).toBe(false);
+    });
+
+    test('shows player names as text on every pass-and-play screen', async () => {
+        const name = '<img src=x onerror="alert(1)">';
+        window.gameState.getPlayers = () => [{ name }, { name: 'Bob' }];
+        biddingManager.showPassCover();
+
+        const panel = document.getElementById('pass-and-play');
+        expect(panel.querySelector('h2').textContent).toBe(name);
+        expect(document.getElementById('show-private-bid-btn').textContent).toBe(`I'm ${name}, show my bid`);
+
+        document.getElementById('show-private-bid-btn').click();
+        expect(panel.querySelector('label').textContent).toContain(name);
+        document.getElementById('private-bid').value = '2';
+        document.getElementById('lock-bid-btn').click();
+        lockBid(0);
+        await biddingManager.showBidReview();
+
+        expect(document.getElementById('bid-summary').textContent).toContain(`${name}: 2 hands`);
+        expect(document.querySelector('img')).toBeNull();
+    });
+
+    test('starts the secret bidding over when revealed bids are edited', async () => {
+        lockBid(2);
+        lockBid(0);
+        await biddingManager.showBidReview();
+
+        biddingManager.enableEditMode();
+
+        expect(biddingManager.passIndex).toBe(0);
+        expect(document.getElementById('bid-summary').innerHTML).toBe('');
+        expect(document.getElementById('pass-and-play').textContent).toContain('Alice');
+    });
+});
+
+describe('BiddingManager Oh Hell hook rule', () => {
+    let biddingManager;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="round-number"></div>
+            <div id="available-hands"></div>
+            <input type="checkbox" id="pass-and-play-toggle">
+            <form id="bidding-form"><div id="player-bids"></div></form>
+            <div id="pass-and-play"></div>
+            <div id="bid-review"><div id="bid-summary"></div></div>
+            <button id="edit-bids-btn"></button>
+            <button id="confirm-bids-btn" disabled></button>
+            <button id="back-to-game-btn"></button>
+        `;
+
+        // Round 4 of a three-player game: 4 cards each, Alice (seat 0) deals
+        window.gameState = {
+            getCurrentRound: () => 4,
+            getCardsDealt: () => 4,
+            getRulesetId: () => 'oh-hell',
+            getDealerIndex: () => 0,
+            getPlayers: () => [
+                { name: 'Alice' },
+                { name: 'Bob' },
+                { name: 'Cara' }
+            ],
+            setCurrentRoundBids: jest.fn()
+        };
+
+        biddingManager = new BiddingManager();
+    });
+
+    test('marks the dealer', () => {
+        expect(document.querySelector('label[for="bid-player-0"]').textContent).toBe('Alice (Dealer):');
+    });
+
+    test('shows the bid the dealer cannot make', () => {
+        document.getElementById('bid-player-1').value = '1';
+        document.getElementById('bid-player-2').value = '2';
+        document.getElementById('bid-player-0').value = '1';
+
+        expect(biddingManager.validateAllBids()).toBe(false);
+        expect(document.getElementById('error-player-0').textContent).toBe('Dealer cannot bid 1');
+        expect(biddingManager.hookError).toBe('Alice is dealing and cannot bid 1: the bids would add up to the 4 hands available');
+
+        document.getElementById('bid-player-0').value = '0';
+        expect(biddingManager.validateAllBids()).toBe(true);
+        expect(document.getElementById('error-player-0').textContent).toBe('');
+    });
+
+    test('has the dealer bid last in pass-and-play', () => {
+        const toggle = document.getElementById('pass-and-play-toggle');
+        toggle.checked = true;
+        toggle.dispatchEvent(new Event('change'));
+
+        expect(document.getElementById('pass-and-play').textContent).toContain('Bob');
+
+        ['Bob', 'Cara'].forEach(() => {
+            document.getElementById('show-private-bid-btn').click();
+            document.getElementById('private-bid').value = '2';
+            document.getElementById('lock-bid-btn').click();
+        });
+
+        expect(document.getElementById('pass-and-play').textContent).toContain('Alice');
+        document.getElementById('show-private-bid-btn').click();
+        document.getElementById('private-bid').value = '0';
+
+        expect(biddingManager.lockPrivateBid()).toBe(false);
+        expect(document.getElementById('private-bid-error').textContent).toBe('As dealer you cannot bid 0');
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Test suite for bonuses.js
+ */
+
+const Bonuses = require('../js/bonuses.js');
+
+describe('bonus breakdowns', () => {
+  test('creates an empty breakdown for every bonus type', () => {
+    expect(Bonuses.createEmptyBonusBreakdown()).toEqual({
+      standardFourteens: 0,
+      blackFourteen: 0,
+      mermaidsByPirate: 0,
+      piratesBySkullKing: 0,
+      skullKingByMermaid: 0,
+      lootAlliances: 0
+    });
+  });
+
+  test('totals each capture at its point value', () => {
+    expect(Bonuses.calculateBonusTotal({ standardFourteens: 2, blackFourteen: 1 })).toBe(40);
+    expect(Bonuses.calculateBonusTotal({ mermaidsByPirate: 1, piratesBySkullKing: 2 })).toBe(80);
+    expect(Bonuses.calculateBonusTotal({ skullKingByMermaid: 1, lootAlliances: 1 })).toBe(60);
+    expect(Bonuses.calculateBonusTotal(null)).toBe(0);
+  });
+
+  test('only applies bonuses on an exact bid', () => {
+    const breakdown = { standardFourteens: 1, skullKingByMermaid: 1 };
+    expect(Bonuses.calculateAppliedBonus(breakdown, 2, 2)).toBe(50);
+    expect(Bonuses.calculateAppliedBonus(breakdown, 2, 3)).toBe(0);
+    expect(Bonuses.calculateAppliedBonus(15, 1, 1)).toBe(15);
+  });
+
+  test('only pays a Loot alliance when the partner\'s bid is exact too', () => {
+    const breakdown = { standardFourteens: 1, lootAlliances: [{ partner: 'Bob' }, { partner: 'Cara' }] };
+    expect(Bonuses.calculateBonusTotal(breakdown)).toBe(50);
+    expect(Bonuses.calculateAppliedBonus(breakdown, 1, 1, { Alice: true, Bob: true, Cara: true })).toBe(50);
+    expect(Bonuses.calculateAppliedBonus(breakdown, 1, 1, { Alice: true, Bob: false, Cara: true })).toBe(30);
+    expect(Bonuses.calculateAppliedBonus(breakdown, 1, 1)).toBe(10);
+    expect(Bonuses.calculateAppliedBonus({ lootAlliances: 1 }, 1, 1)).toBe(20);
+    expect(Bonuses.getLootPartners(breakdown)).toEqual(['Bob', 'Cara']);
+  });
+
+  test('validates capture counts', () => {
+    expect(Bonuses.validateBonusBreakdown({ standardFourteens: 3 }).isValid).toBe(true);
+    expect(Bonuses.validateBonusBreakdown({ standardFourteens: 4 }).errors)
+      .toContain('Standard 14s captured cannot exceed 3');
+    expect(Bonuses.validateBonusBreakdown({ blackFourteen: -1 }).errors)
+      .toContain('Black 14 captured must be a non-negative whole number');
+    expect(Bonuses.validateBonusBreakdown({ kraken: 1 }).errors).toContain('Unknown bonus type: kraken');
+    expect(Bonuses.validateBonusBreakdown({ lootAlliances: [{ partner: 'Bob' }] }).isValid).toBe(true);
+    expect(Bonuses.validateBonusBreakdown({ lootAlliances: [{}] }).errors)
+      .toContain('Loot alliances must each name a partner');
+    expect(Bonuses.validateBonusBreakdown({ lootAlliances: [{ partner: 'A' }, { partner: 'B' }, { partner: 'C' }] }).errors)
+      .toContain('Loot alliances cannot exceed 2');
+    expect(Bonuses.validateBonusBreakdown(5).isValid).toBe(false);
+  });
+
+  test('describes non-zero captures for display', () => {
+    expect(Bonuses.describeBonusBreakdown({ standardFourteens: 2, blackFourteen: 0 })).toEqual([
+      { id: 'standardFourteens', label: 'Standard 14s captured', count: 2, points: 10, total: 20 }
+    ]);
+  });
+});
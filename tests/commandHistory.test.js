@@ -0,0 +1,77 @@
+const CommandHistory = require('../js/commandHistory.js');
+
+describe('CommandHistory', () => {
+  let history;
+  let value;
+
+  const addCommand = amount => ({
+    label: `Add ${amount}`,
+    execute: () => { value += amount; },
+    undo: () => { value -= amount; }
+  });
+
+  beforeEach(() => {
+    history = CommandHistory.createCommandHistory();
+    value = 0;
+  });
+
+  test('executes, undoes and redoes commands in order', () => {
+    history.execute(addCommand(1));
+    history.execute(addCommand(10));
+    expect(value).toBe(11);
+    expect(history.getUndoLabel()).toBe('Add 10');
+
+    history.undo();
+    expect(value).toBe(1);
+    expect(history.getRedoLabel()).toBe('Add 10');
+
+    history.undo();
+    expect(value).toBe(0);
+    expect(history.undo()).toBeNull();
+
+    history.redo();
+    history.redo();
+    expect(value).toBe(11);
+    expect(history.redo()).toBeNull();
+  });
+
+  test('records already applied commands without running them', () => {
+    value = 5;
+    history.record(addCommand(5));
+    expect(value).toBe(5);
+
+    history.undo();
+    expect(value).toBe(0);
+  });
+
+  test('clears redo history when a new command runs', () => {
+    history.execute(addCommand(1));
+    history.undo();
+    history.execute(addCommand(2));
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.canUndo()).toBe(true);
+  });
+
+  test('keeps at most the configured number of commands', () => {
+    history = CommandHistory.createCommandHistory({ limit: 2 });
+    [1, 2, 3].forEach(amount => history.execute(addCommand(amount)));
+
+    history.undo();
+    history.undo();
+    expect(history.canUndo()).toBe(false);
+    expect(value).toBe(1);
+  });
+
+  test('rejects objects that are not commands', () => {
+    expect(() => history.execute({ execute: () => {} })).toThrow('Command must have execute and undo functions');
+  });
+
+  test('recognizes undo and redo shortcuts', () => {
+    expect(CommandHistory.getHistoryShortcut({ ctrlKey: true, key: 'z' })).toBe('undo');
+    expect(CommandHistory.getHistoryShortcut({ metaKey: true, key: 'z' })).toBe('undo');
+    expect(CommandHistory.getHistoryShortcut({ ctrlKey: true, shiftKey: true, key: 'Z' })).toBe('redo');
+    expect(CommandHistory.getHistoryShortcut({ ctrlKey: true, key: 'y' })).toBe('redo');
+    expect(CommandHistory.getHistoryShortcut({ key: 'z' })).toBeNull();
+  });
+});
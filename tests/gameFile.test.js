@@ -0,0 +1,115 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import ScoreDisplay from '../src/ui/ScoreDisplay.js';
+import ScoreTracker from '../src/core/ScoreTracker.js';
+import GameStorage from '../js/storage.js';
+
+describe('Game file download and import', () => {
+  let scoreTracker;
+  let container;
+  let display;
+
+  beforeEach(() => {
+    scoreTracker = new ScoreTracker();
+    scoreTracker.initializePlayers(['Alice', 'Bob']);
+    scoreTracker.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 0, tricks: 0 } }, 1);
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    URL.createObjectURL = jest.fn(() => 'blob:game');
+    URL.revokeObjectURL = jest.fn();
+    window.confirm = jest.fn(() => true);
+    display = new ScoreDisplay(scoreTracker);
+    display.initialize(container);
+  });
+
+  test('downloads the game document', () => {
+    const spy = jest.spyOn(display, 'downloadGame');
+    container.querySelector('.export-game').click();
+
+    expect(spy.mock.results[0].value).toMatchObject({ format: 'skull-king-scores', players: ['Alice', 'Bob'] });
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:game');
+  });
+
+  test('imports a downloaded game in place of the one on display', () => {
+    const other = new ScoreTracker();
+    other.initializePlayers(['Cara', 'Dan']);
+    other.addRoundResults({ Cara: { bid: 0, tricks: 1 }, Dan: { bid: 1, tricks: 0 } }, 1);
+
+    const result = display.importGame(JSON.stringify(other.exportGame()));
+
+    expect(result.success).toBe(true);
+    expect(display.scoreTracker.getCurrentStandings()).toEqual(other.getCurrentStandings());
+    expect(container.querySelector('.standings-table').textContent).toContain('Cara');
+    expect(container.querySelector('.import-errors')).toBeNull();
+  });
+
+  test('reads the file chosen with the import control', async () => {
+    const input = container.querySelector('.import-game-file');
+    const file = new File([JSON.stringify(scoreTracker.exportGame())], 'game.json', { type: 'application/json' });
+    Object.defineProperty(input, 'files', { value: [file] });
+    const imported = new Promise(resolve => display.addUpdateListener(resolve));
+
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    await imported;
+
+    expect(display.scoreTracker).not.toBe(scoreTracker);
+    expect(display.scoreTracker.getCurrentStandings()).toEqual(scoreTracker.getCurrentStandings());
+  });
+
+  test('asks before replacing a game with rounds played and keeps it when declined', () => {
+    window.confirm = jest.fn(() => false);
+    const other = new ScoreTracker();
+    other.initializePlayers(['Cara', 'Dan']);
+
+    const result = display.importGame(other.exportGame());
+
+    expect(window.confirm).toHaveBeenCalledWith('Replace the game on display (1 rounds played) with the imported game?');
+    expect(result).toMatchObject({ success: false, cancelled: true });
+    expect(display.scoreTracker).toBe(scoreTracker);
+  });
+
+  test('only saves the imported game over the current one once the replacement is confirmed', async () => {
+    window.localStorage.clear();
+    const storage = GameStorage.createGameStorage({ indexedDB: null, localStorage: window.localStorage });
+    const saved = new ScoreTracker({ storage, gameId: 'table-1' });
+    saved.initializePlayers(['Alice', 'Bob']);
+    saved.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 0, tricks: 0 } }, 1);
+    await saved.lastSave;
+    display = new ScoreDisplay(saved);
+    display.initialize(container);
+    const other = new ScoreTracker();
+    other.initializePlayers(['Cara', 'Dan']);
+
+    window.confirm = jest.fn(() => false);
+    display.importGame(other.exportGame());
+    await display.scoreTracker.lastSave;
+    expect((await storage.loadGame('table-1')).data.players.map(player => player.name)).toEqual(['Alice', 'Bob']);
+
+    const doc = other.exportGame();
+    doc.settings.rulesetId = 'nope';
+    display.importGame(doc);
+    expect((await storage.loadGame('table-1')).data.players.map(player => player.name)).toEqual(['Alice', 'Bob']);
+
+    window.confirm = jest.fn(() => true);
+    display.importGame(other.exportGame());
+    await display.scoreTracker.lastSave;
+    expect(display.scoreTracker.storage).toBe(storage);
+    expect((await storage.loadGame('table-1')).data.players.map(player => player.name)).toEqual(['Cara', 'Dan']);
+  });
+
+  test('lists the field errors of a rejected document and keeps the current game', () => {
+    const doc = scoreTracker.exportGame();
+    doc.rounds[0].results.Alice.tricks = -1;
+
+    const result = display.importGame(doc);
+
+    expect(result.success).toBe(false);
+    expect(display.scoreTracker).toBe(scoreTracker);
+    const errors = Array.from(container.querySelectorAll('.import-errors li')).map(item => item.textContent);
+    expect(errors).toEqual(result.fieldErrors.map(error => `${error.field}: ${error.message}`));
+    expect(errors[0]).toContain('rounds[0].results.Alice.tricks');
+  });
+});
@@ -0,0 +1,42 @@
+const GameLength = require('../js/gameLength.js');
+
+describe('GameLength', () => {
+  test('validates each kind of end condition', () => {
+    expect(GameLength.validateEndCondition({ mode: 'rounds', rounds: 5 }).isValid).toBe(true);
+    expect(GameLength.validateEndCondition({ mode: 'target-score', targetScore: 1.5 }).errors)
+      .toEqual(['Target score must be a positive whole number']);
+    expect(GameLength.validateEndCondition({ mode: 'time-limit', minutes: 0 }).errors)
+      .toEqual(['Time limit must be a positive whole number of minutes']);
+    expect(GameLength.validateEndCondition(null).errors).toEqual(['End condition must be an object']);
+  });
+
+  test('keeps only the fields a mode uses', () => {
+    expect(GameLength.createEndCondition({ mode: 'time-limit', minutes: 45, rounds: 3 }))
+      .toEqual({ mode: 'time-limit', minutes: 45 });
+    expect(() => GameLength.createEndCondition({ mode: 'rounds' }))
+      .toThrow('Round count must be a positive whole number');
+  });
+
+  test('ends a target score game only with a single leader at or above the target', () => {
+    const target = { mode: 'target-score', targetScore: 200 };
+    expect(GameLength.checkEndCondition(target, { totals: [190, 150] }).ended).toBe(false);
+    expect(GameLength.checkEndCondition(target, { totals: [210, 210, 90] }).ended).toBe(false);
+    expect(GameLength.checkEndCondition(target, { totals: [230, 210, 90] }))
+      .toEqual({ ended: true, reason: 'Reached the target of 200 points' });
+  });
+
+  test('measures a time limit from the start of the game', () => {
+    const limit = { mode: 'time-limit', minutes: 60 };
+    const startedAt = '2026-01-01T20:00:00.000Z';
+    expect(GameLength.checkEndCondition(limit, { startedAt, now: new Date('2026-01-01T20:59:59Z') }).ended).toBe(false);
+    expect(GameLength.checkEndCondition(limit, { startedAt, now: new Date('2026-01-01T21:05:00Z') }))
+      .toEqual({ ended: true, reason: 'The 60-minute time limit ran out' });
+    expect(GameLength.checkEndCondition(null, { roundsPlayed: 99 }).ended).toBe(false);
+  });
+
+  test('describes end conditions for display', () => {
+    expect(GameLength.describeEndCondition({ mode: 'rounds', rounds: 1 })).toBe('Playing 1 round');
+    expect(GameLength.describeEndCondition({ mode: 'target-score', targetScore: 300 })).toBe('Playing to 300 points');
+    expect(GameLength.describeEndCondition({ mode: 'time-limit', minutes: 45 })).toBe('Playing for 45 minutes');
+  });
+});
@@ -0,0 +1,151 @@
+const { GameState, SAVED_GAME_ID } = require('../js/gameState.js');
+const GameStorage = require('../js/storage.js');
+
+describe('GameState', () => {
+  const players = [
+    { name: 'Alice', totalScore: 0, roundScores: [] },
+    { name: 'Bob', totalScore: 0, roundScores: [] }
+  ];
+
+  beforeEach(() => {
+    window.sessionStorage.clear();
+    window.localStorage.clear();
+  });
+
+  function createState() {
+    const gameStorage = GameStorage.createGameStorage({ indexedDB: null, localStorage: window.localStorage });
+    return new GameState({ sessionStorage: window.sessionStorage, gameStorage });
+  }
+
+  test('starts an empty game with the default ruleset', () => {
+    const gameState = createState();
+
+    expect(gameState.getPlayers()).toEqual([]);
+    expect(gameState.getCurrentRound()).toBe(1);
+    expect(gameState.getRulesetId()).toBe('skull-king-classic');
+    expect(gameState.isRestoredFromSession()).toBe(false);
+  });
+
+  test('stores bids keyed by seat index or player name', () => {
+    const gameState = createState();
+    gameState.replaceState({ players, currentRound: 3, rulesetId: 'skull-king-rascal' });
+
+    gameState.setCurrentRoundBids({ 0: 2, 1: 0 }, { 0: 'cannonball', 1: 'grapeshot' });
+    expect(gameState.getCurrentRoundData()).toEqual([
+      { name: 'Alice', bid: 2, wager: 'cannonball', tricks: null },
+      { name: 'Bob', bid: 0, wager: 'grapeshot', tricks: null }
+    ]);
+
+    gameState.setCurrentRoundBids({ Alice: 1, Bob: 3 });
+    expect(gameState.getCurrentRoundData().map(p => p.bid)).toEqual([1, 3]);
+  });
+
+  test('rejects bids outside the round', () => {
+    const gameState = createState();
+    gameState.replaceState({ players, currentRound: 2 });
+
+    expect(() => gameState.setCurrentRoundBids({ Alice: 3, Bob: 0 })).toThrow('Invalid bid for player Alice: 3');
+    expect(() => gameState.setCurrentRoundBids({ Alice: 1 })).toThrow('Invalid bid for player Bob: undefined');
+    expect(gameState.hasCurrentRoundBids()).toBe(false);
+  });
+
+  test('follows the Oh Hell schedule and rotating dealer', () => {
+    const gameState = createState();
+    gameState.replaceState({ players, currentRound: 1, rulesetId: 'oh-hell' });
+
+    expect(gameState.getTotalRounds()).toBe(19);
+    expect(gameState.getCardsDealt(10)).toBe(10);
+    expect(gameState.getCardsDealt(12)).toBe(8);
+    expect(gameState.getDealerIndex(1)).toBe(0);
+    expect(gameState.getDealerIndex(2)).toBe(1);
+  });
+
+  test('rotates the deal from the chosen first dealer', () => {
+    const gameState = createState();
+    gameState.replaceState({ players, currentRound: 1 });
+    gameState.setFirstDealer(1);
+
+    expect(gameState.getDealerIndex()).toBe(1);
+    expect(gameState.getLeadIndex()).toBe(0);
+    expect(gameState.getDealerIndex(2)).toBe(0);
+    expect(() => gameState.setFirstDealer(2)).toThrow('Invalid dealer seat: 2');
+  });
+
+  test('sizes a Wizard game from the player count', () => {
+    const gameState = createState();
+    gameState.replaceState({ players: [...players, { name: 'Cara', totalScore: 0, roundScores: [] }], currentRound: 1, rulesetId: 'wizard' });
+
+    expect(gameState.getTotalRounds()).toBe(20);
+    expect(gameState.getCardsDealt(20)).toBe(20);
+  });
+
+  test('enforces the hook rule on the dealer in Oh Hell', () => {
+    const gameState = createState();
+    gameState.replaceState({ players, currentRound: 2, rulesetId: 'oh-hell' });
+
+    // Bob deals round 2
+    expect(() => gameState.setCurrentRoundBids({ Alice: 1, Bob: 1 }))
+      .toThrow('The dealer (Bob) cannot bid 1: the bids would add up to the 2 cards dealt');
+    expect(gameState.hasCurrentRoundBids()).toBe(false);
+
+    gameState.setCurrentRoundBids({ Alice: 1, Bob: 0 });
+    gameState.setCurrentRoundTrump('hearts');
+    expect(gameState.getState().trumpSuit).toBe('hearts');
+    expect(() => gameState.setCurrentRoundTrump('stars')).toThrow('Unknown trump suit: stars');
+  });
+
+  test('records tricks only after bids', () => {
+    const gameState = createState();
+    gameState.replaceState({ players, currentRound: 2 });
+
+    expect(() => gameState.setCurrentRoundTricks({ Alice: 1, Bob: 1 }))
+      .toThrow('Cannot record tricks before bids are placed');
+
+    gameState.setCurrentRoundBids({ Alice: 1, Bob: 1 });
+    gameState.setCurrentRoundTricks({ Alice: 2, Bob: 0 });
+    expect(gameState.getCurrentRoundData().map(p => p.tricks)).toEqual([2, 0]);
+  });
+
+  test('lets one player adjust their bid by Harry the Giant before scoring', () => {
+    const gameState = createState();
+    gameState.replaceState({ players, currentRound: 2 });
+
+    expect(() => gameState.adjustCurrentRoundBid('Alice', 1))
+      .toThrow('Cannot adjust a bid before bids are placed');
+
+    gameState.setCurrentRoundBids({ Alice: 1, Bob: 2 });
+    expect(() => gameState.adjustCurrentRoundBid('Bob', 1)).toThrow('Adjusted bid cannot exceed 2');
+    expect(() => gameState.adjustCurrentRoundBid('Alice', 2)).toThrow('Bid adjustment must be -1, 0 or +1');
+    expect(gameState.getCurrentRoundBidAdjustment()).toBeNull();
+
+    gameState.adjustCurrentRoundBid('Alice', 1);
+    expect(gameState.getCurrentRoundData().map(p => p.bid)).toEqual([2, 2]);
+    expect(gameState.getCurrentRoundBidAdjustment()).toEqual({ player: 'Alice', change: 1, from: 1, to: 2 });
+    expect(() => gameState.adjustCurrentRoundBid('Bob', -1)).toThrow('Only one bid can be adjusted per round');
+  });
+
+  test('hands bids placed on one page to the next page', () => {
+    const biddingPage = createState();
+    biddingPage.replaceState({ players, currentRound: 2 });
+    biddingPage.setCurrentRoundBids({ 0: 1, 1: 2 });
+
+    const indexPage = createState();
+    expect(indexPage.isRestoredFromSession()).toBe(true);
+    expect(indexPage.getPlayers().map(p => p.name)).toEqual(['Alice', 'Bob']);
+    expect(indexPage.getCurrentRoundData().map(p => p.bid)).toEqual([1, 2]);
+  });
+
+  test('keeps an unfinished game in the game store for resuming', async () => {
+    const gameState = createState();
+    gameState.replaceState({ players, currentRound: 4 });
+    await gameState.save();
+
+    const saved = await gameState.loadSavedGame();
+    expect(saved.id).toBe(SAVED_GAME_ID);
+    expect(saved.data.currentRound).toBe(4);
+
+    await gameState.reset();
+    expect(gameState.getPlayers()).toEqual([]);
+    expect(await gameState.loadSavedGame()).toBeNull();
+  });
+});
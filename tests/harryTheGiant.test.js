@@ -0,0 +1,32 @@
+const HarryTheGiant = require('../js/harryTheGiant.js');
+
+describe('HarryTheGiant', () => {
+  const bids = { Alice: 2, Bob: 0 };
+
+  test('applies a change of -1, 0 or +1 without touching the other bids', () => {
+    expect(HarryTheGiant.applyBidAdjustment(bids, { player: 'Alice', change: -1 }, 3)).toEqual({
+      bids: { Alice: 1, Bob: 0 },
+      record: { player: 'Alice', change: -1, from: 2, to: 1 }
+    });
+    expect(HarryTheGiant.applyBidAdjustment(bids, { player: 'Bob', change: 0 }, 3).bids).toEqual(bids);
+    expect(bids).toEqual({ Alice: 2, Bob: 0 });
+  });
+
+  test('keeps the adjusted bid within the cards dealt', () => {
+    expect(HarryTheGiant.validateBidAdjustment({ player: 'Bob', change: -1 }, bids, 3).errors)
+      .toEqual(['Adjusted bid cannot be negative']);
+    expect(HarryTheGiant.validateBidAdjustment({ player: 'Alice', change: 1 }, bids, 2).errors)
+      .toEqual(['Adjusted bid cannot exceed 2']);
+    expect(HarryTheGiant.validateBidAdjustment({ player: 'Cara', change: 1 }, bids, 2).errors)
+      .toEqual(['No bid to adjust for player: Cara']);
+    expect(() => HarryTheGiant.applyBidAdjustment(bids, { player: 'Alice', change: 0.5 }))
+      .toThrow('Bid adjustment must be -1, 0 or +1');
+  });
+
+  test('describes the adjustment for the round history', () => {
+    expect(HarryTheGiant.describeBidAdjustment({ player: 'Alice', change: 1, from: 1, to: 2 }))
+      .toBe("Harry the Giant: Alice's bid 1 → 2");
+    expect(HarryTheGiant.describeBidAdjustment({ player: 'Bob', change: 0, from: 3, to: 3 }))
+      .toBe('Harry the Giant: Bob kept their bid of 3');
+  });
+});
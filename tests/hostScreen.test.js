@@ -0,0 +1,148 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import fs from 'fs';
+import path from 'path';
+import HostScreen from '../src/multiplayer/HostScreen.js';
+import ScoreTracker from '../src/core/ScoreTracker.js';
+
+const { RoomManager } = require('../server/rooms.js');
+const InProcessSocket = require('../server/inProcessSocket.js');
+
+const hostPage = fs.readFileSync(path.join(__dirname, '..', 'host.html'), 'utf8');
+
+/**
+ * js/ scripts a module reads from window in the browser, following its imports and requires
+ */
+function classicScriptsUsedBy(file, seen = new Set()) {
+  if (seen.has(file)) {
+    return [];
+  }
+  seen.add(file);
+  const source = fs.readFileSync(file, 'utf8');
+  const scripts = [];
+  Array.from(source.matchAll(/(?:^import .* from |require\()'(\.[^']+\.js)'/gm)).forEach(([, specifier]) => {
+    const dependency = path.join(path.dirname(file), specifier);
+    const script = path.relative(path.join(__dirname, '..'), dependency);
+    if (script.startsWith('js/')) {
+      scripts.push(script);
+    }
+    scripts.push(...classicScriptsUsedBy(dependency, seen));
+  });
+  return scripts;
+}
+
+/**
+ * Phone connection that joins the room and bids
+ */
+function joinAs(roomManager, code, name) {
+  const socket = new InProcessSocket(roomManager);
+  socket.onmessage = () => {};
+  socket.send(JSON.stringify({ type: 'join', code, name }));
+  return bid => socket.send(JSON.stringify({ type: 'submit-bid', bid }));
+}
+
+describe('Host screen', () => {
+  let roomManager;
+  let screen;
+  let $;
+
+  beforeEach(() => {
+    // The page's module script is not run by innerHTML; the screen is started by hand
+    document.body.innerHTML = hostPage.match(/<body>([\s\S]*)<\/body>/)[1];
+    roomManager = new RoomManager({ generateCode: () => 'BRIG' });
+    screen = new HostScreen(document, { createSocket: () => new InProcessSocket(roomManager) });
+    screen.init();
+    $ = id => document.getElementById(id);
+  });
+
+  const submit = id => $(id).dispatchEvent(new Event('submit', { cancelable: true }));
+
+  test('loads the js/ scripts the host screen reads before its module script', () => {
+    const loaded = Array.from(hostPage.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+    const used = classicScriptsUsedBy(path.join(__dirname, '..', 'src', 'multiplayer', 'HostScreen.js'));
+
+    expect(used).toEqual(expect.arrayContaining(['js/gameLength.js', 'js/html.js']));
+    used.forEach(script => expect(loaded).toContain(script));
+    expect(hostPage.indexOf('<script type="module">')).toBeGreaterThan(hostPage.lastIndexOf('<script src='));
+  });
+
+  test('creates a room and shows its code', () => {
+    $('host-player-names').value = 'Alice\nBob';
+    submit('host-setup-form');
+
+    expect($('host-setup-form').style.display).toBe('none');
+    expect($('host-panel').style.display).toBe('block');
+    expect($('host-room-code').textContent).toBe('BRIG');
+    expect($('host-join-url').textContent).toMatch(/\/join\.html$/);
+
+    joinAs(roomManager, 'BRIG', 'Alice');
+    expect($('host-connected').textContent).toBe('Alice');
+  });
+
+  test('scores the game imported on the score sheet', () => {
+    $('host-player-names').value = 'Alice\nBob';
+    submit('host-setup-form');
+    const saved = new ScoreTracker();
+    saved.initializePlayers(['Alice', 'Bob']);
+    saved.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 0, tricks: 0 } }, 1);
+
+    const scoreDisplay = screen.scoreDisplay;
+    expect(scoreDisplay.importGame(JSON.stringify(saved.exportGame())).success).toBe(true);
+
+    expect(screen.scoreTracker).toBe(scoreDisplay.scoreTracker);
+    expect(screen.session.scoreTracker).toBe(scoreDisplay.scoreTracker);
+    expect(screen.scoreTracker.currentRound).toBe(1);
+  });
+
+  test('rejects an imported game for other players than the room', () => {
+    $('host-player-names').value = 'Alice\nBob';
+    submit('host-setup-form');
+    const other = new ScoreTracker();
+    other.initializePlayers(['Alice', 'Cara']);
+
+    const result = screen.scoreDisplay.importGame(other.exportGame());
+
+    expect(result.fieldErrors).toEqual([{ field: 'players', message: 'The game is for Alice, Cara but the room is open for Alice, Bob' }]);
+    expect(screen.session.scoreTracker).toBe(screen.scoreTracker);
+    expect(screen.scoreTracker.getCurrentStandings().map(player => player.name)).toEqual(['Alice', 'Bob']);
+    expect($('host-scores').querySelector('.import-errors').textContent).toContain('room is open for Alice, Bob');
+  });
+
+  test('needs at least two players', () => {
+    $('host-player-names').value = 'Alice';
+    submit('host-setup-form');
+
+    expect($('host-error').textContent).toBe('Enter at least 2 player names');
+    expect($('host-panel').style.display).toBe('none');
+  });
+
+  test('watches bids come in, reveals them and scores the round on the sheet', () => {
+    $('host-player-names').value = 'Alice\nBob';
+    submit('host-setup-form');
+    const aliceBids = joinAs(roomManager, 'BRIG', 'Alice');
+    const bobBids = joinAs(roomManager, 'BRIG', 'Bob');
+
+    $('host-cards-dealt').value = '1';
+    submit('host-round-form');
+    expect($('host-bid-status').textContent).toBe('Round 1: waiting for bids...');
+
+    aliceBids(1);
+    expect($('host-bid-status').textContent).toBe('Round 1: 1 of 2 bids in (Alice)');
+    expect($('host-tricks-form').style.display).toBe('none');
+
+    bobBids(0);
+    expect($('host-revealed-bids').textContent).toContain('Alice: 1 hand');
+    expect($('host-revealed-bids').textContent).toContain('Bob: 0 hands');
+    expect($('host-tricks-form').style.display).toBe('block');
+
+    document.querySelector('#host-tricks-inputs input[data-player="Alice"]').value = '1';
+    submit('host-tricks-form');
+
+    expect($('host-bid-status').textContent).toBe('Round 1 scored');
+    expect($('host-cards-dealt').value).toBe('2');
+    expect($('host-scores').querySelector('.standings-table .player-name').textContent).toContain('Alice');
+    expect($('host-scores').querySelector('.standings-table .total-score').textContent).toBe('20');
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+/**
+ * Load index.html and run its scripts in page order, as the browser does
+ * The page's scripts declare globals, so it is loaded once per file.
+ */
+function loadIndexPage() {
+  const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+  document.body.innerHTML = html.match(/<body>([\s\S]*)<\/body>/)[1];
+
+  Array.from(html.matchAll(/<script( type="module")? src="([^"]+)"><\/script>/g)).forEach(([, isModule, src]) => {
+    const file = path.join(root, src);
+    if (!fs.existsSync(file)) {
+      return;
+    }
+    let source = fs.readFileSync(file, 'utf8');
+    // jsdom does not run module scripts; the app's modules also put their exports on window
+    if (isModule) {
+      source = source.replace(/^export default .*$/m, '');
+    }
+    window.eval(source);
+  });
+
+  document.dispatchEvent(new Event('DOMContentLoaded'));
+}
+
+const $ = id => document.getElementById(id);
+
+function addPlayers(names) {
+  names.forEach(name => {
+    $('playerName').value = name;
+    $('addPlayerBtn').click();
+  });
+}
+
+// Plays the current round; "Start New Round" moves on to the next one
+function playRound(bids, tricks) {
+  Object.entries(bids).forEach(([name, bid]) => {
+    $(`bid-${name}`).value = bid;
+  });
+  $('submitBidsBtn').click();
+  Object.entries(tricks).forEach(([name, taken]) => {
+    $(`tricks-${name}`).value = taken;
+  });
+  $('submitTricksBtn').click();
+}
+
+describe('index.html', () => {
+  beforeAll(() => {
+    window.confirm = () => false;
+    loadIndexPage();
+  });
+
+  beforeEach(() => {
+    window.alert = jest.fn();
+    window.confirm = () => true;
+    $('resetGameBtn').click();
+  });
+
+  test('scores a round from the bids and tricks entered', () => {
+    addPlayers(['Alice', 'Bob']);
+    playRound({ Alice: 1, Bob: 0 }, { Alice: 1, Bob: 0 });
+
+    expect(window.alert).not.toHaveBeenCalled();
+    expect($('historyBody').querySelectorAll('tr')).toHaveLength(1);
+    expect($('historyBody').textContent).toContain('1/1 (20)');
+  });
+
+  test('edits a round from the history table for any player name', () => {
+    const names = ["O'Brien", '<img src=x onerror="alert(1)">'];
+    addPlayers(names);
+    playRound({ [names[0]]: 1, [names[1]]: 0 }, { [names[0]]: 0, [names[1]]: 1 });
+
+    expect($('historyHeader').textContent).toContain(names[1]);
+    expect($('historyHeader').querySelector('img')).toBeNull();
+    expect($('statsBody').textContent).toContain(names[1]);
+    expect($('statsBody').querySelector('img')).toBeNull();
+    expect($('scoreTableBody').textContent).toContain(names[1]);
+    expect($('scoreTableBody').querySelector('img')).toBeNull();
+    expect($('historyBody').querySelector('[onclick]')).toBeNull();
+
+    window.prompt = jest.fn()
+      .mockReturnValueOnce('0/0')
+      .mockReturnValueOnce('Sam');
+    $('historyBody').querySelector(`.edit-round-btn[data-player="${names[0]}"]`).click();
+
+    expect(window.prompt.mock.calls[0][0]).toBe("Correct O'Brien's bid/tricks/bonus for round 1:");
+    expect($('historyBody').textContent).toContain('0/0 (10)');
+  });
+
+  test('corrects a round\'s bonus and keeps its tricks adding up to the cards dealt', () => {
+    addPlayers(['Alice', 'Bob']);
+    playRound({ Alice: 1, Bob: 0 }, { Alice: 1, Bob: 0 });
+    const edit = name => $('historyBody').querySelector(`.edit-round-btn[data-player="${name}"]`).click();
+
+    window.prompt = jest.fn().mockReturnValueOnce('0/1');
+    edit('Bob');
+    expect(window.alert).toHaveBeenCalledWith('Tricks taken add up to 2 but must total 1 (1 cards dealt): 1 too many');
+    expect($('historyBody').textContent).toContain('0/0 (10)');
+
+    window.prompt = jest.fn()
+      .mockReturnValueOnce('1/1/30')
+      .mockReturnValueOnce('Sam');
+    edit('Alice');
+    expect(window.prompt.mock.calls[0][1]).toBe('1/1/0');
+    expect($('historyBody').textContent).toContain('1/1 (50)');
+  });
+
+  test('chooses the first dealer and removes players from the player list for any player name', () => {
+    const names = ['<img src=x onerror="alert(1)">', "O'Brien", 'Cara'];
+    addPlayers(names);
+
+    expect($('playerList').querySelector('[onclick]')).toBeNull();
+    expect($('playerList').querySelector('img')).toBeNull();
+    expect($('playerList').textContent).toContain(names[0]);
+
+    $('playerList').querySelector(`.deal-first-btn[data-player="O'Brien"]`).click();
+    expect($('playerList').querySelector('.dealer-badge').parentElement.textContent).toContain("O'Brien");
+
+    $('playerList').querySelector('.remove-btn[data-player="Cara"]').click();
+    expect(Array.from($('playerList').querySelectorAll('.player-name')).map(span => span.textContent)).toEqual(names.slice(0, 2));
+  });
+
+  test('reorders the seats before the first round, keeping the first dealer', () => {
+    addPlayers(['Alice', 'Bob', 'Cara']);
+    $('playerList').querySelector('.deal-first-btn[data-player="Bob"]').click();
+
+    $('playerList').querySelector('.move-seat-btn[data-player="Cara"][data-offset="-1"]').click();
+    $('playerList').querySelector('.move-seat-btn[data-player="Cara"][data-offset="-1"]').click();
+
+    const seats = () => Array.from($('playerList').querySelectorAll('.player-name')).map(span => span.textContent);
+    expect(seats()).toEqual(['Cara', 'Alice', 'Bob']);
+    expect($('playerList').querySelector('.dealer-badge').parentElement.textContent).toContain('Bob');
+    expect($('playerList').querySelector('.move-seat-btn[data-player="Cara"][data-offset="-1"]')).toBeNull();
+
+    $('undoBtn').click();
+    expect(seats()).toEqual(['Alice', 'Cara', 'Bob']);
+
+    playRound({ Alice: 0, Bob: 0, Cara: 1 }, { Alice: 0, Bob: 0, Cara: 1 });
+    expect($('playerList').querySelector('.move-seat-btn')).toBeNull();
+    expect($('randomDealerBtn').disabled).toBe(true);
+  });
+
+  test('leaves Ctrl+Z in form fields to the browser', () => {
+    addPlayers(['Alice', 'Bob']);
+    const seats = () => Array.from($('playerList').querySelectorAll('.player-name')).map(span => span.textContent);
+    const undoKey = target => {
+      const event = new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true, cancelable: true });
+      target.dispatchEvent(event);
+      return event.defaultPrevented;
+    };
+
+    // jsdom does not implement contenteditable, so the element reports it directly
+    const notes = document.createElement('div');
+    Object.defineProperty(notes, 'isContentEditable', { value: true });
+    const comments = document.createElement('textarea');
+    document.body.append(notes, comments);
+
+    [$('bid-Alice'), $('rulesetSelect'), comments, notes].forEach(field => {
+      expect(undoKey(field)).toBe(false);
+    });
+    notes.remove();
+    comments.remove();
+    expect(seats()).toEqual(['Alice', 'Bob']);
+
+    expect(undoKey(document.body)).toBe(true);
+    expect(seats()).toEqual(['Alice']);
+  });
+
+  test('picks a random first dealer', () => {
+    addPlayers(['Alice', 'Bob', 'Cara']);
+    jest.spyOn(Math, 'random').mockReturnValue(0.9);
+
+    $('randomDealerBtn').click();
+    Math.random.mockRestore();
+
+    expect($('playerList').querySelector('.dealer-badge').parentElement.textContent).toContain('Cara');
+  });
+});
@@ -176,6 +176,56 @@ describe('InputValidator', () => {
     });
   });
 
+  describe('Round Trick Total Validation', () => {
+    test('should accept tricks that add up to the cards dealt', () => {
+      expect(validator.validateTrickTotal([3, 2, 0], 5)).toBe(true);
+      expect(validator.validateTrickTotal(['1', '1'], 2)).toBe(true);
+      expect(validator.hasErrors()).toBe(false);
+    });
+
+    test('should name the mismatch when the total is off', () => {
+      expect(validator.validateTrickTotal([3, 3, 0], 5)).toBe(false);
+      expect(validator.getErrors()).toContain('Tricks taken add up to 6 but must total 5 (5 cards dealt): 1 too many');
+
+      validator.clearErrors();
+      expect(validator.validateTrickTotal([1, 1, 0], 5)).toBe(false);
+      expect(validator.getErrors()).toContain('Tricks taken add up to 2 but must total 5 (5 cards dealt): 3 missing');
+    });
+
+    test('should lower the expected total for each Kraken or White Whale trick', () => {
+      expect(validator.validateTrickTotal([2, 2], 5, ['kraken'])).toBe(true);
+      expect(validator.validateTrickTotal([2, 1], 5, ['kraken', 'whiteWhale'])).toBe(true);
+
+      expect(validator.validateTrickTotal([3, 2], 5, ['whiteWhale'])).toBe(false);
+      expect(validator.getErrors()).toContain(
+        'Tricks taken add up to 5 but must total 4 (5 cards dealt, 1 voided by the White Whale): 1 too many'
+      );
+    });
+
+    test('should reject unknown or repeated voiding cards', () => {
+      expect(validator.validateTrickTotal([2], 3, ['mermaid'])).toBe(false);
+      expect(validator.getErrors()).toContain('Unknown trick-voiding card: mermaid');
+
+      validator.clearErrors();
+      expect(validator.validateTrickTotal([1], 3, ['kraken', 'kraken'])).toBe(false);
+      expect(validator.getErrors()).toContain('The Kraken can only void one trick per round');
+    });
+
+    test('should block round data whose tricks do not add up', () => {
+      const formData = {
+        playerNames: ['Alice', 'Bob'],
+        bids: [2, 1],
+        tricksTaken: [2, 2],
+        bonusPoints: []
+      };
+
+      expect(validator.validateRoundData(formData, 3)).toBe(false);
+      expect(validator.getErrors()).toContain('Tricks taken add up to 4 but must total 3 (3 cards dealt): 1 too many');
+
+      expect(validator.validateRoundData({ ...formData, tricksTaken: [2, 0], voidedBy: ['kraken'] }, 3)).toBe(true);
+    });
+  });
+
   describe('Error Management', () => {
     test('should clear errors correctly', () => {
       validator.validatePlayerName('');
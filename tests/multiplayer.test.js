@@ -0,0 +1,162 @@
+import ScoreTracker from '../src/core/ScoreTracker.js';
+import HostSession from '../src/multiplayer/HostSession.js';
+
+const { RoomManager } = require('../server/rooms.js');
+const InProcessSocket = require('../server/inProcessSocket.js');
+
+/**
+ * Socket that keeps every message it receives
+ */
+function connect(roomManager) {
+  const socket = new InProcessSocket(roomManager);
+  socket.received = [];
+  socket.onmessage = event => socket.received.push(JSON.parse(event.data));
+  socket.sendMessage = message => socket.send(JSON.stringify(message));
+  socket.last = type => socket.received.filter(message => message.type === type).pop();
+  return socket;
+}
+
+describe('Multiplayer rooms', () => {
+  let roomManager;
+  let host;
+
+  beforeEach(() => {
+    roomManager = new RoomManager({ generateCode: () => 'KRWX' });
+    host = connect(roomManager);
+    host.sendMessage({ type: 'create-room', players: ['Alice', 'Bob'] });
+  });
+
+  test('creates a room with a short code', () => {
+    expect(host.last('room-created')).toEqual({ type: 'room-created', code: 'KRWX', players: ['Alice', 'Bob'] });
+  });
+
+  test('lets roster players join with the room code', () => {
+    const alice = connect(roomManager);
+    alice.sendMessage({ type: 'join', code: 'krwx', name: 'Alice' });
+
+    expect(alice.last('joined')).toMatchObject({ code: 'KRWX', name: 'Alice', round: null });
+    expect(host.last('player-joined')).toEqual({ type: 'player-joined', name: 'Alice' });
+  });
+
+  test('rejects unknown rooms and players', () => {
+    const stranger = connect(roomManager);
+    stranger.sendMessage({ type: 'join', code: 'ZZZZ', name: 'Alice' });
+    expect(stranger.last('error').message).toBe('No game with room code ZZZZ');
+
+    stranger.sendMessage({ type: 'join', code: 'KRWX', name: 'Mallory' });
+    expect(stranger.last('error').message).toBe('Mallory is not a player in this game');
+  });
+
+  test('keeps bids secret until everyone has bid', () => {
+    const alice = connect(roomManager);
+    const bob = connect(roomManager);
+    alice.sendMessage({ type: 'join', code: 'KRWX', name: 'Alice' });
+    bob.sendMessage({ type: 'join', code: 'KRWX', name: 'Bob' });
+
+    host.sendMessage({ type: 'start-round', round: 1, cardsDealt: 3 });
+    expect(bob.last('round-started').round).toMatchObject({ round: 1, cardsDealt: 3, myBid: null, bids: null });
+
+    alice.sendMessage({ type: 'submit-bid', bid: 2 });
+    expect(bob.last('bid-status')).toEqual({ type: 'bid-status', round: 1, submitted: ['Alice'], total: 2 });
+    expect(JSON.stringify(bob.received)).not.toContain('"bid":2');
+    expect(host.last('bids-revealed')).toBeUndefined();
+
+    bob.sendMessage({ type: 'submit-bid', bid: 0 });
+    [host, alice, bob].forEach(socket => {
+      expect(socket.last('bids-revealed')).toEqual({ type: 'bids-revealed', round: 1, bids: { Alice: 2, Bob: 0 } });
+    });
+  });
+
+  test('validates bids', () => {
+    const alice = connect(roomManager);
+    alice.sendMessage({ type: 'join', code: 'KRWX', name: 'Alice' });
+
+    alice.sendMessage({ type: 'submit-bid', bid: 1 });
+    expect(alice.last('error').message).toBe('Bidding is not open');
+
+    host.sendMessage({ type: 'start-round', round: 1, cardsDealt: 2 });
+    alice.sendMessage({ type: 'submit-bid', bid: 3 });
+    expect(alice.last('error').message).toBe('Bid must be a whole number from 0 to 2');
+
+    alice.sendMessage({ type: 'submit-bid', bid: 1 });
+    alice.sendMessage({ type: 'submit-bid', bid: 0 });
+    expect(alice.last('error').message).toBe('Your bid is already in');
+  });
+
+  test('only the host can start rounds', () => {
+    const alice = connect(roomManager);
+    alice.sendMessage({ type: 'join', code: 'KRWX', name: 'Alice' });
+    alice.sendMessage({ type: 'start-round', round: 1, cardsDealt: 1 });
+
+    expect(alice.last('error').message).toBe('Only the host can do that');
+  });
+
+  test('restores a rejoining player without revealing other bids', () => {
+    const alice = connect(roomManager);
+    alice.sendMessage({ type: 'join', code: 'KRWX', name: 'Alice' });
+    host.sendMessage({ type: 'start-round', round: 1, cardsDealt: 2 });
+    alice.sendMessage({ type: 'submit-bid', bid: 1 });
+    alice.close();
+    expect(host.last('player-left')).toEqual({ type: 'player-left', name: 'Alice' });
+
+    const aliceAgain = connect(roomManager);
+    aliceAgain.sendMessage({ type: 'join', code: 'KRWX', name: 'Alice' });
+    expect(aliceAgain.last('joined').round).toMatchObject({ myBid: 1, submitted: ['Alice'], bids: null });
+  });
+
+  test('closes the room when the host leaves', () => {
+    const alice = connect(roomManager);
+    alice.sendMessage({ type: 'join', code: 'KRWX', name: 'Alice' });
+    host.close();
+
+    expect(alice.last('room-closed')).toEqual({ type: 'room-closed' });
+    expect(roomManager.getRoom('KRWX')).toBeUndefined();
+  });
+});
+
+describe('HostSession', () => {
+  test('scores a round from revealed bids in the ScoreTracker', () => {
+    const roomManager = new RoomManager({ generateCode: () => 'BRIG' });
+    const tracker = new ScoreTracker();
+    const session = new HostSession(new InProcessSocket(roomManager), tracker);
+    const events = [];
+    session.addListener(type => events.push(type));
+
+    session.createRoom(['Alice', 'Bob']);
+    expect(session.roomCode).toBe('BRIG');
+
+    const alice = connect(roomManager);
+    const bob = connect(roomManager);
+    alice.sendMessage({ type: 'join', code: 'BRIG', name: 'Alice' });
+    bob.sendMessage({ type: 'join', code: 'BRIG', name: 'Bob' });
+    expect(Array.from(session.connectedPlayers)).toEqual(['Alice', 'Bob']);
+
+    session.startRound(1);
+    expect(() => session.recordTricks({ Alice: 1, Bob: 0 })).toThrow('Bids have not been revealed yet');
+
+    alice.sendMessage({ type: 'submit-bid', bid: 1 });
+    bob.sendMessage({ type: 'submit-bid', bid: 1 });
+    expect(session.round.bids).toEqual({ Alice: 1, Bob: 1 });
+
+    const results = session.recordTricks({ Alice: 1, Bob: 0 });
+    expect(results.Alice.score).toBe(20);
+    expect(results.Bob.score).toBe(-10);
+    expect(tracker.currentRound).toBe(1);
+    expect(bob.last('scores').standings).toEqual([
+      { name: 'Alice', totalScore: 20, rank: 1 },
+      { name: 'Bob', totalScore: -10, rank: 2 }
+    ]);
+    expect(events).toEqual(expect.arrayContaining(['room-created', 'player-joined', 'bid-status', 'bids-revealed']));
+  });
+
+  test('does not start a round while bidding is open', () => {
+    const roomManager = new RoomManager();
+    const session = new HostSession(new InProcessSocket(roomManager), new ScoreTracker());
+
+    expect(() => session.startRound(1)).toThrow('Create a room before starting a round');
+
+    session.createRoom(['Alice', 'Bob']);
+    session.startRound(1);
+    expect(() => session.startRound(1)).toThrow('Round 1 bidding is still open');
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Test suite for ohHell.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OhHell = require('../js/ohHell.js');
+
+describe('Oh Hell schedule', () => {
+  test('goes up to the largest hand and back down', () => {
+    expect(OhHell.getCardsPerRound(4)).toEqual([1, 2, 3, 4, 3, 2, 1]);
+  });
+
+  test('sizes the largest hand to the player count', () => {
+    expect(OhHell.getMaxCards(4)).toBe(10);
+    expect(OhHell.getMaxCards(6)).toBe(8);
+    expect(OhHell.getRoundCount(6)).toBe(15);
+    expect(OhHell.getCardsInRound(9, 6)).toBe(7);
+    expect(OhHell.getCardsInRound(16, 6)).toBe(0);
+    expect(() => OhHell.getMaxCards(1)).toThrow('Oh Hell needs at least 2 players');
+  });
+
+  test('declares no globals that roundSchedules.js also declares on the same page', () => {
+    const topLevelNames = file => Array.from(
+      fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8').matchAll(/^(?:function|const|let|class) (\w+)/gm),
+      match => match[1]
+    );
+    const scheduleNames = topLevelNames('roundSchedules.js');
+
+    expect(topLevelNames('ohHell.js').filter(name => scheduleNames.includes(name))).toEqual([]);
+  });
+});
+
+describe('hook rule', () => {
+  test('forbids the dealer bid that makes the total equal the cards dealt', () => {
+    expect(OhHell.getForbiddenDealerBid([1, 1], 5)).toBe(3);
+    expect(OhHell.checkHookRule([1, 3, 1], 1, 5)).toEqual({ isValid: false, forbiddenBid: 3 });
+    expect(OhHell.checkHookRule([1, 2, 1], 1, 5)).toEqual({ isValid: true, forbiddenBid: 3 });
+  });
+
+  test('allows any dealer bid once the others have overbid', () => {
+    expect(OhHell.getForbiddenDealerBid([3, 3], 5)).toBeNull();
+    expect(OhHell.checkHookRule([3, 3, 0], 2, 5).isValid).toBe(true);
+  });
+});
+
+describe('trump suits', () => {
+  test('looks up suits by id', () => {
+    expect(OhHell.getTrumpSuit('no-trump')).toEqual({ id: 'no-trump', name: 'No Trump' });
+    expect(() => OhHell.getTrumpSuit('stars')).toThrow('Unknown trump suit: stars');
+  });
+});
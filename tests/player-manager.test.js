@@ -164,6 +164,146 @@ describe('PlayerManager', () => {
     });
   });
 
+  describe('Mid-Game Changes', () => {
+    let alice;
+    let bob;
+
+    beforeEach(() => {
+      alice = playerManager.addPlayer('Alice').player;
+      bob = playerManager.addPlayer('Bob').player;
+      playerManager.addPlayer('Charlie');
+    });
+
+    test('should only allow joining, leaving and substituting once the game starts', () => {
+      expect(playerManager.joinGame('Dana').error).toBe('Game has not started; add players instead');
+      expect(playerManager.leaveGame(alice.id).error).toBe('Game has not started; remove players instead');
+      expect(playerManager.substitutePlayer(alice.id, 'Dana').error).toBe('Game has not started; edit the player instead');
+    });
+
+    test('should let a player join after the game starts', () => {
+      playerManager.startGame();
+
+      const result = playerManager.joinGame('Dana');
+      expect(result.success).toBe(true);
+      expect(result.player.joinedAfterRound).toBe(0);
+      expect(playerManager.getActivePlayers().map(p => p.name)).toEqual(['Alice', 'Bob', 'Charlie', 'Dana']);
+      expect(playerManager.joinGame('alice').error).toBe('Player name already exists');
+    });
+
+    test('should keep a player who leaves but take them out of the deal', () => {
+      playerManager.startGame();
+
+      expect(playerManager.leaveGame(bob.id).success).toBe(true);
+      expect(playerManager.getPlayers()).toHaveLength(3);
+      expect(playerManager.getActivePlayers().map(p => p.name)).toEqual(['Alice', 'Charlie']);
+      expect(playerManager.getSeating(2).dealer.name).toBe('Charlie');
+      expect(playerManager.leaveGame(bob.id).error).toBe('Player not found');
+      expect(playerManager.leaveGame(alice.id).error).toBe('At least 2 players must stay in the game');
+    });
+
+    test('should let a substitute take over a seat', () => {
+      playerManager.startGame();
+
+      const result = playerManager.substitutePlayer(bob.id, 'Dana');
+      expect(result.success).toBe(true);
+      expect(result.player.id).toBe(bob.id);
+      expect(result.player.name).toBe('Dana');
+      expect(result.player.previousNames).toEqual([{ name: 'Bob', untilRound: 0 }]);
+    });
+  });
+
+  describe('Seating', () => {
+    test('should reorder seats before the game starts', () => {
+      ['Alice', 'Bob', 'Charlie'].forEach(name => playerManager.addPlayer(name));
+
+      const result = playerManager.moveSeat(2, 0);
+      expect(result.success).toBe(true);
+      expect(playerManager.getPlayers().map(p => p.name)).toEqual(['Charlie', 'Alice', 'Bob']);
+      expect(playerManager.moveSeat(0, 5).error).toBe('Invalid seat: 5');
+    });
+
+    test('should rotate the deal from the chosen first dealer', () => {
+      playerManager.addPlayer('Alice');
+      const bob = playerManager.addPlayer('Bob').player;
+      playerManager.addPlayer('Charlie');
+
+      expect(playerManager.setFirstDealer(bob.id).success).toBe(true);
+      expect(playerManager.getFirstDealer().name).toBe('Bob');
+
+      const seating = playerManager.getSeating(3);
+      expect(seating.dealer.name).toBe('Alice');
+      expect(seating.lead.name).toBe('Bob');
+    });
+
+    test('should pick a random first dealer', () => {
+      ['Alice', 'Bob', 'Charlie', 'Dana'].forEach(name => playerManager.addPlayer(name));
+
+      playerManager.chooseRandomFirstDealer(() => 0.75);
+      expect(playerManager.getFirstDealer().name).toBe('Dana');
+      expect(playerManager.getFirstDealerSeat()).toBe(3);
+    });
+
+    test('should default to seat 1 dealing and lock seating once started', () => {
+      const alice = playerManager.addPlayer('Alice').player;
+      playerManager.addPlayer('Bob');
+      playerManager.startGame();
+
+      expect(playerManager.getFirstDealer().name).toBe('Alice');
+      expect(playerManager.moveSeat(0, 1).error).toBe('Cannot change seating after game has started');
+      expect(playerManager.setFirstDealer(alice.id).error).toBe('Cannot change seating after game has started');
+    });
+
+    test('should clear the first dealer when that player is removed', () => {
+      const alice = playerManager.addPlayer('Alice').player;
+      playerManager.addPlayer('Bob');
+      playerManager.setFirstDealer(alice.id);
+
+      playerManager.removePlayer(alice.id);
+      expect(playerManager.getFirstDealer()).toBeNull();
+    });
+  });
+
+  describe('Round Manager Integration', () => {
+    const RoundManager = require('../js/rounds.js').default;
+
+    test('should size a Wizard game from the player count', () => {
+      const roundManager = new RoundManager('wizard');
+      playerManager = new PlayerManager({ roundManager });
+      ['Alice', 'Bob', 'Charlie', 'Dana', 'Eve'].forEach(name => playerManager.addPlayer(name));
+
+      expect(playerManager.startGame().success).toBe(true);
+      expect(roundManager.getTotalRounds()).toBe(12);
+      expect(roundManager.isValidRound(12)).toBe(true);
+      expect(roundManager.isValidRound(13)).toBe(false);
+    });
+
+    test('should hand the seating to the round manager', () => {
+      const roundManager = new RoundManager();
+      playerManager = new PlayerManager({ roundManager });
+      playerManager.addPlayer('Alice');
+      playerManager.addPlayer('Bob');
+      playerManager.setFirstDealer(playerManager.addPlayer('Charlie').player.id);
+      playerManager.startGame();
+
+      expect(roundManager.getDealer()).toBe('Charlie');
+      expect(roundManager.getLeadPlayer()).toBe('Alice');
+      roundManager.completeHand();
+      roundManager.advanceRound();
+      expect(roundManager.getDealer()).toBe('Alice');
+    });
+
+    test('should not start a Wizard game the schedule cannot deal', () => {
+      playerManager = new PlayerManager({ roundManager: new RoundManager('wizard') });
+      playerManager.addPlayer('Alice');
+      playerManager.addPlayer('Bob');
+
+      const result = playerManager.startGame();
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Wizard is played with 3 to 6 players');
+      expect(playerManager.isGameStarted()).toBe(false);
+    });
+  });
+
   describe('Validation and Utility Methods', () => {
     test('should validate player setup correctly', () => {
       let validation = playerManager.validatePlayerSetup();
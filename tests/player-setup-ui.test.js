@@ -224,6 +224,51 @@ describe('PlayerSetupUI', () => {
     });
   });
 
+  describe('Seating', () => {
+    beforeEach(() => {
+      ['Alice', 'Bob', 'Charlie'].forEach(name => {
+        container.querySelector('#player-name-input').value = name;
+        container.querySelector('#add-player-btn').click();
+      });
+    });
+
+    const seatNames = () => Array.from(container.querySelectorAll('.player-item .player-name'))
+      .map(element => element.textContent);
+
+    test('should reorder seats by dragging a player onto another seat', () => {
+      const items = container.querySelectorAll('.player-item');
+      items[2].dispatchEvent(new Event('dragstart'));
+      items[0].dispatchEvent(new Event('drop'));
+
+      expect(seatNames()).toEqual(['Charlie', 'Alice', 'Bob']);
+      expect(container.querySelector('.player-item .seat-number').textContent).toBe('Seat 1');
+    });
+
+    test('should choose the first dealer', () => {
+      container.querySelectorAll('.set-dealer')[1].click();
+
+      expect(playerManager.getFirstDealer().name).toBe('Charlie');
+      expect(container.querySelector('.dealer-badge').closest('.player-item').querySelector('.player-name').textContent)
+        .toBe('Charlie');
+    });
+
+    test('should pick a random first dealer', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      container.querySelector('#random-dealer-btn').click();
+      Math.random.mockRestore();
+
+      expect(playerManager.getFirstDealer().name).toBe('Bob');
+    });
+
+    test('should lock seating after the game starts', () => {
+      container.querySelector('#start-game-btn').click();
+
+      expect(container.querySelector('.player-item[draggable]')).toBeNull();
+      expect(container.querySelector('.set-dealer')).toBeNull();
+      expect(container.querySelector('#random-dealer-btn').disabled).toBe(true);
+    });
+  });
+
   describe('Error Handling', () => {
     test('should clear error message when typing in input', () => {
       const input = container.querySelector('#player-name-input');
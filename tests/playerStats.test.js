@@ -0,0 +1,91 @@
+/**
+ * Test suite for playerStats.js
+ */
+
+const PlayerStats = require('../js/playerStats.js');
+
+describe('player statistics', () => {
+  const rounds = [
+    { round: 1, bid: 0, tricks: 0, score: 10, bonusPoints: 0 },
+    { round: 2, bid: 1, tricks: 1, score: 30, bonusPoints: 10 },
+    { round: 3, bid: 2, tricks: 2, score: 40, bonusPoints: 0 },
+    { round: 4, bid: 3, tricks: 1, score: -20, bonusPoints: 0 },
+    { round: 5, bid: 0, tricks: 1, score: -50, bonusPoints: 0 },
+    { round: 6, bid: 4, tricks: 1, score: -30, bonusPoints: 0 }
+  ];
+
+  test('measures exact and zero bids', () => {
+    const stats = PlayerStats.calculatePlayerStats(rounds);
+
+    expect(stats.roundsPlayed).toBe(6);
+    expect(stats.exactBids).toBe(3);
+    expect(stats.exactBidRate).toBe(0.5);
+    expect(stats.zeroBids).toBe(2);
+    expect(stats.zeroBidSuccesses).toBe(1);
+    expect(stats.zeroBidRate).toBe(0.5);
+  });
+
+  test('measures misses and bidding tendency', () => {
+    const stats = PlayerStats.calculatePlayerStats(rounds);
+
+    expect(stats.averageMiss).toBe(2); // misses of 2, 1 and 3
+    expect(stats.overbids).toBe(2);
+    expect(stats.underbids).toBe(1);
+    expect(stats.tendency).toBe('over');
+  });
+
+  test('finds best and worst rounds, exact streak and bonus points', () => {
+    const stats = PlayerStats.calculatePlayerStats(rounds);
+
+    expect(stats.bestRound).toEqual({ round: 3, score: 40 });
+    expect(stats.worstRound).toEqual({ round: 5, score: -50 });
+    expect(stats.longestExactStreak).toBe(3);
+    expect(stats.bonusPoints).toBe(10);
+  });
+
+  test('has no rates before any rounds are played', () => {
+    const stats = PlayerStats.calculatePlayerStats([]);
+
+    expect(stats.exactBidRate).toBeNull();
+    expect(stats.zeroBidRate).toBeNull();
+    expect(stats.averageMiss).toBeNull();
+    expect(stats.tendency).toBeNull();
+    expect(stats.bestRound).toBeNull();
+    expect(PlayerStats.formatRate(stats.exactBidRate)).toBe('–');
+    expect(PlayerStats.formatRate(2 / 3)).toBe('67%');
+  });
+
+  test('collects rounds from the app round history', () => {
+    const gameHistory = [
+      { round: 1, data: [{ name: 'Alice', bid: 1, tricks: 1 }, { name: 'Bob', bid: 0, tricks: 1 }] },
+      { round: 2, data: [{ name: 'Bob', bid: 2, tricks: 2 }] }
+    ];
+    const alice = { name: 'Alice', roundScores: [{ round: 1, score: 20 }] };
+
+    expect(PlayerStats.collectHistoryRounds(gameHistory, alice)).toEqual([
+      { round: 1, bid: 1, tricks: 1, score: 20, bonusPoints: 0 }
+    ]);
+  });
+
+  test('ranks the best bidder by exact rate, then by average miss', () => {
+    const rankings = PlayerStats.rankBidders([
+      { name: 'Alice', stats: { exactBidRate: 0.5, averageMiss: 2, roundsPlayed: 4 } },
+      { name: 'Bob', stats: { exactBidRate: 0.75, averageMiss: 3, roundsPlayed: 4 } },
+      { name: 'Cara', stats: { exactBidRate: 0.5, averageMiss: 1, roundsPlayed: 4 } }
+    ]);
+
+    expect(rankings.map(r => [r.name, r.rank])).toEqual([['Bob', 1], ['Cara', 2], ['Alice', 3]]);
+    expect(rankings[0].isBestBidder).toBe(true);
+    expect(rankings[1].isBestBidder).toBe(false);
+  });
+
+  test('formats a stats table row with the player name escaped', () => {
+    const stats = PlayerStats.calculatePlayerStats(rounds);
+    const row = PlayerStats.formatStatsRow({ name: '<b>Al</b>', stats, isBestBidder: true });
+    const cells = Array.from(row.matchAll(/<td class="[^"]+">(.*?)<\/td>/g)).map(match => match[1]);
+
+    expect(cells).toEqual([
+      '🎯 &lt;b&gt;Al&lt;/b&gt;', '50% (3/6)', '50% (1/2)', '2.0', 'Overbids', '40 (R3)', '-50 (R5)', '3', '10'
+    ]);
+  });
+});
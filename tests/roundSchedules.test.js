@@ -0,0 +1,58 @@
+/**
+ * Test suite for roundSchedules.js
+ */
+
+const RoundSchedules = require('../js/roundSchedules.js');
+
+describe('round schedules', () => {
+  test('lists the official variants', () => {
+    const ids = RoundSchedules.listRoundSchedules().map(schedule => schedule.id);
+    expect(ids).toEqual([
+      'standard',
+      'even-keeled',
+      'skip-to-the-brawl',
+      'swift-n-salty',
+      'broadside',
+      'whirlpool',
+      'bedtime'
+    ]);
+  });
+
+  test('standard schedule deals N cards in round N', () => {
+    expect(RoundSchedules.getTotalRounds()).toBe(10);
+    expect(RoundSchedules.getRoundSchedule().cardsPerRound).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  });
+
+  test('variants set cards dealt and number of rounds', () => {
+    expect(RoundSchedules.getRoundSchedule('even-keeled').cardsPerRound).toEqual([2, 4, 6, 8, 10]);
+    expect(RoundSchedules.getRoundSchedule('skip-to-the-brawl').cardsPerRound).toEqual([6, 7, 8, 9, 10]);
+    expect(RoundSchedules.getTotalRounds('swift-n-salty')).toBe(5);
+    expect(RoundSchedules.getCardsForRound(3, 'broadside')).toBe(10);
+    expect(RoundSchedules.getCardsForRound(1, 'whirlpool')).toBe(10);
+    expect(RoundSchedules.getCardsForRound(10, 'whirlpool')).toBe(1);
+    expect(RoundSchedules.getTotalRounds('bedtime')).toBe(1);
+  });
+
+  test('returns 0 cards outside the schedule', () => {
+    expect(RoundSchedules.getCardsForRound(6, 'even-keeled')).toBe(0);
+  });
+
+  test('rejects unknown and malformed schedules', () => {
+    expect(() => RoundSchedules.getRoundSchedule('marathon')).toThrow('Unknown round schedule: marathon');
+    expect(() => RoundSchedules.registerRoundSchedule({ id: 'empty', name: 'Empty', cardsPerRound: [] }))
+      .toThrow('Round schedule empty must deal a positive whole number of cards every round');
+  });
+
+  test('sizes the Wizard schedule from the player count', () => {
+    expect(RoundSchedules.getScheduleForPlayers('wizard', 3).cardsPerRound).toHaveLength(20);
+    expect(RoundSchedules.getScheduleForPlayers('wizard', 4).cardsPerRound).toHaveLength(15);
+    expect(RoundSchedules.getScheduleForPlayers('wizard', 6).cardsPerRound).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(RoundSchedules.getScheduleForPlayers('even-keeled', 4).cardsPerRound).toEqual([2, 4, 6, 8, 10]);
+    expect(() => RoundSchedules.getScheduleForPlayers('wizard', 7)).toThrow('Wizard is played with 3 to 6 players');
+  });
+
+  test('registers custom schedules', () => {
+    RoundSchedules.registerRoundSchedule({ id: 'odd-only', name: 'Odd Only', cardsPerRound: [1, 3, 5] });
+    expect(RoundSchedules.getTotalRounds('odd-only')).toBe(3);
+  });
+});
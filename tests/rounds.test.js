@@ -22,6 +22,59 @@ function runTests() {
     // Test cannot advance without completing all hands
     console.assert(rm.canAdvanceRound() === false, 'Should not advance with incomplete hands');
     
+    // Test round schedules
+    const evenKeeled = new RoundManager('even-keeled');
+    console.assert(evenKeeled.getTotalRounds() === 5, 'Even Keeled should have 5 rounds');
+    console.assert(evenKeeled.getMaxHands() === 2, 'Even Keeled round 1 should allow 2 hands');
+    console.assert(evenKeeled.isValidRound(5) === true, 'Round 5 should be valid in Even Keeled');
+    console.assert(evenKeeled.isValidRound(6) === false, 'Round 6 should be invalid in Even Keeled');
+    
+    const bedtime = new RoundManager('bedtime');
+    bedtime.completeHand();
+    console.assert(bedtime.advanceRound() === false, 'Bedtime should not advance past its only round');
+    
+    // Test Wizard schedule sized from the player count
+    const wizard = new RoundManager('wizard');
+    console.assert(wizard.getTotalRounds() === 0, 'Wizard should have no rounds until the players are known');
+    wizard.setPlayerCount(4);
+    console.assert(wizard.getTotalRounds() === 15, 'Four-player Wizard should have 15 rounds');
+    console.assert(wizard.isValidRound(15) === true, 'Round 15 should be valid in four-player Wizard');
+    console.assert(wizard.isValidRound(16) === false, 'Round 16 should be invalid in four-player Wizard');
+    
+    // Test resuming a game part-way through
+    const resumed = new RoundManager('wizard');
+    resumed.resumeAt(4, 5);
+    console.assert(resumed.getCurrentRound() === 4, 'Should resume at round 4');
+    console.assert(resumed.getMaxHands() === 4, 'Resumed round 4 should allow 4 hands');
+    console.assert(resumed.getTotalRounds() === 12, 'Five-player Wizard should have 12 rounds');
+    let resumeError = null;
+    try {
+        resumed.resumeAt(13);
+    } catch (error) {
+        resumeError = error.message;
+    }
+    console.assert(resumeError === 'Invalid round: 13', 'Should not resume past the last round');
+    console.assert(resumed.getCurrentRound() === 4, 'Failed resume should keep the current round');
+
+    // Test game lengths
+    const shortGame = new RoundManager();
+    shortGame.setEndCondition({ mode: 'rounds', rounds: 3 });
+    console.assert(shortGame.getTotalRounds() === 3, 'A 3-round game should have 3 rounds');
+    console.assert(shortGame.isValidRound(4) === false, 'Round 4 should be invalid in a 3-round game');
+    let lengthError = null;
+    try {
+        shortGame.setEndCondition({ mode: 'rounds', rounds: 11 });
+    } catch (error) {
+        lengthError = error.message;
+    }
+    console.assert(lengthError === 'The Standard schedule only has 10 rounds', 'Should not play more rounds than the schedule');
+
+    const targetGame = new RoundManager('even-keeled');
+    targetGame.setEndCondition({ mode: 'target-score', targetScore: 300 });
+    console.assert(targetGame.getTotalRounds() === Infinity, 'A target score game should have no last round');
+    targetGame.resumeAt(6, 4);
+    console.assert(targetGame.getMaxHands() === 2, 'Round 6 should deal the schedule again from the start');
+
     console.log('All tests passed!');
 }
 
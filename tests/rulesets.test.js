@@ -0,0 +1,95 @@
+/**
+ * Test suite for rulesets.js
+ */
+
+const Rulesets = require('../js/rulesets.js');
+
+describe('ruleset registry', () => {
+  test('lists the built-in rulesets', () => {
+    const ids = Rulesets.listRulesets().map(ruleset => ruleset.id);
+    expect(ids).toEqual(['skull-king-classic', 'skull-king-rascal', 'oh-hell', 'wizard', 'spades']);
+  });
+
+  test('defaults to Skull King classic', () => {
+    expect(Rulesets.DEFAULT_RULESET_ID).toBe('skull-king-classic');
+    expect(Rulesets.getRuleset().name).toBe('Skull King (Classic)');
+  });
+
+  test('rejects unknown rulesets', () => {
+    expect(Rulesets.hasRuleset('cribbage')).toBe(false);
+    expect(() => Rulesets.getRuleset('cribbage')).toThrow('Unknown ruleset: cribbage');
+  });
+
+  test('registers custom rulesets', () => {
+    Rulesets.registerRuleset({
+      id: 'flat-ten',
+      name: 'Flat Ten',
+      calculateScore: (bid, tricksTaken) => (bid === tricksTaken ? 10 : 0),
+      getScoringReason: (bid, tricksTaken) => (bid === tricksTaken ? 'Hit: +10' : 'Miss: +0')
+    });
+
+    expect(Rulesets.hasRuleset('flat-ten')).toBe(true);
+    expect(Rulesets.calculateScore(2, 2, 5, 'flat-ten')).toBe(10);
+    expect(Rulesets.getScoringReason(2, 1, 5, 'flat-ten')).toBe('Miss: +0');
+  });
+
+  test('rejects incomplete rulesets', () => {
+    expect(() => Rulesets.registerRuleset({ name: 'No id' })).toThrow('Ruleset must have a non-empty id');
+    expect(() => Rulesets.registerRuleset({ id: 'no-name' })).toThrow('Ruleset no-name must have a name');
+    expect(() => Rulesets.registerRuleset({ id: 'no-math', name: 'No math' }))
+      .toThrow('Ruleset no-math must implement calculateScore and getScoringReason');
+  });
+});
+
+describe('built-in rulesets', () => {
+  test('Skull King classic', () => {
+    expect(Rulesets.calculateScore(3, 3, 7, 'skull-king-classic')).toBe(60);
+    expect(Rulesets.calculateScore(3, 1, 7, 'skull-king-classic')).toBe(-20);
+    expect(Rulesets.calculateScore(0, 0, 7, 'skull-king-classic')).toBe(70);
+    expect(Rulesets.calculateScore(0, 2, 7, 'skull-king-classic')).toBe(-70);
+  });
+
+  test('Skull King Rascal grapeshot pays full, half or nothing', () => {
+    expect(Rulesets.calculateScore(3, 3, 7, 'skull-king-rascal')).toBe(70);
+    expect(Rulesets.calculateScore(3, 2, 7, 'skull-king-rascal', { wager: 'grapeshot' })).toBe(35);
+    expect(Rulesets.calculateScore(3, 1, 7, 'skull-king-rascal')).toBe(0);
+    expect(Rulesets.getScoringReason(3, 4, 6, 'skull-king-rascal'))
+      .toBe('Grapeshot glancing blow (1 off): half of 60 = +30');
+  });
+
+  test('Skull King Rascal cannonball is all-or-nothing', () => {
+    const cannonball = { wager: 'cannonball' };
+    expect(Rulesets.calculateScore(3, 3, 7, 'skull-king-rascal', cannonball)).toBe(105);
+    expect(Rulesets.calculateScore(3, 2, 7, 'skull-king-rascal', cannonball)).toBe(0);
+    expect(Rulesets.getScoringReason(3, 3, 7, 'skull-king-rascal', cannonball))
+      .toBe('Cannonball direct hit: +15 × 7 cards = +105');
+    expect(Rulesets.getScoringReason(3, 2, 7, 'skull-king-rascal', cannonball)).toBe('Cannonball miss (1 off): +0');
+  });
+
+  test('lists wagers for rulesets that use them', () => {
+    expect(Rulesets.getWagers('skull-king-rascal').map(wager => wager.id)).toEqual(['grapeshot', 'cannonball']);
+    expect(Rulesets.getWagers('skull-king-classic')).toEqual([]);
+    expect(() => Rulesets.calculateScore(1, 1, 3, 'skull-king-rascal', { wager: 'broadside' }))
+      .toThrow('Unknown wager for Skull King (Rascal): broadside');
+  });
+
+  test('Oh Hell', () => {
+    expect(Rulesets.calculateScore(2, 2, 5, 'oh-hell')).toBe(12);
+    expect(Rulesets.calculateScore(2, 3, 5, 'oh-hell')).toBe(3);
+    expect(Rulesets.getScoringReason(2, 2, 5, 'oh-hell')).toBe('Made bid: 10 + 2 tricks = +12');
+  });
+
+  test('Wizard', () => {
+    expect(Rulesets.calculateScore(0, 0, 5, 'wizard')).toBe(20);
+    expect(Rulesets.calculateScore(2, 2, 5, 'wizard')).toBe(40);
+    expect(Rulesets.calculateScore(2, 5, 5, 'wizard')).toBe(-30);
+  });
+
+  test('Spades', () => {
+    expect(Rulesets.calculateScore(4, 6, 13, 'spades')).toBe(42);
+    expect(Rulesets.calculateScore(4, 3, 13, 'spades')).toBe(-40);
+    expect(Rulesets.calculateScore(0, 0, 13, 'spades')).toBe(100);
+    expect(Rulesets.calculateScore(0, 1, 13, 'spades')).toBe(-100);
+    expect(Rulesets.getScoringReason(4, 6, 13, 'spades')).toBe('Bid made: +10 × 4 bid + 2 overtricks = +42');
+  });
+});
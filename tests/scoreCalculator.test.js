@@ -66,12 +66,70 @@ describe('ScoreCalculator', () => {
       expect(results[0].scoringReason).toBe('Correct bid: +20 × 2 tricks = +40');
     });
 
+    it('should add bonuses only for exact bids', () => {
+      const players = [
+        { name: 'Alice', bid: 1, actualTricks: 1, bonus: { blackFourteen: 1 } },
+        { name: 'Bob', bid: 1, actualTricks: 0, bonus: 10 },
+        { name: 'Cara', bid: 0, actualTricks: 0 }
+      ];
+      const results = ScoreCalculator.calculateRoundScores(players, 1);
+
+      expect(results.map(r => r.bonusPoints)).toEqual([20, 0, 0]);
+      expect(results.map(r => r.score)).toEqual([40, -10, 10]);
+    });
+
+    it('should score a Harry the Giant adjusted bid', () => {
+      const players = [
+        { name: 'Alice', bid: 1, actualTricks: 2 },
+        { name: 'Bob', bid: 1, actualTricks: 0 }
+      ];
+      const adjusted = ScoreCalculator.applyBidAdjustment(players, { player: 'Alice', change: 1 }, 2);
+      const results = ScoreCalculator.calculateRoundScores(adjusted, 2);
+
+      expect(results[0].bidAdjustment).toEqual({ player: 'Alice', change: 1, from: 1, to: 2 });
+      expect(results.map(r => r.score)).toEqual([40, -10]);
+      expect(players[0].bid).toBe(1);
+      expect(() => ScoreCalculator.applyBidAdjustment(players, { player: 'Bob', change: -2 }, 2))
+        .toThrow('Bid adjustment must be -1, 0 or +1');
+    });
+
     it('should throw error for invalid player data', () => {
       expect(() => ScoreCalculator.calculateRoundScores('not array', 5)).toThrow('Players must be an array');
       expect(() => ScoreCalculator.calculateRoundScores([{ name: 'Test' }], 5)).toThrow('Each player must have bid and actualTricks properties');
     });
   });
 
+  describe('rulesets', () => {
+    it('should score with the selected ruleset', () => {
+      expect(ScoreCalculator.calculateScore(2, 2, 5, 'oh-hell')).toBe(12);
+      expect(ScoreCalculator.calculateScore(2, 2, 5, 'wizard')).toBe(40);
+      expect(ScoreCalculator.calculateScore(2, 1, 5, 'skull-king-rascal')).toBe(25);
+    });
+
+    it('should pass the ruleset through round scoring', () => {
+      const players = [{ name: 'Test', bid: 2, actualTricks: 2 }];
+      const results = ScoreCalculator.calculateRoundScores(players, 5, 'oh-hell');
+      expect(results[0].score).toBe(12);
+      expect(results[0].scoringReason).toBe('Made bid: 10 + 2 tricks = +12');
+    });
+
+    it('should score Rascal wagers per player', () => {
+      const players = [
+        { name: 'Alice', bid: 2, actualTricks: 2, wager: 'cannonball' },
+        { name: 'Bob', bid: 2, actualTricks: 1, wager: 'cannonball' },
+        { name: 'Charlie', bid: 2, actualTricks: 1, wager: 'grapeshot' }
+      ];
+      const results = ScoreCalculator.calculateRoundScores(players, 4, 'skull-king-rascal');
+
+      expect(results.map(r => r.score)).toEqual([60, 0, 20]);
+      expect(results[1].scoringReason).toBe('Cannonball miss (1 off): +0');
+    });
+
+    it('should throw error for unknown rulesets', () => {
+      expect(() => ScoreCalculator.calculateScore(2, 2, 5, 'cribbage')).toThrow('Unknown ruleset: cribbage');
+    });
+  });
+
   describe('getScoringReason', () => {
     it('should provide correct explanations for all scoring scenarios', () => {
       expect(ScoreCalculator.getScoringReason(2, 2, 7)).toBe('Correct bid: +20 × 2 tricks = +40');
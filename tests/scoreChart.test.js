@@ -0,0 +1,110 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import ScoreDisplay from '../src/ui/ScoreDisplay.js';
+import ScoreTracker from '../src/core/ScoreTracker.js';
+import { buildChartData, describePoint, renderScoreChart } from '../src/ui/scoreChart.js';
+
+describe('score chart data', () => {
+  const rounds = [
+    { roundNumber: 1, scores: { Alice: 20, Bob: 10 }, results: { Alice: { bid: 1, tricks: 1 }, Bob: { bid: 0, tricks: 0 } } },
+    { roundNumber: 2, scores: { Alice: -20, Bob: 30 } },
+    { roundNumber: 3, scores: { Alice: 40, Bob: -10 } }
+  ];
+
+  test('tracks each player\'s running total', () => {
+    const { series } = buildChartData(rounds, ['Alice', 'Bob']);
+
+    expect(series[0].points.map(point => point.total)).toEqual([20, 0, 40]);
+    expect(series[1].points.map(point => point.total)).toEqual([10, 40, 30]);
+    expect(series[0].color).not.toBe(series[1].color);
+  });
+
+  test('marks the rounds where the lead changes', () => {
+    expect(buildChartData(rounds, ['Alice', 'Bob']).leaderChanges).toEqual([
+      { round: 2, leaders: ['Bob'] },
+      { round: 3, leaders: ['Alice'] }
+    ]);
+  });
+
+  test('describes a point with bid, tricks and score', () => {
+    const { series } = buildChartData(rounds, ['Alice', 'Bob']);
+
+    expect(describePoint('Alice', series[0].points[0])).toBe('Alice — Round 1: bid 1, took 1, +20 (total 20)');
+    expect(describePoint('Alice', series[0].points[1])).toBe('Alice — Round 2: -20 (total 0)');
+  });
+
+  test('starts a late joiner\'s line from their starting score', () => {
+    const lateRounds = [...rounds, { roundNumber: 4, scores: { Alice: 10, Charlie: 30 } }];
+    const { series, roundNumbers } = buildChartData(lateRounds, ['Alice', 'Bob', 'Charlie'], { Charlie: 30 });
+
+    expect(series[1].points).toHaveLength(3);
+    expect(series[2].startingScore).toBe(30);
+    expect(series[2].points).toEqual([{ round: 4, position: 4, score: 30, total: 60, bid: null, tricks: null }]);
+    expect(roundNumbers).toEqual([1, 2, 3, 4]);
+  });
+
+  test('renders one line per visible player', () => {
+    const chartData = buildChartData(rounds, ['Alice', 'Bob']);
+    const container = document.createElement('div');
+    container.innerHTML = renderScoreChart(chartData, { hiddenPlayers: new Set(['Bob']) });
+
+    expect(container.querySelectorAll('polyline.chart-line')).toHaveLength(1);
+    expect(container.querySelectorAll('.chart-point')).toHaveLength(3);
+    expect(container.querySelectorAll('.leader-change')).toHaveLength(2);
+    expect(container.querySelectorAll('.legend-toggle')).toHaveLength(2);
+    expect(container.querySelector('.legend-toggle[data-player="Bob"]').getAttribute('aria-pressed')).toBe('false');
+  });
+});
+
+describe('ScoreDisplay score chart', () => {
+  let scoreTracker;
+  let scoreDisplay;
+  let container;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="scores"></div>';
+    container = document.getElementById('scores');
+    scoreTracker = new ScoreTracker();
+    scoreTracker.initializePlayers(['Alice', 'Bob']);
+    scoreTracker.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 1, tricks: 0 } }, 1);
+    scoreTracker.addRoundResults({ Alice: { bid: 2, tricks: 0 }, Bob: { bid: 2, tricks: 2 } }, 2);
+    scoreDisplay = new ScoreDisplay(scoreTracker);
+    scoreDisplay.initialize(container);
+  });
+
+  test('renders the chart once rounds are scored', () => {
+    expect(container.querySelector('.score-chart h3').textContent).toBe('Score Progression');
+    expect(container.querySelectorAll('svg polyline.chart-line')).toHaveLength(2);
+    expect(container.querySelector('.leader-change').getAttribute('data-round')).toBe('2');
+  });
+
+  test('shows a round\'s bid, tricks and score on hover and tap', () => {
+    const point = container.querySelector('.chart-point[data-player="Bob"][data-round="2"]');
+    point.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    expect(container.querySelector('.chart-tooltip').textContent).toBe('Bob — Round 2: bid 2, took 2, +40 (total 30)');
+
+    const first = container.querySelector('.chart-point[data-player="Alice"][data-round="1"]');
+    first.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(container.querySelector('.chart-tooltip').textContent).toBe('Alice — Round 1: bid 1, took 1, +20 (total 20)');
+  });
+
+  test('toggles players from the legend', () => {
+    container.querySelector('.legend-toggle[data-player="Alice"]').click();
+    expect(container.querySelectorAll('.chart-series')).toHaveLength(1);
+    expect(container.querySelector('.chart-series').getAttribute('data-player')).toBe('Bob');
+
+    container.querySelector('.legend-toggle[data-player="Alice"]').click();
+    expect(container.querySelectorAll('.chart-series')).toHaveLength(2);
+  });
+
+  test('does not render the chart before any rounds', () => {
+    const emptyTracker = new ScoreTracker();
+    emptyTracker.initializePlayers(['Alice', 'Bob']);
+    const emptyDisplay = new ScoreDisplay(emptyTracker);
+    emptyDisplay.initialize(document.createElement('div'));
+
+    expect(emptyDisplay.container.querySelector('.score-chart')).toBeNull();
+  });
+});
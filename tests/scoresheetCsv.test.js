@@ -0,0 +1,118 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import ScoreDisplay from '../src/ui/ScoreDisplay.js';
+import ScoreTracker from '../src/core/ScoreTracker.js';
+import { escapeCsvField, toCsv, exportScoresheetCsv } from '../src/core/scoresheetCsv.js';
+
+describe('Scoresheet CSV', () => {
+  let scoreTracker;
+
+  beforeEach(() => {
+    scoreTracker = new ScoreTracker();
+    scoreTracker.initializePlayers(['Smith, Anna', 'Bob "The Kraken"']);
+    scoreTracker.addRoundResults({
+      'Smith, Anna': { bid: 1, tricks: 1, bonus: { standardFourteens: 1 } },
+      'Bob "The Kraken"': { bid: 0, tricks: 1 }
+    }, 1);
+    scoreTracker.addRoundResults({
+      'Smith, Anna': { bid: 0, tricks: 1 },
+      'Bob "The Kraken"': { bid: 2, tricks: 2 }
+    }, 2);
+  });
+
+  test('escapes commas, quotes and line breaks', () => {
+    expect(escapeCsvField('Alice')).toBe('Alice');
+    expect(escapeCsvField('Smith, Anna')).toBe('"Smith, Anna"');
+    expect(escapeCsvField('Bob "The Kraken"')).toBe('"Bob ""The Kraken"""');
+    expect(escapeCsvField('two\nlines')).toBe('"two\nlines"');
+    expect(escapeCsvField(-10)).toBe('-10');
+    expect(escapeCsvField(null)).toBe('');
+    expect(toCsv([['a', 'b,c'], [1, null]])).toBe('a,"b,c"\r\n1,');
+  });
+
+  test('long layout has one row per player per round in standings order', () => {
+    const lines = scoreTracker.exportCsv().split('\r\n');
+
+    expect(lines).toEqual([
+      'Round,Cards Dealt,Player,Bid,Tricks,Base Score,Bonus,Round Total,Running Total,Rank,Voided By',
+      '1,1,"Bob ""The Kraken""",0,1,-10,0,-10,-10,2,',
+      '1,1,"Smith, Anna",1,1,20,10,30,30,1,',
+      '2,2,"Bob ""The Kraken""",2,2,40,0,40,30,1,',
+      '2,2,"Smith, Anna",0,1,-20,0,-20,10,2,'
+    ]);
+  });
+
+  test('long layout leaves result columns blank for score-only rounds and shares tied ranks', () => {
+    const tracker = new ScoreTracker();
+    tracker.initializePlayers(['Alice', 'Bob']);
+    tracker.addRoundScores({ Alice: 20, Bob: 20 });
+
+    expect(tracker.exportCsv('long').split('\r\n')[1]).toBe('1,,Alice,,,,,20,20,1,');
+    expect(tracker.exportCsv('long').split('\r\n')[2]).toBe('1,,Bob,,,,,20,20,1,');
+  });
+
+  test('long layout names the cards that destroyed a trick', () => {
+    scoreTracker.addRoundResults({
+      'Smith, Anna': { bid: 1, tricks: 1 },
+      'Bob "The Kraken"': { bid: 0, tricks: 0 }
+    }, 3, { voidedBy: ['kraken', 'whiteWhale'] });
+
+    expect(scoreTracker.exportCsv('long').split('\r\n').slice(5)).toEqual([
+      '3,3,"Bob ""The Kraken""",0,0,30,0,30,60,1,Kraken; White Whale',
+      '3,3,"Smith, Anna",1,1,20,0,20,30,2,Kraken; White Whale'
+    ]);
+  });
+
+  test('wide layout mirrors the breakdown table', () => {
+    expect(scoreTracker.exportCsv('wide').split('\r\n')).toEqual([
+      'Round,"Bob ""The Kraken""","Smith, Anna"',
+      'R1,-10,30',
+      'R2,40,-20',
+      'Total,30,10'
+    ]);
+  });
+
+  test('leaves out rounds a player sat out and starts late joiners from their starting score', () => {
+    const tracker = new ScoreTracker();
+    tracker.initializePlayers(['Alice', 'Bob']);
+    tracker.addRoundScores({ Alice: 20, Bob: 40 });
+    tracker.addPlayer('Charlie', { startingScore: 'average' });
+    tracker.removePlayer('Bob');
+    tracker.addRoundScores({ Alice: 10, Charlie: 20 });
+
+    expect(tracker.exportCsv('long').split('\r\n').slice(3)).toEqual([
+      '2,,Charlie,,,,,20,50,1,',
+      '2,,Alice,,,,,10,30,3,'
+    ]);
+    expect(tracker.exportCsv('wide').split('\r\n')).toEqual([
+      'Round,Charlie,Bob,Alice',
+      'R1,,40,20',
+      'R2,20,,10',
+      'Total,50,40,30'
+    ]);
+  });
+
+  test('rejects unknown layouts', () => {
+    expect(() => exportScoresheetCsv([], [], 'tall')).toThrow('Unknown CSV layout: tall');
+  });
+
+  test('ScoreDisplay offers both layouts for download', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    URL.createObjectURL = jest.fn(() => 'blob:scoresheet');
+    URL.revokeObjectURL = jest.fn();
+    const display = new ScoreDisplay(scoreTracker);
+    display.initialize(container);
+
+    const buttons = container.querySelectorAll('.export-csv');
+    expect(Array.from(buttons).map(button => button.getAttribute('data-layout'))).toEqual(['long', 'wide']);
+
+    const spy = jest.spyOn(display, 'downloadCsv');
+    buttons[1].click();
+    expect(spy).toHaveBeenCalledWith('wide');
+    expect(spy.mock.results[0].value).toBe(scoreTracker.exportCsv('wide'));
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:scoresheet');
+  });
+});
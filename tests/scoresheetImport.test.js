@@ -0,0 +1,171 @@
+import RoundManager from '../js/rounds.js';
+import ScoreTracker from '../src/core/ScoreTracker.js';
+import { importScoresheetCsv } from '../src/core/scoresheetImport.js';
+
+describe('Scoresheet CSV import', () => {
+  const paperSheet = [
+    'Player,Round,Bid,Tricks,Bonus',
+    'Alice,1,1,1,10',
+    'Bob,1,0,0,',
+    'Alice,2,0,1,',
+    'Bob,2,1,1,'
+  ].join('\n');
+
+  test('scores each round and moves the round manager to the next round', () => {
+    const roundManager = new RoundManager();
+    const result = importScoresheetCsv(paperSheet, { roundManager });
+
+    expect(result.success).toBe(true);
+    expect(result.players).toEqual(['Alice', 'Bob']);
+    expect(result.nextRound).toBe(3);
+    expect(result.tracker.getRoundBreakdown().map(round => round.scores)).toEqual([
+      { Alice: 30, Bob: 10 },
+      { Alice: -20, Bob: 20 }
+    ]);
+    expect(result.tracker.canUndo()).toBe(false);
+    expect(roundManager.getCurrentRound()).toBe(3);
+    expect(roundManager.getMaxHands()).toBe(3);
+  });
+
+  test('maps column headers in any order and case, with quoted names', () => {
+    const csv = 'took,Name,BID,round number\r\n1,"Smith, Anna",1,R1\r\n0,Bob,0,R1\r\n';
+    const result = importScoresheetCsv(csv, { roundManager: new RoundManager() });
+
+    expect(result.success).toBe(true);
+    expect(result.tracker.getCurrentStandings().map(player => player.name)).toEqual(['Smith, Anna', 'Bob']);
+  });
+
+  test('reads back its own long-layout export', () => {
+    const tracker = new ScoreTracker();
+    tracker.initializePlayers(['Alice', 'Bob']);
+    tracker.addRoundResults({ Alice: { bid: 2, tricks: 2 }, Bob: { bid: 1, tricks: 1 } }, 3);
+
+    const result = importScoresheetCsv(tracker.exportCsv('long'));
+    expect(result.success).toBe(true);
+    expect(result.nextRound).toBe(2);
+    expect(result.tracker.getCurrentStandings()).toEqual(tracker.getCurrentStandings());
+  });
+
+  test('reads back rounds where the Kraken or White Whale destroyed a trick', () => {
+    const tracker = new ScoreTracker();
+    tracker.initializePlayers(['Alice', 'Bob']);
+    tracker.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 0, tricks: 0 } }, 2, { voidedBy: ['kraken'] });
+    tracker.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 0, tricks: 0 } }, 3, { voidedBy: ['kraken', 'whiteWhale'] });
+
+    const result = importScoresheetCsv(tracker.exportCsv('long'));
+    expect(result.success).toBe(true);
+    expect(result.tracker.getRoundBreakdown().map(round => round.voidedBy)).toEqual([['kraken'], ['kraken', 'whiteWhale']]);
+    expect(result.tracker.getCurrentStandings()).toEqual(tracker.getCurrentStandings());
+  });
+
+  test('reads back the export of a game players joined and left', () => {
+    const tracker = new ScoreTracker();
+    tracker.initializePlayers(['Alice', 'Bob', 'Cara']);
+    tracker.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 0, tricks: 0 }, Cara: { bid: 0, tricks: 0 } }, 1);
+    tracker.addPlayer('Dan', { startingScore: 'average' });
+    tracker.addRoundResults({ Alice: { bid: 1, tricks: 1 }, Bob: { bid: 1, tricks: 1 }, Cara: { bid: 0, tricks: 0 }, Dan: { bid: 0, tricks: 0 } }, 2);
+    tracker.removePlayer('Cara');
+    tracker.addRoundResults({ Alice: { bid: 2, tricks: 1 }, Bob: { bid: 0, tricks: 1 }, Dan: { bid: 1, tricks: 1 } }, 3);
+
+    const result = importScoresheetCsv(tracker.exportCsv('long'));
+
+    expect(result.success).toBe(true);
+    expect(result.tracker.getCurrentStandings()).toEqual(tracker.getCurrentStandings());
+    expect(result.tracker.getRoundBreakdown().map(round => Object.keys(round.scores).sort())).toEqual([
+      ['Alice', 'Bob', 'Cara'],
+      ['Alice', 'Bob', 'Cara', 'Dan'],
+      ['Alice', 'Bob', 'Dan']
+    ]);
+  });
+
+  test('starts a late joiner on a typed-up sheet from the tracker\'s late-join score', () => {
+    const csv = [
+      'Player,Round,Bid,Tricks',
+      'Alice,1,1,1',
+      'Bob,1,0,0',
+      'Alice,2,0,0',
+      'Bob,2,1,1',
+      'Cara,2,1,1'
+    ].join('\n');
+
+    const result = importScoresheetCsv(csv, { roundManager: new RoundManager(), trackerOptions: { lateJoinScore: 'lowest' } });
+
+    expect(result.success).toBe(true);
+    expect(result.tracker.getCurrentStandings().find(player => player.name === 'Cara'))
+      .toMatchObject({ startingScore: 10, totalScore: 30 });
+  });
+
+  test('checks the "Voided By" column names a voiding card', () => {
+    const csv = [
+      'Player,Round,Bid,Tricks,Cards,Voided By',
+      'Alice,1,1,1,2,Mermaid',
+      'Bob,1,0,0,2,Mermaid'
+    ].join('\n');
+
+    expect(importScoresheetCsv(csv).rowErrors).toEqual([{ row: 2, message: 'Unknown voiding card: Mermaid' }]);
+  });
+
+  test('reports the rows InputValidator rejects and imports nothing', () => {
+    const roundManager = new RoundManager();
+    const csv = [
+      'Player,Round,Bid,Tricks,Bonus',
+      'Alice,1,1,1,',
+      'Bob,1,3,0,-5',
+      'Alice,2,1,1,',
+      'Bob,2,0,0,'
+    ].join('\n');
+
+    const result = importScoresheetCsv(csv, { roundManager });
+    expect(result.success).toBe(false);
+    expect(result.rowErrors).toEqual([
+      { row: 3, message: 'Bob bid cannot exceed 1 (hands available)' },
+      { row: 3, message: 'Bob bonus points cannot be negative' },
+      { row: 4, message: 'Round 2: Tricks taken add up to 1 but must total 2 (2 cards dealt): 1 missing' }
+    ]);
+    expect(result.errors[0]).toBe('Row 3: Bob bid cannot exceed 1 (hands available)');
+    expect(roundManager.getCurrentRound()).toBe(1);
+  });
+
+  test('reports rows that cannot be placed in a round', () => {
+    const csv = [
+      'Player,Round,Bid,Tricks',
+      'Alice,1,1,1',
+      'Bob,1,0,0',
+      ',1,0,0',
+      'Alice,one,0,0',
+      'Alice,3,0,1',
+      'Alice,3,0,1',
+      'Bob,4,0,4'
+    ].join('\n');
+
+    expect(importScoresheetCsv(csv, { roundManager: new RoundManager() }).errors).toEqual([
+      'Row 1: Round 2 has no rows',
+      'Row 4: Missing player name',
+      'Row 5: Invalid round: one',
+      'Row 6: Bob has no row for round 3',
+      'Row 7: Alice already has a row for round 3'
+    ]);
+  });
+
+  test('reports missing columns and schedule problems', () => {
+    expect(importScoresheetCsv('Player,Round,Score\nAlice,1,20').errors).toEqual([
+      'Row 1: Missing column: bid',
+      'Row 1: Missing column: tricks'
+    ]);
+    expect(importScoresheetCsv(paperSheet).errors).toEqual([
+      'Row 2: Cards dealt unknown for round 1',
+      'Row 4: Cards dealt unknown for round 2'
+    ]);
+    expect(importScoresheetCsv(paperSheet, { roundManager: new RoundManager('wizard') }).errors)
+      .toEqual(['Row 1: Wizard is played with 3 to 6 players']);
+  });
+
+  test('leaves the round manager alone once every round has been played', () => {
+    const roundManager = new RoundManager('bedtime');
+    const result = importScoresheetCsv('Player,Round,Bid,Tricks\nAlice,1,0,0\nBob,1,1,1', { roundManager });
+
+    expect(result.success).toBe(true);
+    expect(result.nextRound).toBeNull();
+    expect(roundManager.getCurrentRound()).toBe(1);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Test suite for seating.js
+ */
+
+const Seating = require('../js/seating.js');
+
+describe('dealer rotation', () => {
+  test('passes the deal one seat each round from the first dealer', () => {
+    expect(Seating.getDealerSeat(1, 4)).toBe(0);
+    expect(Seating.getDealerSeat(1, 4, 2)).toBe(2);
+    expect(Seating.getDealerSeat(3, 4, 2)).toBe(0);
+  });
+
+  test('the player left of the dealer leads', () => {
+    expect(Seating.getLeadSeat(1, 4)).toBe(1);
+    expect(Seating.getLeadSeat(2, 4, 2)).toBe(0);
+  });
+
+  test('names the dealer and lead player for a round', () => {
+    expect(Seating.getRoundSeating(['Alice', 'Bob', 'Cara'], 3, 1)).toEqual({
+      dealer: 'Alice',
+      lead: 'Bob',
+      dealerSeat: 0,
+      leadSeat: 1
+    });
+  });
+
+  test('picks a random first dealer', () => {
+    expect(Seating.pickFirstDealerSeat(4, () => 0.6)).toBe(2);
+  });
+});
+
+describe('seating order', () => {
+  test('moves a player and shifts the seats in between', () => {
+    expect(Seating.moveSeat(['A', 'B', 'C', 'D'], 3, 1)).toEqual(['A', 'D', 'B', 'C']);
+    expect(Seating.moveSeat(['A', 'B', 'C', 'D'], 0, 2)).toEqual(['B', 'C', 'A', 'D']);
+    expect(() => Seating.moveSeat(['A', 'B'], 0, 2)).toThrow('Invalid seat: 2');
+  });
+
+  test('validates the seating against the players', () => {
+    expect(Seating.validateSeating(['Bob', 'Alice'], ['Alice', 'Bob'], 1).isValid).toBe(true);
+    expect(Seating.validateSeating(['Bob', 'Bob'], ['Alice', 'Bob'], 0).errors).toEqual([
+      'Player is seated more than once: Bob',
+      'Player has no seat: Alice'
+    ]);
+    expect(Seating.validateSeating(['Alice', 'Bob'], ['Alice', 'Bob'], 2).errors).toEqual(['Invalid first dealer seat: 2']);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Test suite for spades.js
+ */
+
+const Spades = require('../js/spades.js');
+
+describe('partnership round scoring', () => {
+  test('scores a made team contract with overtricks as bags', () => {
+    const result = Spades.scorePartnershipRound([
+      { name: 'Ann', bid: 3, tricks: 5 },
+      { name: 'Cy', bid: 4, tricks: 3 }
+    ]);
+
+    expect(result).toMatchObject({
+      contract: 7,
+      contractTricks: 8,
+      contractMade: true,
+      bagPoints: 1,
+      totalBags: 1,
+      bagPenalty: 0,
+      score: 71
+    });
+    expect(result.contributions).toEqual({ Ann: 30, Cy: 40 });
+  });
+
+  test('sets the whole team when the combined bid is missed', () => {
+    const result = Spades.scorePartnershipRound([
+      { name: 'Ann', bid: 3, tricks: 5 },
+      { name: 'Cy', bid: 4, tricks: 1 }
+    ]);
+
+    expect(result.contractMade).toBe(false);
+    expect(result.score).toBe(-70);
+    expect(result.bagPoints).toBe(0);
+  });
+
+  test('scores nil and blind nil separately from the partner', () => {
+    const result = Spades.scorePartnershipRound([
+      { name: 'Ann', bid: 0, tricks: 2 },
+      { name: 'Cy', bid: 4, tricks: 4 }
+    ]);
+
+    expect(result.contributions).toEqual({ Ann: -100, Cy: 40 });
+    expect(result.reasons.Ann).toBe('Nil failed (2 tricks): -100');
+
+    const blind = Spades.scorePartnershipRound([
+      { name: 'Ann', bid: 0, tricks: 0, blindNil: true },
+      { name: 'Cy', bid: 4, tricks: 4 }
+    ]);
+    expect(blind.contributions.Ann).toBe(Spades.BLIND_NIL_POINTS);
+  });
+
+  test('takes 100 points and clears 10 bags when bags reach 10', () => {
+    const result = Spades.scorePartnershipRound([
+      { name: 'Ann', bid: 2, tricks: 4 },
+      { name: 'Cy', bid: 2, tricks: 3 }
+    ], 8);
+
+    expect(result.totalBags).toBe(1);
+    expect(result.bagPenalty).toBe(-100);
+    expect(result.score).toBe(40 + 3 - 100);
+  });
+
+  test('rejects blind nil with a non-zero bid', () => {
+    expect(() => Spades.scorePartnershipRound([{ name: 'Ann', bid: 2, tricks: 2, blindNil: true }]))
+      .toThrow('Blind nil must be a bid of 0 for player: Ann');
+  });
+});
+
+describe('team validation', () => {
+  test('accepts fixed partnerships covering every player', () => {
+    expect(Spades.validateTeams([
+      { name: 'Us', players: ['Ann', 'Cy'] },
+      { name: 'Them', players: ['Bea', 'Di'] }
+    ], ['Ann', 'Bea', 'Cy', 'Di'])).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('reports unknown players and duplicate team names', () => {
+    const result = Spades.validateTeams([
+      { name: 'Us', players: ['Ann', 'Zed'] },
+      { name: 'Us', players: ['Bea'] }
+    ], ['Ann', 'Bea']);
+
+    expect(result.errors).toEqual(['Unknown player in Us: Zed', 'Duplicate team name: Us']);
+  });
+});
@@ -0,0 +1,94 @@
+const GameStorage = require('../js/storage.js');
+
+/**
+ * Minimal in-memory Web Storage implementation
+ */
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    get length() {
+      return items.size;
+    },
+    key: index => Array.from(items.keys())[index] || null,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * IndexedDB factory whose open requests always fail
+ */
+function createFailingIndexedDb() {
+  return {
+    open: () => {
+      const request = { error: new Error('IndexedDB disabled') };
+      setTimeout(() => request.onerror(), 0);
+      return request;
+    }
+  };
+}
+
+describe('GameStorage', () => {
+  let localStorage;
+
+  beforeEach(() => {
+    localStorage = createMemoryStorage();
+  });
+
+  test('saves and loads games with localStorage when IndexedDB is unavailable', async () => {
+    const storage = GameStorage.createGameStorage({ indexedDB: null, localStorage });
+    expect(storage.getBackendType()).toBe('localstorage');
+
+    await storage.saveGame('game-1', { currentRound: 3, players: ['Alice'] });
+    const record = await storage.loadGame('game-1');
+
+    expect(record.id).toBe('game-1');
+    expect(record.data).toEqual({ currentRound: 3, players: ['Alice'] });
+    expect(record.finished).toBe(false);
+    expect(typeof record.savedAt).toBe('string');
+  });
+
+  test('returns null for games that were never saved', async () => {
+    const storage = GameStorage.createGameStorage({ indexedDB: null, localStorage });
+    expect(await storage.loadGame('missing')).toBeNull();
+  });
+
+  test('lists only unfinished games', async () => {
+    const storage = GameStorage.createGameStorage({ indexedDB: null, localStorage });
+    await storage.saveGame('done', { round: 10 }, { finished: true });
+    await storage.saveGame('in-progress', { round: 4 });
+    localStorage.setItem('unrelated', 'value');
+
+    const games = await storage.listUnfinishedGames();
+    expect(games.map(game => game.id)).toEqual(['in-progress']);
+  });
+
+  test('deletes saved games', async () => {
+    const storage = GameStorage.createGameStorage({ indexedDB: null, localStorage });
+    await storage.saveGame('game-1', { round: 1 });
+    await storage.deleteGame('game-1');
+
+    expect(await storage.loadGame('game-1')).toBeNull();
+  });
+
+  test('falls back to localStorage when IndexedDB fails', async () => {
+    const storage = GameStorage.createGameStorage({ indexedDB: createFailingIndexedDb(), localStorage });
+    expect(storage.getBackendType()).toBe('indexeddb');
+
+    await storage.saveGame('game-1', { round: 2 });
+
+    expect(storage.getBackendType()).toBe('localstorage');
+    expect((await storage.loadGame('game-1')).data).toEqual({ round: 2 });
+  });
+
+  test('rejects invalid game ids', async () => {
+    const storage = GameStorage.createGameStorage({ indexedDB: null, localStorage });
+    await expect(storage.saveGame('', {})).rejects.toThrow('Game id must be a non-empty string');
+  });
+
+  test('requires at least one storage area', () => {
+    expect(() => GameStorage.createGameStorage({ indexedDB: null, localStorage: null }))
+      .toThrow('No game storage available');
+  });
+});
@@ -0,0 +1,65 @@
+const TieBreakers = require('../js/tieBreakers.js');
+
+describe('TieBreakers', () => {
+  const entry = (name, totalScore, roundScores, rounds = [], suddenDeathScore) => ({
+    name, totalScore, roundScores, rounds, suddenDeathScore
+  });
+
+  test('shares a rank on ties without tie-breakers', () => {
+    const ranked = TieBreakers.rankWithTieBreakers([
+      entry('Alice', 50, [50]),
+      entry('Bob', 60, [60]),
+      entry('Cara', 50, [50])
+    ]);
+
+    expect(ranked.map(p => [p.name, p.rank, p.tieBreaker])).toEqual([
+      ['Bob', 1, null],
+      ['Alice', 2, null],
+      ['Cara', 2, null]
+    ]);
+  });
+
+  test('tries tie-breakers in order until the players are separated', () => {
+    const exact = { bid: 1, tricks: 1 };
+    const missed = { bid: 2, tricks: 0 };
+    const ranked = TieBreakers.rankWithTieBreakers([
+      entry('Alice', 40, [60, -20], [exact, missed]),
+      entry('Bob', 40, [20, 20], [exact, exact]),
+      entry('Cara', 40, [70, -30], [exact, missed])
+    ], ['most-exact-bids', 'fewest-negative-rounds', 'highest-round-score']);
+
+    expect(ranked.map(p => [p.name, p.rank, p.tieBreaker])).toEqual([
+      ['Bob', 1, 'most-exact-bids'],
+      ['Cara', 2, 'highest-round-score'],
+      ['Alice', 3, 'highest-round-score']
+    ]);
+  });
+
+  test('skips a rule that cannot separate or is missing a value', () => {
+    const ranked = TieBreakers.rankWithTieBreakers([
+      entry('Alice', 30, [30], [], 20),
+      entry('Bob', 30, [30], [])
+    ], ['sudden-death', 'fewest-negative-rounds']);
+
+    expect(ranked.every(p => p.rank === 1 && p.tieBreaker === null)).toBe(true);
+  });
+
+  test('separates players with a sudden-death round', () => {
+    const ranked = TieBreakers.rankWithTieBreakers([
+      entry('Alice', 30, [30], [], 20),
+      entry('Bob', 30, [30], [], 40)
+    ], ['sudden-death']);
+
+    expect(ranked.map(p => [p.name, p.rank, p.tieBreaker])).toEqual([
+      ['Bob', 1, 'sudden-death'],
+      ['Alice', 2, 'sudden-death']
+    ]);
+  });
+
+  test('validates tie-breaker lists', () => {
+    expect(TieBreakers.validateTieBreakers(['most-bonus-points', 'sudden-death']).isValid).toBe(true);
+    expect(TieBreakers.validateTieBreakers(['coin-toss', 'sudden-death', 'sudden-death']).errors)
+      .toEqual(['Unknown tie-breaker: coin-toss', 'Tie-breaker listed twice: sudden-death']);
+    expect(() => TieBreakers.getTieBreaker('coin-toss')).toThrow('Unknown tie-breaker: coin-toss');
+  });
+});
@@ -0,0 +1,168 @@
+const Tricks = require('../js/tricks.js');
+const ScoreCalculator = require('../src/game/scoreCalculator');
+
+const card = (type, extra = {}) => ({ type, ...extra });
+const num = (suit, rank) => ({ type: 'number', suit, rank });
+const trick = (...cards) => cards.map((c, index) => ({ player: ['Alice', 'Bob', 'Cara', 'Dan'][index], card: c }));
+
+describe('Tricks', () => {
+  describe('resolveTrick', () => {
+    test('highest card of the suit led wins', () => {
+      const result = Tricks.resolveTrick(trick(num('parrot', 5), num('parrot', 9), num('chest', 13)));
+      expect(result.winner).toBe('Bob');
+      expect(result.nextLeader).toBe('Bob');
+    });
+
+    test('Jolly Roger trumps the suit led, and escapes do not set the suit', () => {
+      expect(Tricks.resolveTrick(trick(num('map', 14), num('jollyRoger', 2), num('map', 3))).winner).toBe('Bob');
+      expect(Tricks.resolveTrick(trick(card('escape'), num('chest', 2), num('parrot', 9))).winner).toBe('Bob');
+    });
+
+    test('pirates beat numbers and mermaids, the first pirate winning', () => {
+      const result = Tricks.resolveTrick(trick(card('mermaid'), card('pirate'), card('tigress', { playedAs: 'pirate' })));
+      expect(result.winner).toBe('Bob');
+      expect(result.captures.Bob).toEqual({ mermaidsByPirate: 1 });
+    });
+
+    test('Skull King captures pirates, and a mermaid captures the Skull King', () => {
+      const king = Tricks.resolveTrick(trick(card('pirate'), card('skullKing'), card('tigress', { playedAs: 'pirate' })));
+      expect(king.winner).toBe('Bob');
+      expect(king.captures.Bob).toEqual({ piratesBySkullKing: 2 });
+
+      const mermaid = Tricks.resolveTrick(trick(card('skullKing'), card('pirate'), card('mermaid')));
+      expect(mermaid.winner).toBe('Cara');
+      expect(mermaid.captures.Cara).toEqual({ skullKingByMermaid: 1 });
+    });
+
+    test('the first escape wins when every card escapes', () => {
+      expect(Tricks.resolveTrick(trick(card('loot'), card('escape'), card('tigress', { playedAs: 'escape' }))).winner).toBe('Alice');
+    });
+
+    test('14s and loot alliances are captured by the winner', () => {
+      const result = Tricks.resolveTrick(trick(num('parrot', 14), card('loot'), num('jollyRoger', 14)));
+      expect(result.winner).toBe('Cara');
+      expect(result.captures).toEqual({
+        Cara: { standardFourteens: 1, lootAlliances: [{ partner: 'Bob' }], blackFourteen: 1 },
+        Bob: { lootAlliances: [{ partner: 'Cara' }] }
+      });
+    });
+
+    test('the Kraken destroys the trick and whoever would have won leads next', () => {
+      const result = Tricks.resolveTrick(trick(num('parrot', 14), card('kraken'), num('parrot', 3)));
+      expect(result).toEqual({ winner: null, winnerIndex: -1, captures: {}, voidedBy: 'kraken', nextLeader: 'Alice' });
+    });
+
+    test('the White Whale makes the highest number win regardless of suit', () => {
+      const result = Tricks.resolveTrick(trick(card('skullKing'), num('chest', 12), card('whiteWhale'), num('jollyRoger', 8)));
+      expect(result.winner).toBe('Bob');
+      expect(result.voidedBy).toBeNull();
+
+      const empty = Tricks.resolveTrick(trick(card('pirate'), card('whiteWhale'), card('mermaid')));
+      expect(empty.voidedBy).toBe('whiteWhale');
+      expect(empty.nextLeader).toBe('Bob');
+    });
+
+    test('the second of the Kraken and White Whale takes effect', () => {
+      expect(Tricks.resolveTrick(trick(card('whiteWhale'), num('map', 4), card('kraken'))).voidedBy).toBe('kraken');
+      expect(Tricks.resolveTrick(trick(card('kraken'), num('map', 4), card('whiteWhale'))).winner).toBe('Bob');
+    });
+
+    test('rejects cards that are not in the deck', () => {
+      expect(() => Tricks.resolveTrick(trick(num('parrot', 15), card('escape')))).toThrow('Invalid card for Alice: Rank must be 1 to 14');
+      expect(() => Tricks.resolveTrick(trick(card('tigress'), card('escape')))).toThrow('Tigress must be played as an escape or a pirate');
+      expect(Tricks.validateCard(card('joker')).errors).toEqual(['Unknown card type: joker']);
+    });
+  });
+
+  describe('createTrickRecorder', () => {
+    test('plays cards in turn order with the winner leading the next trick', () => {
+      const recorder = Tricks.createTrickRecorder(['Alice', 'Bob', 'Cara'], 'Bob', 2);
+      expect(recorder.getNextPlayer()).toBe('Bob');
+
+      recorder.play(num('parrot', 3));
+      recorder.play(num('parrot', 14));
+      expect(recorder.play(card('escape')).winner).toBe('Cara');
+      expect(recorder.getNextPlayer()).toBe('Cara');
+
+      recorder.play(card('kraken'));
+      recorder.play(num('chest', 5));
+      recorder.play(num('chest', 9));
+      expect(recorder.isComplete()).toBe(true);
+      expect(recorder.getNextPlayer()).toBeNull();
+      expect(recorder.getSummary()).toEqual({
+        tricks: { Alice: 0, Bob: 0, Cara: 1 },
+        bonuses: {
+          Alice: expect.objectContaining({ standardFourteens: 0 }),
+          Bob: expect.objectContaining({ standardFourteens: 0 }),
+          Cara: expect.objectContaining({ standardFourteens: 1 })
+        },
+        voidedBy: ['kraken']
+      });
+      expect(() => recorder.play(card('escape'))).toThrow('Every trick has already been recorded');
+    });
+
+    test('rejects cards that have already been played', () => {
+      const recorder = Tricks.createTrickRecorder(['Alice', 'Bob'], 'Alice', 3);
+      recorder.play(num('map', 7));
+      expect(() => recorder.play(num('map', 7))).toThrow('Treasure Map 7 has already been played');
+      recorder.play(card('skullKing'));
+      expect(() => recorder.play(card('skullKing'))).toThrow('The Skull King has already been played');
+    });
+
+    test('undo takes back the last card, reopening a completed trick', () => {
+      const recorder = Tricks.createTrickRecorder(['Alice', 'Bob'], 'Alice', 2);
+      recorder.play(num('map', 2));
+      recorder.play(num('map', 9));
+      expect(recorder.getNextPlayer()).toBe('Bob');
+
+      expect(recorder.undo()).toEqual({ player: 'Bob', card: num('map', 9) });
+      expect(recorder.getCompletedTricks()).toEqual([]);
+      expect(recorder.getCurrentTrick()).toEqual({ number: 1, leader: 'Alice', plays: [{ player: 'Alice', card: num('map', 2) }] });
+      expect(recorder.getNextPlayer()).toBe('Bob');
+      recorder.undo();
+      expect(recorder.undo()).toBeNull();
+    });
+
+    test('validates its setup', () => {
+      expect(() => Tricks.createTrickRecorder(['Alice'], 'Alice', 1)).toThrow('Trick recording needs at least 2 players');
+      expect(() => Tricks.createTrickRecorder(['Alice', 'Bob'], 'Zed', 1)).toThrow('Unknown lead player: Zed');
+    });
+  });
+
+  test('recorded tricks and bonuses flow into ScoreCalculator.calculateRoundScores', () => {
+    const recorder = Tricks.createTrickRecorder(['Alice', 'Bob'], 'Alice', 2);
+    recorder.play(card('pirate'));
+    recorder.play(card('mermaid'));
+    recorder.play(num('chest', 14));
+    recorder.play(num('chest', 1));
+
+    const players = Tricks.toScoringPlayers(recorder.getSummary(), [
+      { name: 'Alice', bid: 2 },
+      { name: 'Bob', bid: 1 }
+    ]);
+    const results = ScoreCalculator.calculateRoundScores(players, 2);
+
+    expect(results.map(r => [r.name, r.actualTricks, r.baseScore, r.bonusPoints, r.score])).toEqual([
+      ['Alice', 2, 40, 30, 70],
+      ['Bob', 0, -10, 0, -10]
+    ]);
+  });
+
+  test('a Loot alliance only pays when both partners make their bids', () => {
+    const recorder = Tricks.createTrickRecorder(['Alice', 'Bob'], 'Alice', 1);
+    recorder.play(num('map', 5));
+    recorder.play(card('loot'));
+    const summary = recorder.getSummary();
+    expect(summary.bonuses.Alice.lootAlliances).toEqual([{ partner: 'Bob' }]);
+    expect(summary.bonuses.Bob.lootAlliances).toEqual([{ partner: 'Alice' }]);
+
+    const score = bids => ScoreCalculator.calculateRoundScores(Tricks.toScoringPlayers(summary, [
+      { name: 'Alice', bid: bids[0] },
+      { name: 'Bob', bid: bids[1] }
+    ]), 1).map(r => [r.name, r.bonusPoints]);
+
+    expect(score([1, 0])).toEqual([['Alice', 20], ['Bob', 20]]);
+    // Bob played the Loot but missed their bid, so Alice's alliance does not pay either
+    expect(score([1, 1])).toEqual([['Alice', 0], ['Bob', 0]]);
+  });
+});
@@ -146,6 +146,16 @@ describe('Validation Helpers', () => {
       
       expect(getHandsAvailable(mockContext)).toBe(VALIDATION_CONSTANTS.DEFAULT_HANDS_AVAILABLE);
     });
+
+    test('should prefer the round manager when one is given', () => {
+      const mockContext = {
+        querySelector: jest.fn().mockReturnValue(null)
+      };
+      const roundManager = { getMaxHands: () => 7 };
+
+      expect(getHandsAvailable(mockContext, roundManager)).toBe(7);
+      expect(mockContext.querySelector).not.toHaveBeenCalled();
+    });
   });
 
   describe('createValidationResult', () => {
@@ -0,0 +1,125 @@
+/**
+ * @jest-environment node
+ */
+
+const http = require('http');
+const net = require('net');
+const { createAcceptValue, encodeFrame, decodeFrame, OPCODES } = require('../server/websocket.js');
+const { createMultiplayerServer, resolveStaticPath } = require('../server/index.js');
+
+/**
+ * Encode a masked client-to-server text frame
+ */
+function encodeClientFrame(text) {
+  const payload = Buffer.from(text, 'utf8');
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+  return Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, masked]);
+}
+
+describe('WebSocket framing', () => {
+  test('computes the handshake accept value from RFC 6455', () => {
+    expect(createAcceptValue('dGhlIHNhbXBsZSBub25jZQ==')).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  });
+
+  test('round-trips short and medium text frames', () => {
+    ['hi', 'x'.repeat(300)].forEach(text => {
+      const frame = decodeFrame(encodeFrame(OPCODES.text, Buffer.from(text)));
+      expect(frame.opcode).toBe(OPCODES.text);
+      expect(frame.fin).toBe(true);
+      expect(frame.payload.toString()).toBe(text);
+    });
+  });
+
+  test('unmasks client frames and waits for complete frames', () => {
+    const frame = encodeClientFrame('{"type":"join"}');
+    expect(decodeFrame(frame.subarray(0, 4))).toBeNull();
+    expect(decodeFrame(frame).payload.toString()).toBe('{"type":"join"}');
+  });
+});
+
+describe('Multiplayer server', () => {
+  test('refuses paths outside the app', () => {
+    expect(resolveStaticPath('/srv/app', '/../etc/passwd')).toBeNull();
+    expect(resolveStaticPath('/srv/app', '/%2e%2e/etc/passwd')).toBeNull();
+    expect(resolveStaticPath('/srv/app', '/join.html')).toBe('/srv/app/join.html');
+    expect(resolveStaticPath('/srv/app', '/')).toBe('/srv/app/index.html');
+    expect(resolveStaticPath('/srv/app', '/js/app.js')).toBe('/srv/app/js/app.js');
+  });
+
+  test('only serves the pages and their assets', () => {
+    ['/.git/config', '/server/index.js', '/tests/ScoreTracker.test.js', '/requests.jsonl', '/package.json', '/js']
+      .forEach(url => expect(resolveStaticPath('/srv/app', url)).toBeNull());
+  });
+
+  test('answers 404 for files that are not public', done => {
+    const server = createMultiplayerServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      const get = url => new Promise(resolve => {
+        http.get({ host: '127.0.0.1', port, path: url }, response => {
+          response.resume();
+          resolve(response.statusCode);
+        });
+      });
+
+      Promise.all([get('/join.html'), get('/.git/HEAD'), get('/package.json')]).then(statuses => {
+        server.close(() => {
+          try {
+            expect(statuses).toEqual([200, 404, 404]);
+            done();
+          } catch (error) {
+            done(error);
+          }
+        });
+      });
+    });
+  });
+
+  test('creates rooms over a real WebSocket connection', done => {
+    const server = createMultiplayerServer();
+    server.listen(0, '127.0.0.1', () => {
+      const client = net.connect(server.address().port, '127.0.0.1');
+      let received = Buffer.alloc(0);
+
+      client.on('connect', () => {
+        client.write([
+          'GET / HTTP/1.1',
+          'Host: localhost',
+          'Upgrade: websocket',
+          'Connection: Upgrade',
+          'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+          'Sec-WebSocket-Version: 13',
+          '', ''
+        ].join('\r\n'));
+      });
+
+      client.on('data', chunk => {
+        received = Buffer.concat([received, chunk]);
+        const headerEnd = received.indexOf('\r\n\r\n');
+        if (headerEnd === -1) return;
+
+        if (!client.sentCreate) {
+          client.sentCreate = true;
+          expect(received.toString().startsWith('HTTP/1.1 101')).toBe(true);
+          client.write(encodeClientFrame(JSON.stringify({ type: 'create-room', players: ['Alice', 'Bob'] })));
+        }
+
+        const frame = decodeFrame(received.subarray(headerEnd + 4));
+        if (!frame) return;
+
+        client.destroy();
+        server.close(() => {
+          try {
+            const message = JSON.parse(frame.payload.toString());
+            expect(message.type).toBe('room-created');
+            expect(message.code).toMatch(/^[A-Z]{4}$/);
+            done();
+          } catch (error) {
+            done(error);
+          }
+        });
+      });
+    });
+  });
+});